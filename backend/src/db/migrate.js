@@ -0,0 +1,73 @@
+require('dotenv').config();
+const { sequelize, Organization, User } = require('../models');
+const fieldEncryption = require('../utils/fieldEncryption');
+
+// Columns stored through utils/fieldEncryption
+const ENCRYPTED_ATTRIBUTES = [
+  { model: Organization, attributes: ['epicClientSecret', 'epicPrivateKey'] },
+  { model: User, attributes: ['epicAccessToken', 'epicRefreshToken'] }
+];
+
+// Encrypts values written before encryption was enabled and re-wraps values
+// still under a retired key id. Safe to run repeatedly.
+async function encryptSecrets() {
+  if (!fieldEncryption.isConfigured()) {
+    console.log('FIELD_ENCRYPTION_KEYS not set, skipping secret encryption');
+    return;
+  }
+
+  const queryInterface = sequelize.getQueryInterface();
+
+  for (const { model, attributes } of ENCRYPTED_ATTRIBUTES) {
+    // raw: stored values, bypassing the decrypting getters
+    const rows = await model.findAll({ attributes: ['id', ...attributes], raw: true });
+    let encrypted = 0;
+    let rewrapped = 0;
+
+    for (const row of rows) {
+      const changes = {};
+
+      for (const attribute of attributes) {
+        const stored = row[attribute];
+        if (stored === null || stored === undefined) continue;
+
+        const column = model.rawAttributes[attribute].field;
+        if (!fieldEncryption.isEncrypted(stored)) {
+          changes[column] = fieldEncryption.encrypt(stored, `${model.name}.${attribute}`);
+          encrypted++;
+        } else if (fieldEncryption.getKeyId(stored) !== fieldEncryption.activeKeyId) {
+          changes[column] = fieldEncryption.rewrap(stored);
+          rewrapped++;
+        }
+      }
+
+      // Written through the query interface so the setters don't run again
+      if (Object.keys(changes).length > 0) {
+        await queryInterface.bulkUpdate(model.getTableName(), changes, { id: row.id });
+      }
+    }
+
+    console.log(`${model.name}: ${encrypted} value(s) encrypted, ${rewrapped} re-wrapped under key "${fieldEncryption.activeKeyId}"`);
+  }
+}
+
+async function migrate() {
+  try {
+    console.log('Starting database migration...');
+    fieldEncryption.checkConfiguration();
+
+    await sequelize.authenticate();
+    await sequelize.sync({ alter: true });
+    console.log('Database schema synchronized');
+
+    await encryptSecrets();
+
+    console.log('Migration complete');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -1,8 +1,36 @@
 require('dotenv').config();
 const bcrypt = require('bcryptjs');
 const { sequelize, Organization, User, CarePlan, ICD10Code } = require('../models');
-const icd10Codes = require('../data/icd10_codes.json');
-const carePlanTemplates = require('../data/care_plan_templates.json');
+const icd10Codes = require('../../data/icd10_codes.json');
+const carePlanTemplates = require('../../data/care_plan_templates.json');
+const SyntheticFhirGenerator = require('../services/syntheticFhirGenerator');
+const sandboxStore = require('../services/fhirSandboxStore');
+const comorbidityService = require('../services/comorbidityService');
+
+// `node src/db/seed.js --sandbox` also fills the local FHIR sandbox
+const seedSandbox = process.argv.includes('--sandbox') || !!process.env.SANDBOX_PATIENT_COUNT;
+const sandboxPatientCount = parseInt(process.env.SANDBOX_PATIENT_COUNT) || 2500;
+
+async function seedSandboxPatients() {
+  console.log(`Seeding FHIR sandbox with ${sandboxPatientCount} synthetic patients...`);
+  await sandboxStore.clear();
+
+  const generator = new SyntheticFhirGenerator({ seed: parseInt(process.env.SANDBOX_SEED) || undefined });
+  const batchSize = 100;
+  let resourceCount = 0;
+
+  for (let start = 1; start <= sandboxPatientCount; start += batchSize) {
+    const resources = [];
+    const end = Math.min(start + batchSize - 1, sandboxPatientCount);
+    for (let i = start; i <= end; i++) {
+      resources.push(...generator.generatePatientRecord(i));
+    }
+    resourceCount += await sandboxStore.saveResources(resources);
+    console.log(`  ${end}/${sandboxPatientCount} patients`);
+  }
+
+  console.log(`Seeded ${resourceCount} sandbox resources`);
+}
 
 async function seed() {
   try {
@@ -15,7 +43,12 @@ async function seed() {
     // Seed ICD-10 codes
     console.log('Seeding ICD-10 codes...');
     for (const code of icd10Codes) {
-      await ICD10Code.upsert(code);
+      const indices = comorbidityService.categorize(code.code);
+      await ICD10Code.upsert({
+        ...code,
+        charlsonCategories: indices.charlson,
+        elixhauserCategories: indices.elixhauser
+      });
     }
     console.log(`Seeded ${icd10Codes.length} ICD-10 codes`);
 
@@ -26,6 +59,8 @@ async function seed() {
       defaults: {
         name: 'Demo Healthcare System',
         subscriptionTier: 'professional',
+        // The sandbox is a plain R4 server (system-level $export, no category rules)
+        ehrVendor: seedSandbox ? 'generic' : 'epic',
         settings: {
           branding: {
             primaryColor: '#0066cc',
@@ -137,6 +172,10 @@ async function seed() {
     }
     console.log('Organization care plans created');
 
+    if (seedSandbox) {
+      await seedSandboxPatients();
+    }
+
     console.log('\n=== Seed Complete ===');
     console.log('Demo credentials:');
     console.log('  Super Admin: admin@careflow.com / admin123!');
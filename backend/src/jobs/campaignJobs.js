@@ -0,0 +1,476 @@
+const { Op } = require('sequelize');
+const { Campaign, CampaignAudience, CarePlan, Organization, OutreachHistory, User } = require('../models');
+const smartBackendAuth = require('../services/smartBackendAuth');
+const ehrTokenManager = require('../services/ehrTokenManager');
+const conditionSearchService = require('../services/conditionSearchService');
+const conditionNormalizer = require('../services/conditionNormalizer');
+const cohortService = require('../services/cohortService');
+const eligibilityService = require('../services/eligibilityService');
+const campaignAudienceService = require('../services/campaignAudienceService');
+const careGapService = require('../services/careGapService');
+const populationStore = require('../services/populationStore');
+const populationSyncService = require('../services/populationSyncService');
+const fhirWriteBackService = require('../services/fhirWriteBackService');
+const aiService = require('../services/aiService');
+const mailService = require('../services/mailService');
+const EhrConnectionError = require('../utils/ehrConnectionError');
+const logger = require('../utils/logger');
+
+// Patients one cohort-targeted campaign may reach (read from the population store)
+const MAX_COHORT_PATIENTS = 5000;
+// Stored patients whose resources are loaded at once for eligibility checks
+const ELIGIBILITY_BATCH_SIZE = 500;
+// Per-patient failures listed in a job result
+const MAX_RECORDED_FAILURES = 100;
+
+const loadCampaign = async (job) => {
+  const campaign = await Campaign.findOne({
+    where: { id: job.campaignId, organizationId: job.organizationId },
+    include: [CarePlan]
+  });
+  if (!campaign) {
+    const error = new Error('Campaign not found');
+    error.retryable = false;
+    throw error;
+  }
+  return campaign;
+};
+
+const loadActors = async (job) => {
+  const [organization, user] = await Promise.all([
+    Organization.findByPk(job.organizationId),
+    job.createdBy ? User.findByPk(job.createdBy) : null
+  ]);
+  return { organization, user };
+};
+
+// Audience candidate from a Patient resource and its care plan eligibility
+const toCandidate = (patient, inclusionReasons, eligibility) => {
+  const met = eligibility.checks.filter(item => item.result === 'met').map(item => item.message);
+  return campaignAudienceService.toCandidate(patient, [...inclusionReasons, ...met], eligibility.reasons, {
+    needsReview: eligibility.needsReview
+  });
+};
+
+// Cohort definition a campaign targets: its own cohort, an inline
+// targetCriteria.definition, else its care plan's cohort (null when none)
+const resolveTargetCohort = async (campaign) => {
+  if (campaign.cohortId) {
+    const resolved = await cohortService.resolveDefinition(campaign.organizationId, campaign.cohortId, campaign.cohortVersion);
+    return {
+      source: 'campaign',
+      label: `In cohort "${resolved.cohort.name}" (version ${resolved.version})`,
+      cohortId: resolved.cohort.id,
+      version: resolved.version,
+      definition: resolved.definition
+    };
+  }
+  if (campaign.targetCriteria?.definition) {
+    return { source: 'targetCriteria', label: 'Matches the campaign\'s targeting criteria', definition: campaign.targetCriteria.definition };
+  }
+  if (campaign.CarePlan?.cohortId) {
+    const carePlan = campaign.CarePlan;
+    const resolved = await cohortService.resolveDefinition(campaign.organizationId, carePlan.cohortId, carePlan.cohortVersion);
+    return {
+      source: 'carePlan',
+      label: `In the care plan's cohort "${resolved.cohort.name}" (version ${resolved.version})`,
+      cohortId: resolved.cohort.id,
+      version: resolved.version,
+      definition: resolved.definition
+    };
+  }
+  return null;
+};
+
+// Record sent outreach in the EHR when the organization has write-back on.
+// Failures are kept on each outreach row and never fail the send itself.
+const writeBackSentOutreach = async (organization, user, campaign, sentOutreach) => {
+  if (sentOutreach.length === 0 || !fhirWriteBackService.isEnabled(organization)) {
+    return null;
+  }
+
+  const summary = { written: 0, failed: 0 };
+  try {
+    const epicService = await fhirWriteBackService.getEpicService(organization, user);
+    if (!epicService) {
+      return { ...summary, error: 'EPIC connection required for write-back' };
+    }
+
+    for (const outreach of sentOutreach) {
+      const writeBack = await fhirWriteBackService.recordOutreachSent(outreach, campaign, epicService, organization);
+      if (Object.keys(writeBack.errors || {}).length > 0) {
+        summary.failed++;
+      } else {
+        summary.written++;
+      }
+    }
+  } catch (error) {
+    logger.error('Outreach write-back error:', error);
+    summary.error = error.message;
+  }
+
+  return summary;
+};
+
+// Move a pending outreach row on to `changes.status`, unless another send
+// already took it. False when the row is no longer pending.
+const claimOutreach = async (outreach, changes) => {
+  const [claimed] = await OutreachHistory.update(changes, {
+    where: { id: outreach.id, status: 'pending' }
+  });
+  if (claimed) outreach.set(changes);
+  return claimed > 0;
+};
+
+// Candidates from the campaign's cohort over the synced population. Contact
+// details come from the stored Patient resources, not per-patient reads.
+async function targetCohort(job, context, campaign, cohort, resourceTypes) {
+  const dataAsOf = await populationSyncService.getDataAsOf(campaign.organizationId, ['Patient', 'Condition']);
+  if (!dataAsOf) {
+    const error = new Error('Population has not been loaded yet; run a bulk export first');
+    error.status = 409;
+    throw error;
+  }
+
+  const { patientIds, truncated } = await cohortService.findPatientIds(campaign.organizationId, cohort.definition, {
+    limit: MAX_COHORT_PATIENTS
+  });
+
+  // The care plan's eligibility criteria apply on top of the cohort
+  const candidates = [];
+  const evaluations = [];
+  for (let i = 0; i < patientIds.length; i += ELIGIBILITY_BATCH_SIZE) {
+    await context.checkCancelled();
+    const batch = patientIds.slice(i, i + ELIGIBILITY_BATCH_SIZE);
+    const resources = await populationStore.getPatientResources(campaign.organizationId, batch, ['Patient', ...resourceTypes]);
+    const cohortMembers = cohort.source === 'carePlan'
+      ? undefined
+      : await eligibilityService.getCohortMembers(campaign.organizationId, campaign.CarePlan, batch);
+
+    for (const patientId of batch) {
+      const patientResources = resources[patientId] || [];
+      const patient = patientResources.find(resource => resource.resourceType === 'Patient');
+      if (!patient) continue;
+
+      const eligibility = eligibilityService.evaluate(campaign.CarePlan, patientResources, { resourceTypes, cohortMembers });
+      evaluations.push(eligibility);
+      candidates.push(toCandidate(patient, [cohort.label], eligibility));
+    }
+    await context.progress(i + batch.length, patientIds.length, 'Evaluating eligibility');
+  }
+
+  return {
+    candidates,
+    evaluations,
+    details: {
+      cohort: { source: cohort.source, cohortId: cohort.cohortId || null, version: cohort.version || null, truncated },
+      dataAsOf
+    }
+  };
+}
+
+// Candidates from the care plan's ICD-10 codes searched in the EHR, one
+// patient read (plus whatever the eligibility criteria need) at a time
+async function targetEhrSearch(job, context, campaign, resourceTypes) {
+  // Targeting is population-level work: prefer the system token
+  const { organization, user } = await loadActors(job);
+  const epicService = await smartBackendAuth.getEpicServiceForOrganization(organization, user);
+  if (!epicService) {
+    const error = new Error('EPIC connection required');
+    error.status = 400;
+    throw error;
+  }
+
+  // Active conditions only unless the plan's eligibilityCriteria.requireActiveCondition is false
+  const search = await conditionSearchService.findPatientsByIcd10Codes(
+    epicService,
+    campaign.CarePlan.icd10Codes || [],
+    conditionNormalizer.optionsForCarePlan(campaign.CarePlan)
+  );
+
+  const cohortMembers = await eligibilityService.getCohortMembers(campaign.organizationId, campaign.CarePlan, search.patientIds);
+  const candidates = [];
+  const evaluations = [];
+  let failed = 0;
+  for (const [index, patientId] of search.patientIds.entries()) {
+    await context.checkCancelled();
+    try {
+      const resources = await eligibilityService.loadFromEhr(epicService, patientId, resourceTypes);
+      const eligibility = eligibilityService.evaluate(campaign.CarePlan, resources, { resourceTypes, cohortMembers });
+      evaluations.push(eligibility);
+      candidates.push(toCandidate(resources[0], ['Has a condition in the care plan\'s ICD-10 codes'], eligibility));
+    } catch (e) {
+      // Skip inaccessible patients
+      failed++;
+    }
+    await context.progress(index + 1, search.patientIds.length, 'Reading patients from the EHR');
+  }
+
+  return {
+    candidates,
+    evaluations,
+    details: {
+      search: {
+        codesSearched: search.codesSearched,
+        snomedCodesSearched: search.snomedCodesSearched,
+        conditionsMatched: search.conditionsMatched,
+        patientsMatched: search.patientIds.length,
+        truncated: search.truncated,
+        failed
+      }
+    }
+  };
+}
+
+// Find the campaign's patients and store them as its audience (see
+// campaignAudienceService), diffed against the previous run
+async function targetPatients(job, context) {
+  const campaign = await loadCampaign(job);
+
+  if (campaign.targetCriteria?.source === 'care-gaps') {
+    return careGapService.exportToCampaign(campaign, campaign.targetCriteria.careGaps?.filters || {}, {
+      scheduledRun: job.type === 'campaign.scheduled-run'
+    });
+  }
+
+  const cohort = await resolveTargetCohort(campaign);
+  const resourceTypes = eligibilityService.requiredResourceTypes(campaign.CarePlan);
+  const { candidates, evaluations, details } = cohort
+    ? await targetCohort(job, context, campaign, cohort, resourceTypes)
+    : await targetEhrSearch(job, context, campaign, resourceTypes);
+
+  await context.checkCancelled();
+  const eligibility = eligibilityService.summarize(evaluations);
+  const result = await campaignAudienceService.applyTargeting(campaign, candidates, { details: { eligibility, ...details } });
+  return {
+    eligiblePatients: eligibility.eligible,
+    patientsFound: result.included,
+    ...result
+  };
+}
+
+// Draft AI outreach for the given patients, by default the included audience
+// members with no outreach yet. Contact details come from the audience;
+// patients outside it are read from the EHR.
+async function generateContent(job, context) {
+  const campaign = await loadCampaign(job);
+  const patientIds = job.payload.patientIds || await campaignAudienceService.getUncontactedPatientIds(campaign.id);
+
+  // Patients with outreach drafted or sent (including by an earlier attempt
+  // of this job) are skipped, so none gets a second message. Only failed or
+  // bounced outreach is drafted again.
+  const contacted = new Set((await OutreachHistory.findAll({
+    attributes: ['patientFhirId'],
+    where: {
+      campaignId: campaign.id,
+      patientFhirId: { [Op.in]: patientIds },
+      status: { [Op.notIn]: ['failed', 'bounced'] }
+    },
+    raw: true
+  })).map(row => row.patientFhirId));
+
+  const members = new Map((await CampaignAudience.findAll({
+    where: { campaignId: campaign.id, patientId: { [Op.in]: patientIds } }
+  })).map(member => [member.patientId, member]));
+
+  let epicService;
+  const getPatientInfo = async (patientId) => {
+    const member = members.get(patientId);
+    if (member) {
+      return { id: patientId, name: member.name, email: member.email, phone: member.phone, address: member.address };
+    }
+    if (!epicService) {
+      const { organization, user } = await loadActors(job);
+      epicService = await ehrTokenManager.getEpicService(user, organization);
+    }
+    return epicService.extractPatientContactInfo(await epicService.getPatientById(patientId));
+  };
+
+  let generated = 0;
+  let skipped = 0;
+  const failures = [];
+  for (const [index, patientId] of patientIds.entries()) {
+    await context.checkCancelled();
+    if (contacted.has(patientId)) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const patientInfo = await getPatientInfo(patientId);
+
+      // Generate content using dual AI
+      const aiContent = await aiService.generateOutreachContent(
+        patientInfo,
+        {
+          name: campaign.CarePlan.name,
+          description: campaign.CarePlan.description,
+          benefits: campaign.CarePlan.outcomes
+        },
+        campaign.type
+      );
+
+      await OutreachHistory.create({
+        campaignId: campaign.id,
+        patientFhirId: patientId,
+        patientName: patientInfo.name,
+        patientEmail: patientInfo.email,
+        patientAddress: patientInfo.address,
+        contentOpenAI: aiContent.openai?.content,
+        contentClaude: aiContent.claude?.content,
+        selectedContent: aiContent.selected?.content,
+        aiAnalysis: {
+          winner: aiContent.selected?.winner,
+          scores: aiContent.selected?.scores
+        },
+        status: 'pending'
+      });
+      generated++;
+    } catch (e) {
+      // Without an EHR connection no other patient will work either
+      if (e instanceof EhrConnectionError) throw e;
+      logger.error(`Content generation failed for patient ${patientId}:`, e);
+      failures.push({ patientId, error: 'Content generation failed' });
+    }
+    await context.progress(index + 1, patientIds.length, 'Generating content');
+  }
+
+  return {
+    patients: patientIds.length,
+    generated,
+    skipped,
+    failed: failures.length,
+    failures: failures.slice(0, MAX_RECORDED_FAILURES)
+  };
+}
+
+// Send the campaign's pending outreach: emails through the mail service, or a
+// mail merge file for printed mail. Each row is claimed before it is sent and
+// marked as it goes, so a retried job only picks up what is still pending. A
+// row left in sending was interrupted mid-send and is not mailed again.
+async function sendCampaign(job, context) {
+  const campaign = await loadCampaign(job);
+  const { organization, user } = await loadActors(job);
+
+  const pendingOutreach = await OutreachHistory.findAll({
+    where: {
+      campaignId: campaign.id,
+      status: 'pending'
+    }
+  });
+
+  let sentCount = 0;
+  let failedCount = 0;
+  const sentOutreach = [];
+
+  if (campaign.type === 'email') {
+    for (const [index, outreach] of pendingOutreach.entries()) {
+      await context.checkCancelled();
+      if (outreach.patientEmail && await claimOutreach(outreach, { status: 'sending' })) {
+        try {
+          await mailService.sendEmail(
+            outreach.patientEmail,
+            `Important: ${campaign.CarePlan.name} Program`,
+            mailService.getTemplate('carePlanInvitation', {
+              patientName: outreach.patientName,
+              organizationName: 'Your Healthcare Provider',
+              content: outreach.selectedContent || outreach.contentClaude
+            })
+          );
+
+          await outreach.update({
+            status: 'sent',
+            sentAt: new Date()
+          });
+          sentOutreach.push(outreach);
+          sentCount++;
+        } catch (e) {
+          await outreach.update({ status: 'failed' });
+          failedCount++;
+        }
+      }
+      await context.progress(index + 1, pendingOutreach.length, 'Sending email');
+    }
+  } else if (campaign.type === 'mail') {
+    // Mark as sent (in production, integrate with mail vendor)
+    for (const outreach of pendingOutreach) {
+      if (outreach.patientAddress && await claimOutreach(outreach, { status: 'sent', sentAt: new Date() })) {
+        sentOutreach.push(outreach);
+        sentCount++;
+      }
+    }
+
+    const writeBack = await writeBackSentOutreach(organization, user, campaign, sentOutreach);
+
+    return {
+      type: 'mail',
+      sent: sentCount,
+      failed: failedCount,
+      writeBack,
+      mailMerge: mailService.generateMailMergeCSV(
+        sentOutreach.map(o => ({
+          name: o.patientName,
+          address: o.patientAddress
+        })),
+        campaign.CarePlan.description
+      )
+    };
+  }
+
+  // Update campaign status
+  await campaign.update({
+    status: 'in_progress',
+    sentCount: campaign.sentCount + sentCount
+  });
+
+  const writeBack = await writeBackSentOutreach(organization, user, campaign, sentOutreach);
+
+  return {
+    sent: sentCount,
+    failed: failedCount,
+    status: campaign.status,
+    writeBack
+  };
+}
+
+// Progress of one step of a scheduled run, labelled with the step
+const stepContext = (context, step) => ({
+  progress: (done, total, message) => context.progress(done, total, `${step}: ${message}`),
+  checkCancelled: context.checkCancelled
+});
+
+// A scheduled run (see campaignScheduleService): re-target, draft content for
+// the audience members not contacted yet, then send. On a recurring campaign
+// each run reaches only the patients that became eligible since the last one.
+async function runScheduledCampaign(job, context) {
+  const targeting = await targetPatients(job, stepContext(context, 'Targeting'));
+
+  await context.checkCancelled();
+  const patientIds = await campaignAudienceService.getUncontactedPatientIds(job.campaignId);
+  const result = { run: job.payload.run, targeting, newPatients: patientIds.length, content: null, send: null };
+  if (patientIds.length === 0) {
+    return result;
+  }
+
+  const contentJob = {
+    id: job.id,
+    organizationId: job.organizationId,
+    campaignId: job.campaignId,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    payload: { patientIds }
+  };
+  result.content = await generateContent(contentJob, stepContext(context, 'Content'));
+
+  await context.checkCancelled();
+  result.send = await sendCampaign(job, stepContext(context, 'Sending'));
+  return result;
+}
+
+module.exports = {
+  resolveTargetCohort,
+  targetPatients,
+  generateContent,
+  sendCampaign,
+  runScheduledCampaign
+};
@@ -0,0 +1,23 @@
+const jobQueue = require('../services/jobQueue');
+const campaignJobs = require('./campaignJobs');
+const patientJobs = require('./patientJobs');
+const populationJobs = require('./populationJobs');
+
+// Jobs that build a campaign's audience or draft or send its outreach run one
+// at a time per campaign, so a send never reads an audience being rebuilt
+const OUTREACH_GROUP = { group: 'campaign.outreach' };
+
+// Job types run by the queue's workers. The API process registers them too,
+// since enqueueing checks the type.
+function registerJobHandlers() {
+  jobQueue.register('campaign.target', campaignJobs.targetPatients, OUTREACH_GROUP);
+  jobQueue.register('campaign.generate-content', campaignJobs.generateContent, OUTREACH_GROUP);
+  jobQueue.register('campaign.send', campaignJobs.sendCampaign, OUTREACH_GROUP);
+  jobQueue.register('campaign.scheduled-run', campaignJobs.runScheduledCampaign, OUTREACH_GROUP);
+  jobQueue.register('patients.bulk-analyze', patientJobs.bulkAnalyze);
+  jobQueue.register('population.bulk-export', populationJobs.bulkExport);
+}
+
+module.exports = {
+  registerJobHandlers
+};
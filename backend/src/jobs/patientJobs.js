@@ -0,0 +1,68 @@
+const { CarePlan, Organization, User } = require('../models');
+const ehrTokenManager = require('../services/ehrTokenManager');
+const conditionNormalizer = require('../services/conditionNormalizer');
+const eligibilityService = require('../services/eligibilityService');
+
+// Evaluate a care plan's eligibility criteria for each patient, read from the
+// EHR with the requesting user's connection. Eligible patients come first.
+async function bulkAnalyze(job, context) {
+  const { patientIds, carePlanId } = job.payload;
+  const [organization, user, carePlan] = await Promise.all([
+    Organization.findByPk(job.organizationId),
+    User.findByPk(job.createdBy),
+    carePlanId ? CarePlan.findByPk(carePlanId) : null
+  ]);
+  const epicService = await ehrTokenManager.getEpicService(user, organization);
+
+  const resourceTypes = [...new Set(['Condition', ...eligibilityService.requiredResourceTypes(carePlan)])];
+  const cohortMembers = await eligibilityService.getCohortMembers(job.organizationId, carePlan, patientIds);
+  const results = [];
+  const evaluations = [];
+
+  for (const [index, patientId] of patientIds.entries()) {
+    await context.checkCancelled();
+    try {
+      const resources = await eligibilityService.loadFromEhr(epicService, patientId, resourceTypes);
+      const icd10Codes = epicService.extractICD10Codes(
+        resources,
+        conditionNormalizer.optionsForCarePlan(carePlan)
+      );
+
+      const result = {
+        patientId,
+        name: epicService.formatPatientName(resources[0]),
+        conditions: icd10Codes.length
+      };
+      if (carePlan) {
+        const eligibility = eligibilityService.evaluate(carePlan, resources, { resourceTypes, cohortMembers });
+        evaluations.push(eligibility);
+        Object.assign(result, {
+          eligible: eligibility.eligible,
+          needsReview: eligibility.needsReview,
+          reasons: eligibility.reasons,
+          unverified: eligibility.unverified,
+          checks: eligibility.checks
+        });
+      }
+      results.push(result);
+    } catch (error) {
+      results.push({
+        patientId,
+        error: 'Failed to analyze'
+      });
+    }
+    await context.progress(index + 1, patientIds.length, 'Analyzing patients');
+  }
+
+  // Eligible first, then those needing review, then ineligible and failures
+  const rank = (result) => (result.eligible ? (result.needsReview ? 1 : 0) : (result.error ? 3 : 2));
+  return {
+    analyzed: results.length,
+    ...(carePlan && { eligibility: eligibilityService.summarize(evaluations) }),
+    results: results.sort((a, b) => rank(a) - rank(b))
+  };
+}
+
+module.exports = {
+  bulkAnalyze
+};
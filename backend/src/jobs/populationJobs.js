@@ -0,0 +1,32 @@
+const { BulkExportJob, Organization, User } = require('../models');
+const ehrTokenManager = require('../services/ehrTokenManager');
+const bulkExportService = require('../services/bulkExportService');
+
+// Run a managed bulk export to completion. A retry after the worker died
+// resumes the export from its status URL.
+async function bulkExport(job) {
+  const exportJob = await BulkExportJob.findByPk(job.payload.bulkExportJobId);
+  if (!exportJob || !bulkExportService.isActive(exportJob)) {
+    return { skipped: true, reason: 'Export is no longer active' };
+  }
+
+  const [organization, user] = await Promise.all([
+    Organization.findByPk(exportJob.organizationId),
+    exportJob.initiatedBy ? User.findByPk(exportJob.initiatedBy) : null
+  ]);
+  const getEpicService = bulkExportService.getServiceProvider(
+    organization,
+    () => ehrTokenManager.getEpicService(user, organization)
+  );
+
+  await bulkExportService.run(exportJob, getEpicService);
+  return {
+    bulkExportJobId: exportJob.id,
+    status: exportJob.status,
+    resourceCounts: exportJob.resourceCounts
+  };
+}
+
+module.exports = {
+  bulkExport
+};
@@ -0,0 +1,123 @@
+const cron = require('node-cron');
+const { Organization } = require('../models');
+const smartBackendAuth = require('../services/smartBackendAuth');
+const populationSyncService = require('../services/populationSyncService');
+const ehrTokenManager = require('../services/ehrTokenManager');
+const careGapService = require('../services/careGapService');
+const campaignScheduleService = require('../services/campaignScheduleService');
+const bulkExportService = require('../services/bulkExportService');
+const jobQueue = require('../services/jobQueue');
+const logger = require('../utils/logger');
+
+const POPULATION_SYNC_CRON = process.env.POPULATION_SYNC_CRON || '0 * * * *';
+// Must run more often than EPIC_TOKEN_REFRESH_LEAD_MINUTES
+const TOKEN_REFRESH_CRON = process.env.EPIC_TOKEN_REFRESH_CRON || '*/5 * * * *';
+// Longest a token refresh run may hold the cluster-wide lock
+const TOKEN_REFRESH_LOCK_MS = 15 * 60 * 1000;
+const CARE_GAP_CRON = process.env.CARE_GAP_EVALUATION_CRON || '30 2 * * *';
+const CAMPAIGN_SCHEDULE_CRON = process.env.CAMPAIGN_SCHEDULE_CRON || '* * * * *';
+const BULK_EXPORT_RECOVERY_CRON = process.env.BULK_EXPORT_RECOVERY_CRON || '*/5 * * * *';
+
+// Incremental population sync for every active organization with system
+// access (scheduled runs have no user token to fall back on)
+async function runPopulationSync() {
+  const organizations = await Organization.findAll({ where: { isActive: true } });
+
+  for (const organization of organizations) {
+    if (!smartBackendAuth.isConfigured(organization)) continue;
+
+    try {
+      const epicService = await smartBackendAuth.getSystemEpicService(organization);
+      const { skipped, results } = await populationSyncService.syncOrganization(organization, epicService);
+      if (!skipped) {
+        logger.info(`Population sync finished for ${organization.slug}`, { results });
+      }
+    } catch (error) {
+      logger.error(`Population sync failed for ${organization.slug}:`, error.message);
+    }
+  }
+}
+
+// Refresh user tokens before they expire so connections stay usable. Every
+// API process schedules this, but only one may run it at a time: two
+// processes refreshing the same user would spend a rotating refresh token
+// twice, and the EHR would reject the second as revoked.
+async function runTokenRefresh() {
+  const refresh = () => ehrTokenManager.refreshExpiring();
+  const results = jobQueue.isConfigured()
+    ? await jobQueue.runExclusive('epic-token-refresh', TOKEN_REFRESH_LOCK_MS, refresh)
+    : await refresh();
+  if (!results) return null;
+
+  if (results.checked > 0) {
+    logger.info('EPIC token refresh finished', { results });
+  }
+  return results;
+}
+
+// Evaluate quality measures for every active organization whose population
+// has been loaded, opening and closing the stored care gaps
+async function runCareGapEvaluation() {
+  const organizations = await Organization.findAll({ where: { isActive: true } });
+
+  for (const organization of organizations) {
+    try {
+      const dataAsOf = await populationSyncService.getDataAsOf(organization.id, ['Patient', 'Condition']);
+      if (!dataAsOf) continue;
+
+      await careGapService.evaluateOrganization(organization.id);
+    } catch (error) {
+      logger.error(`Care gap evaluation failed for ${organization.slug}:`, error.message);
+    }
+  }
+}
+
+// Start scheduled campaigns whose time has come (runs go through the job queue)
+async function runCampaignSchedule() {
+  if (!jobQueue.isConfigured()) return null;
+
+  const results = await campaignScheduleService.runDueCampaigns();
+  if (results.started.length > 0) {
+    logger.info(`Started ${results.started.length} scheduled campaign run(s)`, { results });
+  }
+  return results;
+}
+
+// Fail bulk exports whose process died without the job queue resuming them
+async function runBulkExportRecovery() {
+  return bulkExportService.recoverInterruptedJobs();
+}
+
+function schedule(name, enabledEnv, expression, envName, run) {
+  if (process.env[enabledEnv] === 'false') {
+    logger.info(`${name} schedule disabled`);
+    return;
+  }
+
+  if (!cron.validate(expression)) {
+    logger.error(`Invalid ${envName} expression: ${expression}`);
+    return;
+  }
+
+  cron.schedule(expression, () => {
+    run().catch(error => logger.error(`${name} run failed:`, error));
+  });
+  logger.info(`${name} scheduled (${expression})`);
+}
+
+function startScheduler() {
+  schedule('Population sync', 'POPULATION_SYNC_ENABLED', POPULATION_SYNC_CRON, 'POPULATION_SYNC_CRON', runPopulationSync);
+  schedule('EPIC token refresh', 'EPIC_TOKEN_REFRESH_ENABLED', TOKEN_REFRESH_CRON, 'EPIC_TOKEN_REFRESH_CRON', runTokenRefresh);
+  schedule('Care gap evaluation', 'CARE_GAP_EVALUATION_ENABLED', CARE_GAP_CRON, 'CARE_GAP_EVALUATION_CRON', runCareGapEvaluation);
+  schedule('Campaign schedule', 'CAMPAIGN_SCHEDULE_ENABLED', CAMPAIGN_SCHEDULE_CRON, 'CAMPAIGN_SCHEDULE_CRON', runCampaignSchedule);
+  schedule('Bulk export recovery', 'BULK_EXPORT_RECOVERY_ENABLED', BULK_EXPORT_RECOVERY_CRON, 'BULK_EXPORT_RECOVERY_CRON', runBulkExportRecovery);
+}
+
+module.exports = {
+  startScheduler,
+  runPopulationSync,
+  runTokenRefresh,
+  runCareGapEvaluation,
+  runCampaignSchedule,
+  runBulkExportRecovery
+};
@@ -0,0 +1,43 @@
+const { User } = require('../models');
+const ehr = require('../services/ehr');
+const ehrTokenManager = require('../services/ehrTokenManager');
+const EhrConnectionError = require('../utils/ehrConnectionError');
+const logger = require('../utils/logger');
+
+// Require a usable EHR connection; sets req.epicAccessToken (refreshed when
+// it is about to expire) or answers with the action the user has to take
+const requireEpicConnection = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    req.epicAccessToken = await ehrTokenManager.getAccessToken(user, req.user.Organization);
+  } catch (error) {
+    if (error instanceof EhrConnectionError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('EPIC connection error:', error);
+    return res.status(500).json({ error: 'Failed to initialize EPIC service' });
+  }
+
+  next();
+};
+
+// Same, plus a FHIR client for the user on req.epicService
+const requireEpicService = (req, res, next) => {
+  requireEpicConnection(req, res, async () => {
+    try {
+      req.epicService = await ehr.forOrganization(req.user.Organization, {
+        accessToken: req.epicAccessToken
+      });
+    } catch (error) {
+      logger.error('Epic service init error:', error);
+      return res.status(500).json({ error: 'Failed to initialize EPIC service' });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  requireEpicConnection,
+  requireEpicService
+};
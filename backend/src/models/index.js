@@ -1,4 +1,5 @@
 const { Sequelize, DataTypes } = require('sequelize');
+const { encryptedField } = require('../utils/fieldEncryption');
 
 const sequelize = new Sequelize(process.env.DATABASE_URL, {
   dialect: 'postgres',
@@ -33,18 +34,39 @@ const Organization = sequelize.define('Organization', {
     unique: true,
     allowNull: false
   },
+  // EHR behind the FHIR server; picks the adapter in services/ehr
+  ehrVendor: {
+    type: DataTypes.ENUM('epic', 'cerner', 'generic'),
+    field: 'ehr_vendor',
+    defaultValue: 'epic'
+  },
   epicClientId: {
     type: DataTypes.STRING,
     field: 'epic_client_id'
   },
+  // Encrypted at rest (see utils/fieldEncryption)
   epicClientSecret: {
-    type: DataTypes.STRING,
-    field: 'epic_client_secret'
+    type: DataTypes.TEXT,
+    field: 'epic_client_secret',
+    ...encryptedField('Organization', 'epicClientSecret')
   },
   epicFhirBaseUrl: {
     type: DataTypes.STRING,
-    field: 'epic_fhir_base_url',
-    defaultValue: 'https://fhir.epic.com/interconnect-fhir-oauth/api/FHIR/R4'
+    field: 'epic_fhir_base_url'
+  },
+  // SMART Backend Services (system-level access)
+  epicBackendClientId: {
+    type: DataTypes.STRING,
+    field: 'epic_backend_client_id'
+  },
+  epicPrivateKey: {
+    type: DataTypes.TEXT,
+    field: 'epic_private_key',
+    ...encryptedField('Organization', 'epicPrivateKey')
+  },
+  epicKeyId: {
+    type: DataTypes.STRING,
+    field: 'epic_key_id'
   },
   subscriptionTier: {
     type: DataTypes.ENUM('free', 'starter', 'professional', 'enterprise'),
@@ -105,18 +127,44 @@ const User = sequelize.define('User', {
     type: DataTypes.ENUM('super_admin', 'org_admin', 'analyst', 'viewer'),
     defaultValue: 'viewer'
   },
+  // Encrypted at rest (see utils/fieldEncryption)
   epicAccessToken: {
     type: DataTypes.TEXT,
-    field: 'epic_access_token'
+    field: 'epic_access_token',
+    ...encryptedField('User', 'epicAccessToken')
   },
   epicRefreshToken: {
     type: DataTypes.TEXT,
-    field: 'epic_refresh_token'
+    field: 'epic_refresh_token',
+    ...encryptedField('User', 'epicRefreshToken')
   },
   epicTokenExpiry: {
     type: DataTypes.DATE,
     field: 'epic_token_expiry'
   },
+  // Kept by services/ehrTokenManager
+  epicConnectionStatus: {
+    type: DataTypes.ENUM('disconnected', 'connected', 'refresh_failed', 'revoked'),
+    field: 'epic_connection_status',
+    defaultValue: 'disconnected'
+  },
+  epicTokenRefreshedAt: {
+    type: DataTypes.DATE,
+    field: 'epic_token_refreshed_at'
+  },
+  epicRefreshFailures: {
+    type: DataTypes.INTEGER,
+    field: 'epic_refresh_failures',
+    defaultValue: 0
+  },
+  epicRefreshFailedAt: {
+    type: DataTypes.DATE,
+    field: 'epic_refresh_failed_at'
+  },
+  epicLastError: {
+    type: DataTypes.TEXT,
+    field: 'epic_last_error'
+  },
   lastLogin: {
     type: DataTypes.DATE,
     field: 'last_login'
@@ -182,6 +230,19 @@ const CarePlan = sequelize.define('CarePlan', {
   duration: {
     type: DataTypes.STRING
   },
+  // Cohort the plan is meant for; a null version follows the latest
+  cohortId: {
+    type: DataTypes.UUID,
+    field: 'cohort_id',
+    references: {
+      model: 'cohorts',
+      key: 'id'
+    }
+  },
+  cohortVersion: {
+    type: DataTypes.INTEGER,
+    field: 'cohort_version'
+  },
   isTemplate: {
     type: DataTypes.BOOLEAN,
     field: 'is_template',
@@ -241,6 +302,19 @@ const Campaign = sequelize.define('Campaign', {
     field: 'target_criteria',
     defaultValue: {}
   },
+  // Cohort the audience comes from; a null version follows the latest
+  cohortId: {
+    type: DataTypes.UUID,
+    field: 'cohort_id',
+    references: {
+      model: 'cohorts',
+      key: 'id'
+    }
+  },
+  cohortVersion: {
+    type: DataTypes.INTEGER,
+    field: 'cohort_version'
+  },
   patientCount: {
     type: DataTypes.INTEGER,
     field: 'patient_count',
@@ -261,10 +335,49 @@ const Campaign = sequelize.define('Campaign', {
     field: 'enrollment_count',
     defaultValue: 0
   },
+  // Targeting runs so far; each run is diffed against the previous audience
+  targetingRun: {
+    type: DataTypes.INTEGER,
+    field: 'targeting_run',
+    defaultValue: 0
+  },
+  lastTargetedAt: {
+    type: DataTypes.DATE,
+    field: 'last_targeted_at'
+  },
+  // Counts and diff from the latest run (campaignAudienceService.applyTargeting)
+  targetingSummary: {
+    type: DataTypes.JSONB,
+    field: 'targeting_summary'
+  },
+  // Next scheduled run (campaignScheduleService); a recurring campaign moves
+  // it on after each run
   scheduledAt: {
     type: DataTypes.DATE,
     field: 'scheduled_at'
   },
+  // { frequency: daily | weekly | monthly, interval, startsAt, endsAt }
+  recurrence: {
+    type: DataTypes.JSONB
+  },
+  // Scheduled runs act as this user where a job needs one
+  scheduledBy: {
+    type: DataTypes.UUID,
+    field: 'scheduled_by'
+  },
+  runCount: {
+    type: DataTypes.INTEGER,
+    field: 'run_count',
+    defaultValue: 0
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    field: 'last_run_at'
+  },
+  lastRunJobId: {
+    type: DataTypes.UUID,
+    field: 'last_run_job_id'
+  },
   completedAt: {
     type: DataTypes.DATE,
     field: 'completed_at'
@@ -328,7 +441,7 @@ const OutreachHistory = sequelize.define('OutreachHistory', {
     field: 'ai_analysis'
   },
   status: {
-    type: DataTypes.ENUM('pending', 'sent', 'delivered', 'opened', 'responded', 'bounced', 'failed'),
+    type: DataTypes.ENUM('pending', 'sending', 'sent', 'delivered', 'opened', 'responded', 'enrolled', 'bounced', 'failed'),
     defaultValue: 'pending'
   },
   sentAt: {
@@ -346,6 +459,16 @@ const OutreachHistory = sequelize.define('OutreachHistory', {
   respondedAt: {
     type: DataTypes.DATE,
     field: 'responded_at'
+  },
+  enrolledAt: {
+    type: DataTypes.DATE,
+    field: 'enrolled_at'
+  },
+  // Resources written back to the EHR: { communication, task, carePlan, errors }
+  fhirWriteBack: {
+    type: DataTypes.JSONB,
+    field: 'fhir_write_back',
+    defaultValue: {}
   }
 }, {
   tableName: 'outreach_history',
@@ -377,6 +500,17 @@ const ICD10Code = sequelize.define('ICD10Code', {
     type: DataTypes.DECIMAL(3, 2),
     field: 'risk_weight',
     defaultValue: 1.0
+  },
+  // Comorbidity index categories (see comorbidityService), filled by the seed
+  charlsonCategories: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    field: 'charlson_categories',
+    defaultValue: []
+  },
+  elixhauserCategories: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    field: 'elixhauser_categories',
+    defaultValue: []
   }
 }, {
   tableName: 'icd10_codes',
@@ -428,21 +562,1121 @@ const AuditLog = sequelize.define('AuditLog', {
   updatedAt: false
 });
 
-// Define relationships
-Organization.hasMany(User, { foreignKey: 'organizationId' });
-User.belongsTo(Organization, { foreignKey: 'organizationId' });
+// FHIR Sandbox Resource Model (backs the local mock FHIR server)
+const SandboxResource = sequelize.define('SandboxResource', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  resourceType: {
+    type: DataTypes.STRING,
+    field: 'resource_type',
+    allowNull: false
+  },
+  fhirId: {
+    type: DataTypes.STRING,
+    field: 'fhir_id',
+    allowNull: false
+  },
+  patientId: {
+    type: DataTypes.STRING,
+    field: 'patient_id'
+  },
+  searchTokens: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    field: 'search_tokens',
+    defaultValue: []
+  },
+  searchText: {
+    type: DataTypes.TEXT,
+    field: 'search_text'
+  },
+  searchDate: {
+    type: DataTypes.DATE,
+    field: 'search_date'
+  },
+  resource: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  lastUpdated: {
+    type: DataTypes.DATE,
+    field: 'last_updated',
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'fhir_sandbox_resources',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['resource_type', 'fhir_id'] },
+    { fields: ['resource_type', 'patient_id'] },
+    { using: 'gin', fields: ['search_tokens'] }
+  ]
+});
 
-Organization.hasMany(CarePlan, { foreignKey: 'organizationId' });
-CarePlan.belongsTo(Organization, { foreignKey: 'organizationId' });
+// Bulk Export Job Model (managed FHIR $export runs)
+const BulkExportJob = sequelize.define('BulkExportJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  organizationId: {
+    type: DataTypes.UUID,
+    field: 'organization_id',
+    references: {
+      model: 'organizations',
+      key: 'id'
+    }
+  },
+  initiatedBy: {
+    type: DataTypes.UUID,
+    field: 'initiated_by'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'exporting', 'downloading', 'importing', 'completed', 'failed', 'cancelled'),
+    defaultValue: 'pending'
+  },
+  resourceTypes: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    field: 'resource_types',
+    defaultValue: []
+  },
+  since: {
+    type: DataTypes.DATE
+  },
+  statusUrl: {
+    type: DataTypes.TEXT,
+    field: 'status_url'
+  },
+  progress: {
+    type: DataTypes.STRING
+  },
+  transactionTime: {
+    type: DataTypes.DATE,
+    field: 'transaction_time'
+  },
+  manifest: {
+    type: DataTypes.JSONB
+  },
+  resourceCounts: {
+    type: DataTypes.JSONB,
+    field: 'resource_counts',
+    defaultValue: {}
+  },
+  // Per-file failures and OperationOutcome issues reported by the server
+  exportErrors: {
+    type: DataTypes.JSONB,
+    field: 'export_errors',
+    defaultValue: []
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    field: 'error_message'
+  },
+  // The population.bulk-export queue job running the export, when queued
+  queueJobId: {
+    type: DataTypes.UUID,
+    field: 'queue_job_id'
+  },
+  // Touched while a process is working on the export (see recoverInterruptedJobs)
+  heartbeatAt: {
+    type: DataTypes.DATE,
+    field: 'heartbeat_at'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    field: 'started_at'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    field: 'completed_at'
+  }
+}, {
+  tableName: 'bulk_export_jobs',
+  timestamps: true,
+  underscored: true
+});
 
-Organization.hasMany(Campaign, { foreignKey: 'organizationId' });
-Campaign.belongsTo(Organization, { foreignKey: 'organizationId' });
+// Population store: FHIR resources loaded from bulk export, keyed by
+// organization and FHIR id. Frequently queried fields are extracted into
+// columns; the full resource is kept in `resource`.
+const populationKeys = {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  organizationId: {
+    type: DataTypes.UUID,
+    field: 'organization_id',
+    allowNull: false,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    }
+  },
+  fhirId: {
+    type: DataTypes.STRING,
+    field: 'fhir_id',
+    allowNull: false
+  }
+};
 
-CarePlan.hasMany(Campaign, { foreignKey: 'carePlanId' });
-Campaign.belongsTo(CarePlan, { foreignKey: 'carePlanId' });
+const populationSource = {
+  resource: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  sourceUpdatedAt: {
+    type: DataTypes.DATE,
+    field: 'source_updated_at'
+  },
+  exportJobId: {
+    type: DataTypes.UUID,
+    field: 'export_job_id'
+  }
+};
 
-Campaign.hasMany(OutreachHistory, { foreignKey: 'campaignId' });
-OutreachHistory.belongsTo(Campaign, { foreignKey: 'campaignId' });
+const populationOptions = (tableName, indexes = []) => ({
+  tableName,
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['organization_id', 'fhir_id'] },
+    ...indexes
+  ]
+});
+
+const PopulationPatient = sequelize.define('PopulationPatient', {
+  ...populationKeys,
+  familyName: {
+    type: DataTypes.STRING,
+    field: 'family_name'
+  },
+  givenName: {
+    type: DataTypes.STRING,
+    field: 'given_name'
+  },
+  birthDate: {
+    type: DataTypes.DATEONLY,
+    field: 'birth_date'
+  },
+  gender: {
+    type: DataTypes.STRING
+  },
+  email: {
+    type: DataTypes.STRING
+  },
+  phone: {
+    type: DataTypes.STRING
+  },
+  postalCode: {
+    type: DataTypes.STRING,
+    field: 'postal_code'
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  deceased: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  ...populationSource
+}, populationOptions('population_patients'));
+
+const PopulationCondition = sequelize.define('PopulationCondition', {
+  ...populationKeys,
+  patientId: {
+    type: DataTypes.STRING,
+    field: 'patient_id'
+  },
+  code: {
+    type: DataTypes.STRING
+  },
+  codeSystem: {
+    type: DataTypes.STRING,
+    field: 'code_system'
+  },
+  display: {
+    type: DataTypes.STRING
+  },
+  // 'native' when the Condition carried ICD-10, 'mapped' when derived from SNOMED CT
+  codeSource: {
+    type: DataTypes.STRING,
+    field: 'code_source'
+  },
+  // The SNOMED CT code a mapped ICD-10 code came from
+  sourceCode: {
+    type: DataTypes.STRING,
+    field: 'source_code'
+  },
+  clinicalStatus: {
+    type: DataTypes.STRING,
+    field: 'clinical_status'
+  },
+  verificationStatus: {
+    type: DataTypes.STRING,
+    field: 'verification_status'
+  },
+  category: {
+    type: DataTypes.STRING
+  },
+  onsetDate: {
+    type: DataTypes.DATE,
+    field: 'onset_date'
+  },
+  recordedDate: {
+    type: DataTypes.DATE,
+    field: 'recorded_date'
+  },
+  abatementDate: {
+    type: DataTypes.DATE,
+    field: 'abatement_date'
+  },
+  ...populationSource
+}, populationOptions('population_conditions', [
+  { fields: ['organization_id', 'patient_id'] },
+  { fields: ['organization_id', 'code'] }
+]));
+
+const PopulationObservation = sequelize.define('PopulationObservation', {
+  ...populationKeys,
+  patientId: {
+    type: DataTypes.STRING,
+    field: 'patient_id'
+  },
+  code: {
+    type: DataTypes.STRING
+  },
+  codeSystem: {
+    type: DataTypes.STRING,
+    field: 'code_system'
+  },
+  display: {
+    type: DataTypes.STRING
+  },
+  category: {
+    type: DataTypes.STRING
+  },
+  status: {
+    type: DataTypes.STRING
+  },
+  valueQuantity: {
+    type: DataTypes.DECIMAL,
+    field: 'value_quantity'
+  },
+  valueUnit: {
+    type: DataTypes.STRING,
+    field: 'value_unit'
+  },
+  valueString: {
+    type: DataTypes.TEXT,
+    field: 'value_string'
+  },
+  // Recognised measures in canonical units, e.g. { systolicBp: 132, diastolicBp: 84 }
+  measures: {
+    type: DataTypes.JSONB
+  },
+  effectiveDate: {
+    type: DataTypes.DATE,
+    field: 'effective_date'
+  },
+  ...populationSource
+}, populationOptions('population_observations', [
+  { fields: ['organization_id', 'patient_id'] },
+  { fields: ['organization_id', 'code', 'effective_date'] },
+  { fields: ['measures'], using: 'gin' }
+]));
+
+const PopulationEncounter = sequelize.define('PopulationEncounter', {
+  ...populationKeys,
+  patientId: {
+    type: DataTypes.STRING,
+    field: 'patient_id'
+  },
+  status: {
+    type: DataTypes.STRING
+  },
+  classCode: {
+    type: DataTypes.STRING,
+    field: 'class_code'
+  },
+  typeCode: {
+    type: DataTypes.STRING,
+    field: 'type_code'
+  },
+  typeDisplay: {
+    type: DataTypes.STRING,
+    field: 'type_display'
+  },
+  periodStart: {
+    type: DataTypes.DATE,
+    field: 'period_start'
+  },
+  periodEnd: {
+    type: DataTypes.DATE,
+    field: 'period_end'
+  },
+  ...populationSource
+}, populationOptions('population_encounters', [
+  { fields: ['organization_id', 'patient_id'] },
+  { fields: ['organization_id', 'period_start'] }
+]));
+
+// MedicationRequest resources
+const PopulationMedication = sequelize.define('PopulationMedication', {
+  ...populationKeys,
+  patientId: {
+    type: DataTypes.STRING,
+    field: 'patient_id'
+  },
+  status: {
+    type: DataTypes.STRING
+  },
+  intent: {
+    type: DataTypes.STRING
+  },
+  code: {
+    type: DataTypes.STRING
+  },
+  codeSystem: {
+    type: DataTypes.STRING,
+    field: 'code_system'
+  },
+  display: {
+    type: DataTypes.STRING
+  },
+  authoredOn: {
+    type: DataTypes.DATE,
+    field: 'authored_on'
+  },
+  ...populationSource
+}, populationOptions('population_medications', [
+  { fields: ['organization_id', 'patient_id'] }
+]));
+
+const PopulationProcedure = sequelize.define('PopulationProcedure', {
+  ...populationKeys,
+  patientId: {
+    type: DataTypes.STRING,
+    field: 'patient_id'
+  },
+  status: {
+    type: DataTypes.STRING
+  },
+  code: {
+    type: DataTypes.STRING
+  },
+  codeSystem: {
+    type: DataTypes.STRING,
+    field: 'code_system'
+  },
+  display: {
+    type: DataTypes.STRING
+  },
+  performedDate: {
+    type: DataTypes.DATE,
+    field: 'performed_date'
+  },
+  ...populationSource
+}, populationOptions('population_procedures', [
+  { fields: ['organization_id', 'patient_id'] },
+  { fields: ['organization_id', 'code'] }
+]));
+
+const PopulationImmunization = sequelize.define('PopulationImmunization', {
+  ...populationKeys,
+  patientId: {
+    type: DataTypes.STRING,
+    field: 'patient_id'
+  },
+  status: {
+    type: DataTypes.STRING
+  },
+  // Vaccine code, CVX where the server sends it
+  code: {
+    type: DataTypes.STRING
+  },
+  codeSystem: {
+    type: DataTypes.STRING,
+    field: 'code_system'
+  },
+  display: {
+    type: DataTypes.STRING
+  },
+  occurrenceDate: {
+    type: DataTypes.DATE,
+    field: 'occurrence_date'
+  },
+  ...populationSource
+}, populationOptions('population_immunizations', [
+  { fields: ['organization_id', 'patient_id'] },
+  { fields: ['organization_id', 'code'] }
+]));
+
+// Sync State Model (per-organization incremental sync watermarks)
+const SyncState = sequelize.define('SyncState', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  organizationId: {
+    type: DataTypes.UUID,
+    field: 'organization_id',
+    allowNull: false,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    }
+  },
+  resourceType: {
+    type: DataTypes.STRING,
+    field: 'resource_type',
+    allowNull: false
+  },
+  // Highest meta.lastUpdated loaded; the next run asks for _lastUpdated=gt{watermark}
+  watermark: {
+    type: DataTypes.DATE
+  },
+  lastSyncedAt: {
+    type: DataTypes.DATE,
+    field: 'last_synced_at'
+  },
+  lastStatus: {
+    type: DataTypes.ENUM('running', 'success', 'failed'),
+    field: 'last_status'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    field: 'last_error'
+  },
+  lastRecordCount: {
+    type: DataTypes.INTEGER,
+    field: 'last_record_count',
+    defaultValue: 0
+  }
+}, {
+  tableName: 'sync_states',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['organization_id', 'resource_type'] }
+  ]
+});
+
+// OAuth State Model (pending EHR authorizations: state plus PKCE verifier)
+const OAuthState = sequelize.define('OAuthState', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    field: 'user_id',
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  state: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  codeVerifier: {
+    type: DataTypes.STRING,
+    field: 'code_verifier',
+    allowNull: false
+  },
+  // The token request must repeat the redirect URI sent with the authorization
+  redirectUri: {
+    type: DataTypes.STRING,
+    field: 'redirect_uri'
+  },
+  scope: {
+    type: DataTypes.TEXT
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    field: 'expires_at',
+    allowNull: false
+  },
+  consumedAt: {
+    type: DataTypes.DATE,
+    field: 'consumed_at'
+  }
+}, {
+  tableName: 'oauth_states',
+  timestamps: true,
+  underscored: true
+});
+
+// Risk Adjustment Score Model (one snapshot per patient, model version and day)
+const decimalGetter = (attribute) => ({
+  get() {
+    const value = this.getDataValue(attribute);
+    return value === null || value === undefined ? value : Number(value);
+  }
+});
+
+const RiskScore = sequelize.define('RiskScore', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  organizationId: {
+    type: DataTypes.UUID,
+    field: 'organization_id',
+    allowNull: false,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    }
+  },
+  // FHIR Patient id
+  patientId: {
+    type: DataTypes.STRING,
+    field: 'patient_id',
+    allowNull: false
+  },
+  modelVersion: {
+    type: DataTypes.STRING,
+    field: 'model_version',
+    allowNull: false
+  },
+  scoreDate: {
+    type: DataTypes.DATEONLY,
+    field: 'score_date',
+    allowNull: false
+  },
+  score: {
+    type: DataTypes.DECIMAL(8, 3),
+    allowNull: false,
+    ...decimalGetter('score')
+  },
+  rawScore: {
+    type: DataTypes.DECIMAL(8, 3),
+    field: 'raw_score',
+    ...decimalGetter('rawScore')
+  },
+  segment: {
+    type: DataTypes.STRING
+  },
+  age: {
+    type: DataTypes.INTEGER
+  },
+  sex: {
+    type: DataTypes.STRING
+  },
+  // HCCs that count after hierarchies
+  hccs: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+  // Line-by-line explanation from riskAdjustmentService.calculate
+  details: {
+    type: DataTypes.JSONB
+  },
+  // 'fhir' (scored from a live read) or 'population' (from synced data)
+  source: {
+    type: DataTypes.STRING
+  }
+}, {
+  tableName: 'risk_scores',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['organization_id', 'patient_id', 'model_version', 'score_date'] },
+    { fields: ['organization_id', 'score_date'] }
+  ]
+});
+
+// Care gaps from the quality measure engine. A row is one gap episode:
+// opened when a patient falls out of compliance, closed when they are
+// back in (or leave the measure); a later lapse opens a new row.
+const CareGap = sequelize.define('CareGap', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  organizationId: {
+    type: DataTypes.UUID,
+    field: 'organization_id',
+    allowNull: false,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    }
+  },
+  // FHIR Patient id
+  patientId: {
+    type: DataTypes.STRING,
+    field: 'patient_id',
+    allowNull: false
+  },
+  measureId: {
+    type: DataTypes.STRING,
+    field: 'measure_id',
+    allowNull: false
+  },
+  definitionsVersion: {
+    type: DataTypes.STRING,
+    field: 'definitions_version'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'closed'),
+    defaultValue: 'open'
+  },
+  // Why a closed gap closed: the patient met the measure, became excluded or
+  // no longer applies, or dropped out of the synced population
+  resolution: {
+    type: DataTypes.ENUM('met', 'excluded', 'not-applicable', 'removed')
+  },
+  reason: {
+    type: DataTypes.STRING
+  },
+  lastPerformed: {
+    type: DataTypes.DATEONLY,
+    field: 'last_performed'
+  },
+  dueDate: {
+    type: DataTypes.DATEONLY,
+    field: 'due_date'
+  },
+  // Resource references behind the latest evaluation, e.g. ['Procedure/123']
+  evidence: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+  openedAt: {
+    type: DataTypes.DATE,
+    field: 'opened_at',
+    allowNull: false
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    field: 'closed_at'
+  },
+  lastEvaluatedAt: {
+    type: DataTypes.DATE,
+    field: 'last_evaluated_at'
+  }
+}, {
+  tableName: 'care_gaps',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['organization_id', 'patient_id', 'measure_id'], where: { status: 'open' } },
+    { fields: ['organization_id', 'measure_id', 'status'] }
+  ]
+});
+
+// Population compliance per quality measure, one snapshot per measure per day
+const MeasureCompliance = sequelize.define('MeasureCompliance', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  organizationId: {
+    type: DataTypes.UUID,
+    field: 'organization_id',
+    allowNull: false,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    }
+  },
+  measureId: {
+    type: DataTypes.STRING,
+    field: 'measure_id',
+    allowNull: false
+  },
+  definitionsVersion: {
+    type: DataTypes.STRING,
+    field: 'definitions_version'
+  },
+  snapshotDate: {
+    type: DataTypes.DATEONLY,
+    field: 'snapshot_date',
+    allowNull: false
+  },
+  denominator: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  exclusions: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  numerator: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  gaps: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Percent of the denominator (less exclusions) meeting the measure
+  rate: {
+    type: DataTypes.DECIMAL(5, 1),
+    ...decimalGetter('rate')
+  }
+}, {
+  tableName: 'measure_compliance',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['organization_id', 'measure_id', 'snapshot_date'] }
+  ]
+});
+
+// One patient in a campaign's audience. Targeting runs include or exclude
+// patients (with the reasons); staff can add patients by hand or remove them,
+// and a removed patient stays removed when targeting runs again.
+const CampaignAudience = sequelize.define('CampaignAudience', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    field: 'campaign_id',
+    allowNull: false,
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  // FHIR Patient id
+  patientId: {
+    type: DataTypes.STRING,
+    field: 'patient_id',
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('included', 'excluded', 'removed'),
+    defaultValue: 'included'
+  },
+  // 'targeting', 'care-gaps' or 'manual'
+  source: {
+    type: DataTypes.STRING
+  },
+  // Contact snapshot taken when the patient was targeted or added
+  name: {
+    type: DataTypes.STRING
+  },
+  email: {
+    type: DataTypes.STRING
+  },
+  phone: {
+    type: DataTypes.STRING
+  },
+  address: {
+    type: DataTypes.JSONB
+  },
+  inclusionReasons: {
+    type: DataTypes.JSONB,
+    field: 'inclusion_reasons',
+    defaultValue: []
+  },
+  exclusionReasons: {
+    type: DataTypes.JSONB,
+    field: 'exclusion_reasons',
+    defaultValue: []
+  },
+  // Eligible, but some criteria need confirming with the patient
+  needsReview: {
+    type: DataTypes.BOOLEAN,
+    field: 'needs_review',
+    defaultValue: false
+  },
+  firstTargetedRun: {
+    type: DataTypes.INTEGER,
+    field: 'first_targeted_run'
+  },
+  lastTargetedRun: {
+    type: DataTypes.INTEGER,
+    field: 'last_targeted_run'
+  },
+  addedBy: {
+    type: DataTypes.UUID,
+    field: 'added_by'
+  },
+  removedBy: {
+    type: DataTypes.UUID,
+    field: 'removed_by'
+  },
+  removedAt: {
+    type: DataTypes.DATE,
+    field: 'removed_at'
+  },
+  removalReason: {
+    type: DataTypes.TEXT,
+    field: 'removal_reason'
+  }
+}, {
+  tableName: 'campaign_audiences',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['campaign_id', 'patient_id'] },
+    { fields: ['campaign_id', 'status'] }
+  ]
+});
+
+// Saved cohort: a named, versioned patient selection over the synced population
+const Cohort = sequelize.define('Cohort', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  organizationId: {
+    type: DataTypes.UUID,
+    field: 'organization_id',
+    allowNull: false,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT
+  },
+  currentVersion: {
+    type: DataTypes.INTEGER,
+    field: 'current_version',
+    defaultValue: 1
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    field: 'created_by'
+  }
+}, {
+  tableName: 'cohorts',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['organization_id', 'name'] }
+  ]
+});
+
+// One immutable revision of a cohort's definition (see cohortService)
+const CohortVersion = sequelize.define('CohortVersion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  cohortId: {
+    type: DataTypes.UUID,
+    field: 'cohort_id',
+    allowNull: false,
+    references: {
+      model: 'cohorts',
+      key: 'id'
+    }
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  definition: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.TEXT
+  },
+  // Matching patients the last time this version was previewed
+  previewCount: {
+    type: DataTypes.INTEGER,
+    field: 'preview_count'
+  },
+  previewedAt: {
+    type: DataTypes.DATE,
+    field: 'previewed_at'
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    field: 'created_by'
+  }
+}, {
+  tableName: 'cohort_versions',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['cohort_id', 'version'] }
+  ]
+});
+
+// Background job (campaign targeting, content generation, sending, bulk
+// analysis). Redis carries the queue; this row is the durable record of
+// status, progress and result that the job status API reads.
+const Job = sequelize.define('Job', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  organizationId: {
+    type: DataTypes.UUID,
+    field: 'organization_id',
+    allowNull: false,
+    references: {
+      model: 'organizations',
+      key: 'id'
+    }
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'completed', 'failed', 'cancelled'),
+    defaultValue: 'queued'
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // Set for jobs queued with `unique` (type or group, and campaign): at most
+  // one queued or running job holds each key
+  uniqueKey: {
+    type: DataTypes.STRING,
+    field: 'unique_key'
+  },
+  // { done, total, message }
+  progress: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  result: {
+    type: DataTypes.JSONB
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    field: 'error_message'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    field: 'max_attempts',
+    defaultValue: 3
+  },
+  // Next attempt of a job waiting to be retried
+  retryAt: {
+    type: DataTypes.DATE,
+    field: 'retry_at'
+  },
+  cancelRequested: {
+    type: DataTypes.BOOLEAN,
+    field: 'cancel_requested',
+    defaultValue: false
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    field: 'created_by'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    field: 'started_at'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    field: 'completed_at'
+  }
+}, {
+  tableName: 'jobs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['organization_id', 'created_at'] },
+    { fields: ['campaign_id', 'type', 'status'] },
+    { name: 'jobs_active_unique_key', unique: true, fields: ['unique_key'], where: { status: ['queued', 'running'] } }
+  ]
+});
+
+// Define relationships
+Organization.hasMany(User, { foreignKey: 'organizationId' });
+User.belongsTo(Organization, { foreignKey: 'organizationId' });
+
+Organization.hasMany(CarePlan, { foreignKey: 'organizationId' });
+CarePlan.belongsTo(Organization, { foreignKey: 'organizationId' });
+
+Organization.hasMany(Campaign, { foreignKey: 'organizationId' });
+Campaign.belongsTo(Organization, { foreignKey: 'organizationId' });
+
+CarePlan.hasMany(Campaign, { foreignKey: 'carePlanId' });
+Campaign.belongsTo(CarePlan, { foreignKey: 'carePlanId' });
+
+Campaign.hasMany(OutreachHistory, { foreignKey: 'campaignId' });
+OutreachHistory.belongsTo(Campaign, { foreignKey: 'campaignId' });
+
+Organization.hasMany(BulkExportJob, { foreignKey: 'organizationId' });
+BulkExportJob.belongsTo(Organization, { foreignKey: 'organizationId' });
+
+Organization.hasMany(SyncState, { foreignKey: 'organizationId' });
+SyncState.belongsTo(Organization, { foreignKey: 'organizationId' });
+
+User.hasMany(OAuthState, { foreignKey: 'userId' });
+OAuthState.belongsTo(User, { foreignKey: 'userId' });
+
+Organization.hasMany(RiskScore, { foreignKey: 'organizationId' });
+RiskScore.belongsTo(Organization, { foreignKey: 'organizationId' });
+
+Organization.hasMany(CareGap, { foreignKey: 'organizationId' });
+CareGap.belongsTo(Organization, { foreignKey: 'organizationId' });
+
+Organization.hasMany(MeasureCompliance, { foreignKey: 'organizationId' });
+MeasureCompliance.belongsTo(Organization, { foreignKey: 'organizationId' });
+
+Campaign.hasMany(CampaignAudience, { foreignKey: 'campaignId' });
+CampaignAudience.belongsTo(Campaign, { foreignKey: 'campaignId' });
+
+Organization.hasMany(Cohort, { foreignKey: 'organizationId' });
+Cohort.belongsTo(Organization, { foreignKey: 'organizationId' });
+
+Cohort.hasMany(CohortVersion, { foreignKey: 'cohortId', as: 'versions' });
+CohortVersion.belongsTo(Cohort, { foreignKey: 'cohortId' });
+
+Cohort.hasMany(Campaign, { foreignKey: 'cohortId' });
+Campaign.belongsTo(Cohort, { foreignKey: 'cohortId' });
+
+Cohort.hasMany(CarePlan, { foreignKey: 'cohortId' });
+CarePlan.belongsTo(Cohort, { foreignKey: 'cohortId' });
+
+Organization.hasMany(Job, { foreignKey: 'organizationId' });
+Job.belongsTo(Organization, { foreignKey: 'organizationId' });
+
+Campaign.hasMany(Job, { foreignKey: 'campaignId' });
+Job.belongsTo(Campaign, { foreignKey: 'campaignId' });
 
 module.exports = {
   sequelize,
@@ -452,5 +1686,23 @@ module.exports = {
   Campaign,
   OutreachHistory,
   ICD10Code,
-  AuditLog
+  AuditLog,
+  SandboxResource,
+  BulkExportJob,
+  PopulationPatient,
+  PopulationCondition,
+  PopulationObservation,
+  PopulationEncounter,
+  PopulationMedication,
+  PopulationProcedure,
+  PopulationImmunization,
+  SyncState,
+  OAuthState,
+  RiskScore,
+  CareGap,
+  MeasureCompliance,
+  Cohort,
+  CohortVersion,
+  CampaignAudience,
+  Job
 };
@@ -3,8 +3,15 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { authenticate, superAdminOnly, orgAdminOrAbove, auditLog } = require('../middleware/auth');
+const ehr = require('../services/ehr');
+const smartBackendAuth = require('../services/smartBackendAuth');
+const fhirDiscoveryService = require('../services/fhirDiscoveryService');
+const populationStore = require('../services/populationStore');
+const ehrTokenManager = require('../services/ehrTokenManager');
 const { Organization, User, AuditLog, CarePlan, Campaign } = require('../models');
 const { Op } = require('sequelize');
+const EhrConnectionError = require('../utils/ehrConnectionError');
+const { checkEhrUrl } = require('../utils/ehrUrl');
 const logger = require('../utils/logger');
 
 // ==================== ORGANIZATION MANAGEMENT ====================
@@ -19,6 +26,7 @@ const logger = require('../utils/logger');
 router.get('/organizations', authenticate, superAdminOnly, async (req, res) => {
   try {
     const organizations = await Organization.findAll({
+      attributes: { exclude: ['epicClientSecret', 'epicPrivateKey'] },
       include: [{
         model: User,
         attributes: ['id', 'email', 'role']
@@ -43,6 +51,7 @@ router.get('/organizations', authenticate, superAdminOnly, async (req, res) => {
 router.get('/organizations/:id', authenticate, superAdminOnly, async (req, res) => {
   try {
     const organization = await Organization.findByPk(req.params.id, {
+      attributes: { exclude: ['epicClientSecret', 'epicPrivateKey'] },
       include: [{
         model: User,
         attributes: { exclude: ['password'] }
@@ -319,6 +328,97 @@ router.post('/users/:id/reset-password',
   }
 );
 
+// ==================== EHR CONNECTIONS ====================
+
+/**
+ * @swagger
+ * /admin/ehr-connections:
+ *   get:
+ *     summary: EPIC connection health for each user
+ *     description: Filter with ?status=healthy|expiring|expired|refresh_failed|revoked|disconnected.
+ *     tags: [Admin]
+ */
+router.get('/ehr-connections', authenticate, orgAdminOrAbove, async (req, res) => {
+  try {
+    const where = req.user.role === 'super_admin'
+      ? {}
+      : { organizationId: req.organizationId };
+
+    const users = await User.findAll({
+      where,
+      attributes: { exclude: ['password'] },
+      include: [{ model: Organization, attributes: ['id', 'name'] }],
+      order: [['email', 'ASC']]
+    });
+
+    const summary = {};
+    const connections = [];
+    for (const user of users) {
+      const health = ehrTokenManager.getHealth(user);
+      summary[health.status] = (summary[health.status] || 0) + 1;
+      if (req.query.status && health.status !== req.query.status) continue;
+
+      connections.push({
+        userId: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        isActive: user.isActive,
+        organization: user.Organization ? { id: user.Organization.id, name: user.Organization.name } : null,
+        ...health
+      });
+    }
+
+    res.json({ connections, summary });
+  } catch (error) {
+    logger.error('List EHR connections error:', error);
+    res.status(500).json({ error: 'Failed to list EHR connections' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/ehr-connections/{userId}/refresh:
+ *   post:
+ *     summary: Refresh a user's EPIC token now
+ *     tags: [Admin]
+ */
+router.post('/ehr-connections/:userId/refresh',
+  authenticate,
+  orgAdminOrAbove,
+  auditLog('REFRESH_EHR_TOKEN', 'user'),
+  async (req, res) => {
+    try {
+      const where = { id: req.params.userId };
+      if (req.user.role !== 'super_admin') {
+        where.organizationId = req.organizationId;
+      }
+
+      const user = await User.findOne({ where, include: [Organization] });
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (!user.epicRefreshToken) {
+        return res.status(400).json({ error: 'User has no refreshable EPIC connection' });
+      }
+
+      try {
+        await ehrTokenManager.refresh(user, user.Organization);
+      } catch (error) {
+        if (!(error instanceof EhrConnectionError)) {
+          return res.status(502).json({ error: `Token refresh failed: ${error.message}`, ...ehrTokenManager.getHealth(user) });
+        }
+      }
+
+      res.json(ehrTokenManager.getHealth(user));
+    } catch (error) {
+      logger.error('Refresh EHR token error:', error);
+      res.status(500).json({ error: 'Failed to refresh EHR token' });
+    }
+  }
+);
+
 // ==================== AUDIT LOGS ====================
 
 /**
@@ -370,6 +470,92 @@ router.get('/audit-logs', authenticate, orgAdminOrAbove, async (req, res) => {
 
 // ==================== SETTINGS ====================
 
+const EPIC_CONFIG_FIELDS = [
+  'ehrVendor', 'epicClientId', 'epicClientSecret', 'epicFhirBaseUrl',
+  'epicBackendClientId', 'epicPrivateKey', 'epicKeyId'
+];
+
+// Validate an organization's Epic configuration (with any unsaved changes applied):
+// SMART discovery, the server's CapabilityStatement and, when configured, a
+// backend services token request. URLs the organization supplied, or its
+// server advertised, must pass utils/ehrUrl before anything is sent to them.
+const testEpicConnection = async (organization, changes = {}) => {
+  const candidate = { ...organization.get({ plain: true }), ...changes };
+  const config = ehr.getOrganizationConfig(candidate);
+  const checks = [];
+
+  const urlProblem = candidate.epicFhirBaseUrl ? await checkEhrUrl(candidate.epicFhirBaseUrl) : null;
+  if (!config.baseUrl || urlProblem) {
+    return {
+      ok: false,
+      checks: [{
+        name: 'configuration',
+        status: 'failed',
+        message: urlProblem ? `FHIR base URL ${urlProblem}` : 'No FHIR base URL configured'
+      }],
+      endpoints: {}
+    };
+  }
+
+  const discoveryOptions = { refresh: true, restrictHosts: config.restrictHosts };
+  let smartConfig = null;
+  try {
+    smartConfig = await fhirDiscoveryService.getSmartConfiguration(config.baseUrl, discoveryOptions);
+    checks.push({ name: 'discovery', status: 'passed', message: 'SMART configuration published' });
+  } catch (error) {
+    // A refused endpoint is a misconfiguration, not a missing document
+    const hasFallback = !!(config.authUrl && config.tokenUrl) && error.code !== 'EHR_URL_REFUSED';
+    checks.push({
+      name: 'discovery',
+      status: hasFallback ? 'warning' : 'failed',
+      message: hasFallback
+        ? 'No .well-known/smart-configuration; using configured OAuth endpoints'
+        : `SMART discovery failed: ${error.message}`
+    });
+  }
+
+  try {
+    const capabilities = await fhirDiscoveryService.getCapabilities(config.baseUrl, discoveryOptions);
+    checks.push({
+      name: 'metadata',
+      status: 'passed',
+      message: `FHIR ${capabilities.fhirVersion || 'version unknown'}`
+    });
+  } catch (error) {
+    checks.push({ name: 'metadata', status: 'failed', message: `Metadata request failed: ${error.message}` });
+  }
+
+  if (!config.clientId) {
+    checks.push({ name: 'client', status: 'failed', message: 'No Epic client ID configured' });
+  }
+
+  if (smartBackendAuth.isConfigured(candidate)) {
+    try {
+      await smartBackendAuth.getSystemToken(candidate);
+      checks.push({ name: 'backendServices', status: 'passed', message: 'System token issued' });
+    } catch (error) {
+      checks.push({
+        name: 'backendServices',
+        status: 'failed',
+        message: `Token request failed: ${error.message}`
+      });
+    } finally {
+      smartBackendAuth.clearCachedTokens(candidate);
+    }
+  }
+
+  return {
+    ok: checks.every(check => check.status !== 'failed'),
+    checks,
+    endpoints: {
+      vendor: config.vendor,
+      fhirBaseUrl: config.baseUrl,
+      authorizationEndpoint: smartConfig?.authorizationEndpoint || config.authUrl || null,
+      tokenEndpoint: smartConfig?.tokenEndpoint || config.tokenUrl || null
+    }
+  };
+};
+
 /**
  * @swagger
  * /admin/settings:
@@ -384,8 +570,17 @@ router.get('/settings', authenticate, orgAdminOrAbove, async (req, res) => {
     res.json({
       settings: organization.settings || {},
       epicConfig: {
+        ehrVendor: organization.ehrVendor,
+        vendors: ehr.vendors,
         clientId: organization.epicClientId ? '••••••' + organization.epicClientId.slice(-4) : null,
         fhirBaseUrl: organization.epicFhirBaseUrl
+      },
+      backendServices: {
+        clientId: organization.epicBackendClientId ? '••••••' + organization.epicBackendClientId.slice(-4) : null,
+        keyId: organization.epicKeyId,
+        hasPrivateKey: !!organization.epicPrivateKey,
+        configured: smartBackendAuth.isConfigured(organization),
+        jwksPath: `/api/epic/jwks/${organization.slug}`
       }
     });
   } catch (error) {
@@ -409,17 +604,55 @@ router.put('/settings',
     try {
       const organization = await Organization.findByPk(req.organizationId);
       
-      const { settings, epicClientId, epicClientSecret, epicFhirBaseUrl } = req.body;
+      const {
+        settings, ehrVendor, epicClientId, epicClientSecret, epicFhirBaseUrl,
+        epicBackendClientId, epicPrivateKey, epicKeyId
+      } = req.body;
+
+      if (ehrVendor && !ehr.vendors.includes(ehrVendor)) {
+        return res.status(400).json({ error: `ehrVendor must be one of: ${ehr.vendors.join(', ')}` });
+      }
+      const urlProblem = epicFhirBaseUrl ? await checkEhrUrl(epicFhirBaseUrl) : null;
+      if (urlProblem) {
+        return res.status(400).json({ error: `epicFhirBaseUrl ${urlProblem}` });
+      }
 
       const updateData = {};
       if (settings) {
         updateData.settings = { ...organization.settings, ...settings };
       }
+      if (ehrVendor) updateData.ehrVendor = ehrVendor;
       if (epicClientId) updateData.epicClientId = epicClientId;
       if (epicClientSecret) updateData.epicClientSecret = epicClientSecret;
       if (epicFhirBaseUrl) updateData.epicFhirBaseUrl = epicFhirBaseUrl;
+      if (epicBackendClientId) updateData.epicBackendClientId = epicBackendClientId;
+      if (epicKeyId) updateData.epicKeyId = epicKeyId;
+      if (epicPrivateKey) {
+        try {
+          smartBackendAuth.getSigningAlgorithm(epicPrivateKey);
+        } catch (e) {
+          return res.status(400).json({
+            error: e.status === 400 ? e.message : 'epicPrivateKey must be a PEM-encoded RSA or EC private key'
+          });
+        }
+        updateData.epicPrivateKey = epicPrivateKey;
+      }
+
+      // Reject Epic configuration changes that fail the connection test
+      // unless the caller explicitly opts out (e.g. the server is not reachable yet)
+      const epicConfigChanged = EPIC_CONFIG_FIELDS.some(field => field in updateData);
+      if (epicConfigChanged && req.body.validate !== false) {
+        const result = await testEpicConnection(organization, updateData);
+        if (!result.ok) {
+          return res.status(422).json({ error: 'EPIC connection test failed', ...result });
+        }
+      }
 
+      const previousBaseUrl = organization.epicFhirBaseUrl;
       await organization.update(updateData);
+      smartBackendAuth.clearCachedTokens(organization);
+      fhirDiscoveryService.clear(previousBaseUrl);
+      fhirDiscoveryService.clear(organization.epicFhirBaseUrl);
 
       res.json({ message: 'Settings updated' });
     } catch (error) {
@@ -429,4 +662,108 @@ router.put('/settings',
   }
 );
 
+/**
+ * @swagger
+ * /admin/settings/test-connection:
+ *   post:
+ *     summary: Test the organization's EPIC connection
+ *     description: Runs SMART discovery, fetches the CapabilityStatement and requests a backend services token. Unsaved values in the request body are tested in place of the stored ones.
+ *     tags: [Admin]
+ */
+router.post('/settings/test-connection', authenticate, orgAdminOrAbove, async (req, res) => {
+  try {
+    const organization = await Organization.findByPk(req.organizationId);
+
+    const changes = {};
+    for (const field of EPIC_CONFIG_FIELDS) {
+      if (req.body[field]) changes[field] = req.body[field];
+    }
+
+    res.json(await testEpicConnection(organization, changes));
+  } catch (error) {
+    logger.error('Test connection error:', error);
+    res.status(500).json({ error: 'Failed to test connection' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/settings/capabilities:
+ *   get:
+ *     summary: Show what the organization's FHIR server supports
+ *     description: From the server's CapabilityStatement and SMART configuration (cached; refresh=true refetches), with the features the platform will use or work around.
+ *     tags: [Admin]
+ */
+router.get('/settings/capabilities', authenticate, orgAdminOrAbove, async (req, res) => {
+  try {
+    const organization = await Organization.findByPk(req.organizationId);
+    const { vendor, baseUrl, restrictHosts } = ehr.getOrganizationConfig(organization);
+    if (!baseUrl) {
+      return res.status(400).json({ error: 'No FHIR base URL configured' });
+    }
+
+    if (req.query.refresh === 'true') {
+      fhirDiscoveryService.clear(baseUrl);
+    }
+
+    const adapter = await ehr.forOrganization(organization);
+    const smartConfig = await fhirDiscoveryService.tryGetSmartConfiguration(baseUrl, { restrictHosts });
+    const capabilities = adapter.capabilities;
+
+    res.json({
+      vendor,
+      fhirBaseUrl: baseUrl,
+      server: capabilities && {
+        fhirVersion: capabilities.fhirVersion,
+        software: capabilities.software,
+        formats: capabilities.formats,
+        operations: capabilities.operations,
+        fetchedAt: capabilities.fetchedAt
+      },
+      smart: smartConfig && {
+        capabilities: smartConfig.capabilities,
+        scopesSupported: smartConfig.scopesSupported,
+        codeChallengeMethods: smartConfig.codeChallengeMethods
+      },
+      features: adapter.getFeatures(populationStore.supportedTypes),
+      resources: capabilities?.resources || {}
+    });
+  } catch (error) {
+    logger.error('Get capabilities error:', error);
+    res.status(500).json({ error: 'Failed to get server capabilities' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/settings/backend-key:
+ *   post:
+ *     summary: Generate a new SMART Backend Services key pair
+ *     description: Stores the private key on the organization and returns the public JWK Set to register with Epic.
+ *     tags: [Admin]
+ */
+router.post('/settings/backend-key',
+  authenticate,
+  orgAdminOrAbove,
+  auditLog('ROTATE_BACKEND_KEY', 'organization'),
+  async (req, res) => {
+    try {
+      const organization = await Organization.findByPk(req.organizationId);
+      const { privateKey, keyId } = smartBackendAuth.generateKeyPair();
+
+      await organization.update({ epicPrivateKey: privateKey, epicKeyId: keyId });
+      smartBackendAuth.clearCachedTokens(organization);
+
+      res.json({
+        keyId,
+        jwks: smartBackendAuth.getPublicJwks(organization),
+        jwksPath: `/api/epic/jwks/${organization.slug}`
+      });
+    } catch (error) {
+      logger.error('Generate backend key error:', error);
+      res.status(500).json({ error: 'Failed to generate key pair' });
+    }
+  }
+);
+
 module.exports = router;
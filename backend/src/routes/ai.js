@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { authenticate, auditLog } = require('../middleware/auth');
 const aiService = require('../services/aiService');
+const qualityMeasureService = require('../services/qualityMeasureService');
 const logger = require('../utils/logger');
 
 /**
@@ -169,13 +170,16 @@ router.post('/icd10-analyze',
  * /ai/care-gaps:
  *   post:
  *     summary: Identify care gaps for patient
+ *     description: patientData is a FHIR Bundle or array of resources; gaps come from the quality measure engine and the AI narrates them.
  *     tags: [AI]
  */
 router.post('/care-gaps',
   authenticate,
   [
-    body('patientData').isObject(),
-    body('qualityMeasures').optional().isArray()
+    body('patientData').custom(value => Array.isArray(value) || value?.resourceType === 'Bundle')
+      .withMessage('patientData must be a FHIR Bundle or an array of resources'),
+    body('measures').optional().isArray(),
+    body('asOf').optional().isISO8601()
   ],
   async (req, res) => {
     try {
@@ -184,21 +188,17 @@ router.post('/care-gaps',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { patientData, qualityMeasures } = req.body;
-
-      const defaultMeasures = [
-        { id: 'awv', name: 'Annual Wellness Visit', interval: '12 months' },
-        { id: 'flu', name: 'Flu Vaccination', interval: '12 months' },
-        { id: 'a1c', name: 'HbA1c Test (Diabetics)', interval: '6 months' }
-      ];
+      const { patientData, measures, asOf } = req.body;
+      const evaluation = qualityMeasureService.evaluatePatient(patientData, { measureIds: measures, asOf });
+      const narrative = evaluation.summary.gap > 0
+        ? await aiService.narrateCareGaps(evaluation)
+        : null;
 
-      const gaps = await aiService.identifyCareGaps(
-        patientData,
-        qualityMeasures || defaultMeasures
-      );
-
-      res.json(gaps);
+      res.json({ ...evaluation, narrative });
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Care gaps error:', error);
       res.status(500).json({ error: 'Care gap identification failed' });
     }
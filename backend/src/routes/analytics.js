@@ -1,9 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, auditLog } = require('../middleware/auth');
-const EpicFhirService = require('../services/epicFhirService');
+const { authenticate, orgAdminOrAbove, auditLog } = require('../middleware/auth');
+const { requireEpicService } = require('../middleware/ehrConnection');
 const aiService = require('../services/aiService');
-const { User, CarePlan, Campaign, OutreachHistory, ICD10Code } = require('../models');
+const smartBackendAuth = require('../services/smartBackendAuth');
+const conditionSearchService = require('../services/conditionSearchService');
+const populationStore = require('../services/populationStore');
+const populationSyncService = require('../services/populationSyncService');
+const conditionNormalizer = require('../services/conditionNormalizer');
+const observationNormalizer = require('../services/observationNormalizer');
+const riskAdjustmentService = require('../services/riskAdjustmentService');
+const comorbidityService = require('../services/comorbidityService');
+const qualityMeasureService = require('../services/qualityMeasureService');
+const { sequelize, User, CarePlan, Campaign, OutreachHistory, ICD10Code } = require('../models');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 
@@ -12,69 +21,78 @@ const logger = require('../utils/logger');
  * /analytics/population:
  *   get:
  *     summary: Get population health analytics
+ *     description: Prevalence counts active conditions by default (activeOnly=false includes resolved ones). Also accepts confirmedOnly, conditionCategory, onsetFrom and onsetTo.
  *     tags: [Analytics]
  */
 router.get('/population', authenticate, async (req, res) => {
   try {
-    const user = await User.findByPk(req.user.id);
-    
-    if (!user.epicAccessToken) {
-      return res.status(400).json({ error: 'EPIC connection required' });
-    }
-
-    const epicService = new EpicFhirService();
-    epicService.setAccessToken(user.epicAccessToken);
-
-    // Fetch conditions for population analysis
-    const conditions = await epicService.getConditions({ count: 500 });
-    const icd10Codes = epicService.extractICD10Codes(conditions);
-
-    // Aggregate statistics
-    const codeStats = {};
-    const patientSet = new Set();
+    const organizationId = req.organizationId;
+    const filters = conditionNormalizer.parseFilterQuery(req.query, { activeOnly: true });
+
+    const [patientCount, totalConditions, categories, dataAsOf] = await Promise.all([
+      populationStore.countPatients(organizationId),
+      populationStore.countConditions(organizationId, filters),
+      populationStore.getConditionCodeCounts(organizationId, { ...filters, groupByCategory: true }),
+      populationSyncService.getDataAsOf(organizationId, ['Patient', 'Condition'])
+    ]);
 
-    for (const code of icd10Codes) {
-      patientSet.add(code.patientId);
-      
-      // Group by chapter (first letter + first 2 digits)
-      const chapter = code.code.slice(0, 3);
-      if (!codeStats[chapter]) {
-        codeStats[chapter] = {
-          code: chapter,
-          display: code.display,
-          count: 0,
-          patients: new Set()
-        };
-      }
-      codeStats[chapter].count++;
-      codeStats[chapter].patients.add(code.patientId);
-    }
+    // Fall back to patients with conditions if Patient resources weren't loaded
+    const totalPatients = patientCount ||
+      await populationStore.countPatientsWithConditions(organizationId);
 
-    // Convert to array and calculate percentages
-    const totalPatients = patientSet.size;
-    const topConditions = Object.values(codeStats)
-      .map(stat => ({
-        code: stat.code,
-        display: stat.display,
-        occurrences: stat.count,
-        patientCount: stat.patients.size,
-        prevalence: ((stat.patients.size / totalPatients) * 100).toFixed(1)
-      }))
-      .sort((a, b) => b.patientCount - a.patientCount)
-      .slice(0, 20);
+    const topConditions = categories.slice(0, 20).map(stat => ({
+      ...stat,
+      prevalence: totalPatients ? ((stat.patientCount / totalPatients) * 100).toFixed(1) : '0.0'
+    }));
 
     res.json({
       totalPatients,
-      totalConditions: icd10Codes.length,
-      uniqueConditions: Object.keys(codeStats).length,
-      topConditions
+      totalConditions,
+      uniqueConditions: categories.length,
+      topConditions,
+      filters,
+      dataAsOf
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error('Population analytics error:', error);
     res.status(500).json({ error: 'Failed to get population analytics' });
   }
 });
 
+/**
+ * @swagger
+ * /analytics/measures:
+ *   get:
+ *     summary: Population statistics for key clinical measures
+ *     description: Uses each patient's latest reading in canonical units. Pass measures=hba1c,ldl to limit the measures returned.
+ *     tags: [Analytics]
+ */
+router.get('/measures', authenticate, async (req, res) => {
+  try {
+    const requested = req.query.measures
+      ? String(req.query.measures).split(',').map(m => m.trim()).filter(Boolean)
+      : observationNormalizer.measures.map(m => m.key);
+
+    const unknown = requested.filter(key => !observationNormalizer.getMeasure(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown measures: ${unknown.join(', ')}` });
+    }
+
+    const [measures, dataAsOf] = await Promise.all([
+      Promise.all(requested.map(key => populationStore.getMeasureStats(req.organizationId, key))),
+      populationSyncService.getDataAsOf(req.organizationId, ['Observation'])
+    ]);
+
+    res.json({ measures, dataAsOf });
+  } catch (error) {
+    logger.error('Measure analytics error:', error);
+    res.status(500).json({ error: 'Failed to get measure analytics' });
+  }
+});
+
 /**
  * @swagger
  * /analytics/risk-stratification:
@@ -82,16 +100,9 @@ router.get('/population', authenticate, async (req, res) => {
  *     summary: Perform AI risk stratification on patient population
  *     tags: [Analytics]
  */
-router.post('/risk-stratification', authenticate, async (req, res) => {
+router.post('/risk-stratification', authenticate, requireEpicService, async (req, res) => {
   try {
-    const user = await User.findByPk(req.user.id);
-    
-    if (!user.epicAccessToken) {
-      return res.status(400).json({ error: 'EPIC connection required' });
-    }
-
-    const epicService = new EpicFhirService();
-    epicService.setAccessToken(user.epicAccessToken);
+    const epicService = req.epicService;
 
     // Fetch patient sample
     const patients = await epicService.getPatients({ count: req.body.sampleSize || 100 });
@@ -104,6 +115,9 @@ router.post('/risk-stratification', authenticate, async (req, res) => {
       try {
         const conditions = await epicService.getPatientConditions(patient.id);
         const icd10Codes = epicService.extractICD10Codes(conditions);
+        const activeCodes = icd10Codes.filter(c => c.active);
+        const raf = riskAdjustmentService.calculateForPatient(patient, conditions);
+        await riskAdjustmentService.save(req.organizationId, patient.id, raf, 'fhir');
         
         patientPopulation.push({
           id: patient.id,
@@ -112,21 +126,42 @@ router.post('/risk-stratification', authenticate, async (req, res) => {
             null,
           gender: patient.gender,
           conditionCount: icd10Codes.length,
-          conditions: icd10Codes.map(c => c.code).slice(0, 10),
-          hasChronicCondition: icd10Codes.some(c => 
+          activeConditionCount: activeCodes.length,
+          conditions: activeCodes.map(c => c.code).slice(0, 10),
+          // Resolved conditions don't make a patient chronically ill
+          hasChronicCondition: activeCodes.some(c => 
             ['E11', 'I10', 'J44', 'I50', 'N18'].some(chronic => c.code.startsWith(chronic))
-          )
+          ),
+          // Deterministic HCC risk score for the model to weigh
+          rafScore: raf.score,
+          hccs: raf.lines.filter(line => line.type === 'hcc').map(line => line.label)
         });
       } catch (e) {
         // Skip patients with inaccessible data
       }
     }
 
+    // Latest value and trend per measure from the synced population, where available
+    const measuresByPatient = await populationStore.getPatientMeasures(
+      req.organizationId,
+      patientPopulation.map(p => p.id)
+    );
+    for (const patient of patientPopulation) {
+      const measures = measuresByPatient[patient.id];
+      if (!measures) continue;
+      patient.measures = Object.fromEntries(Object.entries(measures).map(([key, summary]) => [
+        key,
+        { value: summary.latest.value, unit: summary.unit, trend: summary.trend }
+      ]));
+    }
+
     // Get AI risk stratification
     const stratification = await aiService.performRiskStratification(patientPopulation);
 
     res.json({
       sampleSize: patientPopulation.length,
+      rafModelVersion: riskAdjustmentService.modelVersion,
+      rafScores: patientPopulation.map(p => ({ patientId: p.id, score: p.rafScore, hccs: p.hccs })),
       stratification
     });
   } catch (error) {
@@ -137,24 +172,179 @@ router.post('/risk-stratification', authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /analytics/icd10-patterns:
+ * /analytics/risk-scores:
  *   get:
- *     summary: Analyze ICD-10 code patterns
+ *     summary: HCC risk (RAF) score distribution over each patient's latest stored score
  *     tags: [Analytics]
  */
-router.get('/icd10-patterns', authenticate, async (req, res) => {
+router.get('/risk-scores', authenticate, async (req, res) => {
   try {
-    const user = await User.findByPk(req.user.id);
-    
-    if (!user.epicAccessToken) {
-      return res.status(400).json({ error: 'EPIC connection required' });
+    const summary = await riskAdjustmentService.getSummary(req.organizationId, {
+      modelVersion: req.query.modelVersion,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+    res.json(summary);
+  } catch (error) {
+    logger.error('Risk score summary error:', error);
+    res.status(500).json({ error: 'Failed to get risk scores' });
+  }
+});
+
+/**
+ * @swagger
+ * /analytics/risk-scores/calculate:
+ *   post:
+ *     summary: Score every patient in the synced population and store the results
+ *     tags: [Analytics]
+ */
+router.post('/risk-scores/calculate',
+  authenticate,
+  orgAdminOrAbove,
+  auditLog('CALCULATE_POPULATION_RISK_SCORES', 'analytics'),
+  async (req, res) => {
+    try {
+      const dataAsOf = await populationSyncService.getDataAsOf(req.organizationId, ['Patient', 'Condition']);
+      if (!dataAsOf) {
+        return res.status(409).json({ error: 'Population has not been loaded yet; run a bulk export first' });
+      }
+
+      const result = await riskAdjustmentService.scorePopulation(req.organizationId);
+      res.json({ ...result, dataAsOf });
+    } catch (error) {
+      logger.error('Population risk score error:', error);
+      res.status(500).json({ error: 'Failed to calculate risk scores' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /analytics/risk-scores/preview:
+ *   post:
+ *     summary: Score a set of ICD-10 codes without storing anything
+ *     description: Body is { diagnoses, age or birthDate, sex, asOf }.
+ *     tags: [Analytics]
+ */
+router.post('/risk-scores/preview', authenticate, async (req, res) => {
+  try {
+    const { diagnoses, age, birthDate, sex, asOf } = req.body;
+    if (!Array.isArray(diagnoses)) {
+      return res.status(400).json({ error: 'diagnoses must be an array of ICD-10 codes' });
+    }
+    if (asOf && Number.isNaN(new Date(asOf).getTime())) {
+      return res.status(400).json({ error: 'asOf must be a date' });
+    }
+
+    res.json(riskAdjustmentService.calculate({ diagnoses, age, birthDate, sex, asOf }));
+  } catch (error) {
+    logger.error('Risk score preview error:', error);
+    res.status(500).json({ error: 'Failed to calculate risk score' });
+  }
+});
+
+/**
+ * @swagger
+ * /analytics/comorbidity:
+ *   get:
+ *     summary: Charlson and Elixhauser comorbidity index distributions over the synced population
+ *     description: Takes the same condition filters as /analytics/population; ageAdjusted=false reports the unadjusted Charlson score.
+ *     tags: [Analytics]
+ */
+router.get('/comorbidity', authenticate, async (req, res) => {
+  try {
+    const filters = conditionNormalizer.parseFilterQuery(req.query);
+    const [distribution, dataAsOf] = await Promise.all([
+      comorbidityService.getPopulationDistribution(req.organizationId, {
+        filters,
+        ageAdjusted: req.query.ageAdjusted !== 'false'
+      }),
+      populationSyncService.getDataAsOf(req.organizationId, ['Patient', 'Condition'])
+    ]);
+
+    res.json({ ...distribution, filters, dataAsOf });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
     }
+    logger.error('Comorbidity analytics error:', error);
+    res.status(500).json({ error: 'Failed to get comorbidity indices' });
+  }
+});
 
-    const epicService = new EpicFhirService();
-    epicService.setAccessToken(user.epicAccessToken);
+/**
+ * @swagger
+ * /analytics/quality-measures:
+ *   get:
+ *     summary: Quality measure rates over the synced population
+ *     description: Takes measures (comma-separated ids) and asOf. With status (met, gap, excluded) the matching patient results are listed too, up to limit.
+ *     tags: [Analytics]
+ */
+router.get('/quality-measures', authenticate, async (req, res) => {
+  try {
+    const { status, asOf } = req.query;
+    const measureIds = req.query.measures ? req.query.measures.split(',').map(id => id.trim()) : undefined;
+    if (status && !qualityMeasureService.statuses.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${qualityMeasureService.statuses.join(', ')}` });
+    }
+    if (asOf && Number.isNaN(new Date(asOf).getTime())) {
+      return res.status(400).json({ error: 'asOf must be a date' });
+    }
 
-    const conditions = await epicService.getConditions({ count: 500 });
-    const icd10Codes = epicService.extractICD10Codes(conditions);
+    const dataAsOf = await populationSyncService.getDataAsOf(req.organizationId, ['Patient', 'Condition']);
+    if (!dataAsOf) {
+      return res.status(409).json({ error: 'Population has not been loaded yet; run a bulk export first' });
+    }
+
+    const result = await qualityMeasureService.evaluatePopulation(req.organizationId, {
+      measureIds,
+      asOf,
+      status,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+    res.json({ ...result, dataAsOf });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Quality measures error:', error);
+    res.status(500).json({ error: 'Failed to evaluate quality measures' });
+  }
+});
+
+/**
+ * @swagger
+ * /analytics/quality-measures/definitions:
+ *   get:
+ *     summary: Quality measure definitions the engine evaluates
+ *     tags: [Analytics]
+ */
+router.get('/quality-measures/definitions', authenticate, async (req, res) => {
+  try {
+    res.json({
+      version: qualityMeasureService.version,
+      measures: qualityMeasureService.getMeasures()
+    });
+  } catch (error) {
+    logger.error('Quality measure definitions error:', error);
+    res.status(500).json({ error: 'Failed to get quality measure definitions' });
+  }
+});
+
+/**
+ * @swagger
+ * /analytics/icd10-patterns:
+ *   get:
+ *     summary: Analyze ICD-10 code patterns
+ *     description: Takes the same condition filters as /analytics/population.
+ *     tags: [Analytics]
+ */
+router.get('/icd10-patterns', authenticate, async (req, res) => {
+  try {
+    const filters = conditionNormalizer.parseFilterQuery(req.query, { activeOnly: true });
+    const [codeCounts, dataAsOf] = await Promise.all([
+      populationStore.getConditionCodeCounts(req.organizationId, filters),
+      populationSyncService.getDataAsOf(req.organizationId, ['Condition'])
+    ]);
 
     // Group by ICD-10 chapters
     const chapters = {
@@ -181,7 +371,7 @@ router.get('/icd10-patterns', authenticate, async (req, res) => {
       'Z00-Z99': { name: 'Health Status', count: 0 }
     };
 
-    for (const code of icd10Codes) {
+    for (const code of codeCounts) {
       const firstChar = code.code.charAt(0);
       const num = parseInt(code.code.substring(1, 3));
       
@@ -196,7 +386,7 @@ router.get('/icd10-patterns', authenticate, async (req, res) => {
           (firstChar > startChar || (firstChar === startChar && num >= startNum)) &&
           (firstChar < endChar || (firstChar === endChar && num <= endNum))
         ) {
-          data.count++;
+          data.count += code.occurrences;
           break;
         }
       }
@@ -204,14 +394,16 @@ router.get('/icd10-patterns', authenticate, async (req, res) => {
 
     // Get AI insights
     const icd10Data = {
-      totalCodes: icd10Codes.length,
+      totalCodes: codeCounts.reduce((sum, code) => sum + code.occurrences, 0),
       chapters: Object.entries(chapters)
         .map(([range, data]) => ({ range, ...data }))
         .filter(c => c.count > 0)
         .sort((a, b) => b.count - a.count),
-      topCodes: icd10Codes
+      topCodes: [...codeCounts]
+        .sort((a, b) => b.occurrences - a.occurrences)
+        .slice(0, 50)
         .reduce((acc, code) => {
-          acc[code.code] = (acc[code.code] || 0) + 1;
+          acc[code.code] = code.occurrences;
           return acc;
         }, {})
     };
@@ -220,9 +412,13 @@ router.get('/icd10-patterns', authenticate, async (req, res) => {
 
     res.json({
       ...icd10Data,
-      aiInsights: aiAnalysis
+      aiInsights: aiAnalysis,
+      dataAsOf
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error('ICD10 patterns error:', error);
     res.status(500).json({ error: 'Failed to analyze ICD-10 patterns' });
   }
@@ -245,45 +441,31 @@ router.get('/care-plan-opportunities', authenticate, async (req, res) => {
       }
     });
 
-    const user = await User.findByPk(req.user.id);
-    
-    if (!user.epicAccessToken) {
-      // Return mock data if no EPIC connection
-      return res.json({
-        opportunities: carePlans.map(cp => ({
-          carePlan: cp,
-          estimatedEligible: 0,
-          potentialRevenue: 0,
-          note: 'Connect EPIC to see patient counts'
-        }))
-      });
+    // Count from the synced population; before the first sync, ask the FHIR
+    // server directly with a code search
+    const dataAsOf = await populationSyncService.getDataAsOf(req.organizationId, ['Condition']);
+    let epicService = null;
+    if (!dataAsOf) {
+      const user = await User.findByPk(req.user.id);
+      epicService = await smartBackendAuth.getEpicServiceForOrganization(req.user.Organization, user);
     }
 
-    const epicService = new EpicFhirService();
-    epicService.setAccessToken(user.epicAccessToken);
-
-    // Analyze each care plan
     const opportunities = [];
     
     for (const carePlan of carePlans) {
+      const carePlanCodes = carePlan.icd10Codes || [];
       let eligibleCount = 0;
-      
-      // Search for patients with matching conditions
-      if (carePlan.icd10Codes && carePlan.icd10Codes.length > 0) {
-        // Fetch conditions matching care plan ICD-10 codes
-        const conditions = await epicService.getConditions({ count: 200 });
-        const icd10Codes = epicService.extractICD10Codes(conditions);
-        
-        const matchingPatients = new Set();
-        for (const code of icd10Codes) {
-          const matches = carePlan.icd10Codes.some(cpCode => 
-            code.code.startsWith(cpCode.slice(0, 3))
-          );
-          if (matches && code.patientId) {
-            matchingPatients.add(code.patientId);
-          }
-        }
-        eligibleCount = matchingPatients.size;
+      let truncated = false;
+
+      const conditionOptions = conditionNormalizer.optionsForCarePlan(carePlan);
+
+      if (epicService && carePlanCodes.length > 0) {
+        const search = await conditionSearchService.findPatientsByIcd10Codes(epicService, carePlanCodes, conditionOptions);
+        eligibleCount = search.patientIds.length;
+        truncated = search.truncated;
+      } else {
+        const prefixes = [...new Set(carePlanCodes.map(code => code.slice(0, 3)))];
+        eligibleCount = await populationStore.countPatientsWithCodePrefixes(req.organizationId, prefixes, conditionOptions);
       }
 
       opportunities.push({
@@ -295,12 +477,15 @@ router.get('/care-plan-opportunities', authenticate, async (req, res) => {
         },
         estimatedEligible: eligibleCount,
         potentialRevenue: eligibleCount * (parseFloat(carePlan.costEstimate) || 500),
-        matchRate: eligibleCount > 0 ? 'Available' : 'No matches found'
+        matchRate: eligibleCount > 0 ? 'Available' : 'No matches found',
+        truncated
       });
     }
 
     res.json({
-      opportunities: opportunities.sort((a, b) => b.estimatedEligible - a.estimatedEligible)
+      opportunities: opportunities.sort((a, b) => b.estimatedEligible - a.estimatedEligible),
+      source: epicService ? 'fhir_search' : 'population_store',
+      dataAsOf
     });
   } catch (error) {
     logger.error('Care plan opportunities error:', error);
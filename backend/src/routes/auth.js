@@ -3,11 +3,14 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { v4: uuidv4 } = require('uuid');
 
 const { User, Organization, AuditLog } = require('../models');
 const { authenticate, auditLog } = require('../middleware/auth');
-const EpicFhirService = require('../services/epicFhirService');
+const ehr = require('../services/ehr');
+const fhirWriteBackService = require('../services/fhirWriteBackService');
+const oauthStateService = require('../services/oauthStateService');
+const ehrTokenManager = require('../services/ehrTokenManager');
+const OAuthError = require('../utils/oauthError');
 const logger = require('../utils/logger');
 
 /**
@@ -207,7 +210,10 @@ router.post('/login', [
 router.get('/me', authenticate, async (req, res) => {
   try {
     const user = await User.findByPk(req.user.id, {
-      include: [Organization],
+      include: [{
+        model: Organization,
+        attributes: { exclude: ['epicClientSecret', 'epicPrivateKey'] }
+      }],
       attributes: { exclude: ['password'] }
     });
 
@@ -238,22 +244,20 @@ router.get('/me', authenticate, async (req, res) => {
  */
 router.get('/epic/authorize', authenticate, async (req, res) => {
   try {
-    const state = uuidv4();
     const redirectUri = process.env.EPIC_REDIRECT_URI;
-    
-    // Store state in session/cache for verification
-    // In production, use Redis or similar
-    req.user.update({ 
-      settings: { 
-        ...req.user.settings, 
-        epicOAuthState: state 
-      } 
-    });
+    const scope = fhirWriteBackService.getUserScope(req.user.Organization);
+
+    // Single-use state bound to this user, with the PKCE verifier kept server-side
+    const { state, codeChallenge, codeChallengeMethod, expiresAt } =
+      await oauthStateService.create(req.user, { redirectUri, scope });
 
-    const epicService = new EpicFhirService();
-    const authUrl = epicService.getAuthorizationUrl(redirectUri, state);
+    const epicService = await ehr.forOrganization(req.user.Organization);
+    const authUrl = epicService.getAuthorizationUrl(redirectUri, state, scope, {
+      codeChallenge,
+      codeChallengeMethod
+    });
 
-    res.json({ authorizationUrl: authUrl });
+    res.json({ authorizationUrl: authUrl, expiresAt });
   } catch (error) {
     logger.error('EPIC auth initiation error:', error);
     res.status(500).json({ error: 'Failed to initiate EPIC authorization' });
@@ -265,27 +269,34 @@ router.get('/epic/authorize', authenticate, async (req, res) => {
  * /auth/epic/callback:
  *   post:
  *     summary: Handle EPIC OAuth callback
+ *     description: Rejects a state that is missing, belongs to another session, has expired or was already used (400 with code STATE_MISSING, STATE_MISMATCH, STATE_EXPIRED or STATE_REPLAYED).
  *     tags: [Auth]
  */
 router.post('/epic/callback', authenticate, async (req, res) => {
   try {
     const { code, state } = req.body;
 
-    // Verify state
-    // In production, verify against stored state
+    const pending = await oauthStateService.consume(req.user, state);
+    if (!code) {
+      throw new OAuthError('No authorization code received', { code: 'CODE_MISSING' });
+    }
 
-    const epicService = new EpicFhirService();
-    const tokens = await epicService.exchangeCodeForToken(
-      code,
-      process.env.EPIC_REDIRECT_URI
-    );
+    const epicService = await ehr.forOrganization(req.user.Organization);
+    let tokens;
+    try {
+      tokens = await epicService.exchangeCodeForToken(
+        code,
+        pending.redirectUri || process.env.EPIC_REDIRECT_URI,
+        pending.codeVerifier
+      );
+    } catch (error) {
+      throw new OAuthError(`The EHR rejected the authorization code: ${error.message}`, {
+        code: 'TOKEN_EXCHANGE_FAILED',
+        status: 502
+      });
+    }
 
-    // Store tokens
-    await req.user.update({
-      epicAccessToken: tokens.access_token,
-      epicRefreshToken: tokens.refresh_token,
-      epicTokenExpiry: new Date(Date.now() + tokens.expires_in * 1000)
-    });
+    await ehrTokenManager.storeTokens(req.user, tokens);
 
     // Audit log
     await AuditLog.create({
@@ -303,6 +314,18 @@ router.post('/epic/callback', authenticate, async (req, res) => {
       expiresIn: tokens.expires_in
     });
   } catch (error) {
+    if (error instanceof OAuthError) {
+      logger.warn(`EPIC callback rejected for user ${req.user.id}: ${error.code}`);
+      AuditLog.create({
+        userId: req.user.id,
+        organizationId: req.organizationId,
+        action: 'EPIC_CONNECT_REJECTED',
+        resource: 'epic_oauth',
+        details: { code: error.code },
+        ipAddress: req.ip
+      }).catch(err => logger.error('Audit log error:', err));
+      return res.status(error.status).json(error.toJSON());
+    }
     logger.error('EPIC callback error:', error);
     res.status(500).json({ error: 'EPIC authentication failed' });
   }
@@ -317,11 +340,7 @@ router.post('/epic/callback', authenticate, async (req, res) => {
  */
 router.post('/epic/disconnect', authenticate, async (req, res) => {
   try {
-    await req.user.update({
-      epicAccessToken: null,
-      epicRefreshToken: null,
-      epicTokenExpiry: null
-    });
+    await ehrTokenManager.disconnect(req.user);
 
     await AuditLog.create({
       userId: req.user.id,
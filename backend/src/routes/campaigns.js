@@ -3,12 +3,31 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { authenticate, orgAdminOrAbove, auditLog } = require('../middleware/auth');
 const { Campaign, CarePlan, OutreachHistory, User } = require('../models');
-const EpicFhirService = require('../services/epicFhirService');
-const aiService = require('../services/aiService');
-const mailService = require('../services/mailService');
+const smartBackendAuth = require('../services/smartBackendAuth');
+const cohortService = require('../services/cohortService');
+const campaignAudienceService = require('../services/campaignAudienceService');
+const populationSyncService = require('../services/populationSyncService');
+const fhirWriteBackService = require('../services/fhirWriteBackService');
+const jobQueue = require('../services/jobQueue');
+const campaignScheduleService = require('../services/campaignScheduleService');
+const { resolveTargetCohort } = require('../jobs/campaignJobs');
+const CohortDefinitionError = require('../utils/cohortDefinitionError');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 
+// Queue errors: 409 with the job already queued or running, 503 without Redis
+const sendJobError = (res, error) => {
+  if (error.status === 409 && error.job) {
+    res.status(409).json({ error: error.message, job: error.job });
+    return true;
+  }
+  if (error.status === 503) {
+    res.status(503).json({ error: error.message });
+    return true;
+  }
+  return false;
+};
+
 /**
  * @swagger
  * /campaigns:
@@ -89,7 +108,9 @@ router.post('/',
     body('name').trim().notEmpty(),
     body('carePlanId').isUUID(),
     body('type').isIn(['email', 'mail', 'sms', 'phone']),
-    body('targetCriteria').optional().isObject()
+    body('targetCriteria').optional().isObject(),
+    body('cohortId').optional({ nullable: true }).isUUID(),
+    body('cohortVersion').optional({ nullable: true }).isInt({ min: 1 }).toInt()
   ],
   auditLog('CREATE_CAMPAIGN', 'campaign'),
   async (req, res) => {
@@ -114,8 +135,17 @@ router.post('/',
         return res.status(400).json({ error: 'Invalid care plan' });
       }
 
+      if (req.body.cohortId) {
+        await cohortService.resolveDefinition(req.organizationId, req.body.cohortId, req.body.cohortVersion);
+      }
+      if (req.body.targetCriteria?.definition) {
+        cohortService.validate(req.body.targetCriteria.definition);
+      }
+
+      // Scheduling goes through POST /campaigns/{id}/schedule
+      const { scheduledAt, recurrence, scheduledBy, ...fields } = req.body;
       const campaign = await Campaign.create({
-        ...req.body,
+        ...fields,
         organizationId: req.organizationId,
         createdBy: req.user.id,
         status: 'draft'
@@ -123,6 +153,12 @@ router.post('/',
 
       res.status(201).json({ campaign });
     } catch (error) {
+      if (error instanceof CohortDefinitionError) {
+        return res.status(error.status).json(error.toJSON());
+      }
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Create campaign error:', error);
       res.status(500).json({ error: 'Failed to create campaign' });
     }
@@ -133,12 +169,14 @@ router.post('/',
  * @swagger
  * /campaigns/{id}/target-patients:
  *   post:
- *     summary: Find and add target patients to campaign
+ *     summary: Queue a job that finds target patients and stores them as the campaign's audience
+ *     description: Targets the campaign's cohort, an inline targetCriteria.definition or the care plan's cohort, evaluated over the synced population. Without any of those, falls back to the care plan's ICD-10 codes searched in the EHR; a campaign filled from a care gap worklist re-runs that export. Candidates must pass the care plan's eligibility criteria. Each run is diffed against the previous audience. Returns 202 with the job; its result holds the counts and the diff.
  *     tags: [Campaigns]
  */
 router.post('/:id/target-patients',
   authenticate,
   orgAdminOrAbove,
+  auditLog('TARGET_CAMPAIGN', 'campaign'),
   async (req, res) => {
     try {
       const campaign = await Campaign.findOne({
@@ -153,60 +191,153 @@ router.post('/:id/target-patients',
         return res.status(404).json({ error: 'Campaign not found' });
       }
 
-      const user = await User.findByPk(req.user.id);
-      if (!user.epicAccessToken) {
-        return res.status(400).json({ error: 'EPIC connection required' });
+      // Refuse up front what the job would fail on
+      if (campaign.targetCriteria?.source !== 'care-gaps' && await resolveTargetCohort(campaign)) {
+        const dataAsOf = await populationSyncService.getDataAsOf(req.organizationId, ['Patient', 'Condition']);
+        if (!dataAsOf) {
+          return res.status(409).json({ error: 'Population has not been loaded yet; run a bulk export first' });
+        }
+      }
+
+      const job = await jobQueue.enqueue('campaign.target', {}, {
+        organizationId: req.organizationId,
+        campaignId: campaign.id,
+        createdBy: req.user.id,
+        unique: true
+      });
+      res.status(202).json({ job });
+    } catch (error) {
+      if (error instanceof CohortDefinitionError) {
+        return res.status(error.status).json(error.toJSON());
       }
+      if (sendJobError(res, error)) return;
+      logger.error('Target patients error:', error);
+      res.status(500).json({ error: 'Failed to queue patient targeting' });
+    }
+  }
+);
 
-      const epicService = new EpicFhirService();
-      epicService.setAccessToken(user.epicAccessToken);
+/**
+ * @swagger
+ * /campaigns/{id}/audience:
+ *   get:
+ *     summary: Page through a campaign's audience
+ *     description: Filters are status (included, excluded, removed or all; default included), search (name or email) and needsReview. Each member carries its contact snapshot and inclusion and exclusion reasons.
+ *     tags: [Campaigns]
+ */
+router.get('/:id/audience', authenticate, async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({
+      where: { id: req.params.id, organizationId: req.organizationId }
+    });
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
 
-      // Find patients matching care plan criteria
-      const conditions = await epicService.getConditions({ count: 500 });
-      const icd10Codes = epicService.extractICD10Codes(conditions);
+    const audience = await campaignAudienceService.list(campaign, req.query);
+    res.json({ campaignId: campaign.id, ...audience, lastTargeting: campaign.targetingSummary });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Get campaign audience error:', error);
+    res.status(500).json({ error: 'Failed to get campaign audience' });
+  }
+});
 
-      const eligiblePatientIds = new Set();
-      const carePlanCodes = campaign.CarePlan.icd10Codes || [];
+/**
+ * @swagger
+ * /campaigns/{id}/audience:
+ *   post:
+ *     summary: Add patients to a campaign's audience by hand
+ *     description: Body is { patientIds, reason }. Contact details come from the synced population, else from the EHR. Manually added patients stay in the audience when targeting runs again.
+ *     tags: [Campaigns]
+ */
+router.post('/:id/audience',
+  authenticate,
+  orgAdminOrAbove,
+  [
+    body('patientIds').isArray({ min: 1, max: 500 }),
+    body('patientIds.*').isString().trim().notEmpty(),
+    body('reason').optional().trim()
+  ],
+  auditLog('ADD_CAMPAIGN_AUDIENCE', 'campaign'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-      for (const code of icd10Codes) {
-        const matches = carePlanCodes.some(cpCode => 
-          code.code.startsWith(cpCode.slice(0, 3))
-        );
-        if (matches && code.patientId) {
-          eligiblePatientIds.add(code.patientId);
-        }
+      const campaign = await Campaign.findOne({
+        where: { id: req.params.id, organizationId: req.organizationId }
+      });
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
       }
 
-      // Fetch patient details
-      const patients = [];
-      for (const patientId of Array.from(eligiblePatientIds).slice(0, 100)) {
-        try {
-          const patient = await epicService.getPatientById(patientId);
-          const contactInfo = epicService.extractPatientContactInfo(patient);
-          
-          // Only include patients with contact info
-          if (contactInfo.email || contactInfo.address) {
-            patients.push({
-              id: patientId,
-              ...contactInfo
-            });
-          }
-        } catch (e) {
-          // Skip inaccessible patients
+      // The EHR is only read for patients missing from the synced population
+      let epicService;
+      const fetchPatient = async (patientId) => {
+        if (epicService === undefined) {
+          const user = await User.findByPk(req.user.id);
+          epicService = await smartBackendAuth.getEpicServiceForOrganization(req.user.Organization, user);
         }
+        return epicService ? epicService.getPatientById(patientId) : null;
+      };
+
+      const result = await campaignAudienceService.addPatients(campaign, req.body.patientIds, {
+        reason: req.body.reason,
+        userId: req.user.id,
+        fetchPatient
+      });
+      res.json({ campaignId: campaign.id, ...result });
+    } catch (error) {
+      logger.error('Add campaign audience error:', error);
+      res.status(500).json({ error: 'Failed to add patients to the audience' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /campaigns/{id}/audience/remove:
+ *   post:
+ *     summary: Remove patients from a campaign's audience
+ *     description: Body is { patientIds, reason }. Removed patients stay out when targeting runs again; adding them by hand brings them back.
+ *     tags: [Campaigns]
+ */
+router.post('/:id/audience/remove',
+  authenticate,
+  orgAdminOrAbove,
+  [
+    body('patientIds').isArray({ min: 1, max: 500 }),
+    body('patientIds.*').isString().trim().notEmpty(),
+    body('reason').optional().trim()
+  ],
+  auditLog('REMOVE_CAMPAIGN_AUDIENCE', 'campaign'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
 
-      // Update campaign patient count
-      await campaign.update({ patientCount: patients.length });
+      const campaign = await Campaign.findOne({
+        where: { id: req.params.id, organizationId: req.organizationId }
+      });
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
 
-      res.json({
-        campaignId: campaign.id,
-        patientsFound: patients.length,
-        patients
+      const result = await campaignAudienceService.removePatients(campaign, req.body.patientIds, {
+        reason: req.body.reason,
+        userId: req.user.id
       });
+      res.json({ campaignId: campaign.id, ...result });
     } catch (error) {
-      logger.error('Target patients error:', error);
-      res.status(500).json({ error: 'Failed to find target patients' });
+      logger.error('Remove campaign audience error:', error);
+      res.status(500).json({ error: 'Failed to remove patients from the audience' });
     }
   }
 );
@@ -215,98 +346,55 @@ router.post('/:id/target-patients',
  * @swagger
  * /campaigns/{id}/generate-content:
  *   post:
- *     summary: Generate AI outreach content for campaign patients
+ *     summary: Queue a job that generates AI outreach content for campaign patients
+ *     description: Body may list patientIds; by default every included audience member with no outreach yet gets content. Patients whose outreach is already drafted or sent are skipped. Returns 202 with the job; the drafts appear in the campaign's outreach as they are written.
  *     tags: [Campaigns]
  */
 router.post('/:id/generate-content',
   authenticate,
   orgAdminOrAbove,
+  [
+    body('patientIds').optional().isArray({ min: 1 }),
+    body('patientIds.*').optional().isString().trim().notEmpty()
+  ],
   async (req, res) => {
     try {
-      const { patientIds } = req.body;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
       const campaign = await Campaign.findOne({
         where: {
           id: req.params.id,
           organizationId: req.organizationId
-        },
-        include: [CarePlan]
+        }
       });
 
       if (!campaign) {
         return res.status(404).json({ error: 'Campaign not found' });
       }
 
-      const user = await User.findByPk(req.user.id);
-      if (!user.epicAccessToken) {
-        return res.status(400).json({ error: 'EPIC connection required' });
-      }
-
-      const epicService = new EpicFhirService();
-      epicService.setAccessToken(user.epicAccessToken);
-
-      const generatedContent = [];
-
-      for (const patientId of (patientIds || []).slice(0, 20)) {
-        try {
-          const patient = await epicService.getPatientById(patientId);
-          const patientInfo = epicService.extractPatientContactInfo(patient);
-
-          // Generate content using dual AI
-          const aiContent = await aiService.generateOutreachContent(
-            patientInfo,
-            {
-              name: campaign.CarePlan.name,
-              description: campaign.CarePlan.description,
-              benefits: campaign.CarePlan.outcomes
-            },
-            campaign.type
-          );
-
-          // Save to outreach history
-          const outreach = await OutreachHistory.create({
-            campaignId: campaign.id,
-            patientFhirId: patientId,
-            patientName: patientInfo.name,
-            patientEmail: patientInfo.email,
-            patientAddress: patientInfo.address,
-            contentOpenAI: aiContent.openai?.content,
-            contentClaude: aiContent.claude?.content,
-            selectedContent: aiContent.selected?.content,
-            aiAnalysis: {
-              winner: aiContent.selected?.winner,
-              scores: aiContent.selected?.scores
-            },
-            status: 'pending'
-          });
-
-          generatedContent.push({
-            patientId,
-            patientName: patientInfo.name,
-            outreachId: outreach.id,
-            content: {
-              openai: aiContent.openai?.content?.substring(0, 200) + '...',
-              claude: aiContent.claude?.content?.substring(0, 200) + '...',
-              selected: aiContent.selected?.winner
-            }
-          });
-        } catch (e) {
-          logger.error(`Content generation failed for patient ${patientId}:`, e);
-          generatedContent.push({
-            patientId,
-            error: 'Content generation failed'
-          });
+      if (!req.body.patientIds) {
+        const counts = await campaignAudienceService.getCounts(campaign.id);
+        if (counts.included === 0) {
+          return res.status(400).json({ error: 'The campaign has no audience yet; find patients first' });
         }
       }
 
-      res.json({
+      const job = await jobQueue.enqueue('campaign.generate-content', {
+        patientIds: req.body.patientIds ? [...new Set(req.body.patientIds)] : null
+      }, {
+        organizationId: req.organizationId,
         campaignId: campaign.id,
-        generated: generatedContent.length,
-        content: generatedContent
+        createdBy: req.user.id,
+        unique: true
       });
+      res.status(202).json({ job });
     } catch (error) {
+      if (sendJobError(res, error)) return;
       logger.error('Generate content error:', error);
-      res.status(500).json({ error: 'Content generation failed' });
+      res.status(500).json({ error: 'Failed to queue content generation' });
     }
   }
 );
@@ -315,7 +403,8 @@ router.post('/:id/generate-content',
  * @swagger
  * /campaigns/{id}/send:
  *   post:
- *     summary: Send campaign outreach
+ *     summary: Queue a job that sends the campaign's pending outreach
+ *     description: Returns 202 with the job. Its result has the sent and failed counts, the EHR write-back summary and, for mail campaigns, the mail merge file.
  *     tags: [Campaigns]
  */
 router.post('/:id/send',
@@ -328,108 +417,35 @@ router.post('/:id/send',
         where: {
           id: req.params.id,
           organizationId: req.organizationId
-        },
-        include: [CarePlan]
+        }
       });
 
       if (!campaign) {
         return res.status(404).json({ error: 'Campaign not found' });
       }
 
-      // Get pending outreach items
-      const pendingOutreach = await OutreachHistory.findAll({
+      const pending = await OutreachHistory.count({
         where: {
           campaignId: campaign.id,
           status: 'pending'
         }
       });
 
-      if (pendingOutreach.length === 0) {
+      if (pending === 0) {
         return res.status(400).json({ error: 'No pending outreach to send' });
       }
 
-      let sentCount = 0;
-      let failedCount = 0;
-
-      if (campaign.type === 'email') {
-        // Send emails
-        for (const outreach of pendingOutreach) {
-          if (!outreach.patientEmail) continue;
-
-          try {
-            await mailService.sendEmail(
-              outreach.patientEmail,
-              `Important: ${campaign.CarePlan.name} Program`,
-              mailService.getTemplate('carePlanInvitation', {
-                patientName: outreach.patientName,
-                organizationName: 'Your Healthcare Provider',
-                content: outreach.selectedContent || outreach.contentClaude
-              })
-            );
-
-            await outreach.update({
-              status: 'sent',
-              sentAt: new Date()
-            });
-            sentCount++;
-          } catch (e) {
-            await outreach.update({ status: 'failed' });
-            failedCount++;
-          }
-        }
-      } else if (campaign.type === 'mail') {
-        // Generate mail merge file
-        const mailData = pendingOutreach
-          .filter(o => o.patientAddress)
-          .map(o => ({
-            name: o.patientName,
-            address: o.patientAddress,
-            content: o.selectedContent || o.contentClaude
-          }));
-
-        // Mark as sent (in production, integrate with mail vendor)
-        for (const outreach of pendingOutreach) {
-          if (outreach.patientAddress) {
-            await outreach.update({
-              status: 'sent',
-              sentAt: new Date()
-            });
-            sentCount++;
-          }
-        }
-
-        // Return mail merge data
-        res.json({
-          campaignId: campaign.id,
-          type: 'mail',
-          sent: sentCount,
-          failed: failedCount,
-          mailMerge: mailService.generateMailMergeCSV(
-            pendingOutreach.map(o => ({
-              name: o.patientName,
-              address: o.patientAddress
-            })),
-            campaign.CarePlan.description
-          )
-        });
-        return;
-      }
-
-      // Update campaign status
-      await campaign.update({
-        status: 'in_progress',
-        sentCount: campaign.sentCount + sentCount
-      });
-
-      res.json({
+      const job = await jobQueue.enqueue('campaign.send', {}, {
+        organizationId: req.organizationId,
         campaignId: campaign.id,
-        sent: sentCount,
-        failed: failedCount,
-        status: campaign.status
+        createdBy: req.user.id,
+        unique: true
       });
+      res.status(202).json({ job, pending });
     } catch (error) {
+      if (sendJobError(res, error)) return;
       logger.error('Send campaign error:', error);
-      res.status(500).json({ error: 'Failed to send campaign' });
+      res.status(500).json({ error: 'Failed to queue campaign send' });
     }
   }
 );
@@ -478,6 +494,189 @@ router.get('/:id/outreach', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /campaigns/{id}/outreach/{outreachId}/enroll:
+ *   post:
+ *     summary: Enroll an outreach patient in the campaign's care plan
+ *     tags: [Campaigns]
+ */
+router.post('/:id/outreach/:outreachId/enroll',
+  authenticate,
+  orgAdminOrAbove,
+  auditLog('ENROLL_PATIENT', 'outreach'),
+  async (req, res) => {
+    try {
+      const campaign = await Campaign.findOne({
+        where: {
+          id: req.params.id,
+          organizationId: req.organizationId
+        },
+        include: [CarePlan]
+      });
+
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const outreach = await OutreachHistory.findOne({
+        where: { id: req.params.outreachId, campaignId: campaign.id }
+      });
+
+      if (!outreach) {
+        return res.status(404).json({ error: 'Outreach not found' });
+      }
+
+      if (outreach.status !== 'enrolled') {
+        await outreach.update({ status: 'enrolled', enrolledAt: new Date() });
+        await campaign.increment('enrollmentCount');
+      }
+
+      // Enrollment stands even if the EHR write fails; the error is kept for retry
+      const organization = req.user.Organization;
+      let writeBack = null;
+      if (fhirWriteBackService.isEnabled(organization, 'carePlan')) {
+        try {
+          const user = await User.findByPk(req.user.id);
+          const epicService = await fhirWriteBackService.getEpicService(organization, user);
+          writeBack = epicService
+            ? await fhirWriteBackService.recordEnrollment(outreach, campaign, epicService, organization)
+            : { errors: { carePlan: 'EPIC connection required for write-back' } };
+        } catch (error) {
+          logger.error('Enrollment write-back error:', error);
+          writeBack = { errors: { carePlan: error.message } };
+        }
+      }
+
+      res.json({ outreach, writeBack });
+    } catch (error) {
+      logger.error('Enroll patient error:', error);
+      res.status(500).json({ error: 'Failed to enroll patient' });
+    }
+  }
+);
+
+// Schedule errors: 400 for a bad date or recurrence, 409 for the campaign's
+// state, 503 without the job queue
+const sendScheduleError = (res, error) => {
+  if ([400, 409, 503].includes(error.status)) {
+    res.status(error.status).json({ error: error.message });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * @swagger
+ * /campaigns/{id}/schedule:
+ *   post:
+ *     summary: Schedule a campaign
+ *     description: Body is { scheduledAt, recurrence }. At scheduledAt the campaign moves to in progress and a job re-targets it, drafts content for audience members not contacted yet and sends. recurrence is { frequency (daily, weekly or monthly), interval, endsAt } and repeats the run; later runs reach only new eligibles.
+ *     tags: [Campaigns]
+ */
+router.post('/:id/schedule',
+  authenticate,
+  orgAdminOrAbove,
+  [
+    body('scheduledAt').isISO8601(),
+    body('recurrence').optional({ nullable: true }).isObject()
+  ],
+  auditLog('SCHEDULE_CAMPAIGN', 'campaign'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const campaign = await Campaign.findOne({
+        where: { id: req.params.id, organizationId: req.organizationId }
+      });
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      await campaignScheduleService.schedule(campaign, req.body, req.user.id);
+      res.json({ message: 'Campaign scheduled', campaign });
+    } catch (error) {
+      if (sendScheduleError(res, error)) return;
+      logger.error('Schedule campaign error:', error);
+      res.status(500).json({ error: 'Failed to schedule campaign' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /campaigns/{id}/schedule:
+ *   put:
+ *     summary: Reschedule a campaign
+ *     description: Body has scheduledAt, recurrence or both; recurrence null makes the next run the last. Moving scheduledAt on a recurring campaign moves the whole series. A paused campaign with a schedule resumes.
+ *     tags: [Campaigns]
+ */
+router.put('/:id/schedule',
+  authenticate,
+  orgAdminOrAbove,
+  [
+    body('scheduledAt').optional().isISO8601(),
+    body('recurrence').optional({ nullable: true }).isObject()
+  ],
+  auditLog('RESCHEDULE_CAMPAIGN', 'campaign'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const campaign = await Campaign.findOne({
+        where: { id: req.params.id, organizationId: req.organizationId }
+      });
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      await campaignScheduleService.reschedule(campaign, req.body, req.user.id);
+      res.json({ message: 'Campaign rescheduled', campaign });
+    } catch (error) {
+      if (sendScheduleError(res, error)) return;
+      logger.error('Reschedule campaign error:', error);
+      res.status(500).json({ error: 'Failed to reschedule campaign' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /campaigns/{id}/schedule:
+ *   delete:
+ *     summary: Unschedule a campaign
+ *     description: Clears the next run and any recurrence. A campaign that never ran goes back to draft. A run already started is not stopped; cancel its job instead.
+ *     tags: [Campaigns]
+ */
+router.delete('/:id/schedule',
+  authenticate,
+  orgAdminOrAbove,
+  auditLog('UNSCHEDULE_CAMPAIGN', 'campaign'),
+  async (req, res) => {
+    try {
+      const campaign = await Campaign.findOne({
+        where: { id: req.params.id, organizationId: req.organizationId }
+      });
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      await campaignScheduleService.unschedule(campaign);
+      res.json({ message: 'Campaign unscheduled', campaign });
+    } catch (error) {
+      if (sendScheduleError(res, error)) return;
+      logger.error('Unschedule campaign error:', error);
+      res.status(500).json({ error: 'Failed to unschedule campaign' });
+    }
+  }
+);
+
 /**
  * @swagger
  * /campaigns/{id}/pause:
@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authenticate, orgAdminOrAbove, auditLog } = require('../middleware/auth');
+const { Campaign } = require('../models');
+const careGapService = require('../services/careGapService');
+const populationSyncService = require('../services/populationSyncService');
+const logger = require('../utils/logger');
+
+/**
+ * @swagger
+ * /care-gaps:
+ *   get:
+ *     summary: Care gap worklist
+ *     description: Filters are measure (one or a comma-separated list), status (open, closed or all; default open), patientId, overdue, dueBefore, openedFrom and openedTo. Paged with page and limit.
+ *     tags: [Care Gaps]
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const filters = careGapService.parseFilters(req.query);
+    const worklist = await careGapService.getWorklist(req.organizationId, filters, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+    res.json({ ...worklist, filters });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Care gap worklist error:', error);
+    res.status(500).json({ error: 'Failed to get care gaps' });
+  }
+});
+
+/**
+ * @swagger
+ * /care-gaps/compliance:
+ *   get:
+ *     summary: Compliance rate per quality measure from the latest evaluation, with the change since the previous one
+ *     tags: [Care Gaps]
+ */
+router.get('/compliance', authenticate, async (req, res) => {
+  try {
+    const compliance = await careGapService.getCompliance(req.organizationId);
+    res.json({ ...compliance, running: careGapService.isRunning(req.organizationId) });
+  } catch (error) {
+    logger.error('Care gap compliance error:', error);
+    res.status(500).json({ error: 'Failed to get measure compliance' });
+  }
+});
+
+/**
+ * @swagger
+ * /care-gaps/compliance/{measureId}/history:
+ *   get:
+ *     summary: Compliance snapshots for one measure over time
+ *     tags: [Care Gaps]
+ */
+router.get('/compliance/:measureId/history', authenticate, async (req, res) => {
+  try {
+    const history = await careGapService.getComplianceHistory(req.organizationId, req.params.measureId, {
+      limit: Math.min(parseInt(req.query.limit) || 90, 365)
+    });
+    res.json({ measureId: req.params.measureId, history });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Care gap compliance history error:', error);
+    res.status(500).json({ error: 'Failed to get compliance history' });
+  }
+});
+
+/**
+ * @swagger
+ * /care-gaps/evaluate:
+ *   post:
+ *     summary: Evaluate every quality measure across the synced population and update the stored gaps
+ *     tags: [Care Gaps]
+ */
+router.post('/evaluate',
+  authenticate,
+  orgAdminOrAbove,
+  auditLog('EVALUATE_CARE_GAPS', 'care_gap'),
+  async (req, res) => {
+    try {
+      const dataAsOf = await populationSyncService.getDataAsOf(req.organizationId, ['Patient', 'Condition']);
+      if (!dataAsOf) {
+        return res.status(409).json({ error: 'Population has not been loaded yet; run a bulk export first' });
+      }
+
+      const result = await careGapService.evaluateOrganization(req.organizationId);
+      if (result.skipped) {
+        return res.status(409).json({ error: result.reason });
+      }
+      res.json({ ...result, dataAsOf });
+    } catch (error) {
+      logger.error('Care gap evaluation error:', error);
+      res.status(500).json({ error: 'Failed to evaluate care gaps' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /care-gaps/export:
+ *   post:
+ *     summary: Make the patients on a care gap worklist a campaign's audience
+ *     description: Body is { campaignId, filters } with the worklist filters.
+ *     tags: [Care Gaps]
+ */
+router.post('/export',
+  authenticate,
+  orgAdminOrAbove,
+  [
+    body('campaignId').isUUID(),
+    body('filters').optional().isObject()
+  ],
+  auditLog('EXPORT_CARE_GAPS', 'campaign'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const campaign = await Campaign.findOne({
+        where: { id: req.body.campaignId, organizationId: req.organizationId }
+      });
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const filters = careGapService.parseFilters(req.body.filters);
+      const result = await careGapService.exportToCampaign(campaign, filters);
+      res.json({ ...result, filters });
+    } catch (error) {
+      if (error.status === 400 || error.status === 409) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Care gap export error:', error);
+      res.status(500).json({ error: 'Failed to export care gaps' });
+    }
+  }
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { authenticate, orgAdminOrAbove, auditLog } = require('../middleware/auth');
 const { CarePlan, ICD10Code } = require('../models');
+const cohortService = require('../services/cohortService');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 
@@ -112,7 +113,9 @@ router.post('/',
     body('interventions').optional().isArray(),
     body('outcomes').optional().isArray(),
     body('costEstimate').optional().isNumeric(),
-    body('duration').optional().trim()
+    body('duration').optional().trim(),
+    body('cohortId').optional({ nullable: true }).isUUID(),
+    body('cohortVersion').optional({ nullable: true }).isInt({ min: 1 }).toInt()
   ],
   auditLog('CREATE_CARE_PLAN', 'care_plan'),
   async (req, res) => {
@@ -122,6 +125,10 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
 
+      if (req.body.cohortId) {
+        await cohortService.resolveDefinition(req.organizationId, req.body.cohortId, req.body.cohortVersion);
+      }
+
       const carePlan = await CarePlan.create({
         ...req.body,
         organizationId: req.organizationId,
@@ -130,6 +137,9 @@ router.post('/',
 
       res.status(201).json({ carePlan });
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Create care plan error:', error);
       res.status(500).json({ error: 'Failed to create care plan' });
     }
@@ -146,9 +156,18 @@ router.post('/',
 router.put('/:id',
   authenticate,
   orgAdminOrAbove,
+  [
+    body('cohortId').optional({ nullable: true }).isUUID(),
+    body('cohortVersion').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+  ],
   auditLog('UPDATE_CARE_PLAN', 'care_plan'),
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
       const carePlan = await CarePlan.findOne({
         where: {
           id: req.params.id,
@@ -160,9 +179,18 @@ router.put('/:id',
         return res.status(404).json({ error: 'Care plan not found' });
       }
 
+      const cohortId = req.body.cohortId !== undefined ? req.body.cohortId : carePlan.cohortId;
+      if (cohortId && (req.body.cohortId !== undefined || req.body.cohortVersion !== undefined)) {
+        await cohortService.resolveDefinition(req.organizationId, cohortId,
+          req.body.cohortVersion !== undefined ? req.body.cohortVersion : carePlan.cohortVersion);
+      }
+
       await carePlan.update(req.body);
       res.json({ carePlan });
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Update care plan error:', error);
       res.status(500).json({ error: 'Failed to update care plan' });
     }
@@ -238,6 +266,9 @@ router.post('/:id/duplicate',
         outcomes: original.outcomes,
         costEstimate: original.costEstimate,
         duration: original.duration,
+        // Cohorts belong to one organization, so a template's can't carry over
+        cohortId: original.organizationId === req.organizationId ? original.cohortId : null,
+        cohortVersion: original.organizationId === req.organizationId ? original.cohortVersion : null,
         organizationId: req.organizationId,
         isTemplate: false
       });
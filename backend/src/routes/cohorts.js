@@ -0,0 +1,282 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authenticate, orgAdminOrAbove, auditLog } = require('../middleware/auth');
+const cohortService = require('../services/cohortService');
+const observationNormalizer = require('../services/observationNormalizer');
+const riskAdjustmentService = require('../services/riskAdjustmentService');
+const populationSyncService = require('../services/populationSyncService');
+const CohortDefinitionError = require('../utils/cohortDefinitionError');
+const logger = require('../utils/logger');
+
+// Resource types cohort criteria read from the population store
+const COHORT_RESOURCE_TYPES = ['Patient', 'Condition', 'Observation', 'Encounter', 'MedicationRequest'];
+
+const sendServiceError = (res, error) => {
+  if (error instanceof CohortDefinitionError) {
+    res.status(error.status).json(error.toJSON());
+    return true;
+  }
+  if (error.status === 400 || error.status === 409) {
+    res.status(error.status).json({ error: error.message, ...(error.references && { references: error.references }) });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * @swagger
+ * /cohorts:
+ *   get:
+ *     summary: List saved cohorts
+ *     tags: [Cohorts]
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const cohorts = await cohortService.listCohorts(req.organizationId);
+    res.json({ cohorts });
+  } catch (error) {
+    logger.error('List cohorts error:', error);
+    res.status(500).json({ error: 'Failed to list cohorts' });
+  }
+});
+
+/**
+ * @swagger
+ * /cohorts/criteria:
+ *   get:
+ *     summary: Criterion types, lab measures, comparison operators and risk levels the cohort builder offers
+ *     tags: [Cohorts]
+ */
+router.get('/criteria', authenticate, (req, res) => {
+  res.json({
+    groups: ['all', 'any', 'not'],
+    criterionTypes: cohortService.criterionTypes,
+    operators: cohortService.operators,
+    labMeasures: observationNormalizer.measures.map(measure => ({
+      key: measure.key,
+      name: measure.name,
+      unit: measure.unit
+    })),
+    riskLevels: riskAdjustmentService.riskLevels
+  });
+});
+
+/**
+ * @swagger
+ * /cohorts/preview:
+ *   post:
+ *     summary: Count and sample the patients matching an unsaved definition
+ *     description: Body is { definition, sampleSize }.
+ *     tags: [Cohorts]
+ */
+router.post('/preview',
+  authenticate,
+  [body('definition').isObject()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const dataAsOf = await populationSyncService.getDataAsOf(req.organizationId, COHORT_RESOURCE_TYPES);
+      if (!dataAsOf) {
+        return res.status(409).json({ error: 'Population has not been loaded yet; run a bulk export first' });
+      }
+
+      const preview = await cohortService.preview(req.organizationId, req.body.definition, {
+        sampleSize: req.body.sampleSize
+      });
+      res.json({ ...preview, dataAsOf });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      logger.error('Cohort preview error:', error);
+      res.status(500).json({ error: 'Failed to preview cohort' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /cohorts/{id}:
+ *   get:
+ *     summary: Get a cohort with all its versions and the campaigns and care plans using it
+ *     tags: [Cohorts]
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const cohort = await cohortService.getCohort(req.organizationId, req.params.id, { withVersions: true });
+    if (!cohort) {
+      return res.status(404).json({ error: 'Cohort not found' });
+    }
+
+    const references = await cohortService.getReferences(cohort);
+    res.json({ cohort, ...references });
+  } catch (error) {
+    logger.error('Get cohort error:', error);
+    res.status(500).json({ error: 'Failed to get cohort' });
+  }
+});
+
+/**
+ * @swagger
+ * /cohorts/{id}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a cohort's definition
+ *     tags: [Cohorts]
+ */
+router.get('/:id/versions/:version', authenticate, async (req, res) => {
+  try {
+    const cohort = await cohortService.getCohort(req.organizationId, req.params.id);
+    const version = cohort && await cohortService.getVersion(cohort, parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({ error: 'Cohort version not found' });
+    }
+
+    res.json({ version });
+  } catch (error) {
+    logger.error('Get cohort version error:', error);
+    res.status(500).json({ error: 'Failed to get cohort version' });
+  }
+});
+
+/**
+ * @swagger
+ * /cohorts:
+ *   post:
+ *     summary: Save a new cohort
+ *     description: Body is { name, description, definition, note }. The definition becomes version 1.
+ *     tags: [Cohorts]
+ */
+router.post('/',
+  authenticate,
+  orgAdminOrAbove,
+  [
+    body('name').trim().notEmpty(),
+    body('description').optional().trim(),
+    body('definition').isObject(),
+    body('note').optional().trim()
+  ],
+  auditLog('CREATE_COHORT', 'cohort'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const cohort = await cohortService.createCohort(req.organizationId, req.body, req.user.id);
+      res.status(201).json({ cohort });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      logger.error('Create cohort error:', error);
+      res.status(500).json({ error: 'Failed to create cohort' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /cohorts/{id}:
+ *   put:
+ *     summary: Update a cohort
+ *     description: Name and description change in place. A changed definition is saved as a new version (with an optional note); earlier versions are kept.
+ *     tags: [Cohorts]
+ */
+router.put('/:id',
+  authenticate,
+  orgAdminOrAbove,
+  [
+    body('name').optional().trim().notEmpty(),
+    body('description').optional().trim(),
+    body('definition').optional().isObject(),
+    body('note').optional().trim()
+  ],
+  auditLog('UPDATE_COHORT', 'cohort'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const cohort = await cohortService.getCohort(req.organizationId, req.params.id);
+      if (!cohort) {
+        return res.status(404).json({ error: 'Cohort not found' });
+      }
+
+      const result = await cohortService.updateCohort(cohort, req.body, req.user.id);
+      res.json(result);
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      logger.error('Update cohort error:', error);
+      res.status(500).json({ error: 'Failed to update cohort' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /cohorts/{id}:
+ *   delete:
+ *     summary: Delete a cohort and its versions
+ *     description: Refused with 409 while a campaign or active care plan references the cohort.
+ *     tags: [Cohorts]
+ */
+router.delete('/:id',
+  authenticate,
+  orgAdminOrAbove,
+  auditLog('DELETE_COHORT', 'cohort'),
+  async (req, res) => {
+    try {
+      const cohort = await cohortService.getCohort(req.organizationId, req.params.id);
+      if (!cohort) {
+        return res.status(404).json({ error: 'Cohort not found' });
+      }
+
+      await cohortService.deleteCohort(cohort);
+      res.json({ message: 'Cohort deleted' });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      logger.error('Delete cohort error:', error);
+      res.status(500).json({ error: 'Failed to delete cohort' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /cohorts/{id}/preview:
+ *   post:
+ *     summary: Count and sample a saved cohort's patients
+ *     description: Previews the current version unless the body names a version. The count is stored on that version.
+ *     tags: [Cohorts]
+ */
+router.post('/:id/preview', authenticate, async (req, res) => {
+  try {
+    const cohort = await cohortService.getCohort(req.organizationId, req.params.id);
+    const version = cohort && await cohortService.getVersion(cohort, parseInt(req.body.version) || null);
+    if (!version) {
+      return res.status(404).json({ error: cohort ? 'Cohort version not found' : 'Cohort not found' });
+    }
+
+    const dataAsOf = await populationSyncService.getDataAsOf(req.organizationId, COHORT_RESOURCE_TYPES);
+    if (!dataAsOf) {
+      return res.status(409).json({ error: 'Population has not been loaded yet; run a bulk export first' });
+    }
+
+    const preview = await cohortService.preview(req.organizationId, version.definition, {
+      sampleSize: req.body.sampleSize
+    });
+    await cohortService.recordPreview(version, preview.count);
+
+    res.json({ cohortId: cohort.id, version: version.version, ...preview, dataAsOf });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    logger.error('Cohort preview error:', error);
+    res.status(500).json({ error: 'Failed to preview cohort' });
+  }
+});
+
+module.exports = router;
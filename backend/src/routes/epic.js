@@ -1,54 +1,52 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, auditLog } = require('../middleware/auth');
-const EpicFhirService = require('../services/epicFhirService');
-const { User } = require('../models');
+const { requireEpicConnection } = require('../middleware/ehrConnection');
+const ehr = require('../services/ehr');
+const smartBackendAuth = require('../services/smartBackendAuth');
+const ehrTokenManager = require('../services/ehrTokenManager');
+const bulkExportService = require('../services/bulkExportService');
+const populationStore = require('../services/populationStore');
+const populationSyncService = require('../services/populationSyncService');
+const conditionNormalizer = require('../services/conditionNormalizer');
+const { User, Organization, BulkExportJob } = require('../models');
+const FhirError = require('../utils/fhirError');
 const logger = require('../utils/logger');
 
-// Middleware to ensure EPIC connection
-const requireEpicConnection = async (req, res, next) => {
-  const user = await User.findByPk(req.user.id);
-  
-  if (!user.epicAccessToken) {
-    return res.status(400).json({ 
-      error: 'EPIC connection required',
-      action: 'connect_epic'
-    });
+// Relay FHIR server failures with their status and OperationOutcome issues
+const sendFhirError = (res, error, message) => {
+  if (!(error instanceof FhirError)) {
+    return res.status(500).json({ error: message });
   }
 
-  // Check token expiry
-  if (user.epicTokenExpiry && new Date(user.epicTokenExpiry) < new Date()) {
-    // Try to refresh token
-    if (user.epicRefreshToken) {
-      try {
-        const epicService = new EpicFhirService();
-        const tokens = await epicService.refreshToken(user.epicRefreshToken);
-        
-        await user.update({
-          epicAccessToken: tokens.access_token,
-          epicRefreshToken: tokens.refresh_token || user.epicRefreshToken,
-          epicTokenExpiry: new Date(Date.now() + tokens.expires_in * 1000)
-        });
-        
-        req.epicAccessToken = tokens.access_token;
-      } catch (error) {
-        logger.error('Token refresh failed:', error);
-        return res.status(401).json({ 
-          error: 'EPIC session expired',
-          action: 'reconnect_epic'
-        });
-      }
-    } else {
-      return res.status(401).json({ 
-        error: 'EPIC session expired',
-        action: 'reconnect_epic'
+  const status = [401, 403, 404, 410, 501].includes(error.status) ? error.status : 502;
+  res.status(status).json({ error: message, fhir: error.toJSON() });
+};
+
+// Middleware for population-level work (bulk export): use the organization's
+// system token when SMART Backend Services is configured, else the user's token
+const requirePopulationAccess = async (req, res, next) => {
+  const organization = req.user.Organization;
+
+  if (!smartBackendAuth.isConfigured(organization)) {
+    return requireEpicConnection(req, res, async () => {
+      req.epicService = await ehr.forOrganization(organization, {
+        accessToken: req.epicAccessToken
       });
-    }
-  } else {
-    req.epicAccessToken = user.epicAccessToken;
+      next();
+    });
   }
 
-  next();
+  try {
+    req.epicService = await smartBackendAuth.getSystemEpicService(organization);
+    next();
+  } catch (error) {
+    logger.error('Backend services authorization failed:', error);
+    res.status(502).json({
+      error: 'EPIC system authorization failed',
+      action: 'check_backend_services'
+    });
+  }
 };
 
 /**
@@ -63,11 +61,17 @@ const requireEpicConnection = async (req, res, next) => {
 router.get('/connection-status', authenticate, async (req, res) => {
   try {
     const user = await User.findByPk(req.user.id);
+    const health = ehrTokenManager.getHealth(user);
     
     const status = {
-      connected: !!user.epicAccessToken,
+      connected: health.connected,
+      health: health.status,
       tokenExpiry: user.epicTokenExpiry,
-      isExpired: user.epicTokenExpiry ? new Date(user.epicTokenExpiry) < new Date() : true
+      isExpired: user.epicTokenExpiry ? new Date(user.epicTokenExpiry) < new Date() : true,
+      lastRefreshedAt: health.lastRefreshedAt,
+      backendServices: {
+        configured: smartBackendAuth.isConfigured(req.user.Organization)
+      }
     };
 
     res.json(status);
@@ -98,8 +102,9 @@ router.get('/patients',
   auditLog('FETCH_PATIENTS', 'epic_patient'),
   async (req, res) => {
     try {
-      const epicService = new EpicFhirService();
-      epicService.setAccessToken(req.epicAccessToken);
+      const epicService = await ehr.forOrganization(req.user.Organization, {
+        accessToken: req.epicAccessToken
+      });
 
       const params = {
         count: req.query.count || 50
@@ -148,8 +153,9 @@ router.get('/patients/:id',
   auditLog('FETCH_PATIENT', 'epic_patient'),
   async (req, res) => {
     try {
-      const epicService = new EpicFhirService();
-      epicService.setAccessToken(req.epicAccessToken);
+      const epicService = await ehr.forOrganization(req.user.Organization, {
+        accessToken: req.epicAccessToken
+      });
 
       const patient = await epicService.getPatientById(req.params.id);
       
@@ -172,6 +178,7 @@ router.get('/patients/:id',
  * /epic/patients/{id}/conditions:
  *   get:
  *     summary: Get conditions for a patient
+ *     description: Filter with activeOnly, confirmedOnly, conditionCategory (problem-list-item, encounter-diagnosis), onsetFrom and onsetTo. Refuted and entered-in-error conditions are never returned.
  *     tags: [EPIC]
  */
 router.get('/patients/:id/conditions',
@@ -179,25 +186,34 @@ router.get('/patients/:id/conditions',
   requireEpicConnection,
   async (req, res) => {
     try {
-      const epicService = new EpicFhirService();
-      epicService.setAccessToken(req.epicAccessToken);
+      const filters = conditionNormalizer.parseFilterQuery(req.query);
+      const epicService = await ehr.forOrganization(req.user.Organization, {
+        accessToken: req.epicAccessToken
+      });
 
       const conditions = await epicService.getPatientConditions(req.params.id);
-      const icd10Codes = epicService.extractICD10Codes(conditions);
+      const normalized = conditionNormalizer.normalizeAll(conditions, filters);
 
       res.json({
         total: conditions.total,
-        conditions: (conditions.entry || []).map(e => ({
-          id: e.resource.id,
-          code: e.resource.code?.coding?.[0]?.code,
-          display: e.resource.code?.coding?.[0]?.display,
-          clinicalStatus: e.resource.clinicalStatus?.coding?.[0]?.code,
-          onsetDateTime: e.resource.onsetDateTime,
-          recordedDate: e.resource.recordedDate
+        conditions: normalized.map(condition => ({
+          id: condition.id,
+          code: condition.icd10Codes[0]?.code || null,
+          display: condition.display,
+          clinicalStatus: condition.clinicalStatus,
+          verificationStatus: condition.verificationStatus,
+          categories: condition.categories,
+          active: condition.active,
+          onsetDateTime: condition.onsetDate,
+          abatementDateTime: condition.abatementDate,
+          recordedDate: condition.recordedDate
         })),
-        icd10Codes
+        icd10Codes: epicService.extractICD10Codes(conditions, filters)
       });
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Fetch conditions error:', error);
       res.status(500).json({ error: 'Failed to fetch conditions' });
     }
@@ -217,10 +233,12 @@ router.get('/patients/:id/everything',
   auditLog('FETCH_PATIENT_EVERYTHING', 'epic_patient'),
   async (req, res) => {
     try {
-      const epicService = new EpicFhirService();
-      epicService.setAccessToken(req.epicAccessToken);
+      const epicService = await ehr.forOrganization(req.user.Organization, {
+        accessToken: req.epicAccessToken
+      });
 
-      const everything = await epicService.getPatientEverything(req.params.id);
+      const firstPage = await epicService.getPatientEverything(req.params.id);
+      const everything = await epicService.getAllPages(firstPage);
       
       // Categorize resources
       const categorized = {
@@ -236,7 +254,7 @@ router.get('/patients/:id/everything',
         other: []
       };
 
-      for (const entry of (everything.entry || [])) {
+      for (const entry of everything.entries) {
         const resource = entry.resource;
         switch (resource.resourceType) {
           case 'Patient':
@@ -272,10 +290,14 @@ router.get('/patients/:id/everything',
         }
       }
 
-      res.json(categorized);
+      res.json({
+        ...categorized,
+        complete: everything.complete,
+        ...(everything.error && { error: everything.error.toJSON() })
+      });
     } catch (error) {
       logger.error('Fetch everything error:', error);
-      res.status(500).json({ error: 'Failed to fetch patient data' });
+      sendFhirError(res, error, 'Failed to fetch patient data');
     }
   }
 );
@@ -285,6 +307,7 @@ router.get('/patients/:id/everything',
  * /epic/conditions:
  *   get:
  *     summary: Get all conditions (for population analytics)
+ *     description: Accepts the same condition filters as /epic/patients/{id}/conditions; other parameters are passed to the FHIR search.
  *     tags: [EPIC]
  */
 router.get('/conditions',
@@ -292,15 +315,19 @@ router.get('/conditions',
   requireEpicConnection,
   async (req, res) => {
     try {
-      const epicService = new EpicFhirService();
-      epicService.setAccessToken(req.epicAccessToken);
+      const filters = conditionNormalizer.parseFilterQuery(req.query);
+      const epicService = await ehr.forOrganization(req.user.Organization, {
+        accessToken: req.epicAccessToken
+      });
 
+      const searchParams = { ...req.query };
+      conditionNormalizer.filterParams.forEach(param => delete searchParams[param]);
       const conditions = await epicService.getConditions({
         count: req.query.count || 100,
-        ...req.query
+        ...searchParams
       });
 
-      const icd10Codes = epicService.extractICD10Codes(conditions);
+      const icd10Codes = epicService.extractICD10Codes(conditions, filters);
 
       // Aggregate by ICD-10 code
       const codeFrequency = {};
@@ -310,10 +337,12 @@ router.get('/conditions',
             code: code.code,
             display: code.display,
             count: 0,
+            mappedCount: 0,
             patients: []
           };
         }
         codeFrequency[code.code].count++;
+        if (code.source === 'mapped') codeFrequency[code.code].mappedCount++;
         if (!codeFrequency[code.code].patients.includes(code.patientId)) {
           codeFrequency[code.code].patients.push(code.patientId);
         }
@@ -325,6 +354,9 @@ router.get('/conditions',
         raw: conditions
       });
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Fetch conditions error:', error);
       res.status(500).json({ error: 'Failed to fetch conditions' });
     }
@@ -335,29 +367,129 @@ router.get('/conditions',
  * @swagger
  * /epic/bulk-export:
  *   post:
- *     summary: Initiate bulk data export
+ *     summary: Start a managed bulk data export
+ *     description: Kicks off $export, then polls, downloads the NDJSON output and loads it into the population store in the background. Poll the returned job for progress. Servers that only export by Group (Epic, Oracle Health) need groupId, or settings.bulkExportGroupId on the organization.
  *     tags: [EPIC]
  */
 router.post('/bulk-export',
   authenticate,
-  requireEpicConnection,
+  requirePopulationAccess,
   auditLog('INITIATE_BULK_EXPORT', 'epic_bulk'),
   async (req, res) => {
     try {
-      const epicService = new EpicFhirService();
-      epicService.setAccessToken(req.epicAccessToken);
-
-      const resourceTypes = req.body.resourceTypes || ['Patient', 'Condition', 'Observation'];
-      const result = await epicService.initiateBulkExport(resourceTypes);
+      const job = await bulkExportService.startExport(req.user.Organization, req.epicService, {
+        resourceTypes: req.body.resourceTypes,
+        since: req.body.since,
+        groupId: req.body.groupId,
+        initiatedBy: req.user.id
+      });
 
-      res.json(result);
+      res.status(202).json({
+        job,
+        statusUrl: job.statusUrl,
+        status: 'initiated'
+      });
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message, supportedTypes: populationStore.supportedTypes });
+      }
+      if (error.code === 'NOT_SUPPORTED') {
+        return res.status(400).json({ error: error.message });
+      }
       logger.error('Bulk export error:', error);
       res.status(500).json({ error: 'Failed to initiate bulk export' });
     }
   }
 );
 
+/**
+ * @swagger
+ * /epic/bulk-export/jobs:
+ *   get:
+ *     summary: List bulk export jobs and population store counts
+ *     tags: [EPIC]
+ */
+router.get('/bulk-export/jobs', authenticate, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+
+    const jobs = await BulkExportJob.findAndCountAll({
+      where: { organizationId: req.user.organizationId },
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(limit), 100),
+      offset: parseInt(offset),
+      attributes: { exclude: ['manifest'] }
+    });
+
+    res.json({
+      jobs: jobs.rows,
+      total: jobs.count,
+      population: await populationStore.getCounts(req.user.organizationId)
+    });
+  } catch (error) {
+    logger.error('List bulk export jobs error:', error);
+    res.status(500).json({ error: 'Failed to list bulk export jobs' });
+  }
+});
+
+/**
+ * @swagger
+ * /epic/bulk-export/jobs/{id}:
+ *   get:
+ *     summary: Get bulk export job status, counts and errors
+ *     tags: [EPIC]
+ */
+router.get('/bulk-export/jobs/:id', authenticate, async (req, res) => {
+  try {
+    const job = await BulkExportJob.findOne({
+      where: { id: req.params.id, organizationId: req.user.organizationId }
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Bulk export job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    logger.error('Get bulk export job error:', error);
+    res.status(500).json({ error: 'Failed to get bulk export job' });
+  }
+});
+
+/**
+ * @swagger
+ * /epic/bulk-export/jobs/{id}:
+ *   delete:
+ *     summary: Cancel a running bulk export job
+ *     tags: [EPIC]
+ */
+router.delete('/bulk-export/jobs/:id',
+  authenticate,
+  requirePopulationAccess,
+  auditLog('CANCEL_BULK_EXPORT', 'epic_bulk'),
+  async (req, res) => {
+    try {
+      const job = await BulkExportJob.findOne({
+        where: { id: req.params.id, organizationId: req.user.organizationId }
+      });
+
+      if (!job) {
+        return res.status(404).json({ error: 'Bulk export job not found' });
+      }
+
+      const cancelled = await bulkExportService.cancel(job, req.epicService);
+      if (!cancelled) {
+        return res.status(409).json({ error: `Job is already ${job.status}` });
+      }
+
+      res.json({ message: 'Bulk export cancelled', job });
+    } catch (error) {
+      logger.error('Cancel bulk export error:', error);
+      res.status(500).json({ error: 'Failed to cancel bulk export' });
+    }
+  }
+);
+
 /**
  * @swagger
  * /epic/bulk-export/status:
@@ -367,7 +499,7 @@ router.post('/bulk-export',
  */
 router.get('/bulk-export/status',
   authenticate,
-  requireEpicConnection,
+  requirePopulationAccess,
   async (req, res) => {
     try {
       const { statusUrl } = req.query;
@@ -376,10 +508,7 @@ router.get('/bulk-export/status',
         return res.status(400).json({ error: 'statusUrl required' });
       }
 
-      const epicService = new EpicFhirService();
-      epicService.setAccessToken(req.epicAccessToken);
-
-      const status = await epicService.checkBulkExportStatus(statusUrl);
+      const status = await req.epicService.checkBulkExportStatus(statusUrl);
       res.json(status);
     } catch (error) {
       logger.error('Bulk export status error:', error);
@@ -388,6 +517,74 @@ router.get('/bulk-export/status',
   }
 );
 
+/**
+ * @swagger
+ * /epic/population/status:
+ *   get:
+ *     summary: Population store counts and per-resource sync state
+ *     tags: [EPIC]
+ */
+router.get('/population/status', authenticate, async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+
+    const [counts, syncStates, dataAsOf] = await Promise.all([
+      populationStore.getCounts(organizationId),
+      populationSyncService.getStatus(organizationId),
+      populationSyncService.getDataAsOf(organizationId)
+    ]);
+
+    res.json({
+      counts,
+      syncStates,
+      dataAsOf,
+      syncing: populationSyncService.isRunning(organizationId)
+    });
+  } catch (error) {
+    logger.error('Population status error:', error);
+    res.status(500).json({ error: 'Failed to get population status' });
+  }
+});
+
+/**
+ * @swagger
+ * /epic/population/sync:
+ *   post:
+ *     summary: Run an incremental population sync now
+ *     description: Pulls resources changed since each type's watermark (or everything with full=true). Runs in the background.
+ *     tags: [EPIC]
+ */
+router.post('/population/sync',
+  authenticate,
+  requirePopulationAccess,
+  auditLog('SYNC_POPULATION', 'epic_bulk'),
+  async (req, res) => {
+    try {
+      const organization = req.user.Organization;
+      const { resourceTypes, full } = req.body;
+
+      if (resourceTypes && resourceTypes.some(type => !populationStore.isSupported(type))) {
+        return res.status(400).json({
+          error: 'Unsupported resource type',
+          supportedTypes: populationStore.supportedTypes
+        });
+      }
+
+      if (populationSyncService.isRunning(organization.id)) {
+        return res.status(409).json({ error: 'A population sync is already running' });
+      }
+
+      populationSyncService.syncOrganization(organization, req.epicService, { resourceTypes, full: !!full })
+        .catch(error => logger.error('Population sync error:', error));
+
+      res.status(202).json({ message: 'Population sync started' });
+    } catch (error) {
+      logger.error('Start population sync error:', error);
+      res.status(500).json({ error: 'Failed to start population sync' });
+    }
+  }
+);
+
 /**
  * @swagger
  * /epic/search:
@@ -400,8 +597,9 @@ router.post('/search',
   requireEpicConnection,
   async (req, res) => {
     try {
-      const epicService = new EpicFhirService();
-      epicService.setAccessToken(req.epicAccessToken);
+      const epicService = await ehr.forOrganization(req.user.Organization, {
+        accessToken: req.epicAccessToken
+      });
 
       const patients = await epicService.searchPatients(req.body);
       
@@ -426,4 +624,26 @@ router.post('/search',
   }
 );
 
+/**
+ * @swagger
+ * /epic/jwks/{slug}:
+ *   get:
+ *     summary: Public JWK Set for an organization's SMART Backend Services client
+ *     tags: [EPIC]
+ */
+router.get('/jwks/:slug', async (req, res) => {
+  try {
+    const organization = await Organization.findOne({ where: { slug: req.params.slug } });
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    res.json(smartBackendAuth.getPublicJwks(organization));
+  } catch (error) {
+    logger.error('JWKS error:', error);
+    res.status(500).json({ error: 'Failed to load JWK Set' });
+  }
+});
+
 module.exports = router;
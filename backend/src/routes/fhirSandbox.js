@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const sandboxStore = require('../services/fhirSandboxStore');
+const logger = require('../utils/logger');
+
+// Local FHIR R4 server backed by the seeded synthetic dataset.
+// Mounted at /fhir-sandbox when FHIR_SANDBOX_ENABLED=true; point
+// EPIC_FHIR_BASE_URL at /fhir-sandbox/R4 to use it in place of Epic.
+
+const exportJobs = new Map();
+const EXPORT_DELAY_MS = 2000;
+const FHIR_JSON = 'application/fhir+json';
+
+const operationOutcome = (severity, code, diagnostics) => ({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity, code, diagnostics }]
+});
+
+const sendOutcome = (res, status, code, diagnostics) => {
+  res.status(status).type(FHIR_JSON).json(operationOutcome('error', code, diagnostics));
+};
+
+// The app-wide JSON parser doesn't recognise the FHIR media type
+router.use(express.json({ type: ['application/json', FHIR_JSON], limit: '10mb' }));
+
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}/R4`;
+
+// Any bearer token is accepted; the sandbox only checks one is present
+const requireBearer = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return sendOutcome(res, 401, 'login', 'Bearer token required');
+  }
+  next();
+};
+
+// Build a searchset Bundle with self/next/previous paging links
+const toSearchBundle = (req, path, page) => {
+  const baseUrl = getBaseUrl(req);
+  const pageUrl = (offset) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(req.query)) {
+      if (key === '_offset') continue;
+      for (const v of [].concat(value)) params.append(key, v);
+    }
+    params.set('_count', page.count);
+    params.set('_offset', offset);
+    return `${baseUrl}/${path}?${params.toString()}`;
+  };
+
+  const link = [{ relation: 'self', url: pageUrl(page.offset) }];
+  if (page.offset + page.count < page.total) {
+    link.push({ relation: 'next', url: pageUrl(page.offset + page.count) });
+  }
+  if (page.offset > 0) {
+    link.push({ relation: 'previous', url: pageUrl(Math.max(page.offset - page.count, 0)) });
+  }
+
+  return {
+    resourceType: 'Bundle',
+    id: uuidv4(),
+    type: 'searchset',
+    total: page.total,
+    link,
+    entry: page.resources.map(resource => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' }
+    }))
+  };
+};
+
+// ==================== OAUTH ====================
+
+// Issued authorization codes -> PKCE challenge, so the token endpoint can
+// check the verifier like a real server. Codes are single use.
+const pendingCodes = new Map();
+const CODE_TTL_MS = 5 * 60 * 1000;
+
+router.get('/oauth2/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state } = req.query;
+  const { code_challenge: codeChallenge, code_challenge_method: challengeMethod } = req.query;
+
+  if (!redirectUri) {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'redirect_uri required' });
+  }
+  let url;
+  try {
+    url = new URL(redirectUri);
+  } catch (error) {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'redirect_uri must be an absolute URL' });
+  }
+  if (codeChallenge && challengeMethod !== 'S256') {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'code_challenge_method must be S256' });
+  }
+
+  for (const [issued, pending] of pendingCodes) {
+    if (pending.expiresAt < Date.now()) pendingCodes.delete(issued);
+  }
+
+  const code = `sandbox-code-${uuidv4()}`;
+  pendingCodes.set(code, { codeChallenge: codeChallenge || null, expiresAt: Date.now() + CODE_TTL_MS });
+
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+
+  res.redirect(url.toString());
+});
+
+// null when the code and verifier are acceptable, else the OAuth error description
+const checkAuthorizationCode = (code, codeVerifier) => {
+  const pending = pendingCodes.get(code);
+
+  // Codes this process didn't issue (e.g. after a restart) are accepted without PKCE
+  if (!pending) return null;
+  if (pending.used) return 'authorization code already used';
+  if (pending.expiresAt < Date.now()) return 'authorization code expired';
+  pending.used = true;
+  if (!pending.codeChallenge) return null;
+  if (!codeVerifier) return 'code_verifier required';
+
+  const challenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return challenge === pending.codeChallenge ? null : 'code_verifier does not match code_challenge';
+};
+
+router.post('/oauth2/token', (req, res) => {
+  const grantType = req.body.grant_type;
+
+  if (!['authorization_code', 'refresh_token', 'client_credentials'].includes(grantType)) {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  // Backend services: a signed assertion must be present, but is not verified
+  if (grantType === 'client_credentials') {
+    if (!req.body.client_assertion) {
+      return res.status(400).json({ error: 'invalid_client', error_description: 'client_assertion required' });
+    }
+    return res.json({
+      access_token: `sandbox-system-${uuidv4()}`,
+      token_type: 'Bearer',
+      expires_in: 300,
+      scope: req.body.scope || 'system/*.read'
+    });
+  }
+
+  if (grantType === 'authorization_code') {
+    const problem = checkAuthorizationCode(req.body.code, req.body.code_verifier);
+    if (problem) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: problem });
+    }
+  }
+
+  res.json({
+    access_token: `sandbox-${uuidv4()}`,
+    token_type: 'Bearer',
+    expires_in: 3600,
+    scope: req.body.scope || 'openid fhirUser patient/*.read user/*.read launch',
+    refresh_token: req.body.refresh_token || `sandbox-refresh-${uuidv4()}`
+  });
+});
+
+// ==================== FHIR R4 ====================
+
+router.get('/R4/.well-known/smart-configuration', (req, res) => {
+  const oauthBase = `${req.protocol}://${req.get('host')}${req.baseUrl}/oauth2`;
+  res.json({
+    authorization_endpoint: `${oauthBase}/authorize`,
+    token_endpoint: `${oauthBase}/token`,
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'private_key_jwt'],
+    grant_types_supported: ['authorization_code', 'client_credentials'],
+    scopes_supported: ['openid', 'fhirUser', 'launch', 'patient/*.read', 'user/*.read', 'user/*.write', 'system/*.read', 'system/*.write'],
+    code_challenge_methods_supported: ['S256'],
+    capabilities: ['launch-standalone', 'client-confidential-symmetric', 'client-confidential-asymmetric', 'permission-patient', 'permission-user']
+  });
+});
+
+router.get('/R4/metadata', (req, res) => {
+  res.type(FHIR_JSON).json({
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    software: { name: 'CareFlow FHIR Sandbox' },
+    implementation: { description: 'Synthetic data sandbox', url: getBaseUrl(req) },
+    fhirVersion: '4.0.1',
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      resource: sandboxStore.supportedTypes.map(type => ({
+        type,
+        interaction: [{ code: 'read' }, { code: 'search-type' }, { code: 'create' }],
+        ...(type === 'Patient' && { operation: [{ name: 'everything' }, { name: 'export' }] })
+      })),
+      operation: [{ name: 'export' }]
+    }]
+  });
+});
+
+// $export kick-off (system, Patient and Group level)
+const kickOffExport = (req, res) => {
+  if (req.headers.prefer !== 'respond-async') {
+    return sendOutcome(res, 400, 'invalid', 'Prefer: respond-async header required');
+  }
+
+  const requestedTypes = req.query._type
+    ? req.query._type.split(',').map(t => t.trim())
+    : sandboxStore.supportedTypes;
+  const unsupported = requestedTypes.filter(t => !sandboxStore.isSupported(t));
+  if (unsupported.length > 0) {
+    return sendOutcome(res, 400, 'not-supported', `Unsupported _type: ${unsupported.join(', ')}`);
+  }
+  if (req.query._since && Number.isNaN(new Date(req.query._since).getTime())) {
+    return sendOutcome(res, 400, 'invalid', '_since must be an instant');
+  }
+
+  const jobId = uuidv4();
+  exportJobs.set(jobId, {
+    id: jobId,
+    request: `${getBaseUrl(req)}${req.path.replace(/^\/R4/, '')}`,
+    types: requestedTypes,
+    since: req.query._since || null,
+    transactionTime: new Date().toISOString(),
+    readyAt: Date.now() + EXPORT_DELAY_MS
+  });
+
+  res.status(202)
+    .set('Content-Location', `${getBaseUrl(req)}/$export-status/${jobId}`)
+    .end();
+};
+
+router.get('/R4/\\$export', requireBearer, kickOffExport);
+router.get('/R4/Patient/\\$export', requireBearer, kickOffExport);
+router.get('/R4/Group/:groupId/\\$export', requireBearer, kickOffExport);
+
+router.get('/R4/\\$export-status/:jobId', requireBearer, async (req, res) => {
+  try {
+    const job = exportJobs.get(req.params.jobId);
+    if (!job) {
+      return sendOutcome(res, 404, 'not-found', 'Export job not found');
+    }
+
+    if (Date.now() < job.readyAt) {
+      return res.status(202)
+        .set('X-Progress', 'Exporting synthetic data')
+        .set('Retry-After', String(Math.ceil((job.readyAt - Date.now()) / 1000)))
+        .end();
+    }
+
+    const output = [];
+    for (const type of job.types) {
+      const count = await sandboxStore.countForExport(type, job.since);
+      if (count > 0) {
+        output.push({ type, url: `${getBaseUrl(req)}/$export-output/${job.id}/${type}.ndjson`, count });
+      }
+    }
+
+    res.json({
+      transactionTime: job.transactionTime,
+      request: job.request,
+      requiresAccessToken: true,
+      output,
+      error: []
+    });
+  } catch (error) {
+    logger.error('Sandbox export status error:', error);
+    sendOutcome(res, 500, 'exception', 'Failed to build export manifest');
+  }
+});
+
+router.delete('/R4/\\$export-status/:jobId', requireBearer, (req, res) => {
+  if (!exportJobs.delete(req.params.jobId)) {
+    return sendOutcome(res, 404, 'not-found', 'Export job not found');
+  }
+  res.status(202).end();
+});
+
+router.get('/R4/\\$export-output/:jobId/:file', requireBearer, async (req, res) => {
+  try {
+    const job = exportJobs.get(req.params.jobId);
+    const type = req.params.file.replace(/\.ndjson$/, '');
+
+    if (!job || !job.types.includes(type)) {
+      return sendOutcome(res, 404, 'not-found', 'Export file not found');
+    }
+
+    res.type('application/fhir+ndjson');
+    await sandboxStore.forEachForExport(type, job.since, async (resources) => {
+      res.write(resources.map(resource => JSON.stringify(resource)).join('\n') + '\n');
+    });
+    res.end();
+  } catch (error) {
+    logger.error('Sandbox export download error:', error);
+    if (!res.headersSent) {
+      sendOutcome(res, 500, 'exception', 'Failed to stream export file');
+    } else {
+      res.end();
+    }
+  }
+});
+
+router.get('/R4/Patient/:id/\\$everything', requireBearer, async (req, res) => {
+  try {
+    const patient = await sandboxStore.getById('Patient', req.params.id);
+    if (!patient) {
+      return sendOutcome(res, 404, 'not-found', `Patient/${req.params.id} not found`);
+    }
+
+    const page = await sandboxStore.getEverything(req.params.id, req.query);
+    res.type(FHIR_JSON).json(toSearchBundle(req, `Patient/${req.params.id}/$everything`, page));
+  } catch (error) {
+    logger.error('Sandbox $everything error:', error);
+    sendOutcome(res, 500, 'exception', 'Failed to assemble patient record');
+  }
+});
+
+router.get('/R4/:resourceType', requireBearer, async (req, res) => {
+  try {
+    const { resourceType } = req.params;
+    if (!sandboxStore.isSupported(resourceType)) {
+      return sendOutcome(res, 404, 'not-supported', `Resource type ${resourceType} is not supported`);
+    }
+
+    const page = await sandboxStore.search(resourceType, req.query);
+    res.type(FHIR_JSON).json(toSearchBundle(req, resourceType, page));
+  } catch (error) {
+    if (error.status === 400) {
+      return sendOutcome(res, 400, 'invalid', error.message);
+    }
+    logger.error('Sandbox search error:', error);
+    sendOutcome(res, 500, 'exception', 'Search failed');
+  }
+});
+
+router.post('/R4/:resourceType', requireBearer, async (req, res) => {
+  try {
+    const { resourceType } = req.params;
+    if (!sandboxStore.isSupported(resourceType)) {
+      return sendOutcome(res, 404, 'not-supported', `Resource type ${resourceType} is not supported`);
+    }
+    if (req.body?.resourceType !== resourceType) {
+      return sendOutcome(res, 400, 'invalid', `Body must be a ${resourceType} resource`);
+    }
+
+    // The server assigns the id and version on create
+    const resource = {
+      ...req.body,
+      id: uuidv4(),
+      meta: { ...req.body.meta, versionId: '1', lastUpdated: new Date().toISOString() }
+    };
+    await sandboxStore.saveResources([resource]);
+
+    res.status(201)
+      .set('Location', `${getBaseUrl(req)}/${resourceType}/${resource.id}/_history/1`)
+      .type(FHIR_JSON)
+      .json(resource);
+  } catch (error) {
+    logger.error('Sandbox create error:', error);
+    sendOutcome(res, 500, 'exception', 'Create failed');
+  }
+});
+
+router.get('/R4/:resourceType/:id', requireBearer, async (req, res) => {
+  try {
+    const { resourceType, id } = req.params;
+    if (!sandboxStore.isSupported(resourceType)) {
+      return sendOutcome(res, 404, 'not-supported', `Resource type ${resourceType} is not supported`);
+    }
+
+    const resource = await sandboxStore.getById(resourceType, id);
+    if (!resource) {
+      return sendOutcome(res, 404, 'not-found', `${resourceType}/${id} not found`);
+    }
+
+    res.type(FHIR_JSON).json(resource);
+  } catch (error) {
+    logger.error('Sandbox read error:', error);
+    sendOutcome(res, 500, 'exception', 'Read failed');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { authenticate, auditLog } = require('../middleware/auth');
+const { Job } = require('../models');
+const jobQueue = require('../services/jobQueue');
+const logger = require('../utils/logger');
+
+const ADMIN_ROLES = ['super_admin', 'org_admin'];
+
+// Jobs are cancelled or retried by whoever started them, or an org admin
+const canManage = (req, job) => job.createdBy === req.user.id || ADMIN_ROLES.includes(req.user.role);
+
+const findJob = (req) => Job.findOne({
+  where: { id: req.params.id, organizationId: req.organizationId }
+});
+
+/**
+ * @swagger
+ * /jobs:
+ *   get:
+ *     summary: List background jobs
+ *     description: Filters are type, status (comma-separated) and campaignId. Results are left out; fetch a job for its result.
+ *     tags: [Jobs]
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { type, status, campaignId, limit = 20, offset = 0 } = req.query;
+
+    const where = { organizationId: req.organizationId };
+    if (type) where.type = type;
+    if (status) where.status = { [Op.in]: String(status).split(',') };
+    if (campaignId) where.campaignId = campaignId;
+
+    const jobs = await Job.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(limit), 100),
+      offset: parseInt(offset),
+      attributes: { exclude: ['result', 'payload'] }
+    });
+
+    res.json({ jobs: jobs.rows, total: jobs.count });
+  } catch (error) {
+    logger.error('List jobs error:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get a job's status, progress and result
+ *     tags: [Jobs]
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    logger.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   delete:
+ *     summary: Cancel a queued or running job
+ *     description: A queued job is cancelled at once. A running job stops at its next checkpoint; work it already finished (audience rows, drafted or sent outreach) is kept.
+ *     tags: [Jobs]
+ */
+router.delete('/:id',
+  authenticate,
+  auditLog('CANCEL_JOB', 'job'),
+  async (req, res) => {
+    try {
+      const job = await findJob(req);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      if (!canManage(req, job)) {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+
+      const cancelled = await jobQueue.cancel(job);
+      if (!cancelled) {
+        return res.status(409).json({ error: `Job is already ${job.status}` });
+      }
+
+      res.json({ message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested', job });
+    } catch (error) {
+      if (error.status === 503) {
+        return res.status(503).json({ error: error.message });
+      }
+      logger.error('Cancel job error:', error);
+      res.status(500).json({ error: 'Failed to cancel job' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /jobs/{id}/retry:
+ *   post:
+ *     summary: Run a failed or cancelled job again
+ *     tags: [Jobs]
+ */
+router.post('/:id/retry',
+  authenticate,
+  auditLog('RETRY_JOB', 'job'),
+  async (req, res) => {
+    try {
+      const job = await findJob(req);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      if (!canManage(req, job)) {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+
+      await jobQueue.retry(job);
+      res.status(202).json({ job });
+    } catch (error) {
+      if (error.status === 409 || error.status === 503) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Retry job error:', error);
+      res.status(500).json({ error: 'Failed to retry job' });
+    }
+  }
+);
+
+module.exports = router;
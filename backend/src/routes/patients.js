@@ -1,41 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, auditLog } = require('../middleware/auth');
-const EpicFhirService = require('../services/epicFhirService');
+const { requireEpicService } = require('../middleware/ehrConnection');
+const ehr = require('../services/ehr');
 const aiService = require('../services/aiService');
-const { User, CarePlan } = require('../models');
+const conditionNormalizer = require('../services/conditionNormalizer');
+const observationNormalizer = require('../services/observationNormalizer');
+const riskAdjustmentService = require('../services/riskAdjustmentService');
+const comorbidityService = require('../services/comorbidityService');
+const qualityMeasureService = require('../services/qualityMeasureService');
+const eligibilityService = require('../services/eligibilityService');
+const jobQueue = require('../services/jobQueue');
+const { CarePlan } = require('../models');
+const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 
-// Middleware to get EPIC service
-const getEpicService = async (req, res, next) => {
-  try {
-    const user = await User.findByPk(req.user.id);
-    
-    if (!user.epicAccessToken) {
-      return res.status(400).json({ error: 'EPIC connection required' });
-    }
-
-    const epicService = new EpicFhirService();
-    epicService.setAccessToken(user.epicAccessToken);
-    req.epicService = epicService;
-    next();
-  } catch (error) {
-    logger.error('Epic service init error:', error);
-    res.status(500).json({ error: 'Failed to initialize EPIC service' });
-  }
-};
-
 /**
  * @swagger
  * /patients:
  *   get:
  *     summary: List patients with filtering
+ *     description: The condition filter accepts activeOnly, confirmedOnly, conditionCategory, onsetFrom and onsetTo. riskLevel (low, medium or high) keeps patients whose latest stored risk score falls in that band.
  *     tags: [Patients]
  */
-router.get('/', authenticate, getEpicService, async (req, res) => {
+router.get('/', authenticate, requireEpicService, async (req, res) => {
   try {
     const { page = 1, limit = 50, search, condition, riskLevel } = req.query;
-    
+    if (riskLevel && !riskAdjustmentService.riskLevels[riskLevel]) {
+      return res.status(400).json({
+        error: `riskLevel must be one of ${Object.keys(riskAdjustmentService.riskLevels).join(', ')}`
+      });
+    }
+    const filters = conditionNormalizer.parseFilterQuery(req.query);
+
     const params = {
       count: parseInt(limit)
     };
@@ -58,9 +55,9 @@ router.get('/', authenticate, getEpicService, async (req, res) => {
       for (const patient of patients) {
         try {
           const conditions = await req.epicService.getPatientConditions(patient.id);
-          const icd10Codes = req.epicService.extractICD10Codes(conditions);
+          const icd10Codes = req.epicService.extractICD10Codes(conditions, filters);
           const hasCondition = icd10Codes.some(c => 
-            c.code.startsWith(condition) || c.display.toLowerCase().includes(condition.toLowerCase())
+            c.code.startsWith(condition) || c.display?.toLowerCase().includes(condition.toLowerCase())
           );
           if (hasCondition) {
             patient.conditions = icd10Codes;
@@ -73,6 +70,16 @@ router.get('/', authenticate, getEpicService, async (req, res) => {
       patients = filtered;
     }
 
+    // Latest stored risk scores (from scoring runs); unscored patients have none
+    const scores = await riskAdjustmentService.getLatestScores(req.organizationId, patients.map(patient => patient.id));
+    for (const patient of patients) {
+      patient.riskScore = scores.get(patient.id) ?? null;
+      patient.riskLevel = riskAdjustmentService.riskLevel(patient.riskScore);
+    }
+    if (riskLevel) {
+      patients = patients.filter(patient => patient.riskLevel === riskLevel);
+    }
+
     res.json({
       total: patientsBundle.total || patients.length,
       page: parseInt(page),
@@ -80,6 +87,9 @@ router.get('/', authenticate, getEpicService, async (req, res) => {
       patients
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error('List patients error:', error);
     res.status(500).json({ error: 'Failed to list patients' });
   }
@@ -92,22 +102,52 @@ router.get('/', authenticate, getEpicService, async (req, res) => {
  *     summary: Get patient details with analysis
  *     tags: [Patients]
  */
-router.get('/:id', authenticate, getEpicService, auditLog('VIEW_PATIENT', 'patient'), async (req, res) => {
+router.get('/:id', authenticate, requireEpicService, auditLog('VIEW_PATIENT', 'patient'), async (req, res) => {
   try {
     const patientId = req.params.id;
     
-    // Fetch patient and all related data
-    const [patient, conditions, observations, medications, encounters] = await Promise.all([
-      req.epicService.getPatientById(patientId),
+    // Fetch patient and all related data. The patient itself is required; a
+    // failed section is returned empty and reported so the result is marked partial.
+    const patient = await req.epicService.getPatientById(patientId);
+    const sections = await Promise.allSettled([
       req.epicService.getPatientConditions(patientId),
       req.epicService.getPatientObservations(patientId),
       req.epicService.getPatientMedications(patientId),
-      req.epicService.getPatientEncounters(patientId)
+      req.epicService.getPatientEncounters(patientId),
+      req.epicService.getPatientProcedures(patientId)
     ]);
+    const sectionNames = ['conditions', 'observations', 'medications', 'encounters', 'procedures'];
+    const sectionTypes = ['Condition', 'Observation', 'MedicationRequest', 'Encounter', 'Procedure'];
+    const errors = [];
+    const [conditions, observations, medications, encounters, procedures] = sections.map((result, i) => {
+      if (result.status === 'fulfilled') return result.value;
+      errors.push({ section: sectionNames[i], message: result.reason.message });
+      return { total: 0, entry: [] };
+    });
 
     const patientInfo = req.epicService.extractPatientContactInfo(patient);
     const icd10Codes = req.epicService.extractICD10Codes(conditions);
 
+    // Eligibility for each active care plan; sections that failed to load
+    // leave the criteria reading them unverified
+    const carePlans = await CarePlan.findAll({
+      where: {
+        [Op.or]: [{ organizationId: req.organizationId }, { isTemplate: true }],
+        isActive: true
+      },
+      order: [['name', 'ASC']]
+    });
+    const resources = [patient, ...[conditions, observations, medications, encounters, procedures]
+      .flatMap(bundle => (bundle.entry || []).map(entry => entry.resource))];
+    const resourceTypes = sectionTypes.filter((type, i) => sections[i].status === 'fulfilled');
+    const carePlanEligibility = [];
+    for (const carePlan of carePlans) {
+      const cohortMembers = await eligibilityService.getCohortMembers(req.organizationId, carePlan, [patientId]);
+      const { checks, ...eligibility } = eligibilityService.evaluate(carePlan, resources, { resourceTypes, cohortMembers });
+      carePlanEligibility.push({ ...eligibility, isTemplate: carePlan.isTemplate, checks });
+    }
+    carePlanEligibility.sort((a, b) => Number(b.eligible) - Number(a.eligible));
+
     res.json({
       patient: {
         ...patientInfo,
@@ -122,7 +162,9 @@ router.get('/:id', authenticate, getEpicService, auditLog('VIEW_PATIENT', 'patie
           code: e.resource.code?.coding?.[0]?.code,
           display: e.resource.code?.coding?.[0]?.display,
           status: e.resource.clinicalStatus?.coding?.[0]?.code,
-          onset: e.resource.onsetDateTime
+          verificationStatus: e.resource.verificationStatus?.coding?.[0]?.code,
+          onset: e.resource.onsetDateTime,
+          abatement: e.resource.abatementDateTime
         })),
         icd10Codes
       },
@@ -134,7 +176,8 @@ router.get('/:id', authenticate, getEpicService, auditLog('VIEW_PATIENT', 'patie
           value: e.resource.valueQuantity?.value,
           unit: e.resource.valueQuantity?.unit,
           date: e.resource.effectiveDateTime
-        }))
+        })),
+        measures: observationNormalizer.getPatientMeasures(observations)
       },
       medications: {
         total: medications.total,
@@ -153,11 +196,15 @@ router.get('/:id', authenticate, getEpicService, auditLog('VIEW_PATIENT', 'patie
           status: e.resource.status,
           date: e.resource.period?.start
         }))
-      }
+      },
+      comorbidity: comorbidityService.calculateForPatient(patient, conditions),
+      carePlanEligibility,
+      complete: errors.length === 0,
+      errors
     });
   } catch (error) {
     logger.error('Get patient error:', error);
-    res.status(500).json({ error: 'Failed to get patient details' });
+    res.status(error.status === 404 ? 404 : 500).json({ error: 'Failed to get patient details' });
   }
 });
 
@@ -168,7 +215,7 @@ router.get('/:id', authenticate, getEpicService, auditLog('VIEW_PATIENT', 'patie
  *     summary: AI analysis of patient for care plan matching
  *     tags: [Patients]
  */
-router.post('/:id/analyze', authenticate, getEpicService, async (req, res) => {
+router.post('/:id/analyze', authenticate, requireEpicService, async (req, res) => {
   try {
     const patientId = req.params.id;
     
@@ -199,14 +246,13 @@ router.post('/:id/analyze', authenticate, getEpicService, async (req, res) => {
       gender: patient.gender,
       conditions: icd10Codes.map(c => ({
         code: c.code,
-        display: c.display
+        display: c.display,
+        source: c.source,
+        clinicalStatus: c.clinicalStatus,
+        active: c.active
       })),
-      recentObservations: (observations.entry || []).slice(0, 10).map(e => ({
-        type: e.resource.code?.coding?.[0]?.display,
-        value: e.resource.valueQuantity?.value,
-        unit: e.resource.valueQuantity?.unit,
-        date: e.resource.effectiveDateTime
-      }))
+      // Latest value and trend per key measure, in canonical units
+      measures: observationNormalizer.getPatientMeasures(observations)
     };
 
     const availablePlans = carePlans.map(cp => ({
@@ -230,46 +276,137 @@ router.post('/:id/analyze', authenticate, getEpicService, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /patients/{id}/measures:
+ *   get:
+ *     summary: Latest value and trend for key clinical measures
+ *     description: Observations are identified by LOINC code and converted to one canonical unit per measure
+ *     tags: [Patients]
+ */
+router.get('/:id/measures', authenticate, requireEpicService, async (req, res) => {
+  try {
+    const patientId = req.params.id;
+    const maxResults = parseInt(req.query.maxResults) || 500;
+
+    const firstPage = await req.epicService.getPatientObservations(patientId);
+    const { entries, complete } = await req.epicService.getAllPages(firstPage, { maxResults });
+    const readings = observationNormalizer.normalizeAll(entries.map(e => e.resource));
+
+    res.json({
+      patientId,
+      measures: observationNormalizer.summarize(readings),
+      observationsScanned: entries.length,
+      readings: readings.length,
+      complete
+    });
+  } catch (error) {
+    logger.error('Get patient measures error:', error);
+    res.status(500).json({ error: 'Failed to get patient measures' });
+  }
+});
+
+/**
+ * @swagger
+ * /patients/{id}/risk-score:
+ *   post:
+ *     summary: Calculate and store the patient's HCC risk (RAF) score
+ *     description: Scores active ICD-10 coded conditions; the result explains every term. One snapshot is kept per day.
+ *     tags: [Patients]
+ */
+router.post('/:id/risk-score', authenticate, requireEpicService, auditLog('CALCULATE_RISK_SCORE', 'patient'), async (req, res) => {
+  try {
+    const patientId = req.params.id;
+
+    const [patient, firstPage] = await Promise.all([
+      req.epicService.getPatientById(patientId),
+      req.epicService.getPatientConditions(patientId)
+    ]);
+    const { entries, complete } = await req.epicService.getAllPages(firstPage, { maxResults: 1000 });
+
+    const result = riskAdjustmentService.calculateForPatient(patient, entries.map(e => e.resource));
+    await riskAdjustmentService.save(req.organizationId, patientId, result, 'fhir');
+
+    res.json({ patientId, ...result, complete });
+  } catch (error) {
+    logger.error('Calculate risk score error:', error);
+    res.status(500).json({ error: 'Failed to calculate risk score' });
+  }
+});
+
+/**
+ * @swagger
+ * /patients/{id}/risk-score/history:
+ *   get:
+ *     summary: Stored risk scores for the patient, newest first
+ *     tags: [Patients]
+ */
+router.get('/:id/risk-score/history', authenticate, async (req, res) => {
+  try {
+    const history = await riskAdjustmentService.getHistory(req.organizationId, req.params.id, {
+      modelVersion: req.query.modelVersion,
+      limit: parseInt(req.query.limit) || 100
+    });
+
+    res.json({
+      patientId: req.params.id,
+      scores: history.map(record => ({
+        date: record.scoreDate,
+        modelVersion: record.modelVersion,
+        score: record.score,
+        hccs: record.hccs,
+        source: record.source
+      }))
+    });
+  } catch (error) {
+    logger.error('Get risk score history error:', error);
+    res.status(500).json({ error: 'Failed to get risk score history' });
+  }
+});
+
 /**
  * @swagger
  * /patients/{id}/care-gaps:
  *   get:
  *     summary: Identify care gaps for patient
+ *     description: Gaps come from the rule-based quality measure engine; the AI only narrates them. Takes measures (comma-separated ids), asOf and narrate=false to skip the narrative. When resource types could not be read from the EHR, complete is false, incomplete lists them and measures that depend on them are unverified instead of gaps.
  *     tags: [Patients]
  */
-router.get('/:id/care-gaps', authenticate, getEpicService, async (req, res) => {
+router.get('/:id/care-gaps', authenticate, requireEpicService, async (req, res) => {
   try {
     const patientId = req.params.id;
-    
+    const measureIds = req.query.measures ? req.query.measures.split(',').map(id => id.trim()) : undefined;
+    if (req.query.asOf && Number.isNaN(new Date(req.query.asOf).getTime())) {
+      return res.status(400).json({ error: 'asOf must be a date' });
+    }
+    // Fail fast on unknown measure ids before touching the EHR
+    qualityMeasureService.getMeasures(measureIds);
+
     // Fetch comprehensive patient data
     const everything = await req.epicService.getPatientEverything(patientId);
-    
-    // Standard quality measures to check
-    const qualityMeasures = [
-      { id: 'awv', name: 'Annual Wellness Visit', interval: '12 months' },
-      { id: 'colorectal', name: 'Colorectal Cancer Screening', interval: '10 years', minAge: 45 },
-      { id: 'mammogram', name: 'Breast Cancer Screening', interval: '2 years', minAge: 50, gender: 'female' },
-      { id: 'flu', name: 'Flu Vaccination', interval: '12 months' },
-      { id: 'a1c', name: 'HbA1c Test (Diabetics)', interval: '6 months', requiredCondition: 'E11' },
-      { id: 'eye', name: 'Diabetic Eye Exam', interval: '12 months', requiredCondition: 'E11' }
-    ];
-
-    // Use AI to identify gaps
-    const patientData = {
-      resources: everything.entry?.map(e => ({
-        type: e.resource.resourceType,
-        data: e.resource
-      })) || []
-    };
+    const evaluation = qualityMeasureService.evaluatePatient(everything, { measureIds, asOf: req.query.asOf });
+    const measures = observationNormalizer.getPatientMeasures(everything);
 
-    const gapAnalysis = await aiService.identifyCareGaps(patientData, qualityMeasures);
+    // The narrative is optional; the deterministic results stand without it
+    let narrative = null;
+    if (req.query.narrate !== 'false' && evaluation.summary.gap > 0) {
+      try {
+        narrative = await aiService.narrateCareGaps(evaluation, { measures });
+      } catch (error) {
+        logger.warn(`Care gap narrative failed for patient ${patientId}: ${error.message}`);
+      }
+    }
 
     res.json({
+      ...evaluation,
       patientId,
-      qualityMeasures,
-      analysis: gapAnalysis
+      measures,
+      narrative
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error('Care gaps error:', error);
     res.status(500).json({ error: 'Failed to identify care gaps' });
   }
@@ -279,64 +416,44 @@ router.get('/:id/care-gaps', authenticate, getEpicService, async (req, res) => {
  * @swagger
  * /patients/bulk-analyze:
  *   post:
- *     summary: Analyze multiple patients for care plan matching
+ *     summary: Queue a job that analyzes multiple patients for care plan matching
+ *     description: Evaluates the care plan's eligibility criteria for each patient, read from the EHR with your connection. Returns 202 with the job; its result lists eligible or ineligible with the reasons, eligible patients first.
  *     tags: [Patients]
  */
-router.post('/bulk-analyze', authenticate, getEpicService, async (req, res) => {
+router.post('/bulk-analyze', authenticate, requireEpicService, async (req, res) => {
   try {
     const { patientIds, carePlanId } = req.body;
     
-    if (!patientIds || !Array.isArray(patientIds)) {
+    if (!patientIds || !Array.isArray(patientIds) || patientIds.length === 0) {
       return res.status(400).json({ error: 'patientIds array required' });
     }
 
-    const carePlan = carePlanId ? 
-      await CarePlan.findByPk(carePlanId) : 
-      null;
-
-    const results = [];
-    
-    for (const patientId of patientIds.slice(0, 50)) { // Limit to 50
-      try {
-        const [patient, conditions] = await Promise.all([
-          req.epicService.getPatientById(patientId),
-          req.epicService.getPatientConditions(patientId)
-        ]);
-
-        const icd10Codes = req.epicService.extractICD10Codes(conditions);
-        
-        // Simple matching based on ICD-10 codes
-        let matchScore = 0;
-        if (carePlan && carePlan.icd10Codes) {
-          const patientCodes = icd10Codes.map(c => c.code);
-          const matchedCodes = carePlan.icd10Codes.filter(code =>
-            patientCodes.some(pc => pc.startsWith(code.slice(0, 3)))
-          );
-          matchScore = matchedCodes.length / carePlan.icd10Codes.length * 100;
+    const carePlan = carePlanId ?
+      await CarePlan.findOne({
+        where: {
+          id: carePlanId,
+          [Op.or]: [{ organizationId: req.organizationId }, { isTemplate: true }]
         }
-
-        results.push({
-          patientId,
-          name: req.epicService.formatPatientName(patient),
-          conditions: icd10Codes.length,
-          matchScore: Math.round(matchScore),
-          eligible: matchScore > 50
-        });
-      } catch (error) {
-        results.push({
-          patientId,
-          error: 'Failed to analyze'
-        });
-      }
+      }) :
+      null;
+    if (carePlanId && !carePlan) {
+      return res.status(404).json({ error: 'Care plan not found' });
     }
 
-    res.json({
-      analyzed: results.length,
-      results: results.sort((a, b) => (b.matchScore || 0) - (a.matchScore || 0))
+    const job = await jobQueue.enqueue('patients.bulk-analyze', {
+      patientIds: [...new Set(patientIds.map(String))],
+      carePlanId: carePlan?.id || null
+    }, {
+      organizationId: req.organizationId,
+      createdBy: req.user.id
     });
+    res.status(202).json({ job });
   } catch (error) {
+    if (error.status === 503) {
+      return res.status(503).json({ error: error.message });
+    }
     logger.error('Bulk analyze error:', error);
-    res.status(500).json({ error: 'Bulk analysis failed' });
+    res.status(500).json({ error: 'Failed to queue bulk analysis' });
   }
 });
 
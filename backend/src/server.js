@@ -9,6 +9,11 @@ const swaggerJsdoc = require('swagger-jsdoc');
 
 const { sequelize } = require('./models');
 const logger = require('./utils/logger');
+const fieldEncryption = require('./utils/fieldEncryption');
+const bulkExportService = require('./services/bulkExportService');
+const jobQueue = require('./services/jobQueue');
+const { startScheduler } = require('./jobs/scheduler');
+const { registerJobHandlers } = require('./jobs/handlers');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -17,8 +22,12 @@ const patientRoutes = require('./routes/patients');
 const analyticsRoutes = require('./routes/analytics');
 const carePlanRoutes = require('./routes/carePlans');
 const campaignRoutes = require('./routes/campaigns');
+const careGapRoutes = require('./routes/careGaps');
+const cohortRoutes = require('./routes/cohorts');
+const jobRoutes = require('./routes/jobs');
 const adminRoutes = require('./routes/admin');
 const aiRoutes = require('./routes/ai');
+const fhirSandboxRoutes = require('./routes/fhirSandbox');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -95,9 +104,17 @@ app.use('/api/patients', patientRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/care-plans', carePlanRoutes);
 app.use('/api/campaigns', campaignRoutes);
+app.use('/api/care-gaps', careGapRoutes);
+app.use('/api/cohorts', cohortRoutes);
+app.use('/api/jobs', jobRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/ai', aiRoutes);
 
+// Local FHIR sandbox (offline development and demos)
+if (process.env.FHIR_SANDBOX_ENABLED === 'true') {
+  app.use('/fhir-sandbox', fhirSandboxRoutes);
+}
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
@@ -125,6 +142,9 @@ app.use((err, req, res, next) => {
 // Database connection and server start
 async function startServer() {
   try {
+    // Refuse to store secrets in plaintext in production
+    fieldEncryption.checkConfiguration();
+
     // Test database connection
     await sequelize.authenticate();
     logger.info('Database connection established successfully');
@@ -134,6 +154,18 @@ async function startServer() {
       await sequelize.sync({ alter: true });
       logger.info('Database models synchronized');
     }
+
+    await bulkExportService.recoverInterruptedJobs();
+    startScheduler();
+
+    // Campaign, bulk analysis and bulk export jobs; run a worker here unless separate
+    // worker processes (npm run worker) take them
+    registerJobHandlers();
+    if (!jobQueue.isConfigured()) {
+      logger.warn('REDIS_URL not set: campaign targeting, content generation, sending and bulk analysis are unavailable');
+    } else if (process.env.JOB_WORKER_ENABLED !== 'false') {
+      await jobQueue.startWorker();
+    }
     
     // Start server
     app.listen(PORT, () => {
@@ -157,6 +157,7 @@ Respond with JSON only:
     const systemPrompt = `You are a healthcare analytics AI assistant specializing in patient care plan matching.
 Analyze patient data and recommend appropriate care plans based on:
 - Current diagnoses (ICD-10 codes)
+- Key clinical measures (latest value, unit and trend)
 - Risk factors
 - Demographics
 - Care gaps
@@ -241,7 +242,8 @@ Generate the content:`;
   async performRiskStratification(patientPopulation) {
     const systemPrompt = `You are a population health analytics expert.
 Analyze patient populations to identify high-risk individuals who would benefit from targeted interventions.
-Consider chronic conditions, utilization patterns, and social determinants.`;
+Consider chronic conditions, key clinical measures and their trends, utilization patterns, and social determinants.
+Each patient's rafScore is a deterministic CMS-HCC risk score (1.0 is an average beneficiary); use it to anchor the tiers.`;
 
     const prompt = `
 Analyze this patient population for risk stratification:
@@ -296,28 +298,32 @@ Respond in structured JSON format.`;
   }
 
   // Care gap identification
-  async identifyCareGaps(patientData, qualityMeasures) {
+  // Explain care gaps found by the quality measure engine. The engine's
+  // statuses are final; the model only narrates and suggests interventions.
+  async narrateCareGaps(evaluation, patientContext = {}) {
     const systemPrompt = `You are a healthcare quality improvement specialist.
-Identify care gaps by comparing patient data against evidence-based quality measures.
-Focus on preventive care, chronic disease management, and screening compliance.`;
+A rule-based quality measure engine has already decided which measures are met, which are gaps and which are excluded.
+Do not add, remove or re-classify measures; explain the results you are given and recommend how to close each gap.
+Results with status "unverified" could not be decided because some records failed to load; do not present them as gaps.
+Use the normalized measures (latest value, date and trend) only as context for urgency.`;
 
     const prompt = `
-Identify care gaps for this patient:
+Care gap results for this patient (age ${evaluation.age ?? 'unknown'}, sex ${evaluation.sex || 'unknown'}, as of ${evaluation.asOf}):
+${JSON.stringify(evaluation.results.filter(result => result.status !== 'not-applicable'), null, 2)}
 
-Patient Data:
-${JSON.stringify(patientData, null, 2)}
+Patient context:
+${JSON.stringify(patientContext, null, 2)}
 
-Quality Measures to Check:
-${JSON.stringify(qualityMeasures, null, 2)}
-
-For each gap identified, provide:
-1. Gap description
-2. Associated quality measure
+For each result with status "gap", provide:
+1. measureId (as given)
+2. A short explanation of the gap, citing the lastPerformed and dueDate given
 3. Clinical urgency
 4. Recommended intervention
 5. Expected impact
 
-Respond in JSON format.`;
+Also give a one-paragraph summary covering the met and excluded measures.
+
+Respond in JSON format: { "summary": "...", "gaps": [ ... ] }`;
 
     return this.getDualAnalysis(prompt, systemPrompt, { selectBest: true });
   }
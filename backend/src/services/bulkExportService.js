@@ -0,0 +1,396 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { BulkExportJob } = require('../models');
+const smartBackendAuth = require('./smartBackendAuth');
+const jobQueue = require('./jobQueue');
+const populationStore = require('./populationStore');
+const populationSyncService = require('./populationSyncService');
+const logger = require('../utils/logger');
+
+const EXPORT_DIR = process.env.BULK_EXPORT_DIR || path.join(os.tmpdir(), 'careflow-bulk-export');
+const DEFAULT_POLL_SECONDS = 10;
+const MAX_POLL_SECONDS = 300;
+const MAX_POLL_FAILURES = 5;
+const EXPORT_TIMEOUT_MS = (Number(process.env.BULK_EXPORT_TIMEOUT_HOURS) || 6) * 60 * 60 * 1000;
+const IMPORT_BATCH_SIZE = 500;
+// Keep the job row bounded when a file is full of bad lines
+const MAX_RECORDED_ERRORS = 100;
+// A running export touches heartbeatAt this often; one that hasn't for
+// STALE_MS has no process working on it
+const HEARTBEAT_MS = 30 * 1000;
+const STALE_MS = 10 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['pending', 'exporting', 'downloading', 'importing'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class BulkExportCancelledError extends Error {}
+
+// Managed FHIR bulk $export: kick-off, status polling, NDJSON download and
+// ingestion into the population store. Exports run on the job queue
+// (population.bulk-export), so a restart resumes them from the status URL;
+// without Redis they run in the background of the API process. Progress is
+// recorded on BulkExportJob.
+class BulkExportService {
+  isActive(job) {
+    return ACTIVE_STATUSES.includes(job.status);
+  }
+
+  // Long exports outlive a single system token, so fetch a fresh client for
+  // each request when SMART Backend Services is configured; otherwise
+  // `getUserService` supplies the initiating user's connection
+  getServiceProvider(organization, getUserService) {
+    if (smartBackendAuth.isConfigured(organization)) {
+      return () => smartBackendAuth.getSystemEpicService(organization);
+    }
+    return getUserService;
+  }
+
+  async startExport(organization, epicService, options = {}) {
+    const resourceTypes = options.resourceTypes || populationStore.supportedTypes;
+    const unsupported = resourceTypes.filter(type => !populationStore.isSupported(type));
+    if (unsupported.length > 0) {
+      const error = new Error(`Unsupported resource types: ${unsupported.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const { statusUrl } = await epicService.initiateBulkExport(resourceTypes, {
+      since: options.since,
+      groupId: options.groupId || organization.settings?.bulkExportGroupId
+    });
+
+    const job = await BulkExportJob.create({
+      organizationId: organization.id,
+      initiatedBy: options.initiatedBy,
+      status: 'exporting',
+      resourceTypes,
+      since: options.since || null,
+      statusUrl,
+      startedAt: new Date(),
+      heartbeatAt: new Date()
+    });
+
+    if (jobQueue.isConfigured()) {
+      try {
+        const queued = await jobQueue.enqueue('population.bulk-export', { bulkExportJobId: job.id }, {
+          organizationId: organization.id,
+          createdBy: options.initiatedBy
+        });
+        await job.update({ queueJobId: queued.id });
+      } catch (error) {
+        await this.fail(job, `Could not queue export: ${error.message}`);
+        throw error;
+      }
+      return job;
+    }
+
+    const getEpicService = this.getServiceProvider(organization, async () => epicService);
+    this.run(job, getEpicService).catch(error => {
+      logger.error(`Bulk export job ${job.id} crashed:`, error);
+    });
+
+    return job;
+  }
+
+  // Status changes only apply while the job is active, so a cancellation
+  // that lands mid-run isn't overwritten; the run stops instead
+  async transition(job, changes) {
+    const [count] = await BulkExportJob.update(changes, {
+      where: { id: job.id, status: { [Op.in]: ACTIVE_STATUSES } }
+    });
+    if (count === 0) {
+      throw new BulkExportCancelledError();
+    }
+    await job.reload();
+  }
+
+  async fail(job, errorMessage) {
+    await BulkExportJob.update(
+      { status: 'failed', errorMessage, completedAt: new Date() },
+      { where: { id: job.id, status: { [Op.in]: ACTIVE_STATUSES } } }
+    );
+  }
+
+  async run(job, getEpicService) {
+    const heartbeat = setInterval(() => {
+      BulkExportJob.update({ heartbeatAt: new Date() }, { where: { id: job.id } }).catch(() => {});
+    }, HEARTBEAT_MS);
+
+    try {
+      // A resumed job loads every file again (rows are upserted), so its
+      // counts start over
+      if (job.manifest) {
+        await job.update({ resourceCounts: {}, exportErrors: [] });
+      }
+
+      const manifest = await this.pollUntilComplete(job, getEpicService);
+      await this.transition(job, {
+        status: 'downloading',
+        progress: null,
+        manifest,
+        transactionTime: manifest.transactionTime || null
+      });
+
+      await this.recordServerErrors(job, manifest, getEpicService);
+
+      // A bad file is recorded on the job; the remaining files still load
+      for (const output of manifest.output) {
+        await this.checkCancelled(job);
+        try {
+          await this.processOutputFile(job, output, manifest.requiresAccessToken, getEpicService);
+        } catch (error) {
+          if (error instanceof BulkExportCancelledError) throw error;
+          logger.error(`Bulk export job ${job.id} failed to load ${output.url}:`, error.message);
+          await this.addErrors(job, [{ type: output.type, url: output.url, message: error.message }]);
+        }
+      }
+
+      // Fully loaded types become the starting point for incremental sync
+      await this.checkCancelled(job);
+      if (manifest.transactionTime) {
+        const failedTypes = new Set((job.exportErrors || []).map(error => error.type));
+        const loadedTypes = job.resourceTypes.filter(type =>
+          !failedTypes.has(type) && !job.resourceCounts[type]?.failed
+        );
+        await populationSyncService.recordSnapshot(job.organizationId, loadedTypes, new Date(manifest.transactionTime));
+      }
+
+      await this.transition(job, { status: 'completed', completedAt: new Date() });
+      logger.info(`Bulk export job ${job.id} completed`, { resourceCounts: job.resourceCounts });
+    } catch (error) {
+      if (error instanceof BulkExportCancelledError) {
+        logger.info(`Bulk export job ${job.id} stopped: no longer active`);
+        return;
+      }
+
+      logger.error(`Bulk export job ${job.id} failed:`, error.message);
+      await this.fail(job, error.message);
+      await job.reload();
+    } finally {
+      clearInterval(heartbeat);
+      await fs.promises.rm(path.join(EXPORT_DIR, job.id), { recursive: true, force: true });
+    }
+  }
+
+  // Poll the status URL, honouring Retry-After, until the manifest is ready
+  async pollUntilComplete(job, getEpicService) {
+    const deadline = new Date(job.startedAt || Date.now()).getTime() + EXPORT_TIMEOUT_MS;
+    let failures = 0;
+
+    while (Date.now() < deadline) {
+      await this.checkCancelled(job);
+
+      let status;
+      try {
+        const epicService = await getEpicService();
+        status = await epicService.checkBulkExportStatus(job.statusUrl);
+        failures = 0;
+      } catch (error) {
+        // The HTTP client already retried; keep polling through longer outages
+        failures += 1;
+        if (!error.retryable || failures >= MAX_POLL_FAILURES) {
+          throw error;
+        }
+        await sleep(this.getPollDelay(null, failures));
+        continue;
+      }
+
+      if (status.status === 'complete') {
+        return status;
+      }
+
+      if (status.progress !== job.progress) {
+        await job.update({ progress: status.progress || null });
+      }
+      await sleep(this.getPollDelay(status.retryAfter));
+    }
+
+    throw new Error('Bulk export did not complete before the timeout');
+  }
+
+  getPollDelay(retryAfterSeconds, failures = 0) {
+    const seconds = retryAfterSeconds || DEFAULT_POLL_SECONDS * Math.pow(2, failures);
+    return Math.min(Math.max(seconds, 1), MAX_POLL_SECONDS) * 1000;
+  }
+
+  // Read from the database, since the job may be cancelled through another process
+  async checkCancelled(job) {
+    const current = await BulkExportJob.findByPk(job.id, { attributes: ['id', 'status'] });
+    if (!current || !this.isActive(current)) {
+      throw new BulkExportCancelledError();
+    }
+  }
+
+  async processOutputFile(job, output, requiresAccessToken, getEpicService) {
+    const { type, url } = output;
+
+    if (!populationStore.isSupported(type)) {
+      await this.addErrors(job, [{ type, url, message: `Skipped unsupported resource type ${type}` }]);
+      return;
+    }
+
+    const filePath = await this.downloadFile(job, output, requiresAccessToken, getEpicService);
+
+    await this.transition(job, { status: 'importing', progress: `Importing ${type}` });
+    const result = await this.importFile(job, type, filePath);
+    await fs.promises.rm(filePath, { force: true });
+
+    const previous = job.resourceCounts[type] || { exported: 0, imported: 0, failed: 0 };
+    await this.transition(job, {
+      status: 'downloading',
+      progress: null,
+      resourceCounts: {
+        ...job.resourceCounts,
+        [type]: {
+          exported: previous.exported + (output.count ?? result.lines),
+          imported: previous.imported + result.imported,
+          failed: previous.failed + result.failed
+        }
+      }
+    });
+  }
+
+  async downloadFile(job, output, requiresAccessToken, getEpicService) {
+    const jobDir = path.join(EXPORT_DIR, job.id);
+    await fs.promises.mkdir(jobDir, { recursive: true });
+
+    const filePath = path.join(jobDir, `${output.type}-${uuidv4()}.ndjson`);
+
+    const epicService = await getEpicService();
+    const stream = await epicService.downloadBulkExportFile(output.url, requiresAccessToken);
+    await pipeline(stream, fs.createWriteStream(filePath));
+
+    return filePath;
+  }
+
+  // Parse NDJSON line by line and upsert in batches
+  async importFile(job, type, filePath) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    let batch = [];
+    const result = { lines: 0, imported: 0, failed: 0 };
+    const errors = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      result.imported += await populationStore.saveResources(job.organizationId, type, batch, {
+        exportJobId: job.id
+      });
+      batch = [];
+    };
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      result.lines += 1;
+
+      try {
+        batch.push(JSON.parse(line));
+      } catch (error) {
+        result.failed += 1;
+        errors.push({ type, line: result.lines, message: `Invalid JSON: ${error.message}` });
+        continue;
+      }
+
+      if (batch.length >= IMPORT_BATCH_SIZE) {
+        await flush();
+        await this.checkCancelled(job);
+      }
+    }
+    await flush();
+
+    if (errors.length > 0) {
+      await this.addErrors(job, errors);
+    }
+
+    return result;
+  }
+
+  // The manifest's `error` files hold OperationOutcomes for resources the
+  // server could not export
+  async recordServerErrors(job, manifest, getEpicService) {
+    for (const errorFile of manifest.error || []) {
+      try {
+        const filePath = await this.downloadFile(job, errorFile, manifest.requiresAccessToken, getEpicService);
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        await fs.promises.rm(filePath, { force: true });
+
+        const issues = content.split('\n')
+          .filter(line => line.trim())
+          .flatMap(line => JSON.parse(line).issue || [])
+          .map(issue => ({
+            type: 'OperationOutcome',
+            severity: issue.severity,
+            code: issue.code,
+            message: issue.diagnostics || issue.details?.text || 'Export error'
+          }));
+
+        await this.addErrors(job, issues);
+      } catch (error) {
+        await this.addErrors(job, [{ type: 'OperationOutcome', url: errorFile.url, message: error.message }]);
+      }
+    }
+  }
+
+  async addErrors(job, errors) {
+    const combined = [...(job.exportErrors || []), ...errors].slice(0, MAX_RECORDED_ERRORS);
+    await job.update({ exportErrors: combined });
+  }
+
+  // The running export notices at its next step. Returns false (with the
+  // job reloaded) when it had already finished.
+  async cancel(job, epicService) {
+    const wasExporting = job.status === 'exporting';
+    const [count] = await BulkExportJob.update(
+      { status: 'cancelled', completedAt: new Date() },
+      { where: { id: job.id, status: { [Op.in]: ACTIVE_STATUSES } } }
+    );
+    await job.reload();
+    if (count === 0) {
+      return false;
+    }
+
+    if (wasExporting && job.statusUrl) {
+      try {
+        await epicService.cancelBulkExport(job.statusUrl);
+      } catch (error) {
+        logger.warn(`Could not cancel export on the FHIR server for job ${job.id}: ${error.message}`);
+      }
+    }
+    return true;
+  }
+
+  // Fail active jobs that no process is working on: their heartbeat stopped
+  // (the process running them died) and the job queue didn't resume them.
+  // Jobs other processes are running keep a fresh heartbeat and are left alone.
+  async recoverInterruptedJobs() {
+    const staleBefore = new Date(Date.now() - STALE_MS);
+    const [count] = await BulkExportJob.update(
+      { status: 'failed', errorMessage: 'Interrupted: no process is running the export', completedAt: new Date() },
+      {
+        where: {
+          status: { [Op.in]: ACTIVE_STATUSES },
+          [Op.or]: [
+            { heartbeatAt: { [Op.lt]: staleBefore } },
+            { heartbeatAt: null, updatedAt: { [Op.lt]: staleBefore } }
+          ]
+        }
+      }
+    );
+
+    if (count > 0) {
+      logger.warn(`Marked ${count} interrupted bulk export job(s) as failed`);
+    }
+    return count;
+  }
+}
+
+module.exports = new BulkExportService();
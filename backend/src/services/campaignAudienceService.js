@@ -0,0 +1,298 @@
+const { Op } = require('sequelize');
+const { sequelize, CampaignAudience } = require('../models');
+const populationStore = require('./populationStore');
+const { extractPatientContactInfo } = require('../utils/patientContact');
+
+const AUDIENCE_STATUSES = ['included', 'excluded', 'removed'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const WRITE_BATCH_SIZE = 500;
+// Patient ids listed per diff bucket in a targeting result
+const MAX_DIFF_IDS = 100;
+const NO_CONTACT_REASON = 'No email or mailing address on record';
+const DROPPED_REASON = 'No longer matched by targeting';
+
+const UPSERT_FIELDS = [
+  'status', 'source', 'name', 'email', 'phone', 'address', 'inclusionReasons',
+  'exclusionReasons', 'needsReview', 'lastTargetedRun', 'updatedAt'
+];
+
+const contactFields = (contact = {}) => ({
+  name: contact.name || null,
+  email: contact.email || null,
+  phone: contact.phone || null,
+  address: contact.address || null
+});
+
+// A campaign's audience as stored membership rows. Targeting runs and care
+// gap exports hand over their candidates with contact details and reasons;
+// each run is diffed against the audience it replaces. Manual additions and
+// removals outlive later runs.
+class CampaignAudienceService {
+  get statuses() {
+    return AUDIENCE_STATUSES;
+  }
+
+  // Candidate for applyTargeting from a stored or fetched Patient resource.
+  // Patients without an email or mailing address are excluded.
+  toCandidate(patient, inclusionReasons = [], exclusionReasons = [], extra = {}) {
+    const contact = extractPatientContactInfo(patient);
+    const reasons = [...exclusionReasons];
+    if (!contact.email && !contact.address) reasons.push(NO_CONTACT_REASON);
+    return { patientId: patient.id, contact, inclusionReasons, exclusionReasons: reasons, ...extra };
+  }
+
+  // Store a targeting run's candidates ([{ patientId, contact, inclusionReasons,
+  // exclusionReasons, needsReview }]) and return the diff against the last run
+  async applyTargeting(campaign, candidates, options = {}) {
+    const run = (campaign.targetingRun || 0) + 1;
+    const source = options.source || 'targeting';
+    const existing = new Map((await CampaignAudience.findAll({ where: { campaignId: campaign.id } }))
+      .map(row => [row.patientId, row]));
+
+    const diff = { added: [], dropped: [], unchanged: 0, keptRemoved: 0, keptManual: 0 };
+    const rows = [];
+    const seen = new Set();
+
+    for (const candidate of candidates) {
+      seen.add(candidate.patientId);
+      const previous = existing.get(candidate.patientId);
+      const excluded = candidate.exclusionReasons.length > 0;
+      let status = excluded ? 'excluded' : 'included';
+
+      if (previous?.status === 'removed') {
+        status = 'removed';
+        diff.keptRemoved++;
+      } else if (previous?.source === 'manual' && previous.status === 'included') {
+        status = 'included';
+        diff.keptManual++;
+      } else if (status === 'included' && previous?.status !== 'included') {
+        diff.added.push(candidate.patientId);
+      } else if (status === 'excluded' && previous?.status === 'included') {
+        diff.dropped.push(candidate.patientId);
+      } else {
+        diff.unchanged++;
+      }
+
+      rows.push({
+        campaignId: campaign.id,
+        patientId: candidate.patientId,
+        status,
+        source: previous?.source === 'manual' ? 'manual' : source,
+        ...contactFields(candidate.contact),
+        inclusionReasons: candidate.inclusionReasons,
+        exclusionReasons: candidate.exclusionReasons,
+        needsReview: !!candidate.needsReview,
+        firstTargetedRun: previous?.firstTargetedRun || run,
+        lastTargetedRun: run
+      });
+    }
+
+    // Patients the run no longer finds leave the audience, unless added by hand
+    const dropped = [...existing.values()].filter(row =>
+      !seen.has(row.patientId) && row.status === 'included' && row.source !== 'manual');
+    for (const row of dropped) diff.dropped.push(row.patientId);
+
+    for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+      await CampaignAudience.bulkCreate(rows.slice(i, i + WRITE_BATCH_SIZE), {
+        conflictAttributes: ['campaignId', 'patientId'],
+        updateOnDuplicate: UPSERT_FIELDS
+      });
+    }
+    if (dropped.length > 0) {
+      await CampaignAudience.update({
+        status: 'excluded',
+        exclusionReasons: [DROPPED_REASON]
+      }, {
+        where: { id: { [Op.in]: dropped.map(row => row.id) } }
+      });
+    }
+
+    const counts = await this.getCounts(campaign.id);
+    const summary = {
+      run,
+      previousRun: campaign.targetingRun || null,
+      source,
+      ranAt: new Date().toISOString(),
+      candidates: candidates.length,
+      ...counts,
+      diff: {
+        added: diff.added.length,
+        dropped: diff.dropped.length,
+        unchanged: diff.unchanged,
+        keptRemoved: diff.keptRemoved,
+        keptManual: diff.keptManual
+      },
+      ...options.details
+    };
+
+    await campaign.update({
+      targetingRun: run,
+      lastTargetedAt: new Date(),
+      targetingSummary: summary,
+      patientCount: counts.included
+    });
+
+    return {
+      ...summary,
+      diff: {
+        ...summary.diff,
+        addedPatientIds: diff.added.slice(0, MAX_DIFF_IDS),
+        droppedPatientIds: diff.dropped.slice(0, MAX_DIFF_IDS)
+      }
+    };
+  }
+
+  async getCounts(campaignId) {
+    const rows = await CampaignAudience.findAll({
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: { campaignId },
+      group: ['status'],
+      raw: true
+    });
+    const counts = Object.fromEntries(AUDIENCE_STATUSES.map(status => [status, 0]));
+    for (const row of rows) counts[row.status] = parseInt(row.count);
+    return counts;
+  }
+
+  // Page of audience members; filters are status (default included, or all),
+  // search (name or email) and needsReview
+  async list(campaign, query = {}) {
+    const status = query.status || 'included';
+    if (status !== 'all' && !AUDIENCE_STATUSES.includes(status)) {
+      const error = new Error(`status must be one of ${AUDIENCE_STATUSES.join(', ')} or all`);
+      error.status = 400;
+      throw error;
+    }
+
+    const limit = Math.min(parseInt(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const where = { campaignId: campaign.id };
+    if (status !== 'all') where.status = status;
+    if (query.needsReview === 'true') where.needsReview = true;
+    if (query.search) {
+      where[Op.or] = [
+        { name: { [Op.iLike]: `%${query.search}%` } },
+        { email: { [Op.iLike]: `%${query.search}%` } }
+      ];
+    }
+
+    const { count, rows } = await CampaignAudience.findAndCountAll({
+      where,
+      order: [['name', 'ASC'], ['patientId', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      total: count,
+      page,
+      limit,
+      pages: Math.ceil(count / limit),
+      patients: rows,
+      counts: await this.getCounts(campaign.id)
+    };
+  }
+
+  // Patient ids of included members, in name order
+  async getIncludedPatientIds(campaignId, options = {}) {
+    const rows = await CampaignAudience.findAll({
+      attributes: ['patientId'],
+      where: { campaignId, status: 'included' },
+      order: [['name', 'ASC'], ['patientId', 'ASC']],
+      limit: options.limit,
+      raw: true
+    });
+    return rows.map(row => row.patientId);
+  }
+
+  // Included members the campaign has no outreach for yet: the default for
+  // content generation, and new eligibles on a recurring campaign's later runs
+  async getUncontactedPatientIds(campaignId) {
+    const rows = await CampaignAudience.findAll({
+      attributes: ['patientId'],
+      where: {
+        campaignId,
+        status: 'included',
+        patientId: {
+          [Op.notIn]: sequelize.literal(
+            `(SELECT patient_fhir_id FROM outreach_history WHERE campaign_id = ${sequelize.escape(campaignId)} AND patient_fhir_id IS NOT NULL)`
+          )
+        }
+      },
+      order: [['name', 'ASC'], ['patientId', 'ASC']],
+      raw: true
+    });
+    return rows.map(row => row.patientId);
+  }
+
+  // Add patients by hand. Contact details come from the synced population;
+  // `fetchPatient(patientId)` reads any patient not stored there.
+  async addPatients(campaign, patientIds, options = {}) {
+    const ids = [...new Set(patientIds)];
+    const stored = await populationStore.getPatientResources(campaign.organizationId, ids, ['Patient']);
+    const reason = options.reason ? `Added manually: ${options.reason}` : 'Added manually';
+
+    const rows = [];
+    const notFound = [];
+    for (const patientId of ids) {
+      let patient = stored[patientId]?.[0];
+      if (!patient && options.fetchPatient) {
+        patient = await options.fetchPatient(patientId).catch(() => null);
+      }
+      if (!patient) {
+        notFound.push(patientId);
+        continue;
+      }
+
+      rows.push({
+        campaignId: campaign.id,
+        patientId,
+        status: 'included',
+        source: 'manual',
+        ...contactFields(extractPatientContactInfo(patient)),
+        inclusionReasons: [reason],
+        exclusionReasons: [],
+        needsReview: false,
+        addedBy: options.userId || null,
+        removedBy: null,
+        removedAt: null,
+        removalReason: null
+      });
+    }
+
+    if (rows.length > 0) {
+      await CampaignAudience.bulkCreate(rows, {
+        conflictAttributes: ['campaignId', 'patientId'],
+        updateOnDuplicate: [...UPSERT_FIELDS, 'addedBy', 'removedBy', 'removedAt', 'removalReason']
+      });
+    }
+    const counts = await this.syncPatientCount(campaign);
+    return { added: rows.length, notFound, counts };
+  }
+
+  async removePatients(campaign, patientIds, options = {}) {
+    const [removed] = await CampaignAudience.update({
+      status: 'removed',
+      removedBy: options.userId || null,
+      removedAt: new Date(),
+      removalReason: options.reason || null
+    }, {
+      where: {
+        campaignId: campaign.id,
+        patientId: { [Op.in]: patientIds },
+        status: { [Op.ne]: 'removed' }
+      }
+    });
+    const counts = await this.syncPatientCount(campaign);
+    return { removed, counts };
+  }
+
+  async syncPatientCount(campaign) {
+    const counts = await this.getCounts(campaign.id);
+    await campaign.update({ patientCount: counts.included });
+    return counts;
+  }
+}
+
+module.exports = new CampaignAudienceService();
@@ -0,0 +1,263 @@
+const { Op } = require('sequelize');
+const { sequelize, Campaign } = require('../models');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_INTERVAL = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Campaigns that can't be scheduled again
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be a date`);
+  }
+  return date;
+};
+
+// Same day of the month, clamped to the month's last day (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return result;
+};
+
+// Scheduled campaign runs. A due campaign moves from scheduled to in progress
+// and gets a campaign.scheduled-run job: re-target, draft content for
+// audience members not yet contacted, send. Recurring campaigns then move
+// scheduledAt to the next occurrence, counted from the first run so monthly
+// runs don't drift.
+class CampaignScheduleService {
+  get frequencies() {
+    return FREQUENCIES;
+  }
+
+  // A campaign has a schedule when a run is still to come
+  hasSchedule(campaign) {
+    if (!campaign.scheduledAt) return false;
+    if (campaign.status === 'in_progress') return !!campaign.recurrence;
+    return ['scheduled', 'paused'].includes(campaign.status);
+  }
+
+  // Validate { scheduledAt, recurrence } from a request. `recurrence` may be
+  // null to drop it; an omitted field keeps the campaign's current value.
+  parseSchedule(campaign, body, now = new Date()) {
+    const scheduledAt = body.scheduledAt !== undefined
+      ? parseDate(body.scheduledAt, 'scheduledAt')
+      : campaign.scheduledAt;
+    if (!scheduledAt) {
+      throw badRequest('scheduledAt is required');
+    }
+    if (body.scheduledAt !== undefined && scheduledAt <= now) {
+      throw badRequest('scheduledAt must be in the future');
+    }
+
+    let recurrence = campaign.recurrence || null;
+    if (body.recurrence === null) {
+      recurrence = null;
+    } else if (body.recurrence !== undefined) {
+      recurrence = this.parseRecurrence(body.recurrence, scheduledAt);
+    } else if (recurrence && body.scheduledAt !== undefined) {
+      // A moved first run moves the whole series
+      recurrence = { ...recurrence, startsAt: scheduledAt.toISOString() };
+    }
+
+    return { scheduledAt, recurrence };
+  }
+
+  parseRecurrence(value, scheduledAt) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw badRequest('recurrence must be an object');
+    }
+    if (!FREQUENCIES.includes(value.frequency)) {
+      throw badRequest(`recurrence.frequency must be one of ${FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = value.interval === undefined ? 1 : Number(value.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+      throw badRequest(`recurrence.interval must be a whole number from 1 to ${MAX_INTERVAL}`);
+    }
+
+    let endsAt = null;
+    if (value.endsAt) {
+      endsAt = parseDate(value.endsAt, 'recurrence.endsAt');
+      if (endsAt <= scheduledAt) {
+        throw badRequest('recurrence.endsAt must be after scheduledAt');
+      }
+    }
+
+    return {
+      frequency: value.frequency,
+      interval,
+      startsAt: scheduledAt.toISOString(),
+      endsAt: endsAt ? endsAt.toISOString() : null
+    };
+  }
+
+  // The k-th run after the first
+  occurrence(recurrence, k) {
+    const startsAt = new Date(recurrence.startsAt);
+    if (recurrence.frequency === 'monthly') {
+      return addMonths(startsAt, k * recurrence.interval);
+    }
+    const days = recurrence.frequency === 'weekly' ? 7 : 1;
+    return new Date(startsAt.getTime() + k * recurrence.interval * days * DAY_MS);
+  }
+
+  // First run after `after`, or null once the series has ended. Runs missed
+  // while the scheduler was down are skipped, not caught up.
+  nextOccurrence(recurrence, after) {
+    const startsAt = new Date(recurrence.startsAt);
+    let k = 1;
+    if (recurrence.frequency !== 'monthly') {
+      const periodMs = recurrence.interval * (recurrence.frequency === 'weekly' ? 7 : 1) * DAY_MS;
+      k = Math.max(1, Math.floor((after - startsAt) / periodMs));
+    }
+    while (this.occurrence(recurrence, k) <= after) k++;
+
+    const next = this.occurrence(recurrence, k);
+    if (recurrence.endsAt && next > new Date(recurrence.endsAt)) return null;
+    return next;
+  }
+
+  assertQueueAvailable() {
+    if (!jobQueue.isConfigured()) {
+      const error = new Error('Job queue unavailable: REDIS_URL is not set');
+      error.status = 503;
+      throw error;
+    }
+  }
+
+  // A recurring campaign that has run stays in progress between runs
+  statusFor(campaign, recurrence) {
+    return campaign.status === 'in_progress' && recurrence ? 'in_progress' : 'scheduled';
+  }
+
+  async schedule(campaign, body, userId) {
+    if (CLOSED_STATUSES.includes(campaign.status)) {
+      throw conflict(`A ${campaign.status} campaign can't be scheduled`);
+    }
+    if (this.hasSchedule(campaign)) {
+      throw conflict('Campaign is already scheduled; reschedule it instead');
+    }
+    this.assertQueueAvailable();
+
+    const { scheduledAt, recurrence } = this.parseSchedule(campaign, {
+      scheduledAt: body.scheduledAt,
+      recurrence: body.recurrence || null
+    });
+    return campaign.update({
+      status: this.statusFor(campaign, recurrence),
+      scheduledAt,
+      recurrence,
+      scheduledBy: userId
+    });
+  }
+
+  async reschedule(campaign, body, userId) {
+    if (!this.hasSchedule(campaign)) {
+      throw conflict('Campaign is not scheduled');
+    }
+    if (body.scheduledAt === undefined && body.recurrence === undefined) {
+      throw badRequest('Provide scheduledAt, recurrence or both');
+    }
+    this.assertQueueAvailable();
+
+    const { scheduledAt, recurrence } = this.parseSchedule(campaign, body);
+    return campaign.update({
+      status: this.statusFor(campaign, recurrence),
+      scheduledAt,
+      recurrence,
+      scheduledBy: userId
+    });
+  }
+
+  // Drop the schedule. A campaign that never ran goes back to draft.
+  async unschedule(campaign) {
+    if (!this.hasSchedule(campaign)) {
+      throw conflict('Campaign is not scheduled');
+    }
+
+    const changes = { scheduledAt: null, recurrence: null, scheduledBy: null };
+    if (campaign.status === 'scheduled') {
+      changes.status = campaign.lastRunAt ? 'in_progress' : 'draft';
+    }
+    return campaign.update(changes);
+  }
+
+  // Start every campaign whose run is due. Each campaign is claimed with a
+  // conditional update first, so several API processes never start the same
+  // run; if the job can't be queued the claim is undone and the next tick
+  // tries again (a recurring run also waits this way for the previous one).
+  async runDueCampaigns(now = new Date()) {
+    const due = await Campaign.findAll({
+      where: {
+        scheduledAt: { [Op.lte]: now },
+        [Op.or]: [
+          { status: 'scheduled' },
+          { status: 'in_progress', recurrence: { [Op.ne]: null } }
+        ]
+      },
+      order: [['scheduledAt', 'ASC']]
+    });
+
+    const started = [];
+    for (const campaign of due) {
+      const previous = {
+        status: campaign.status,
+        scheduledAt: campaign.scheduledAt,
+        runCount: campaign.runCount,
+        lastRunAt: campaign.lastRunAt
+      };
+      const nextRunAt = campaign.recurrence ? this.nextOccurrence(campaign.recurrence, now) : null;
+
+      const [claimed] = await Campaign.update({
+        status: 'in_progress',
+        scheduledAt: nextRunAt,
+        runCount: sequelize.literal('run_count + 1'),
+        lastRunAt: now
+      }, {
+        where: { id: campaign.id, status: previous.status, scheduledAt: previous.scheduledAt }
+      });
+      if (!claimed) continue;
+
+      try {
+        const job = await jobQueue.enqueue('campaign.scheduled-run', {
+          run: previous.runCount + 1,
+          scheduledFor: previous.scheduledAt.toISOString()
+        }, {
+          organizationId: campaign.organizationId,
+          campaignId: campaign.id,
+          createdBy: campaign.scheduledBy || campaign.createdBy,
+          unique: true
+        });
+        await Campaign.update({ lastRunJobId: job.id }, { where: { id: campaign.id } });
+        started.push({ campaignId: campaign.id, jobId: job.id, nextRunAt });
+      } catch (error) {
+        await Campaign.update(previous, { where: { id: campaign.id } });
+        logger.warn(`Scheduled run of campaign ${campaign.id} not started: ${error.message}`);
+      }
+    }
+
+    return { due: due.length, started };
+  }
+}
+
+module.exports = new CampaignScheduleService();
@@ -0,0 +1,399 @@
+const { Op } = require('sequelize');
+const { CareGap, MeasureCompliance, PopulationPatient } = require('../models');
+const qualityMeasureService = require('./qualityMeasureService');
+const campaignAudienceService = require('./campaignAudienceService');
+const populationStore = require('./populationStore');
+const logger = require('../utils/logger');
+
+const GAP_STATUSES = ['open', 'closed', 'all'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+// Patients one campaign export may target
+const MAX_EXPORT_PATIENTS = 5000;
+// Campaigns that can still take a new audience
+const EXPORTABLE_CAMPAIGN_STATUSES = ['draft', 'scheduled', 'paused'];
+// Stored Patient resources loaded at once when building an exported audience
+const EXPORT_BATCH_SIZE = 500;
+
+const toList = (value) => [].concat(value || []).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+const today = () => new Date().toISOString().slice(0, 10);
+const sameEvidence = (a = [], b = []) => a.length === b.length && a.every((item, i) => item === b[i]);
+
+// Stores the quality measure engine's population results as care gaps: a
+// batch run opens gaps for patients out of compliance, refreshes the ones
+// still open and closes those that resolved, then snapshots each measure's
+// compliance rate. Worklists and campaign audiences read from the stored gaps.
+class CareGapService {
+  constructor() {
+    this.running = new Set();
+  }
+
+  get statuses() {
+    return GAP_STATUSES;
+  }
+
+  isRunning(organizationId) {
+    return this.running.has(organizationId);
+  }
+
+  async evaluateOrganization(organizationId, options = {}) {
+    if (this.running.has(organizationId)) {
+      return { skipped: true, reason: 'Care gap evaluation already running' };
+    }
+
+    const startedAt = new Date();
+    const counts = { opened: 0, refreshed: 0, closed: 0 };
+
+    this.running.add(organizationId);
+    try {
+      const result = await qualityMeasureService.evaluatePopulation(organizationId, {
+        asOf: options.asOf,
+        onBatch: async (evaluations) => {
+          const batch = await this.applyBatch(organizationId, evaluations, startedAt);
+          counts.opened += batch.opened;
+          counts.refreshed += batch.refreshed;
+          counts.closed += batch.closed;
+        }
+      });
+
+      counts.removed = await this.closeUnevaluated(organizationId, startedAt);
+      await this.saveCompliance(organizationId, result);
+
+      logger.info(`Care gap evaluation finished for organization ${organizationId}`, { patients: result.patients, ...counts });
+      return {
+        skipped: false,
+        definitionsVersion: result.definitionsVersion,
+        asOf: result.asOf,
+        patients: result.patients,
+        ...counts,
+        measures: result.measures
+      };
+    } finally {
+      this.running.delete(organizationId);
+    }
+  }
+
+  // Reconcile one batch of patient evaluations with their open gaps
+  async applyBatch(organizationId, evaluations, evaluatedAt) {
+    const open = await CareGap.findAll({
+      where: {
+        organizationId,
+        status: 'open',
+        patientId: { [Op.in]: evaluations.map(item => item.patientId) }
+      }
+    });
+    const openByKey = new Map(open.map(gap => [`${gap.patientId}|${gap.measureId}`, gap]));
+
+    const counts = { opened: 0, refreshed: 0, closed: 0 };
+    const created = [];
+    const unchanged = [];
+
+    for (const { patientId, evaluation } of evaluations) {
+      for (const result of evaluation.results) {
+        const gap = openByKey.get(`${patientId}|${result.id}`);
+        const details = {
+          definitionsVersion: evaluation.definitionsVersion,
+          reason: result.reason,
+          lastPerformed: result.lastPerformed,
+          dueDate: result.dueDate,
+          evidence: result.evidence.map(item => item.reference)
+        };
+
+        if (result.status === 'gap' && !gap) {
+          created.push({ organizationId, patientId, measureId: result.id, status: 'open', openedAt: evaluatedAt, lastEvaluatedAt: evaluatedAt, ...details });
+        } else if (result.status === 'gap') {
+          const changed = gap.reason !== details.reason ||
+            gap.lastPerformed !== details.lastPerformed ||
+            gap.dueDate !== details.dueDate ||
+            !sameEvidence(gap.evidence, details.evidence);
+          if (changed) {
+            await gap.update({ ...details, lastEvaluatedAt: evaluatedAt });
+          } else {
+            unchanged.push(gap.id);
+          }
+          counts.refreshed++;
+        } else if (gap) {
+          await gap.update({
+            ...details,
+            status: 'closed',
+            resolution: result.status,
+            closedAt: evaluatedAt,
+            lastEvaluatedAt: evaluatedAt
+          });
+          counts.closed++;
+        }
+      }
+    }
+
+    if (unchanged.length > 0) {
+      await CareGap.update({ lastEvaluatedAt: evaluatedAt }, { where: { id: { [Op.in]: unchanged } } });
+    }
+    if (created.length > 0) {
+      await CareGap.bulkCreate(created);
+      counts.opened = created.length;
+    }
+
+    return counts;
+  }
+
+  // Open gaps the run didn't reach belong to patients no longer in the
+  // synced population or to measures that were removed
+  async closeUnevaluated(organizationId, startedAt) {
+    const [closed] = await CareGap.update({
+      status: 'closed',
+      resolution: 'removed',
+      closedAt: new Date()
+    }, {
+      where: {
+        organizationId,
+        status: 'open',
+        [Op.or]: [
+          { lastEvaluatedAt: null },
+          { lastEvaluatedAt: { [Op.lt]: startedAt } }
+        ]
+      }
+    });
+    return closed;
+  }
+
+  async saveCompliance(organizationId, result) {
+    for (const measure of result.measures) {
+      await MeasureCompliance.upsert({
+        organizationId,
+        measureId: measure.id,
+        definitionsVersion: result.definitionsVersion,
+        snapshotDate: result.asOf,
+        denominator: measure.denominator,
+        exclusions: measure.exclusions,
+        numerator: measure.numerator,
+        gaps: measure.gaps,
+        rate: measure.rate
+      }, {
+        conflictFields: ['organization_id', 'measure_id', 'snapshot_date'],
+        // Keep the original row id when re-run on the same day
+        fields: ['definitionsVersion', 'denominator', 'exclusions', 'numerator', 'gaps', 'rate', 'updatedAt']
+      });
+    }
+  }
+
+  // Worklist filters from query-string parameters: measure (one or a list),
+  // status (open, closed or all), patientId, overdue, dueBefore, openedFrom, openedTo
+  parseFilters(query = {}) {
+    const status = query.status || 'open';
+    if (!GAP_STATUSES.includes(status)) {
+      const error = new Error(`status must be one of ${GAP_STATUSES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const measureIds = toList(query.measure);
+    if (measureIds.length > 0) {
+      qualityMeasureService.getMeasures(measureIds);
+    }
+
+    for (const param of ['dueBefore', 'openedFrom', 'openedTo']) {
+      if (query[param] && Number.isNaN(new Date(query[param]).getTime())) {
+        const error = new Error(`${param} must be a date`);
+        error.status = 400;
+        throw error;
+      }
+    }
+
+    return {
+      measureIds,
+      status,
+      patientId: query.patientId || null,
+      overdue: query.overdue === true || query.overdue === 'true',
+      dueBefore: query.dueBefore || null,
+      openedFrom: query.openedFrom || null,
+      openedTo: query.openedTo || null
+    };
+  }
+
+  buildWhere(organizationId, filters) {
+    const where = { organizationId };
+    if (filters.status !== 'all') where.status = filters.status;
+    if (filters.measureIds?.length) where.measureId = { [Op.in]: filters.measureIds };
+    if (filters.patientId) where.patientId = filters.patientId;
+
+    // A gap with no due date has never been met, so it is overdue too
+    const due = [];
+    if (filters.overdue) due.push({ [Op.or]: [{ dueDate: null }, { dueDate: { [Op.lt]: today() } }] });
+    if (filters.dueBefore) due.push({ dueDate: { [Op.lt]: filters.dueBefore } });
+    if (due.length > 0) where[Op.and] = due;
+
+    if (filters.openedFrom || filters.openedTo) {
+      where.openedAt = {
+        ...(filters.openedFrom && { [Op.gte]: new Date(filters.openedFrom) }),
+        ...(filters.openedTo && { [Op.lte]: new Date(filters.openedTo) })
+      };
+    }
+    return where;
+  }
+
+  // Paged worklist of gaps with the patient details from the synced population
+  async getWorklist(organizationId, filters, options = {}) {
+    const limit = Math.min(parseInt(options.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(options.page) || 1, 1);
+
+    const { count, rows } = await CareGap.findAndCountAll({
+      where: this.buildWhere(organizationId, filters),
+      order: [['dueDate', 'ASC NULLS FIRST'], ['openedAt', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const patients = await PopulationPatient.findAll({
+      attributes: ['fhirId', 'givenName', 'familyName', 'birthDate', 'gender', 'email', 'phone'],
+      where: { organizationId, fhirId: { [Op.in]: [...new Set(rows.map(gap => gap.patientId))] } },
+      raw: true
+    });
+    const patientsById = new Map(patients.map(patient => [patient.fhirId, patient]));
+    const measureNames = new Map(qualityMeasureService.getMeasures().map(measure => [measure.id, measure.name]));
+
+    return {
+      total: count,
+      page,
+      limit,
+      gaps: rows.map(gap => {
+        const patient = patientsById.get(gap.patientId);
+        return {
+          ...gap.toJSON(),
+          measureName: measureNames.get(gap.measureId) || null,
+          patient: patient ? {
+            name: [patient.givenName, patient.familyName].filter(Boolean).join(' ') || null,
+            birthDate: patient.birthDate,
+            gender: patient.gender,
+            email: patient.email,
+            phone: patient.phone
+          } : null
+        };
+      })
+    };
+  }
+
+  // Latest compliance snapshot per measure with the change since the
+  // previous one, plus the live count of open gaps
+  async getCompliance(organizationId) {
+    const dates = await MeasureCompliance.findAll({
+      attributes: ['snapshotDate'],
+      where: { organizationId },
+      group: ['snapshot_date'],
+      order: [['snapshotDate', 'DESC']],
+      limit: 2,
+      raw: true
+    });
+    if (dates.length === 0) {
+      return { snapshotDate: null, previousSnapshotDate: null, measures: [] };
+    }
+
+    const [latestDate, previousDate] = dates.map(row => row.snapshotDate);
+    const [snapshots, openCounts] = await Promise.all([
+      MeasureCompliance.findAll({
+        where: { organizationId, snapshotDate: { [Op.in]: dates.map(row => row.snapshotDate) } }
+      }),
+      CareGap.count({ where: { organizationId, status: 'open' }, group: ['measureId'] })
+    ]);
+    const openByMeasure = new Map(openCounts.map(row => [row.measureId, parseInt(row.count)]));
+    const measureNames = new Map(qualityMeasureService.getMeasures().map(measure => [measure.id, measure.name]));
+
+    const latest = snapshots.filter(row => row.snapshotDate === latestDate);
+    return {
+      snapshotDate: latestDate,
+      previousSnapshotDate: previousDate || null,
+      measures: latest.map(row => {
+        const previous = snapshots.find(other => other.snapshotDate === previousDate && other.measureId === row.measureId);
+        return {
+          measureId: row.measureId,
+          name: measureNames.get(row.measureId) || row.measureId,
+          definitionsVersion: row.definitionsVersion,
+          denominator: row.denominator,
+          exclusions: row.exclusions,
+          numerator: row.numerator,
+          gaps: row.gaps,
+          rate: row.rate,
+          previousRate: previous ? previous.rate : null,
+          change: previous && row.rate !== null && previous.rate !== null
+            ? Math.round((row.rate - previous.rate) * 10) / 10
+            : null,
+          openGaps: openByMeasure.get(row.measureId) || 0
+        };
+      })
+    };
+  }
+
+  async getComplianceHistory(organizationId, measureId, options = {}) {
+    qualityMeasureService.getMeasures([measureId]);
+    return MeasureCompliance.findAll({
+      where: { organizationId, measureId },
+      order: [['snapshotDate', 'DESC']],
+      limit: options.limit || 90
+    });
+  }
+
+  // Patients with gaps matching the filters become the campaign's audience
+  async exportToCampaign(campaign, filters, options = {}) {
+    // A scheduled run re-exports after moving the campaign to in progress
+    const scheduledRun = options.scheduledRun && campaign.status === 'in_progress';
+    if (!EXPORTABLE_CAMPAIGN_STATUSES.includes(campaign.status) && !scheduledRun) {
+      const error = new Error(`A ${campaign.status} campaign can't take a new audience`);
+      error.status = 409;
+      throw error;
+    }
+
+    const rows = await CareGap.findAll({
+      attributes: ['patientId'],
+      where: this.buildWhere(campaign.organizationId, filters),
+      group: ['patient_id'],
+      order: [['patientId', 'ASC']],
+      limit: MAX_EXPORT_PATIENTS + 1,
+      raw: true
+    });
+    const truncated = rows.length > MAX_EXPORT_PATIENTS;
+    const patientIds = rows.slice(0, MAX_EXPORT_PATIENTS).map(row => row.patientId);
+
+    // Each patient qualifies through the gaps the worklist filters matched
+    const gaps = patientIds.length === 0 ? [] : await CareGap.findAll({
+      attributes: ['patientId', 'measureId'],
+      where: { ...this.buildWhere(campaign.organizationId, filters), patientId: { [Op.in]: patientIds } },
+      raw: true
+    });
+    const measureNames = new Map(qualityMeasureService.getMeasures().map(measure => [measure.id, measure.name]));
+    const reasonsByPatient = new Map();
+    for (const gap of gaps) {
+      const reasons = reasonsByPatient.get(gap.patientId) || [];
+      reasons.push(`Open care gap: ${measureNames.get(gap.measureId) || gap.measureId}`);
+      reasonsByPatient.set(gap.patientId, reasons);
+    }
+
+    const candidates = [];
+    for (let i = 0; i < patientIds.length; i += EXPORT_BATCH_SIZE) {
+      const batch = patientIds.slice(i, i + EXPORT_BATCH_SIZE);
+      const resources = await populationStore.getPatientResources(campaign.organizationId, batch, ['Patient']);
+      for (const patientId of batch) {
+        const patient = resources[patientId]?.[0];
+        if (!patient) continue;
+        candidates.push(campaignAudienceService.toCandidate(patient, reasonsByPatient.get(patientId) || []));
+      }
+    }
+
+    // The audience now lives in campaign_audiences, not in targetCriteria
+    const targetCriteria = { ...campaign.targetCriteria };
+    delete targetCriteria.patientIds;
+    await campaign.update({
+      targetCriteria: {
+        ...targetCriteria,
+        source: 'care-gaps',
+        careGaps: { filters, exportedAt: new Date().toISOString() }
+      }
+    });
+    const result = await campaignAudienceService.applyTargeting(campaign, candidates, {
+      source: 'care-gaps',
+      details: { truncated }
+    });
+
+    return { campaignId: campaign.id, patients: patientIds.length, ...result };
+  }
+}
+
+module.exports = new CareGapService();
@@ -0,0 +1,540 @@
+const { Op } = require('sequelize');
+const { sequelize, Cohort, CohortVersion, Campaign, CarePlan } = require('../models');
+const conditionNormalizer = require('./conditionNormalizer');
+const observationNormalizer = require('./observationNormalizer');
+const riskAdjustmentService = require('./riskAdjustmentService');
+const CohortDefinitionError = require('../utils/cohortDefinitionError');
+
+const GROUPS = ['all', 'any', 'not'];
+const OPERATORS = { '<': '<', '<=': '<=', '>': '>', '>=': '>=', '=': '=' };
+const SEXES = ['male', 'female', 'other', 'unknown'];
+const LAB_READINGS = ['latest', 'any'];
+const DURATION_UNITS = ['years', 'months', 'days'];
+const EXCLUDED_OBSERVATION_STATUSES = ['entered-in-error', 'cancelled'];
+const EXCLUDED_ENCOUNTER_STATUSES = ['entered-in-error', 'cancelled'];
+const MAX_DEPTH = 10;
+const MAX_NODES = 100;
+const DEFAULT_SAMPLE_SIZE = 10;
+const MAX_SAMPLE_SIZE = 50;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+// Own keys only, so names like constructor or toString are never valid
+const isKeyOf = (object, key) => typeof key === 'string' && Object.hasOwn(object, key);
+const toDateOnly = (date) => date.toISOString().slice(0, 10);
+
+// Shift a date back by a { years, months, days } window
+const windowStart = (asOf, within) => {
+  const result = new Date(asOf);
+  result.setUTCFullYear(result.getUTCFullYear() - (within.years || 0));
+  result.setUTCMonth(result.getUTCMonth() - (within.months || 0));
+  result.setUTCDate(result.getUTCDate() - (within.days || 0));
+  return result;
+};
+
+// Per criterion type: `validate(node, problem)` reports each problem through
+// `problem(field, message)`; `compile(node, ctx)` returns a boolean SQL
+// expression over the patient row `p`, binding values through ctx.bind
+const CRITERIA = {
+  condition: {
+    validate(node, problem) {
+      if (!Array.isArray(node.codes) || node.codes.length === 0) {
+        problem('codes', 'must be a non-empty list of ICD-10 codes or prefixes');
+      } else if (node.codes.some(code => typeof code !== 'string' || !/^[A-Za-z][0-9A-Za-z.]{1,7}$/.test(code))) {
+        problem('codes', 'must contain only ICD-10 codes or prefixes such as E11 or E11.65');
+      }
+      for (const flag of ['activeOnly', 'confirmedOnly']) {
+        if (node[flag] !== undefined && typeof node[flag] !== 'boolean') problem(flag, 'must be true or false');
+      }
+      validateWithin(node, problem);
+    },
+    compile(node, ctx) {
+      const codes = node.codes.map(code => ctx.bind(`${code.toUpperCase()}%`));
+      const clauses = [
+        `(${codes.map(code => `c.code LIKE ${code}`).join(' OR ')})`,
+        `(c.verification_status IS NULL OR c.verification_status NOT IN (${ctx.bind(conditionNormalizer.invalidVerificationStatuses)}))`
+      ];
+      if (node.activeOnly !== false) {
+        clauses.push(`(c.clinical_status IN (${ctx.bind(conditionNormalizer.activeClinicalStatuses)}) OR ` +
+          `(c.clinical_status IS NULL AND (c.abatement_date IS NULL OR c.abatement_date > ${ctx.bind(ctx.asOf)})))`);
+      }
+      if (node.confirmedOnly) {
+        clauses.push(`c.verification_status = 'confirmed'`);
+      }
+      if (node.within) {
+        clauses.push(`c.onset_date >= ${ctx.bind(windowStart(ctx.asOf, node.within))}`);
+      }
+      return `EXISTS (SELECT 1 FROM population_conditions c
+        WHERE c.organization_id = p.organization_id AND c.patient_id = p.fhir_id AND ${clauses.join(' AND ')})`;
+    }
+  },
+
+  age: {
+    validate(node, problem) {
+      if (node.min === undefined && node.max === undefined) problem('min', 'min or max is required');
+      if (node.min !== undefined && !isCount(node.min)) problem('min', 'must be a whole number of years');
+      if (node.max !== undefined && !isCount(node.max)) problem('max', 'must be a whole number of years');
+      if (isCount(node.min) && isCount(node.max) && node.min > node.max) problem('max', 'must not be less than min');
+    },
+    // Ages become birth date bounds; patients without a birth date never match
+    compile(node, ctx) {
+      const clauses = [];
+      if (node.min !== undefined) {
+        clauses.push(`p.birth_date <= ${ctx.bind(toDateOnly(windowStart(ctx.asOf, { years: node.min })))}`);
+      }
+      if (node.max !== undefined) {
+        clauses.push(`p.birth_date > ${ctx.bind(toDateOnly(windowStart(ctx.asOf, { years: node.max + 1 })))}`);
+      }
+      return clauses.join(' AND ');
+    }
+  },
+
+  sex: {
+    validate(node, problem) {
+      if (!SEXES.includes(node.value)) problem('value', `must be one of ${SEXES.join(', ')}`);
+    },
+    compile(node, ctx) {
+      return `p.gender = ${ctx.bind(node.value)}`;
+    }
+  },
+
+  lab: {
+    validate(node, problem) {
+      if (!observationNormalizer.getMeasure(node.measure)) {
+        problem('measure', `must be one of ${observationNormalizer.measures.map(measure => measure.key).join(', ')}`);
+      }
+      if (!isKeyOf(OPERATORS, node.operator)) problem('operator', `must be one of ${Object.keys(OPERATORS).join(' ')}`);
+      if (!isNumber(node.value)) problem('value', 'must be a number');
+      if (node.reading !== undefined && !LAB_READINGS.includes(node.reading)) {
+        problem('reading', `must be one of ${LAB_READINGS.join(', ')}`);
+      }
+      validateWithin(node, problem);
+    },
+    // Values are compared in the measure's canonical unit. 'latest' tests the
+    // most recent reading (in the window), 'any' any reading in the window.
+    compile(node, ctx) {
+      const measure = ctx.bind(node.measure);
+      const value = `(o.measures->>${measure})::float`;
+      const clauses = [
+        'o.organization_id = p.organization_id',
+        'o.patient_id = p.fhir_id',
+        `o.measures->>${measure} IS NOT NULL`,
+        `(o.status IS NULL OR o.status NOT IN (${ctx.bind(EXCLUDED_OBSERVATION_STATUSES)}))`
+      ];
+      if (node.within) {
+        clauses.push(`o.effective_date >= ${ctx.bind(windowStart(ctx.asOf, node.within))}`);
+      }
+      const comparison = `${OPERATORS[node.operator]} ${ctx.bind(node.value)}`;
+
+      if (node.reading === 'any') {
+        return `EXISTS (SELECT 1 FROM population_observations o WHERE ${clauses.join(' AND ')} AND ${value} ${comparison})`;
+      }
+      return `(SELECT ${value} FROM population_observations o WHERE ${clauses.join(' AND ')}
+        ORDER BY o.effective_date DESC NULLS LAST LIMIT 1) ${comparison}`;
+    }
+  },
+
+  encounters: {
+    validate(node, problem) {
+      if (node.min !== undefined && !isCount(node.min)) problem('min', 'must be a whole number');
+      if (node.max !== undefined && !isCount(node.max)) problem('max', 'must be a whole number');
+      if (isCount(node.max) && node.max < (isCount(node.min) ? node.min : 1)) problem('max', 'must not be less than min');
+      for (const field of ['classCodes', 'typeCodes']) {
+        const codes = node[field];
+        if (codes !== undefined && (!Array.isArray(codes) || codes.length === 0 || codes.some(code => typeof code !== 'string'))) {
+          problem(field, 'must be a non-empty list of codes');
+        }
+      }
+      validateWithin(node, problem);
+    },
+    compile(node, ctx) {
+      const clauses = [
+        'e.organization_id = p.organization_id',
+        'e.patient_id = p.fhir_id',
+        `(e.status IS NULL OR e.status NOT IN (${ctx.bind(EXCLUDED_ENCOUNTER_STATUSES)}))`
+      ];
+      if (node.within) clauses.push(`e.period_start >= ${ctx.bind(windowStart(ctx.asOf, node.within))}`);
+      if (node.classCodes) clauses.push(`e.class_code IN (${ctx.bind(node.classCodes)})`);
+      if (node.typeCodes) clauses.push(`e.type_code IN (${ctx.bind(node.typeCodes)})`);
+
+      const count = `(SELECT COUNT(*) FROM population_encounters e WHERE ${clauses.join(' AND ')})`;
+      const min = node.min === undefined ? 1 : node.min;
+      return node.max === undefined
+        ? `${count} >= ${ctx.bind(min)}`
+        : `${count} BETWEEN ${ctx.bind(min)} AND ${ctx.bind(node.max)}`;
+    }
+  },
+
+  medication: {
+    validate(node, problem) {
+      if (!Array.isArray(node.codes) || node.codes.length === 0 || node.codes.some(code => typeof code !== 'string' || !code.trim())) {
+        problem('codes', 'must be a non-empty list of RxNorm codes');
+      }
+      if (node.activeOnly !== undefined && typeof node.activeOnly !== 'boolean') problem('activeOnly', 'must be true or false');
+    },
+    compile(node, ctx) {
+      const clauses = [
+        'm.organization_id = p.organization_id',
+        'm.patient_id = p.fhir_id',
+        `m.code IN (${ctx.bind(node.codes.map(code => code.trim()))})`
+      ];
+      if (node.activeOnly !== false) clauses.push(`m.status = 'active'`);
+      return `EXISTS (SELECT 1 FROM population_medications m WHERE ${clauses.join(' AND ')})`;
+    }
+  },
+
+  riskScore: {
+    validate(node, problem) {
+      if (node.level !== undefined) {
+        if (!isKeyOf(riskAdjustmentService.riskLevels, node.level)) {
+          problem('level', `must be one of ${Object.keys(riskAdjustmentService.riskLevels).join(', ')}`);
+        }
+        if (node.min !== undefined || node.max !== undefined) problem('level', 'cannot be combined with min or max');
+        return;
+      }
+      if (node.min === undefined && node.max === undefined) problem('min', 'min, max or level is required');
+      if (node.min !== undefined && !isNumber(node.min)) problem('min', 'must be a number');
+      if (node.max !== undefined && !isNumber(node.max)) problem('max', 'must be a number');
+    },
+    // Latest stored score under the current model; min and max are inclusive,
+    // a level uses riskAdjustmentService's bands (max exclusive)
+    compile(node, ctx) {
+      const score = `(SELECT r.score FROM risk_scores r
+        WHERE r.organization_id = p.organization_id AND r.patient_id = p.fhir_id
+          AND r.model_version = ${ctx.bind(riskAdjustmentService.modelVersion)}
+        ORDER BY r.score_date DESC LIMIT 1)`;
+      const clauses = [];
+      if (node.level) {
+        const { min, max } = riskAdjustmentService.riskLevels[node.level];
+        if (min !== undefined) clauses.push(`${score} >= ${ctx.bind(min)}`);
+        if (max !== undefined) clauses.push(`${score} < ${ctx.bind(max)}`);
+      } else {
+        if (node.min !== undefined) clauses.push(`${score} >= ${ctx.bind(node.min)}`);
+        if (node.max !== undefined) clauses.push(`${score} <= ${ctx.bind(node.max)}`);
+      }
+      return clauses.join(' AND ');
+    }
+  },
+
+  zip: {
+    validate(node, problem) {
+      if (!Array.isArray(node.values) || node.values.length === 0 ||
+          node.values.some(value => typeof value !== 'string' || !/^\d{1,5}$/.test(value.trim()))) {
+        problem('values', 'must be a non-empty list of ZIP codes or ZIP prefixes');
+      }
+    },
+    compile(node, ctx) {
+      return `(${node.values.map(value => `p.postal_code LIKE ${ctx.bind(`${value.trim()}%`)}`).join(' OR ')})`;
+    }
+  }
+};
+
+function validateWithin(node, problem) {
+  if (node.within === undefined) return;
+  const units = isPlainObject(node.within) ? Object.keys(node.within) : [];
+  if (units.length === 0 || units.some(unit => !DURATION_UNITS.includes(unit) || !isCount(node.within[unit]))) {
+    problem('within', 'must be a window such as { "months": 12 } using years, months or days');
+  }
+}
+
+// Cohort definitions are trees of criteria combined with { all: [...] },
+// { any: [...] } and { not: node }. A definition is validated as a whole,
+// reporting every problem at once, and compiled to a single SQL predicate over
+// the synced population so counts, samples and audiences come from one query.
+// Saved cohorts are versioned: editing a definition adds a version, and
+// campaigns and care plans pin a version or follow the latest.
+class CohortService {
+  get criterionTypes() {
+    return Object.keys(CRITERIA);
+  }
+
+  get operators() {
+    return Object.keys(OPERATORS);
+  }
+
+  validate(definition) {
+    const errors = [];
+    let nodes = 0;
+
+    const visit = (node, path, depth) => {
+      const problem = (field, message) => errors.push({ path: path ? `${path}.${field}` : field, message });
+      nodes++;
+
+      if (!isPlainObject(node)) {
+        errors.push({ path: path || '(root)', message: 'must be an object' });
+        return;
+      }
+      if (depth > MAX_DEPTH) {
+        errors.push({ path, message: `nests deeper than ${MAX_DEPTH} levels` });
+        return;
+      }
+
+      const groups = GROUPS.filter(group => node[group] !== undefined);
+      if (groups.length > 1 || (groups.length === 1 && node.type !== undefined)) {
+        errors.push({ path: path || '(root)', message: 'must be exactly one of all, any, not or a criterion with a type' });
+        return;
+      }
+
+      const [group] = groups;
+      if (group === 'not') {
+        visit(node.not, path ? `${path}.not` : 'not', depth + 1);
+      } else if (group) {
+        if (!Array.isArray(node[group]) || node[group].length === 0) {
+          problem(group, 'must be a non-empty list');
+          return;
+        }
+        node[group].forEach((child, i) => visit(child, `${path ? `${path}.` : ''}${group}[${i}]`, depth + 1));
+      } else if (!isKeyOf(CRITERIA, node.type)) {
+        problem('type', `must be one of ${this.criterionTypes.join(', ')}`);
+      } else {
+        CRITERIA[node.type].validate(node, problem);
+      }
+    };
+
+    visit(definition, '', 0);
+    if (nodes > MAX_NODES) {
+      errors.push({ path: '(root)', message: `has more than ${MAX_NODES} criteria and groups` });
+    }
+    if (errors.length > 0) {
+      throw new CohortDefinitionError(errors);
+    }
+    return definition;
+  }
+
+  // SQL predicate plus replacements for a definition. Criteria are wrapped in
+  // COALESCE so a patient with no data for one is a clean false, also under not.
+  compile(definition, options = {}) {
+    this.validate(definition);
+
+    const ctx = {
+      asOf: options.asOf ? new Date(options.asOf) : new Date(),
+      replacements: {},
+      bind(value) {
+        const name = `c${Object.keys(this.replacements).length}`;
+        this.replacements[name] = value;
+        return `:${name}`;
+      }
+    };
+
+    const build = (node) => {
+      if (node.all) return `(${node.all.map(build).join(' AND ')})`;
+      if (node.any) return `(${node.any.map(build).join(' OR ')})`;
+      if (node.not) return `NOT ${build(node.not)}`;
+      return `COALESCE((${CRITERIA[node.type].compile(node, ctx)}), FALSE)`;
+    };
+
+    return { where: build(definition), replacements: ctx.replacements, asOf: ctx.asOf };
+  }
+
+  async query(organizationId, definition, select, options = {}) {
+    const { where, replacements } = this.compile(definition, options);
+    return sequelize.query(`
+      SELECT ${select}
+      FROM population_patients p
+      WHERE p.organization_id = :organizationId
+        AND p.deceased IS NOT TRUE
+        AND ${where}
+      ${options.suffix || ''}
+    `, {
+      replacements: { ...replacements, ...options.replacements, organizationId },
+      type: sequelize.QueryTypes.SELECT
+    });
+  }
+
+  // Matching patient count plus a sample for the cohort builder
+  async preview(organizationId, definition, options = {}) {
+    const sampleSize = Math.min(parseInt(options.sampleSize) || DEFAULT_SAMPLE_SIZE, MAX_SAMPLE_SIZE);
+
+    const [[{ count }], sample] = await Promise.all([
+      this.query(organizationId, definition, 'COUNT(*) AS count', options),
+      this.query(organizationId, definition,
+        'p.fhir_id, p.given_name, p.family_name, p.birth_date, p.gender, p.postal_code', {
+          ...options,
+          suffix: 'ORDER BY p.family_name NULLS LAST, p.given_name NULLS LAST, p.fhir_id LIMIT :sampleSize',
+          replacements: { sampleSize }
+        })
+    ]);
+
+    return {
+      count: parseInt(count),
+      sample: sample.map(row => ({
+        id: row.fhir_id,
+        name: [row.given_name, row.family_name].filter(Boolean).join(' ') || null,
+        birthDate: row.birth_date,
+        gender: row.gender,
+        postalCode: row.postal_code
+      }))
+    };
+  }
+
+  // FHIR Patient ids in the cohort, in id order; truncated when over the limit.
+  // `patientIds` restricts the search to those patients.
+  async findPatientIds(organizationId, definition, options = {}) {
+    const limit = options.limit || null;
+    if (options.patientIds && options.patientIds.length === 0) {
+      return { patientIds: [], truncated: false };
+    }
+
+    const rows = await this.query(organizationId, definition, 'p.fhir_id', {
+      ...options,
+      suffix: [
+        options.patientIds ? 'AND p.fhir_id IN (:patientIds)' : '',
+        'ORDER BY p.fhir_id',
+        limit ? 'LIMIT :limit' : ''
+      ].join(' '),
+      replacements: { patientIds: options.patientIds, limit: limit && limit + 1 }
+    });
+
+    const patientIds = rows.map(row => row.fhir_id);
+    const truncated = limit !== null && patientIds.length > limit;
+    return { patientIds: truncated ? patientIds.slice(0, limit) : patientIds, truncated };
+  }
+
+  async matchesPatient(organizationId, definition, patientId, options = {}) {
+    const rows = await this.query(organizationId, definition, 'p.fhir_id', {
+      ...options,
+      suffix: 'AND p.fhir_id = :patientId',
+      replacements: { patientId }
+    });
+    return rows.length > 0;
+  }
+
+  async listCohorts(organizationId) {
+    return Cohort.findAll({
+      where: { organizationId },
+      order: [['name', 'ASC']]
+    });
+  }
+
+  async getCohort(organizationId, cohortId, options = {}) {
+    return Cohort.findOne({
+      where: { id: cohortId, organizationId },
+      include: options.withVersions ? [{ model: CohortVersion, as: 'versions' }] : [],
+      order: options.withVersions ? [[{ model: CohortVersion, as: 'versions' }, 'version', 'DESC']] : undefined
+    });
+  }
+
+  async getVersion(cohort, version) {
+    return CohortVersion.findOne({
+      where: { cohortId: cohort.id, version: version || cohort.currentVersion }
+    });
+  }
+
+  // The definition a campaign or care plan targets: a pinned version, else the
+  // latest. Throws a 400-status error when the cohort or version doesn't exist.
+  async resolveDefinition(organizationId, cohortId, version) {
+    const cohort = await this.getCohort(organizationId, cohortId);
+    const cohortVersion = cohort && await this.getVersion(cohort, version);
+    if (!cohortVersion) {
+      const error = new Error(cohort ? `Cohort version ${version} not found` : 'Cohort not found');
+      error.status = 400;
+      throw error;
+    }
+    return { cohort, version: cohortVersion.version, definition: cohortVersion.definition };
+  }
+
+  async createCohort(organizationId, data, userId) {
+    this.validate(data.definition);
+    await this.assertNameAvailable(organizationId, data.name);
+
+    return sequelize.transaction(async (transaction) => {
+      const cohort = await Cohort.create({
+        organizationId,
+        name: data.name,
+        description: data.description,
+        currentVersion: 1,
+        createdBy: userId
+      }, { transaction });
+
+      await CohortVersion.create({
+        cohortId: cohort.id,
+        version: 1,
+        definition: data.definition,
+        note: data.note,
+        createdBy: userId
+      }, { transaction });
+
+      return cohort;
+    });
+  }
+
+  // Name and description change in place; a changed definition becomes a new version
+  async updateCohort(cohort, data, userId) {
+    if (data.name !== undefined && data.name !== cohort.name) {
+      await this.assertNameAvailable(cohort.organizationId, data.name);
+    }
+
+    const current = await this.getVersion(cohort);
+    const definitionChanged = data.definition !== undefined &&
+      JSON.stringify(data.definition) !== JSON.stringify(current?.definition);
+    if (definitionChanged) {
+      this.validate(data.definition);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const changes = {};
+      if (data.name !== undefined) changes.name = data.name;
+      if (data.description !== undefined) changes.description = data.description;
+
+      if (definitionChanged) {
+        changes.currentVersion = cohort.currentVersion + 1;
+        await CohortVersion.create({
+          cohortId: cohort.id,
+          version: changes.currentVersion,
+          definition: data.definition,
+          note: data.note,
+          createdBy: userId
+        }, { transaction });
+      }
+
+      await cohort.update(changes, { transaction });
+      return { cohort, newVersion: definitionChanged ? changes.currentVersion : null };
+    });
+  }
+
+  // Campaigns and care plans that target the cohort
+  async getReferences(cohort) {
+    const where = { cohortId: cohort.id };
+    const [campaigns, carePlans] = await Promise.all([
+      Campaign.findAll({ where, attributes: ['id', 'name', 'status'] }),
+      CarePlan.findAll({ where: { ...where, isActive: true }, attributes: ['id', 'name'] })
+    ]);
+    return { campaigns, carePlans };
+  }
+
+  async deleteCohort(cohort) {
+    const references = await this.getReferences(cohort);
+    if (references.campaigns.length > 0 || references.carePlans.length > 0) {
+      const error = new Error('Cohort is used by campaigns or care plans');
+      error.status = 409;
+      error.references = references;
+      throw error;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await CohortVersion.destroy({ where: { cohortId: cohort.id }, transaction });
+      await cohort.destroy({ transaction });
+    });
+  }
+
+  async recordPreview(cohortVersion, count) {
+    await cohortVersion.update({ previewCount: count, previewedAt: new Date() });
+  }
+
+  async assertNameAvailable(organizationId, name) {
+    const existing = await Cohort.findOne({
+      where: {
+        organizationId,
+        [Op.and]: sequelize.where(sequelize.fn('lower', sequelize.col('name')), name.toLowerCase())
+      }
+    });
+    if (existing) {
+      const error = new Error(`A cohort named "${name}" already exists`);
+      error.status = 409;
+      throw error;
+    }
+  }
+}
+
+module.exports = new CohortService();
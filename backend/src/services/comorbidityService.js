@@ -0,0 +1,252 @@
+const definitions = require('../../data/comorbidity_indices.json');
+const conditionNormalizer = require('./conditionNormalizer');
+const populationStore = require('./populationStore');
+const { ageOn } = require('../utils/age');
+
+const INDICES = ['charlson', 'elixhauser'];
+
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/\./g, '').trim();
+
+// "I60-I69" and "K76.2-K76.4" stand for every code stem in between
+const expandCodes = (pattern) => {
+  const [from, to] = pattern.split('-').map(normalizeCode);
+  if (!to) return [from];
+
+  const stem = from.slice(0, from.search(/\d/));
+  const start = parseInt(from.slice(stem.length), 10);
+  const end = parseInt(to.slice(stem.length), 10);
+  const width = from.length - stem.length;
+  const codes = [];
+  for (let n = start; n <= end; n++) {
+    codes.push(stem + String(n).padStart(width, '0'));
+  }
+  return codes;
+};
+
+// Index category lookups by code prefix, built once from the definitions
+const buildLookup = (index) => {
+  const lookup = new Map();
+  for (const category of index.categories) {
+    for (const prefix of category.codes.flatMap(expandCodes)) {
+      if (!lookup.has(prefix)) lookup.set(prefix, []);
+      lookup.get(prefix).push(category);
+    }
+  }
+  return lookup;
+};
+
+const LOOKUPS = Object.fromEntries(INDICES.map(name => [name, buildLookup(definitions[name])]));
+
+// Charlson 10-year survival estimate: 0.983^(e^(0.9 * CCI))
+const tenYearSurvival = (score) => Math.round(Math.pow(0.983, Math.exp(0.9 * score)) * 1000) / 1000;
+
+// Charlson (CCI, with optional age adjustment) and Elixhauser comorbidity
+// indices from ICD-10 codes, using the Quan 2005 code groupings in
+// data/comorbidity_indices.json. Within a family only the most severe
+// category counts (e.g. diabetes with complications over without).
+class ComorbidityService {
+  get definitions() {
+    return definitions;
+  }
+
+  // Categories of each index a code falls into, e.g. { charlson: ['diabetes'], elixhauser: ['diabetes'] }
+  categorize(code) {
+    const normalized = normalizeCode(code);
+    const result = {};
+    for (const name of INDICES) {
+      const keys = new Set();
+      for (let length = 3; length <= normalized.length; length++) {
+        for (const category of LOOKUPS[name].get(normalized.slice(0, length)) || []) {
+          keys.add(category.key);
+        }
+      }
+      result[name] = [...keys];
+    }
+    return result;
+  }
+
+  // Matched categories of one index, with the codes behind them and the
+  // categories a more severe one in the same family made redundant
+  matchCategories(name, diagnoses) {
+    const index = definitions[name];
+    const codesByCategory = new Map();
+    for (const diagnosis of diagnoses) {
+      for (const key of this.categorize(diagnosis.code)[name]) {
+        if (!codesByCategory.has(key)) codesByCategory.set(key, []);
+        if (!codesByCategory.get(key).includes(diagnosis.code)) {
+          codesByCategory.get(key).push(diagnosis.code);
+        }
+      }
+    }
+
+    const present = [...codesByCategory.keys()];
+    const categories = [];
+    const superseded = [];
+    for (const category of index.categories) {
+      if (!codesByCategory.has(category.key)) continue;
+      const entry = {
+        key: category.key,
+        name: category.name,
+        weight: category.weight,
+        codes: codesByCategory.get(category.key)
+      };
+      const supersededBy = present.find(other => (index.hierarchies[other] || []).includes(category.key));
+      if (supersededBy) {
+        superseded.push({ ...entry, supersededBy });
+      } else {
+        categories.push(entry);
+      }
+    }
+
+    return { categories, superseded };
+  }
+
+  charlsonAgePoints(age) {
+    if (age === null || age === undefined) return null;
+    const band = definitions.charlson.ageBands.find(b =>
+      age >= b.minAge && (b.maxAge === undefined || age <= b.maxAge)
+    );
+    return band ? band.points : 0;
+  }
+
+  // Both indices for one patient. `diagnoses` are ICD-10 codes or { code };
+  // age comes from `age` or `birthDate` as of `asOf`.
+  calculate({ diagnoses = [], age, birthDate, asOf } = {}) {
+    const entries = diagnoses
+      .map(diagnosis => (typeof diagnosis === 'string' ? { code: diagnosis } : diagnosis))
+      .filter(diagnosis => diagnosis?.code);
+    const patientAge = age !== undefined && age !== null
+      ? Number(age)
+      : ageOn(birthDate, asOf ? new Date(asOf) : new Date());
+
+    const charlson = this.matchCategories('charlson', entries);
+    const charlsonScore = charlson.categories.reduce((sum, category) => sum + category.weight, 0);
+    const agePoints = this.charlsonAgePoints(patientAge);
+    const ageAdjustedScore = agePoints === null ? null : charlsonScore + agePoints;
+
+    const elixhauser = this.matchCategories('elixhauser', entries);
+
+    return {
+      age: patientAge,
+      charlson: {
+        version: definitions.charlson.version,
+        score: charlsonScore,
+        agePoints,
+        ageAdjustedScore,
+        tenYearSurvival: tenYearSurvival(ageAdjustedScore ?? charlsonScore),
+        categories: charlson.categories,
+        superseded: charlson.superseded
+      },
+      elixhauser: {
+        version: definitions.elixhauser.version,
+        count: elixhauser.categories.length,
+        vanWalravenScore: elixhauser.categories.reduce((sum, category) => sum + category.weight, 0),
+        categories: elixhauser.categories,
+        superseded: elixhauser.superseded
+      }
+    };
+  }
+
+  // From a FHIR Patient and its Conditions. Comorbidity indices count a
+  // patient's coded history, so resolved conditions are included unless
+  // `activeOnly` is set; refuted and entered-in-error ones never are.
+  calculateForPatient(patient, conditions, options = {}) {
+    const diagnoses = conditionNormalizer
+      .extractICD10Codes(conditions, { activeOnly: !!options.activeOnly })
+      .map(row => ({ code: row.code }));
+
+    return this.calculate({ diagnoses, birthDate: patient?.birthDate, asOf: options.asOf });
+  }
+
+  // Distribution of both indices over the synced population; takes the
+  // condition filters of conditionNormalizer.matches
+  async getPopulationDistribution(organizationId, options = {}) {
+    const batchSize = options.batchSize || 1000;
+    const asOf = new Date();
+    const charlsonBuckets = { '0': 0, '1-2': 0, '3-4': 0, '5+': 0 };
+    const elixhauserBuckets = { '0': 0, '1': 0, '2': 0, '3': 0, '4+': 0 };
+    const prevalence = { charlson: {}, elixhauser: {} };
+    const charlsonScores = [];
+    let vanWalravenTotal = 0;
+    let elixhauserTotal = 0;
+    let afterId = null;
+
+    for (;;) {
+      const patients = await populationStore.getPatientsPage(organizationId, { afterId, limit: batchSize });
+      if (patients.length === 0) break;
+
+      const diagnoses = await populationStore.getPatientDiagnoses(
+        organizationId,
+        patients.map(patient => patient.fhirId),
+        options.filters
+      );
+
+      for (const patient of patients) {
+        const result = this.calculate({
+          diagnoses: diagnoses[patient.fhirId] || [],
+          birthDate: patient.birthDate,
+          asOf
+        });
+
+        const cci = options.ageAdjusted === false
+          ? result.charlson.score
+          : (result.charlson.ageAdjustedScore ?? result.charlson.score);
+        charlsonScores.push(cci);
+        if (cci === 0) charlsonBuckets['0']++;
+        else if (cci <= 2) charlsonBuckets['1-2']++;
+        else if (cci <= 4) charlsonBuckets['3-4']++;
+        else charlsonBuckets['5+']++;
+
+        const count = result.elixhauser.count;
+        elixhauserBuckets[count >= 4 ? '4+' : String(count)]++;
+        elixhauserTotal += count;
+        vanWalravenTotal += result.elixhauser.vanWalravenScore;
+
+        for (const name of INDICES) {
+          for (const category of result[name].categories) {
+            prevalence[name][category.key] = (prevalence[name][category.key] || 0) + 1;
+          }
+        }
+      }
+
+      afterId = patients[patients.length - 1].fhirId;
+    }
+
+    const patients = charlsonScores.length;
+    const mean = (total) => (patients ? Math.round((total / patients) * 100) / 100 : null);
+    const sorted = [...charlsonScores].sort((a, b) => a - b);
+    const median = patients
+      ? (patients % 2 ? sorted[(patients - 1) / 2] : (sorted[patients / 2 - 1] + sorted[patients / 2]) / 2)
+      : null;
+    const prevalenceList = (name) => definitions[name].categories
+      .filter(category => prevalence[name][category.key])
+      .map(category => ({
+        key: category.key,
+        name: category.name,
+        patients: prevalence[name][category.key],
+        percent: Math.round((prevalence[name][category.key] / patients) * 1000) / 10
+      }))
+      .sort((a, b) => b.patients - a.patients);
+
+    return {
+      patients,
+      charlson: {
+        version: definitions.charlson.version,
+        ageAdjusted: options.ageAdjusted !== false,
+        mean: mean(charlsonScores.reduce((sum, score) => sum + score, 0)),
+        median,
+        distribution: charlsonBuckets,
+        prevalence: prevalenceList('charlson')
+      },
+      elixhauser: {
+        version: definitions.elixhauser.version,
+        meanCount: mean(elixhauserTotal),
+        meanVanWalravenScore: mean(vanWalravenTotal),
+        distribution: elixhauserBuckets,
+        prevalence: prevalenceList('elixhauser')
+      }
+    };
+  }
+}
+
+module.exports = new ComorbidityService();
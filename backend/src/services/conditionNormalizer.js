@@ -0,0 +1,160 @@
+const terminologyService = require('./terminologyService');
+
+const ACTIVE_CLINICAL_STATUSES = ['active', 'recurrence', 'relapse'];
+// Never real diagnoses, whatever the caller asks for
+const INVALID_VERIFICATION_STATUSES = ['refuted', 'entered-in-error'];
+const CATEGORIES = ['problem-list-item', 'encounter-diagnosis', 'health-concern'];
+const FILTER_PARAMS = ['activeOnly', 'confirmedOnly', 'conditionCategory', 'onsetFrom', 'onsetTo'];
+
+const toDate = (value) => (value ? new Date(value) : null);
+const firstCode = (concept) => concept?.coding?.[0]?.code || null;
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+};
+
+const toBoolean = (value) => value === true || value === 'true' || value === '1';
+
+// Flattens FHIR Condition resources into the fields analytics care about
+// (codes, clinical and verification status, category, onset and abatement)
+// and filters them the same way everywhere conditions are counted.
+class ConditionNormalizer {
+  get activeClinicalStatuses() {
+    return ACTIVE_CLINICAL_STATUSES;
+  }
+
+  get categories() {
+    return CATEGORIES;
+  }
+
+  get invalidVerificationStatuses() {
+    return INVALID_VERIFICATION_STATUSES;
+  }
+
+  get filterParams() {
+    return FILTER_PARAMS;
+  }
+
+  normalize(condition) {
+    const abatementDate = toDate(condition.abatementDateTime || condition.abatementPeriod?.end);
+    const clinicalStatus = firstCode(condition.clinicalStatus);
+    const verificationStatus = firstCode(condition.verificationStatus);
+
+    return {
+      id: condition.id,
+      patientId: condition.subject?.reference?.match(/Patient\/([^/]+)/)?.[1] || null,
+      icd10Codes: terminologyService.getIcd10Codings(condition.code),
+      display: condition.code?.text || condition.code?.coding?.[0]?.display || null,
+      clinicalStatus,
+      verificationStatus,
+      categories: (condition.category || []).map(firstCode).filter(Boolean),
+      onsetDate: toDate(condition.onsetDateTime || condition.onsetPeriod?.start),
+      abatementDate,
+      recordedDate: toDate(condition.recordedDate),
+      active: this.isActive(clinicalStatus, abatementDate),
+      confirmed: verificationStatus === 'confirmed'
+    };
+  }
+
+  // Servers may omit clinicalStatus; an abatement date in the past then means resolved
+  isActive(clinicalStatus, abatementDate) {
+    if (clinicalStatus) {
+      return ACTIVE_CLINICAL_STATUSES.includes(clinicalStatus);
+    }
+    return !abatementDate || abatementDate > new Date();
+  }
+
+  // Filter options: activeOnly, confirmedOnly, category (one or a list),
+  // onsetFrom and onsetTo. Refuted and entered-in-error conditions are always dropped.
+  matches(normalized, options = {}) {
+    if (INVALID_VERIFICATION_STATUSES.includes(normalized.verificationStatus)) return false;
+    if (options.activeOnly && !normalized.active) return false;
+    if (options.confirmedOnly && !normalized.confirmed) return false;
+
+    const categories = toList(options.category);
+    if (categories.length > 0 && !normalized.categories.some(c => categories.includes(c))) {
+      return false;
+    }
+
+    const onsetFrom = toDate(options.onsetFrom);
+    const onsetTo = toDate(options.onsetTo);
+    if (onsetFrom || onsetTo) {
+      if (!normalized.onsetDate) return false;
+      if (onsetFrom && normalized.onsetDate < onsetFrom) return false;
+      if (onsetTo && normalized.onsetDate > onsetTo) return false;
+    }
+
+    return true;
+  }
+
+  // Normalized conditions from a search bundle (or an array of resources) that pass the filters
+  normalizeAll(conditions, options = {}) {
+    const resources = Array.isArray(conditions)
+      ? conditions
+      : (conditions?.entry || []).map(entry => entry.resource);
+
+    return resources
+      .filter(resource => resource?.resourceType === 'Condition')
+      .map(resource => this.normalize(resource))
+      .filter(normalized => this.matches(normalized, options));
+  }
+
+  // One row per ICD-10 code and patient, with the status fields kept
+  extractICD10Codes(conditions, options = {}) {
+    const codes = [];
+
+    for (const condition of this.normalizeAll(conditions, options)) {
+      for (const coding of condition.icd10Codes) {
+        codes.push({
+          code: coding.code,
+          display: coding.display,
+          patientId: condition.patientId,
+          source: coding.source,
+          ...(coding.mappedFrom && { mappedFrom: coding.mappedFrom }),
+          conditionId: condition.id,
+          clinicalStatus: condition.clinicalStatus,
+          verificationStatus: condition.verificationStatus,
+          categories: condition.categories,
+          onsetDate: condition.onsetDate,
+          abatementDate: condition.abatementDate,
+          active: condition.active
+        });
+      }
+    }
+
+    return codes;
+  }
+
+  // Filter options from query-string parameters; `defaults` covers absent
+  // flags. An onset date that doesn't parse is a 400 rather than a filter
+  // that quietly matches nothing.
+  parseFilterQuery(query = {}, defaults = {}) {
+    const flag = (name) => (query[name] === undefined ? !!defaults[name] : toBoolean(query[name]));
+    const date = (name) => {
+      if (!query[name]) return null;
+      if (Number.isNaN(new Date(query[name]).getTime())) {
+        const error = new Error(`${name} must be a date`);
+        error.status = 400;
+        throw error;
+      }
+      return query[name];
+    };
+    return {
+      activeOnly: flag('activeOnly'),
+      confirmedOnly: flag('confirmedOnly'),
+      category: toList(query.conditionCategory),
+      onsetFrom: date('onsetFrom'),
+      onsetTo: date('onsetTo')
+    };
+  }
+
+  // Care plans count only active conditions unless they opt out
+  optionsForCarePlan(carePlan) {
+    return {
+      activeOnly: carePlan?.eligibilityCriteria?.requireActiveCondition !== false
+    };
+  }
+}
+
+module.exports = new ConditionNormalizer();
@@ -0,0 +1,139 @@
+const { Op } = require('sequelize');
+const { ICD10Code } = require('../models');
+const terminologyService = require('./terminologyService');
+const conditionNormalizer = require('./conditionNormalizer');
+const populationStore = require('./populationStore');
+const logger = require('../utils/logger');
+
+// Codes per Condition search; keeps the query string well under URL limits
+const CODES_PER_REQUEST = 40;
+const MAX_CONDITIONS = 10000;
+
+// Finds patients by ICD-10 code with server-side FHIR search rather than
+// scanning a sample of conditions
+class ConditionSearchService {
+  get activeClinicalStatuses() {
+    return conditionNormalizer.activeClinicalStatuses;
+  }
+
+  // Expand care plan codes to everything in their 3-character categories
+  // (E11.9 -> E11, E11.9, E11.65, ...) using the ICD-10 reference table.
+  // FHIR token search is exact, so the category alone would miss its children.
+  async expandIcd10Codes(codes = []) {
+    const categories = [...new Set(codes.map(code => code.slice(0, 3).toUpperCase()))];
+    if (categories.length === 0) return [];
+
+    const known = await ICD10Code.findAll({
+      attributes: ['code'],
+      where: {
+        [Op.or]: categories.map(category => ({ code: { [Op.startsWith]: category } }))
+      },
+      raw: true
+    });
+
+    return [...new Set([
+      ...categories,
+      ...codes.map(code => code.toUpperCase()),
+      ...known.map(row => row.code)
+    ])].sort();
+  }
+
+  // Page through every matching Condition and collect the patients. Conditions
+  // coded only in SNOMED CT are found through the concepts mapped to the codes.
+  // Only active conditions count unless `activeOnly: false`; refuted and
+  // entered-in-error ones never do. `truncated` means a limit or a failed page
+  // may have hidden matches.
+  async findPatientsByIcd10Codes(epicService, codes, options = {}) {
+    if (!epicService.supportsPopulationSearch('Condition') || !epicService.supportsSearchParam('Condition', 'code')) {
+      return this.findPatientsInPopulationStore(epicService.organizationId, codes, options);
+    }
+
+    const expandedCodes = options.expand === false ? codes : await this.expandIcd10Codes(codes);
+    const snomedCodes = options.includeSnomed === false ? [] : terminologyService.getSnomedCodesForIcd10(expandedCodes);
+    const activeOnly = options.activeOnly !== false;
+    const clinicalStatus = options.clinicalStatus !== undefined
+      ? options.clinicalStatus
+      : (activeOnly ? conditionNormalizer.activeClinicalStatuses : null);
+    const maxConditions = options.maxConditions || MAX_CONDITIONS;
+
+    const chunks = [];
+    for (const [system, systemCodes] of [
+      [terminologyService.icd10System, expandedCodes],
+      [terminologyService.snomedSystem, snomedCodes]
+    ]) {
+      for (let i = 0; i < systemCodes.length; i += CODES_PER_REQUEST) {
+        chunks.push({ system, codes: systemCodes.slice(i, i + CODES_PER_REQUEST) });
+      }
+    }
+
+    const patientIds = new Set();
+    let conditionsFetched = 0;
+    let conditionsMatched = 0;
+    let truncated = false;
+
+    for (const chunk of chunks) {
+      const remaining = maxConditions - conditionsFetched;
+      if (remaining <= 0) {
+        truncated = true;
+        break;
+      }
+
+      const firstPage = await epicService.searchConditionsByCodes(chunk.codes, {
+        system: chunk.system,
+        clinicalStatus
+      });
+      const { entries, complete } = await epicService.getAllPages(firstPage, {
+        maxResults: remaining
+      });
+
+      // The server filtered on clinical status; verification status is checked here
+      const conditions = conditionNormalizer.normalizeAll(
+        entries.map(entry => entry.resource),
+        { activeOnly }
+      );
+      for (const condition of conditions) {
+        if (condition.patientId) patientIds.add(condition.patientId);
+      }
+
+      conditionsFetched += entries.length;
+      conditionsMatched += conditions.length;
+      truncated = truncated || !complete;
+    }
+
+    if (truncated) {
+      logger.warn(`Condition search truncated after ${conditionsFetched} conditions (${expandedCodes.length} codes)`);
+    }
+
+    return {
+      patientIds: [...patientIds],
+      codesSearched: expandedCodes,
+      snomedCodesSearched: snomedCodes,
+      conditionsMatched,
+      truncated,
+      source: 'fhir'
+    };
+  }
+
+  // For servers that can't search conditions by code across patients: match the codes'
+  // 3-character categories against the synced population tables (bulk export)
+  // instead. Stored codes are already mapped from SNOMED CT.
+  async findPatientsInPopulationStore(organizationId, codes, options = {}) {
+    const prefixes = [...new Set(codes.map(code => code.slice(0, 3).toUpperCase()))];
+    const maxPatients = options.maxConditions || MAX_CONDITIONS;
+    const patientIds = await populationStore.findPatientIdsWithCodePrefixes(organizationId, prefixes, {
+      activeOnly: options.activeOnly !== false,
+      limit: maxPatients + 1
+    });
+
+    return {
+      patientIds: patientIds.slice(0, maxPatients),
+      codesSearched: prefixes,
+      snomedCodesSearched: [],
+      conditionsMatched: null,
+      truncated: patientIds.length > maxPatients,
+      source: 'population'
+    };
+  }
+}
+
+module.exports = new ConditionSearchService();
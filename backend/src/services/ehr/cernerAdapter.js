@@ -0,0 +1,17 @@
+const FhirR4Adapter = require('./fhirR4Adapter');
+
+// Oracle Health (Cerner Millennium). Clinical resources are searched one
+// patient at a time, page sizes are capped, $everything isn't implemented
+// and bulk data is exported per Group.
+class CernerAdapter extends FhirR4Adapter {}
+
+CernerAdapter.vendor = 'cerner';
+CernerAdapter.displayName = 'Oracle Health';
+CernerAdapter.quirks = {
+  maxPageSize: 100,
+  patientRequiredFor: ['Condition', 'Observation', 'Encounter', 'MedicationRequest', 'Procedure', 'DiagnosticReport'],
+  supportsEverything: false,
+  bulkExportLevels: ['group']
+};
+
+module.exports = CernerAdapter;
@@ -0,0 +1,14 @@
+const FhirR4Adapter = require('./fhirR4Adapter');
+
+// Epic on FHIR. Observation searches require a category, and bulk data is
+// exported per Group (the Group id comes from the Epic client registration).
+class EpicAdapter extends FhirR4Adapter {}
+
+EpicAdapter.vendor = 'epic';
+EpicAdapter.displayName = 'Epic';
+EpicAdapter.quirks = {
+  observationCategories: ['laboratory', 'vital-signs'],
+  bulkExportLevels: ['group']
+};
+
+module.exports = EpicAdapter;
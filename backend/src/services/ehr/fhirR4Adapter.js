@@ -0,0 +1,710 @@
+const fhirHttpClient = require('../fhirHttpClient');
+const conditionNormalizer = require('../conditionNormalizer');
+const FhirError = require('../../utils/fhirError');
+const patientContact = require('../../utils/patientContact');
+const logger = require('../../utils/logger');
+
+const ICD10_CM_SYSTEM = 'http://hl7.org/fhir/sid/icd-10-cm';
+const DEFAULT_USER_SCOPE = 'openid fhirUser patient/*.read user/*.read launch';
+// Safety valve for getAllPages when the caller sets no limit
+const DEFAULT_MAX_PAGES = 100;
+
+// What a plain R4 server is assumed to support. Vendor adapters override
+// these; an organization's settings.ehrQuirks can override both.
+const DEFAULT_QUIRKS = {
+  // Largest _count the server accepts (null: no limit)
+  maxPageSize: null,
+  // Resource types that can only be searched for one patient at a time
+  patientRequiredFor: [],
+  // Observation searches must name a category; searched one at a time
+  observationCategories: null,
+  supportsEverything: true,
+  // $export levels the server supports: 'system' and/or 'group'
+  bulkExportLevels: ['system', 'group']
+};
+
+// Resource types gathered per patient when $everything isn't available
+const EVERYTHING_RESOURCE_TYPES = [
+  'Condition', 'Observation', 'MedicationRequest', 'Encounter',
+  'Procedure', 'Immunization', 'AllergyIntolerance', 'DiagnosticReport', 'CarePlan'
+];
+// How servers without $everything answer it
+const OPERATION_UNSUPPORTED_STATUSES = [400, 404, 405, 501];
+// Search parameters that only narrow results the caller filters again
+// locally, so they can be left off when the server doesn't support them
+const OPTIONAL_SEARCH_PARAMS = ['clinical-status'];
+const WRITE_BACK_RESOURCE_TYPES = ['Communication', 'Task', 'CarePlan'];
+
+const notSupported = (message) => new FhirError(message, { status: 501, code: 'NOT_SUPPORTED' });
+
+// Client for a standards-compliant FHIR R4 server with SMART on FHIR auth.
+// Vendor adapters (see ./index.js) subclass it to describe their quirks.
+class FhirR4Adapter {
+  constructor(config = {}) {
+    this.baseUrl = config.baseUrl || process.env.EPIC_FHIR_BASE_URL;
+    this.clientId = config.clientId || process.env.EPIC_CLIENT_ID;
+    this.clientSecret = config.clientSecret !== undefined ? config.clientSecret : process.env.EPIC_CLIENT_SECRET;
+    this.authUrl = config.authUrl || process.env.EPIC_AUTH_URL;
+    this.tokenUrl = config.tokenUrl || process.env.EPIC_TOKEN_URL;
+    this.accessToken = config.accessToken || null;
+    // Requests are rate-limited per organization
+    this.organizationId = config.organizationId || null;
+    // Set when the base URL came from the organization rather than the
+    // deployment: every request, including to advertised URLs, must then
+    // reach a public host (see utils/ehrUrl)
+    this.restrictHosts = !!config.restrictHosts;
+    this.quirks = { ...DEFAULT_QUIRKS, ...this.constructor.quirks, ...config.quirks };
+    // Parsed CapabilityStatement (fhirDiscoveryService), null when unavailable
+    this.capabilities = config.capabilities || null;
+  }
+
+  get vendor() {
+    return this.constructor.vendor;
+  }
+
+  // All FHIR and OAuth calls go through the shared resilient client
+  request(config, options = {}) {
+    return fhirHttpClient.request(config, {
+      concurrencyKey: this.organizationId || this.baseUrl,
+      restrictHosts: this.restrictHosts,
+      ...options
+    });
+  }
+
+  setAccessToken(token) {
+    this.accessToken = token;
+  }
+
+  getAuthHeaders() {
+    if (!this.accessToken) {
+      throw new Error('No access token set');
+    }
+    return {
+      'Authorization': `Bearer ${this.accessToken}`,
+      'Accept': 'application/fhir+json',
+      'Content-Type': 'application/fhir+json'
+    };
+  }
+
+  // Get OAuth authorization URL; `pkce` carries the S256 code challenge
+  getAuthorizationUrl(redirectUri, state, scope, pkce) {
+    const authUrl = this.authUrl;
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      scope: scope || DEFAULT_USER_SCOPE,
+      state: state,
+      aud: this.baseUrl
+    });
+    if (pkce) {
+      params.append('code_challenge', pkce.codeChallenge);
+      params.append('code_challenge_method', pkce.codeChallengeMethod);
+    }
+    
+    return `${authUrl}?${params.toString()}`;
+  }
+
+  // Exchange authorization code for tokens
+  async exchangeCodeForToken(code, redirectUri, codeVerifier) {
+    const tokenUrl = this.tokenUrl;
+    
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: code,
+      redirect_uri: redirectUri,
+      client_id: this.clientId
+    });
+    if (codeVerifier) {
+      params.append('code_verifier', codeVerifier);
+    }
+
+    // Add client secret for confidential apps
+    if (this.clientSecret) {
+      params.append('client_secret', this.clientSecret);
+    }
+
+    try {
+      const response = await this.request({
+        method: 'POST',
+        url: tokenUrl,
+        data: params.toString(),
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Token exchange failed:', error.operationOutcome || error.message);
+      throw error;
+    }
+  }
+
+  // Refresh access token
+  async refreshToken(refreshToken) {
+    const tokenUrl = this.tokenUrl;
+    
+    const params = new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      client_id: this.clientId
+    });
+
+    if (this.clientSecret) {
+      params.append('client_secret', this.clientSecret);
+    }
+
+    try {
+      const response = await this.request({
+        method: 'POST',
+        url: tokenUrl,
+        data: params.toString(),
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Token refresh failed:', error.operationOutcome || error.message);
+      throw error;
+    }
+  }
+
+  // Feature support combines the adapter's quirks with the server's
+  // CapabilityStatement. Without a statement, or where it is silent, the
+  // quirks decide.
+  getResourceCapability(resourceType) {
+    return this.capabilities?.resources?.[resourceType] || null;
+  }
+
+  supportsInteraction(resourceType, interaction) {
+    const resources = this.capabilities?.resources || {};
+    if (Object.keys(resources).length === 0) return true;
+
+    const capability = resources[resourceType];
+    if (!capability) return false;
+    return capability.interactions.length === 0 || capability.interactions.includes(interaction);
+  }
+
+  // Common parameters (_id, _lastUpdated, ...) are rarely listed per resource
+  supportsSearchParam(resourceType, param) {
+    if (param.startsWith('_')) return true;
+    const capability = this.getResourceCapability(resourceType);
+    return !capability?.searchParams.length || capability.searchParams.includes(param);
+  }
+
+  // Whether a resource type can be searched across patients
+  supportsPopulationSearch(resourceType) {
+    return !this.quirks.patientRequiredFor.includes(resourceType) &&
+      this.supportsInteraction(resourceType, 'search-type');
+  }
+
+  // Only a statement that lists Patient operations can rule $everything out
+  supportsEverything() {
+    if (!this.quirks.supportsEverything) return false;
+    const operations = this.getResourceCapability('Patient')?.operations || [];
+    return operations.length === 0 || operations.includes('everything');
+  }
+
+  // A level is ruled out only where the statement lists operations without $export
+  getBulkExportLevels() {
+    const operationsByLevel = {
+      system: this.capabilities?.operations || [],
+      group: this.getResourceCapability('Group')?.operations || []
+    };
+    return this.quirks.bulkExportLevels.filter(level => {
+      const operations = operationsByLevel[level] || [];
+      return operations.length === 0 || operations.includes('export');
+    });
+  }
+
+  // What the platform can do against this server, for admins
+  getFeatures(resourceTypes = EVERYTHING_RESOURCE_TYPES) {
+    return {
+      vendor: this.vendor,
+      capabilityStatement: !!this.capabilities,
+      everything: this.supportsEverything() ? 'native' : 'assembled',
+      bulkExportLevels: this.getBulkExportLevels(),
+      conditionCodeSearch: this.supportsPopulationSearch('Condition') && this.supportsSearchParam('Condition', 'code'),
+      populationSearch: Object.fromEntries(resourceTypes.map(type => [type, this.supportsPopulationSearch(type)])),
+      writeBack: Object.fromEntries(WRITE_BACK_RESOURCE_TYPES.map(type => [type, this.supportsInteraction(type, 'create')]))
+    };
+  }
+
+  // Search parameters adjusted to what the server accepts
+  buildSearchParams(resourceType, params = {}) {
+    if (!this.supportsPopulationSearch(resourceType) && !params.patient && !params.subject && !params._id) {
+      throw notSupported(`${this.constructor.displayName} only searches ${resourceType} for a single patient`);
+    }
+
+    const searchParams = { ...params };
+    for (const param of OPTIONAL_SEARCH_PARAMS) {
+      if (param in searchParams && !this.supportsSearchParam(resourceType, param)) {
+        delete searchParams[param];
+      }
+    }
+
+    const maxPageSize = this.quirks.maxPageSize;
+    if (maxPageSize && searchParams._count && Number(searchParams._count) > maxPageSize) {
+      searchParams._count = maxPageSize;
+    }
+    return searchParams;
+  }
+
+  // Generic FHIR resource fetch
+  async getResource(resourceType, params = {}) {
+    const searchParams = this.buildSearchParams(resourceType, params);
+    try {
+      const url = `${this.baseUrl}/${resourceType}`;
+      const response = await this.request({
+        url,
+        headers: this.getAuthHeaders(),
+        params: searchParams
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to fetch ${resourceType}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get single resource by ID
+  async getResourceById(resourceType, id) {
+    try {
+      const url = `${this.baseUrl}/${resourceType}/${id}`;
+      const response = await this.request({
+        url,
+        headers: this.getAuthHeaders()
+      });
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to fetch ${resourceType}/${id}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Create a resource; the server assigns the id, read back from the body
+  // or, when it returns none, from the Location header
+  async createResource(resourceType, resource) {
+    if (!this.supportsInteraction(resourceType, 'create')) {
+      throw notSupported(`${this.constructor.displayName} doesn't accept new ${resourceType} resources`);
+    }
+
+    try {
+      const response = await this.request({
+        method: 'POST',
+        url: `${this.baseUrl}/${resourceType}`,
+        headers: {
+          ...this.getAuthHeaders(),
+          'Prefer': 'return=representation'
+        },
+        data: { ...resource, resourceType }
+      });
+
+      const location = response.headers.location || response.headers['content-location'] || null;
+      const created = response.data?.resourceType === resourceType ? response.data : null;
+      const id = created?.id || location?.match(new RegExp(`${resourceType}/([^/]+)`))?.[1] || null;
+
+      return { id, resource: created, location };
+    } catch (error) {
+      logger.error(`Failed to create ${resourceType}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get all patients with pagination
+  async getPatients(params = {}) {
+    const searchParams = {
+      _count: params.count || 100,
+      ...params
+    };
+    
+    return this.getResource('Patient', searchParams);
+  }
+
+  // Get patient by ID
+  async getPatientById(patientId) {
+    return this.getResourceById('Patient', patientId);
+  }
+
+  // Search patients by criteria
+  async searchPatients(criteria) {
+    const params = {};
+    
+    if (criteria.name) params.name = criteria.name;
+    if (criteria.birthdate) params.birthdate = criteria.birthdate;
+    if (criteria.gender) params.gender = criteria.gender;
+    if (criteria.identifier) params.identifier = criteria.identifier;
+    if (criteria.address) params.address = criteria.address;
+    if (criteria.email) params.email = criteria.email;
+    if (criteria.phone) params.phone = criteria.phone;
+    
+    return this.getResource('Patient', params);
+  }
+
+  // Get conditions for a patient
+  async getPatientConditions(patientId) {
+    return this.getResource('Condition', { patient: patientId });
+  }
+
+  // Get all conditions (for population analytics)
+  async getConditions(params = {}) {
+    return this.getResource('Condition', {
+      _count: params.count || 100,
+      ...params
+    });
+  }
+
+  // Server-side code search: Condition?code=system|A,system|B&clinical-status=...
+  async searchConditionsByCodes(codes, options = {}) {
+    const system = options.system || ICD10_CM_SYSTEM;
+    const params = {
+      code: codes.map(code => `${system}|${code}`).join(','),
+      _count: options.count || 200
+    };
+    if (options.clinicalStatus) {
+      params['clinical-status'] = [].concat(options.clinicalStatus).join(',');
+    }
+
+    return this.getResource('Condition', params);
+  }
+
+  // Get observations for a patient. Servers that insist on a category are
+  // searched once per category and the first pages merged.
+  async getPatientObservations(patientId, category) {
+    const params = { patient: patientId };
+    if (category) params.category = category;
+
+    const categories = this.quirks.observationCategories;
+    if (category || !categories) {
+      return this.getResource('Observation', params);
+    }
+
+    const bundles = await Promise.all(categories.map(c =>
+      this.getResource('Observation', { ...params, category: c })
+    ));
+    return this.mergeBundles(bundles);
+  }
+
+  // Get medications for a patient
+  async getPatientMedications(patientId) {
+    return this.getResource('MedicationRequest', { patient: patientId });
+  }
+
+  // Get care plans for a patient
+  async getPatientCarePlans(patientId) {
+    return this.getResource('CarePlan', { patient: patientId });
+  }
+
+  // Get encounters for a patient
+  async getPatientEncounters(patientId, params = {}) {
+    return this.getResource('Encounter', { patient: patientId, ...params });
+  }
+
+  // Get all encounters
+  async getEncounters(params = {}) {
+    return this.getResource('Encounter', {
+      _count: params.count || 100,
+      ...params
+    });
+  }
+
+  // Get procedures for a patient
+  async getPatientProcedures(patientId) {
+    return this.getResource('Procedure', { patient: patientId });
+  }
+
+  // Get immunizations for a patient
+  async getPatientImmunizations(patientId) {
+    return this.getResource('Immunization', { patient: patientId });
+  }
+
+  // Get allergies for a patient
+  async getPatientAllergies(patientId) {
+    return this.getResource('AllergyIntolerance', { patient: patientId });
+  }
+
+  // Get diagnostic reports
+  async getPatientDiagnosticReports(patientId) {
+    return this.getResource('DiagnosticReport', { patient: patientId });
+  }
+
+  // Write-back: record outreach, follow-ups and enrollments in the EHR
+  async createCommunication(communication) {
+    return this.createResource('Communication', communication);
+  }
+
+  async createTask(task) {
+    return this.createResource('Task', task);
+  }
+
+  async createCarePlan(carePlan) {
+    return this.createResource('CarePlan', carePlan);
+  }
+
+  // Bulk data export (for large datasets)
+  async initiateBulkExport(resourceTypes = ['Patient', 'Condition', 'Observation'], options = {}) {
+    const level = options.groupId ? 'group' : 'system';
+    const levels = this.getBulkExportLevels();
+    if (!levels.includes(level)) {
+      throw notSupported(levels.includes('group')
+        ? `${this.constructor.displayName} only exports by Group; set a bulk export Group id`
+        : `${this.constructor.displayName} doesn't support bulk export`);
+    }
+
+    try {
+      const url = options.groupId
+        ? `${this.baseUrl}/Group/${options.groupId}/$export`
+        : `${this.baseUrl}/$export`;
+      const params = { _type: resourceTypes.join(',') };
+      if (options.since) {
+        params._since = new Date(options.since).toISOString();
+      }
+
+      const response = await this.request({
+        url,
+        headers: {
+          ...this.getAuthHeaders(),
+          'Prefer': 'respond-async'
+        },
+        params
+      });
+
+      // Return the Content-Location header for status polling
+      return {
+        statusUrl: response.headers['content-location'],
+        status: 'initiated'
+      };
+    } catch (error) {
+      logger.error('Bulk export initiation failed:', error.message);
+      throw error;
+    }
+  }
+
+  async checkBulkExportStatus(statusUrl) {
+    try {
+      const response = await this.request({
+        url: statusUrl,
+        headers: this.getAuthHeaders()
+      });
+
+      if (response.status === 202) {
+        return {
+          status: 'in_progress',
+          progress: response.headers['x-progress'],
+          retryAfter: this.parseRetryAfter(response.headers['retry-after'])
+        };
+      }
+
+      return {
+        status: 'complete',
+        transactionTime: response.data.transactionTime,
+        requiresAccessToken: response.data.requiresAccessToken !== false,
+        output: response.data.output || [],
+        error: response.data.error || []
+      };
+    } catch (error) {
+      logger.error('Bulk export status check failed:', error.message);
+      throw error;
+    }
+  }
+
+  // Cancel a running export (the server may also discard completed files)
+  async cancelBulkExport(statusUrl) {
+    try {
+      await this.request({ method: 'DELETE', url: statusUrl, headers: this.getAuthHeaders() });
+    } catch (error) {
+      logger.error('Bulk export cancel failed:', error.message);
+      throw error;
+    }
+  }
+
+  // Stream an NDJSON output file from a completed export
+  async downloadBulkExportFile(url, requiresAccessToken = true) {
+    const response = await this.request({
+      url,
+      headers: requiresAccessToken
+        ? { ...this.getAuthHeaders(), 'Accept': 'application/fhir+ndjson' }
+        : { 'Accept': 'application/fhir+ndjson' },
+      responseType: 'stream'
+    });
+    return response.data;
+  }
+
+  // Retry-After is either delay-seconds or an HTTP date; returns seconds
+  parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return seconds;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  // Get patient everything (comprehensive data), assembled from searches
+  // when the server doesn't implement the operation
+  async getPatientEverything(patientId) {
+    if (!this.supportsEverything()) {
+      return this.assembleEverything(patientId);
+    }
+
+    try {
+      const url = `${this.baseUrl}/Patient/${patientId}/$everything`;
+      const response = await this.request({
+        url,
+        headers: this.getAuthHeaders()
+      });
+      return response.data;
+    } catch (error) {
+      if (OPERATION_UNSUPPORTED_STATUSES.includes(error.status)) {
+        logger.warn(`$everything failed with ${error.status} for patient ${patientId}; assembling from searches`);
+        return this.assembleEverything(patientId);
+      }
+      logger.error(`Failed to fetch everything for patient ${patientId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Stand-in for $everything: the patient plus the first page of each
+  // patient-compartment search the server supports, in one searchset bundle.
+  // A failed search leaves its resource type out rather than failing the lot;
+  // types left out are listed in an OperationOutcome entry (see
+  // incompleteOutcome) so callers know the bundle is partial.
+  async assembleEverything(patientId, resourceTypes = EVERYTHING_RESOURCE_TYPES) {
+    const searchable = resourceTypes.filter(type => this.supportsInteraction(type, 'search-type'));
+    const [patient, results] = await Promise.all([
+      this.getPatientById(patientId),
+      Promise.allSettled(searchable.map(type => type === 'Observation'
+        ? this.getPatientObservations(patientId)
+        : this.getResource(type, { patient: patientId })))
+    ]);
+
+    const bundles = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    const merged = this.mergeBundles(bundles);
+    merged.entry.unshift({ fullUrl: `${this.baseUrl}/Patient/${patientId}`, resource: patient });
+    merged.total = merged.entry.length;
+
+    const missing = [
+      ...resourceTypes
+        .filter(type => !searchable.includes(type))
+        .map(type => ({ resourceType: type, code: 'not-supported', message: 'not searchable on this server' })),
+      ...results
+        .map((result, index) => ({ result, resourceType: searchable[index] }))
+        .filter(({ result }) => result.status === 'rejected')
+        .map(({ result, resourceType }) => ({ resourceType, code: 'incomplete', message: `search failed: ${result.reason.message}` }))
+    ];
+    if (missing.length > 0) {
+      logger.warn(`Assembled record for patient ${patientId} is missing ${missing.map(item => item.resourceType).join(', ')}`);
+      merged.entry.push({ resource: this.incompleteOutcome(missing), search: { mode: 'outcome' } });
+    }
+    return merged;
+  }
+
+  // OperationOutcome naming the resource types a bundle is missing, one
+  // warning per type with the type in `expression`
+  incompleteOutcome(missing) {
+    return {
+      resourceType: 'OperationOutcome',
+      issue: missing.map(({ resourceType, code, message }) => ({
+        severity: 'warning',
+        code,
+        diagnostics: `${resourceType} ${message}`,
+        expression: [resourceType]
+      }))
+    };
+  }
+
+  // Combine the first pages of several searches. Their next links can't be
+  // followed from one bundle, so the result is a single page.
+  mergeBundles(bundles) {
+    return {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total: bundles.reduce((sum, bundle) => sum + (bundle.total ?? bundle.entry?.length ?? 0), 0),
+      entry: bundles.flatMap(bundle => bundle.entry || [])
+    };
+  }
+
+  // Follow next links until the last page or a limit. The result says whether
+  // it is complete: `truncated` when a limit stopped paging early, `error`
+  // (a FhirError) when a page failed after retries and `entries` is partial.
+  async getAllPages(initialBundle, options = {}) {
+    const maxResults = options.maxResults || Infinity;
+    const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    const entries = [...(initialBundle.entry || [])];
+    let bundle = initialBundle;
+    let pages = 1;
+
+    while (this.getNextPageUrl(bundle) && entries.length < maxResults && pages < maxPages) {
+      try {
+        bundle = await this.getNextPage(bundle);
+      } catch (error) {
+        return { entries, complete: false, truncated: false, pages, error };
+      }
+
+      if (bundle.entry) {
+        entries.push(...bundle.entry);
+      }
+      pages++;
+    }
+
+    const truncated = !!this.getNextPageUrl(bundle) || entries.length > maxResults;
+    return {
+      entries: entries.slice(0, maxResults),
+      complete: !truncated,
+      truncated,
+      pages,
+      error: null
+    };
+  }
+
+  // Fetch the bundle behind a bundle's next link (null on the last page)
+  async getNextPage(bundle) {
+    const nextUrl = this.getNextPageUrl(bundle);
+    if (!nextUrl) return null;
+
+    try {
+      const response = await this.request({
+        url: nextUrl,
+        headers: this.getAuthHeaders()
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to fetch next page:', error.message);
+      throw error;
+    }
+  }
+
+  // Some servers send next links relative to the base URL
+  getNextPageUrl(bundle) {
+    const nextLink = bundle.link?.find(l => l.relation === 'next');
+    if (!nextLink?.url) return null;
+    return /^https?:\/\//.test(nextLink.url)
+      ? nextLink.url
+      : `${this.baseUrl.replace(/\/+$/, '')}/${nextLink.url.replace(/^\/+/, '')}`;
+  }
+
+  // Extract ICD-10 codes from conditions: native codes plus SNOMED CT codes
+  // mapped to ICD-10-CM (`source` says which), with clinical and verification
+  // status kept. See conditionNormalizer.matches for the filter options.
+  extractICD10Codes(conditions, options = {}) {
+    return conditionNormalizer.extractICD10Codes(conditions, options);
+  }
+
+  // Get patient contact info for outreach
+  extractPatientContactInfo(patient) {
+    return patientContact.extractPatientContactInfo(patient);
+  }
+
+  formatPatientName(patient) {
+    return patientContact.formatPatientName(patient);
+  }
+}
+
+FhirR4Adapter.vendor = 'generic';
+FhirR4Adapter.displayName = 'This FHIR server';
+FhirR4Adapter.quirks = {};
+FhirR4Adapter.DEFAULT_USER_SCOPE = DEFAULT_USER_SCOPE;
+
+module.exports = FhirR4Adapter;
@@ -0,0 +1,67 @@
+const fhirDiscoveryService = require('../fhirDiscoveryService');
+const FhirR4Adapter = require('./fhirR4Adapter');
+const EpicAdapter = require('./epicAdapter');
+const CernerAdapter = require('./cernerAdapter');
+
+const ADAPTERS = {
+  generic: FhirR4Adapter,
+  epic: EpicAdapter,
+  cerner: CernerAdapter
+};
+
+const DEFAULT_VENDOR = 'epic';
+
+// Picks the FHIR client for an organization's EHR (Organization.ehrVendor).
+// Every adapter exposes the same interface; vendors differ only in quirks.
+const getAdapterClass = (vendor) => ADAPTERS[vendor || DEFAULT_VENDOR] || FhirR4Adapter;
+
+// Connection settings for an organization. An org with its own client ID uses
+// its own secret too; otherwise the deployment-wide environment values apply.
+// A base URL the organization entered is untrusted (`restrictHosts`); the
+// environment's is operator configuration.
+const getOrganizationConfig = (organization) => {
+  const hasOwnClient = !!organization?.epicClientId;
+  return {
+    vendor: organization?.ehrVendor || DEFAULT_VENDOR,
+    baseUrl: organization?.epicFhirBaseUrl || process.env.EPIC_FHIR_BASE_URL,
+    restrictHosts: !!organization?.epicFhirBaseUrl,
+    clientId: hasOwnClient ? organization.epicClientId : process.env.EPIC_CLIENT_ID,
+    clientSecret: hasOwnClient ? (organization.epicClientSecret || null) : process.env.EPIC_CLIENT_SECRET,
+    authUrl: process.env.EPIC_AUTH_URL,
+    tokenUrl: process.env.EPIC_TOKEN_URL
+  };
+};
+
+// Build the adapter for an organization, taking the OAuth endpoints from the
+// server's .well-known/smart-configuration when it publishes one and feature
+// support from its CapabilityStatement (both cached)
+const forOrganization = async (organization, options = {}) => {
+  const { vendor, ...config } = getOrganizationConfig(organization);
+  const discoveryOptions = { restrictHosts: config.restrictHosts };
+  const [smartConfig, capabilities] = await Promise.all([
+    fhirDiscoveryService.tryGetSmartConfiguration(config.baseUrl, discoveryOptions),
+    fhirDiscoveryService.tryGetCapabilities(config.baseUrl, discoveryOptions)
+  ]);
+  const Adapter = getAdapterClass(vendor);
+
+  return new Adapter({
+    ...config,
+    authUrl: smartConfig?.authorizationEndpoint || config.authUrl,
+    tokenUrl: smartConfig?.tokenEndpoint || config.tokenUrl,
+    accessToken: options.accessToken,
+    organizationId: organization?.id,
+    quirks: organization?.settings?.ehrQuirks,
+    capabilities
+  });
+};
+
+module.exports = {
+  vendors: Object.keys(ADAPTERS),
+  DEFAULT_USER_SCOPE: FhirR4Adapter.DEFAULT_USER_SCOPE,
+  getAdapterClass,
+  getOrganizationConfig,
+  forOrganization,
+  FhirR4Adapter,
+  EpicAdapter,
+  CernerAdapter
+};
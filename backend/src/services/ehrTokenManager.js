@@ -0,0 +1,275 @@
+const { Op } = require('sequelize');
+const { User, Organization, AuditLog } = require('../models');
+const ehr = require('./ehr');
+const mailService = require('./mailService');
+const EhrConnectionError = require('../utils/ehrConnectionError');
+const logger = require('../utils/logger');
+
+// Tokens this close to expiry are refreshed before a request uses them
+const REQUEST_MARGIN_MS = 60 * 1000;
+// The scheduled refresh picks up tokens expiring within this window; keep it
+// longer than the job's interval
+const REFRESH_LEAD_MS = (Number(process.env.EPIC_TOKEN_REFRESH_LEAD_MINUTES) || 15) * 60 * 1000;
+// After a failed refresh the scheduled job waits 5m, 10m, 20m, ... (capped at
+// 6h) before trying that user again; requests still refresh on demand
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// Token endpoint answers meaning the refresh token itself is dead
+const REVOKED_OAUTH_ERRORS = ['invalid_grant'];
+
+const notConnected = () => new EhrConnectionError('EPIC connection required', {
+  code: 'NOT_CONNECTED',
+  status: 400,
+  action: 'connect_epic'
+});
+const sessionExpired = () => new EhrConnectionError('EPIC session expired', { code: 'SESSION_EXPIRED' });
+const revoked = () => new EhrConnectionError('EPIC access was revoked', { code: 'REVOKED' });
+
+// Single place that hands out user access tokens for the EHR. Refreshes
+// tokens shortly before they expire (on request and on a schedule), keeps
+// each user's connection status, and clears and reports connections whose
+// refresh token the EHR has revoked.
+class EhrTokenManager {
+  constructor() {
+    // userId -> pending refresh, so concurrent requests share one token call
+    this.inFlight = new Map();
+  }
+
+  get refreshLeadMs() {
+    return REFRESH_LEAD_MS;
+  }
+
+  expiresWithin(user, ms) {
+    return !!user.epicTokenExpiry && new Date(user.epicTokenExpiry).getTime() - ms <= Date.now();
+  }
+
+  isExpired(user) {
+    return this.expiresWithin(user, 0);
+  }
+
+  isRevocation(error) {
+    return REVOKED_OAUTH_ERRORS.includes(error.oauthError);
+  }
+
+  // Access token for the user's own EHR connection, refreshed if needed.
+  // Throws an EhrConnectionError when the user has to (re)connect.
+  async getAccessToken(user, organization) {
+    if (!user.epicAccessToken) {
+      throw user.epicConnectionStatus === 'revoked' ? revoked() : notConnected();
+    }
+    if (!this.expiresWithin(user, REQUEST_MARGIN_MS)) {
+      return user.epicAccessToken;
+    }
+    if (!user.epicRefreshToken) {
+      if (!this.isExpired(user)) return user.epicAccessToken;
+      throw sessionExpired();
+    }
+
+    try {
+      return await this.refresh(user, organization);
+    } catch (error) {
+      if (error instanceof EhrConnectionError) throw error;
+      // A failed refresh doesn't matter while the current token still works
+      if (!this.isExpired(user)) return user.epicAccessToken;
+      throw sessionExpired();
+    }
+  }
+
+  // FHIR client authorized with the user's token
+  async getEpicService(user, organization) {
+    const accessToken = await this.getAccessToken(user, organization);
+    return ehr.forOrganization(organization, { accessToken });
+  }
+
+  // Same, or null when the user has no usable connection
+  async tryGetEpicService(user, organization) {
+    if (!user) return null;
+    try {
+      return await this.getEpicService(user, organization);
+    } catch (error) {
+      if (error instanceof EhrConnectionError) return null;
+      throw error;
+    }
+  }
+
+  // Exchange the refresh token; resolves to the new access token
+  refresh(user, organization) {
+    if (!this.inFlight.has(user.id)) {
+      const pending = this.performRefresh(user, organization)
+        .finally(() => this.inFlight.delete(user.id));
+      this.inFlight.set(user.id, pending);
+    }
+    return this.inFlight.get(user.id);
+  }
+
+  async performRefresh(user, organization) {
+    const refreshToken = user.epicRefreshToken;
+    if (!refreshToken) throw sessionExpired();
+
+    const epicService = await ehr.forOrganization(organization || user.Organization || await user.getOrganization());
+
+    let tokens;
+    try {
+      tokens = await epicService.refreshToken(refreshToken);
+    } catch (error) {
+      if (this.isRevocation(error)) {
+        await this.markRevoked(user, error);
+        throw revoked();
+      }
+
+      await user.update({
+        epicConnectionStatus: 'refresh_failed',
+        epicRefreshFailures: (user.epicRefreshFailures || 0) + 1,
+        epicRefreshFailedAt: new Date(),
+        epicLastError: error.message
+      });
+      throw error;
+    }
+
+    await this.storeTokens(user, tokens, refreshToken);
+    return user.epicAccessToken;
+  }
+
+  // Save a token response (from the connect callback or a refresh)
+  async storeTokens(user, tokens, previousRefreshToken = null) {
+    await user.update({
+      epicAccessToken: tokens.access_token,
+      // Servers that don't rotate refresh tokens leave the old one valid
+      epicRefreshToken: tokens.refresh_token || previousRefreshToken,
+      epicTokenExpiry: tokens.expires_in ? new Date(Date.now() + tokens.expires_in * 1000) : null,
+      epicConnectionStatus: 'connected',
+      epicTokenRefreshedAt: new Date(),
+      epicRefreshFailures: 0,
+      epicRefreshFailedAt: null,
+      epicLastError: null
+    });
+  }
+
+  async disconnect(user) {
+    await user.update({
+      epicAccessToken: null,
+      epicRefreshToken: null,
+      epicTokenExpiry: null,
+      epicConnectionStatus: 'disconnected',
+      epicRefreshFailures: 0,
+      epicRefreshFailedAt: null,
+      epicLastError: null
+    });
+  }
+
+  async markRevoked(user, error) {
+    logger.warn(`EPIC refresh token revoked for user ${user.id}`);
+    await user.update({
+      epicAccessToken: null,
+      epicRefreshToken: null,
+      epicTokenExpiry: null,
+      epicConnectionStatus: 'revoked',
+      epicLastError: error.message
+    });
+
+    AuditLog.create({
+      userId: user.id,
+      organizationId: user.organizationId,
+      action: 'EPIC_TOKEN_REVOKED',
+      resource: 'epic_oauth',
+      details: { reason: error.oauthError }
+    }).catch(err => logger.error('Audit log error:', err));
+
+    await this.notifyRevoked(user);
+  }
+
+  // Tell the user their connection is gone; never fails the caller
+  async notifyRevoked(user) {
+    const settingsUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/settings`;
+    try {
+      await mailService.sendEmail(
+        user.email,
+        'Your EPIC connection needs to be renewed',
+        `<p>Hi ${user.firstName || 'there'},</p>
+        <p>EPIC no longer accepts the authorization you gave CareFlow Analytics, so patient
+        data can't be loaded for you until you reconnect.</p>
+        <p><a href="${settingsUrl}">Reconnect EPIC in Settings</a></p>`
+      );
+    } catch (error) {
+      logger.error(`Revoked connection notice failed for user ${user.id}:`, error.message);
+    }
+  }
+
+  // When the scheduled job should next try a user whose refreshes are failing
+  nextRetryAt(user) {
+    if (user.epicConnectionStatus !== 'refresh_failed' || !user.epicRefreshFailedAt) {
+      return null;
+    }
+    const failures = Math.max(user.epicRefreshFailures || 1, 1);
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (failures - 1), MAX_RETRY_DELAY_MS);
+    return new Date(new Date(user.epicRefreshFailedAt).getTime() + delay);
+  }
+
+  // Scheduled job: refresh every active user's token that expires soon,
+  // backing off from users whose refreshes keep failing
+  async refreshExpiring() {
+    const users = await User.findAll({
+      where: {
+        isActive: true,
+        epicRefreshToken: { [Op.ne]: null },
+        epicTokenExpiry: { [Op.lt]: new Date(Date.now() + REFRESH_LEAD_MS) }
+      },
+      include: [Organization]
+    });
+
+    const results = { checked: users.length, refreshed: 0, revoked: 0, failed: 0, deferred: 0 };
+    for (const user of users) {
+      if (!user.Organization?.isActive) continue;
+      if (this.nextRetryAt(user) > new Date()) {
+        results.deferred++;
+        continue;
+      }
+
+      try {
+        await this.refresh(user, user.Organization);
+        results.refreshed++;
+      } catch (error) {
+        if (error instanceof EhrConnectionError) {
+          results.revoked++;
+        } else {
+          results.failed++;
+          logger.warn(`Token refresh failed for user ${user.id}: ${error.message}`);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  // Connection health for status pages:
+  // disconnected, revoked, expired, refresh_failed, expiring or healthy
+  getHealth(user) {
+    const hasToken = !!user.epicAccessToken;
+    const refreshable = hasToken && !!user.epicRefreshToken;
+
+    let status;
+    if (!hasToken) {
+      status = user.epicConnectionStatus === 'revoked' ? 'revoked' : 'disconnected';
+    } else if (user.epicConnectionStatus === 'refresh_failed') {
+      status = 'refresh_failed';
+    } else if (this.isExpired(user)) {
+      status = refreshable ? 'healthy' : 'expired';
+    } else if (!refreshable && this.expiresWithin(user, REFRESH_LEAD_MS)) {
+      status = 'expiring';
+    } else {
+      status = 'healthy';
+    }
+
+    return {
+      status,
+      connected: hasToken && (refreshable || !this.isExpired(user)),
+      refreshable,
+      tokenExpiry: user.epicTokenExpiry || null,
+      lastRefreshedAt: user.epicTokenRefreshedAt || null,
+      refreshFailures: user.epicRefreshFailures || 0,
+      lastError: user.epicLastError || null
+    };
+  }
+}
+
+module.exports = new EhrTokenManager();
@@ -0,0 +1,303 @@
+const conditionNormalizer = require('./conditionNormalizer');
+const observationNormalizer = require('./observationNormalizer');
+const qualityMeasureService = require('./qualityMeasureService');
+const populationSyncService = require('./populationSyncService');
+const cohortService = require('./cohortService');
+const { ageOn } = require('../utils/age');
+
+// v3 ActCode encounter classes that count as a hospital stay
+const INPATIENT_CLASSES = ['IMP', 'ACUTE', 'NONAC'];
+const DEFAULT_DAYS_POST_DISCHARGE = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Criteria that can't be read from clinical data; they are reported for
+// staff to confirm rather than making a patient ineligible
+const UNVERIFIABLE = {
+  insuranceType: (value) => `Coverage (${value}) is not read from the EHR`,
+  consentToMAT: () => 'Consent to medication-assisted treatment must be confirmed with the patient',
+  ableToUseDevices: () => 'Ability to use monitoring devices must be confirmed with the patient'
+};
+// Modifiers read together with another criterion
+const MODIFIERS = ['requireActiveCondition', 'daysPostDischarge'];
+
+// Resource types each criterion reads (Patient is always needed)
+const RESOURCE_TYPES = {
+  conditions: ['Condition'],
+  excludeConditions: ['Condition'],
+  minChronicConditions: ['Condition'],
+  minBMI: ['Observation'],
+  recentHospitalization: ['Encounter'],
+  noAWVInPast12Months: ['Encounter', 'Procedure']
+};
+
+// EHR adapter reads per resource type, for callers fetching live data
+const EHR_READS = {
+  Condition: (epicService, patientId) => epicService.getPatientConditions(patientId),
+  Observation: (epicService, patientId) => epicService.getPatientObservations(patientId),
+  Encounter: (epicService, patientId) => epicService.getPatientEncounters(patientId),
+  Procedure: (epicService, patientId) => epicService.getPatientProcedures(patientId)
+};
+
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/\./g, '').trim();
+const toList = (value) => [].concat(value || []);
+const isGroup = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toDateOnly = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+const check = (criterion, result, message) => ({ criterion, result, message });
+
+// Conditions passing the care plan's active-only rule, with normalized ICD-10 codes
+const conditionsOf = (context, criteria) => {
+  const options = conditionNormalizer.optionsForCarePlan({ eligibilityCriteria: criteria });
+  return conditionNormalizer.normalizeAll(context.resources, options).flatMap(condition =>
+    condition.icd10Codes.map(coding => ({ code: normalizeCode(coding.code), label: coding.code, display: coding.display || condition.display }))
+  );
+};
+
+// Per criterion: (value, context, criteria) => check, or null to skip
+const CRITERIA = {
+  minAge(value, context) {
+    if (context.age === null) return check('minAge', 'unverified', 'Birth date unknown');
+    return context.age >= value
+      ? check('minAge', 'met', `Age ${context.age} is at least ${value}`)
+      : check('minAge', 'not-met', `Age ${context.age} is under ${value}`);
+  },
+
+  maxAge(value, context) {
+    if (context.age === null) return check('maxAge', 'unverified', 'Birth date unknown');
+    return context.age <= value
+      ? check('maxAge', 'met', `Age ${context.age} is at most ${value}`)
+      : check('maxAge', 'not-met', `Age ${context.age} is over ${value}`);
+  },
+
+  gender(value, context) {
+    const gender = context.patient?.gender;
+    if (!gender) return check('gender', 'unverified', 'Sex unknown');
+    return gender === value
+      ? check('gender', 'met', `Sex is ${value}`)
+      : check('gender', 'not-met', `Sex is ${gender}, not ${value}`);
+  },
+
+  conditions(value, context, criteria) {
+    const prefixes = toList(value).map(normalizeCode);
+    if (prefixes.length === 0) return null;
+
+    const active = criteria.requireActiveCondition !== false ? 'active ' : '';
+    const match = conditionsOf(context, criteria).find(condition =>
+      prefixes.some(prefix => condition.code.startsWith(prefix)));
+    return match
+      ? check('conditions', 'met', `Has ${active}${match.label}${match.display ? ` (${match.display})` : ''}`)
+      : check('conditions', 'not-met', `No ${active}condition in ${toList(value).join(', ')}`);
+  },
+
+  excludeConditions(value, context, criteria) {
+    const prefixes = toList(value).map(normalizeCode);
+    if (prefixes.length === 0) return null;
+
+    const match = conditionsOf(context, criteria).find(condition =>
+      prefixes.some(prefix => condition.code.startsWith(prefix)));
+    return match
+      ? check('excludeConditions', 'not-met', `Has excluded condition ${match.label}${match.display ? ` (${match.display})` : ''}`)
+      : check('excludeConditions', 'met', `No excluded condition (${toList(value).join(', ')})`);
+  },
+
+  // Distinct ICD-10 categories among the plan's codes (or its conditions list)
+  minChronicConditions(value, context, criteria) {
+    const planCodes = toList(criteria.conditions).length ? toList(criteria.conditions) : toList(context.carePlan?.icd10Codes);
+    const categories = [...new Set(planCodes.map(code => normalizeCode(code).slice(0, 3)))];
+    const found = new Set(conditionsOf(context, criteria)
+      .map(condition => condition.code.slice(0, 3))
+      .filter(category => categories.length === 0 || categories.includes(category)));
+
+    return found.size >= value
+      ? check('minChronicConditions', 'met', `${found.size} qualifying chronic conditions (needs ${value})`)
+      : check('minChronicConditions', 'not-met', `${found.size} qualifying chronic conditions; needs ${value}`);
+  },
+
+  minBMI(value, context) {
+    const bmi = observationNormalizer.getPatientMeasures(context.resources).bmi;
+    if (!bmi) return check('minBMI', 'unverified', 'No BMI on record');
+    return bmi.latest.value >= value
+      ? check('minBMI', 'met', `Latest BMI ${bmi.latest.value} is at least ${value}`)
+      : check('minBMI', 'not-met', `Latest BMI ${bmi.latest.value} is under ${value}`);
+  },
+
+  recentHospitalization(value, context, criteria) {
+    const days = criteria.daysPostDischarge || DEFAULT_DAYS_POST_DISCHARGE;
+    const since = context.asOf.getTime() - days * DAY_MS;
+    const stays = context.resources
+      .filter(resource => resource?.resourceType === 'Encounter' && INPATIENT_CLASSES.includes(resource.class?.code))
+      .filter(resource => !['cancelled', 'entered-in-error'].includes(resource.status))
+      .map(resource => new Date(resource.period?.end || resource.period?.start))
+      .filter(date => !Number.isNaN(date.getTime()) && date.getTime() >= since && date <= context.asOf)
+      .sort((a, b) => b - a);
+
+    return stays.length > 0
+      ? check('recentHospitalization', 'met', `Discharged ${toDateOnly(stays[0])}, within ${days} days`)
+      : check('recentHospitalization', 'not-met', `No hospital discharge in the last ${days} days`);
+  },
+
+  // Read from the quality measure engine's AWV measure
+  noAWVInPast12Months(value, context) {
+    let result;
+    try {
+      [result] = qualityMeasureService.evaluatePatient(context.resources, { measureIds: ['awv'], asOf: context.asOf }).results;
+    } catch (error) {
+      return check('noAWVInPast12Months', 'unverified', 'No AWV measure is loaded');
+    }
+
+    return result.status === 'met'
+      ? check('noAWVInPast12Months', 'not-met', `Annual wellness visit on ${result.lastPerformed}`)
+      : check('noAWVInPast12Months', 'met', result.lastPerformed
+        ? `Last annual wellness visit ${result.lastPerformed}`
+        : 'No annual wellness visit on record');
+  }
+};
+
+// Applies a care plan's eligibilityCriteria to one patient's FHIR resources.
+// Every criterion becomes a check that is met, not-met or unverified (the
+// data needed isn't loaded or isn't clinical); a patient is eligible when no
+// check is not-met, and needs review when any is unverified. Nested objects
+// (e.g. the screening program's colorectal / breast / cervical groups) are
+// alternatives: meeting any one of them is enough.
+class EligibilityService {
+  // Resource types (besides Patient) needed to evaluate a care plan
+  requiredResourceTypes(carePlan) {
+    const criteria = carePlan?.eligibilityCriteria || {};
+    const types = new Set();
+    for (const key of Object.keys(criteria)) {
+      for (const type of RESOURCE_TYPES[key] || []) types.add(type);
+    }
+    return [...types];
+  }
+
+  // A patient's resources for the given types, read live from the EHR
+  async loadFromEhr(epicService, patientId, resourceTypes) {
+    const [patient, ...bundles] = await Promise.all([
+      epicService.getPatientById(patientId),
+      ...resourceTypes.map(type => EHR_READS[type](epicService, patientId))
+    ]);
+    return [patient, ...bundles.flatMap(bundle => (bundle.entry || []).map(entry => entry.resource))];
+  }
+
+  // Patients among `patientIds` in the care plan's cohort, as a Set. Undefined
+  // when the plan has no cohort, null when the population isn't loaded.
+  async getCohortMembers(organizationId, carePlan, patientIds) {
+    if (!carePlan?.cohortId) return undefined;
+
+    const dataAsOf = await populationSyncService.getDataAsOf(organizationId, ['Patient', 'Condition']);
+    if (!dataAsOf) return null;
+
+    const { definition } = await cohortService.resolveDefinition(organizationId, carePlan.cohortId, carePlan.cohortVersion);
+    const { patientIds: members } = await cohortService.findPatientIds(organizationId, definition, { patientIds });
+    return new Set(members);
+  }
+
+  // Options: asOf; resourceTypes, the types that were loaded (all by default);
+  // cohortMembers, from getCohortMembers
+  evaluate(carePlan, resources, options = {}) {
+    const list = Array.isArray(resources) ? resources : (resources?.entry || []).map(entry => entry.resource);
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    const patient = list.find(resource => resource?.resourceType === 'Patient') || null;
+    const context = {
+      carePlan,
+      asOf,
+      patient,
+      age: ageOn(patient?.birthDate, asOf),
+      resources: list,
+      loaded: (types) => !options.resourceTypes || types.every(type => options.resourceTypes.includes(type))
+    };
+
+    const criteria = carePlan?.eligibilityCriteria || {};
+    const checks = this.evaluateCriteria(criteria, context);
+
+    if (options.cohortMembers !== undefined && patient) {
+      if (options.cohortMembers === null) {
+        checks.push(check('cohort', 'unverified', 'Cohort membership needs the synced population'));
+      } else if (options.cohortMembers.has(patient.id)) {
+        checks.push(check('cohort', 'met', 'In the care plan\'s cohort'));
+      } else {
+        checks.push(check('cohort', 'not-met', 'Not in the care plan\'s cohort'));
+      }
+    }
+
+    const reasons = checks.filter(item => item.result === 'not-met').map(item => item.message);
+    const unverified = checks.filter(item => item.result === 'unverified').map(item => item.message);
+    return {
+      carePlanId: carePlan?.id || null,
+      carePlanName: carePlan?.name || null,
+      patientId: patient?.id || null,
+      eligible: reasons.length === 0,
+      needsReview: reasons.length === 0 && unverified.length > 0,
+      reasons,
+      unverified,
+      checks
+    };
+  }
+
+  // Counts over many evaluations, with the criteria patients most often fail
+  summarize(evaluations) {
+    const failedBy = {};
+    for (const evaluation of evaluations) {
+      for (const item of evaluation.checks) {
+        if (item.result === 'not-met') failedBy[item.criterion] = (failedBy[item.criterion] || 0) + 1;
+      }
+    }
+    return {
+      evaluated: evaluations.length,
+      eligible: evaluations.filter(evaluation => evaluation.eligible).length,
+      ineligible: evaluations.filter(evaluation => !evaluation.eligible).length,
+      needsReview: evaluations.filter(evaluation => evaluation.needsReview).length,
+      failedBy
+    };
+  }
+
+  evaluateCriteria(criteria, context) {
+    const checks = [];
+    const groups = [];
+
+    for (const [key, value] of Object.entries(criteria)) {
+      if (MODIFIERS.includes(key) || value === null || value === undefined || value === false) continue;
+      if (isGroup(value)) {
+        groups.push([key, value]);
+        continue;
+      }
+
+      const types = RESOURCE_TYPES[key] || [];
+      if (!context.loaded(types)) {
+        checks.push(check(key, 'unverified', `${key} needs ${types.join(' and ')} data, which was not loaded`));
+        continue;
+      }
+
+      const evaluator = CRITERIA[key];
+      if (evaluator) {
+        const result = evaluator(value, context, criteria);
+        if (result) checks.push(result);
+      } else if (UNVERIFIABLE[key]) {
+        checks.push(check(key, 'unverified', UNVERIFIABLE[key](value)));
+      } else {
+        checks.push(check(key, 'unverified', `Criterion ${key} is not evaluated automatically`));
+      }
+    }
+
+    if (groups.length > 0) {
+      checks.push(this.evaluateGroups(groups, context));
+    }
+    return checks;
+  }
+
+  evaluateGroups(groups, context) {
+    const outcomes = groups.map(([name, criteria]) => {
+      const checks = this.evaluateCriteria(criteria, context);
+      return { name, checks, met: checks.every(item => item.result !== 'not-met') };
+    });
+
+    const met = outcomes.filter(outcome => outcome.met);
+    if (met.length === 0) {
+      return check('programs', 'not-met', `Meets none of: ${groups.map(([name]) => name).join(', ')}`);
+    }
+    const review = met.every(outcome => outcome.checks.some(item => item.result === 'unverified'));
+    return check('programs', review ? 'unverified' : 'met', `Qualifies for: ${met.map(outcome => outcome.name).join(', ')}`);
+  }
+}
+
+module.exports = new EligibilityService();
@@ -0,0 +1,163 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { assertEhrUrl, restrictedRequestConfig } = require('../utils/ehrUrl');
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const FAILURE_TTL_MS = 5 * 60 * 1000;
+const DISCOVERY_TIMEOUT_MS = 10000;
+
+// Operation names appear with or without the leading $
+const operationName = (operation) => (operation.name || '').replace(/^\$/, '');
+
+// Server discovery, cached per FHIR base URL: SMART endpoints
+// (.well-known/smart-configuration) and what the server supports (/metadata).
+// With `restrictHosts` (an organization-supplied base URL) the requests only
+// reach public hosts, don't follow redirects, and advertised OAuth endpoints
+// must pass the same checks.
+class FhirDiscoveryService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  normalizeBaseUrl(baseUrl) {
+    return (baseUrl || '').replace(/\/+$/, '');
+  }
+
+  cacheKey(kind, baseUrl, restrictHosts = false) {
+    return `${kind}${restrictHosts ? ':restricted' : ''}:${this.normalizeBaseUrl(baseUrl)}`;
+  }
+
+  // Fetch through the cache unless `refresh` is set
+  async cached(kind, baseUrl, fetch, options = {}) {
+    const key = this.cacheKey(kind, baseUrl, options.restrictHosts);
+    const cached = this.cache.get(key);
+    if (!options.refresh && cached?.value && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const value = await fetch(this.normalizeBaseUrl(baseUrl), options);
+    this.cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+  }
+
+  // Discovery that never throws: callers fall back to configured values.
+  // Failures are remembered briefly so a dead endpoint doesn't slow every request.
+  async tryCached(kind, baseUrl, fetch, options = {}) {
+    const key = this.cacheKey(kind, baseUrl, options.restrictHosts);
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    try {
+      return await this.cached(kind, baseUrl, fetch, { ...options, refresh: true });
+    } catch (error) {
+      logger.warn(`FHIR ${kind} discovery failed for ${baseUrl}: ${error.message}`);
+      this.cache.set(key, { value: null, expiresAt: Date.now() + FAILURE_TTL_MS });
+      return null;
+    }
+  }
+
+  requestConfig(url, options) {
+    return options.restrictHosts ? restrictedRequestConfig(url) : {};
+  }
+
+  async fetchSmartConfiguration(baseUrl, options = {}) {
+    const url = `${baseUrl}/.well-known/smart-configuration`;
+    const response = await axios.get(url, {
+      ...this.requestConfig(url, options),
+      headers: { Accept: 'application/json' },
+      timeout: DISCOVERY_TIMEOUT_MS
+    });
+
+    const config = response.data || {};
+    if (options.restrictHosts) {
+      if (config.authorization_endpoint) {
+        await assertEhrUrl(config.authorization_endpoint, 'authorization_endpoint');
+      }
+      if (config.token_endpoint) {
+        await assertEhrUrl(config.token_endpoint, 'token_endpoint');
+      }
+    }
+
+    return {
+      authorizationEndpoint: config.authorization_endpoint || null,
+      tokenEndpoint: config.token_endpoint || null,
+      capabilities: config.capabilities || [],
+      scopesSupported: config.scopes_supported || [],
+      codeChallengeMethods: config.code_challenge_methods_supported || [],
+      tokenEndpointAuthMethods: config.token_endpoint_auth_methods_supported || []
+    };
+  }
+
+  async fetchCapabilities(baseUrl, options = {}) {
+    const url = `${baseUrl}/metadata`;
+    const response = await axios.get(url, {
+      ...this.requestConfig(url, options),
+      headers: { Accept: 'application/fhir+json' },
+      timeout: DISCOVERY_TIMEOUT_MS
+    });
+
+    if (response.data?.resourceType !== 'CapabilityStatement') {
+      throw new Error('Response is not a CapabilityStatement');
+    }
+    return this.parseCapabilityStatement(response.data);
+  }
+
+  // The parts of a CapabilityStatement that decide which calls can be made:
+  // interactions, search parameters and operations per resource type, plus
+  // system-level operations ($export)
+  parseCapabilityStatement(statement) {
+    const rest = (statement.rest || []).find(r => r.mode === 'server') || statement.rest?.[0] || {};
+
+    const resources = {};
+    for (const resource of rest.resource || []) {
+      resources[resource.type] = {
+        interactions: (resource.interaction || []).map(interaction => interaction.code),
+        searchParams: (resource.searchParam || []).map(param => param.name),
+        operations: (resource.operation || []).map(operationName)
+      };
+    }
+
+    return {
+      fhirVersion: statement.fhirVersion || null,
+      software: statement.software ? {
+        name: statement.software.name || null,
+        version: statement.software.version || null
+      } : null,
+      formats: statement.format || [],
+      operations: (rest.operation || []).map(operationName),
+      resources,
+      fetchedAt: new Date().toISOString()
+    };
+  }
+
+  async getSmartConfiguration(baseUrl, options = {}) {
+    return this.cached('smart', baseUrl, (url, opts) => this.fetchSmartConfiguration(url, opts), options);
+  }
+
+  async tryGetSmartConfiguration(baseUrl, options = {}) {
+    return this.tryCached('smart', baseUrl, (url, opts) => this.fetchSmartConfiguration(url, opts), options);
+  }
+
+  async getCapabilities(baseUrl, options = {}) {
+    return this.cached('metadata', baseUrl, (url, opts) => this.fetchCapabilities(url, opts), options);
+  }
+
+  async tryGetCapabilities(baseUrl, options = {}) {
+    return this.tryCached('metadata', baseUrl, (url, opts) => this.fetchCapabilities(url, opts), options);
+  }
+
+  clear(baseUrl) {
+    if (baseUrl) {
+      for (const kind of ['smart', 'metadata']) {
+        this.cache.delete(this.cacheKey(kind, baseUrl));
+        this.cache.delete(this.cacheKey(kind, baseUrl, true));
+      }
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+module.exports = new FhirDiscoveryService();
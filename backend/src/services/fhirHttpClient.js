@@ -0,0 +1,122 @@
+const axios = require('axios');
+const FhirError = require('../utils/fhirError');
+const { restrictedRequestConfig } = require('../utils/ehrUrl');
+const logger = require('../utils/logger');
+
+const REQUEST_TIMEOUT_MS = Number(process.env.FHIR_REQUEST_TIMEOUT_MS) || 30000;
+const REQUEST_DEADLINE_MS = Number(process.env.FHIR_REQUEST_DEADLINE_MS) || 120000;
+const MAX_RETRIES = Number(process.env.FHIR_MAX_RETRIES ?? 3);
+const MAX_CONCURRENCY = Number(process.env.FHIR_MAX_CONCURRENCY) || 5;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+// Statuses that mean the server did not act on the request, so even a POST is safe to repeat
+const NOT_PROCESSED_STATUSES = [429, 503];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// HTTP layer for FHIR calls: per-attempt timeout, overall deadline, retries
+// with exponential backoff and jitter (honouring Retry-After), and a cap on
+// concurrent requests per organization so one tenant can't exhaust Epic's
+// rate limits for everyone.
+class FhirHttpClient {
+  constructor() {
+    this.slots = new Map();
+  }
+
+  async request(config, options = {}) {
+    const method = (config.method || 'GET').toUpperCase();
+    const deadline = Date.now() + (options.deadlineMs || REQUEST_DEADLINE_MS);
+    const maxRetries = options.retries ?? MAX_RETRIES;
+    const concurrencyKey = options.concurrencyKey || 'default';
+    // Organization-supplied servers may only be reached on public addresses
+    const restrictions = options.restrictHosts ? restrictedRequestConfig(config.url) : {};
+
+    for (let attempt = 1; ; attempt++) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new FhirError(`FHIR request deadline exceeded for ${method} ${config.url}`, {
+          url: config.url, method, code: 'DEADLINE_EXCEEDED', attempts: attempt - 1
+        });
+      }
+
+      try {
+        return await this.withSlot(concurrencyKey, () => axios.request({
+          ...config,
+          ...restrictions,
+          method,
+          timeout: Math.min(config.timeout || REQUEST_TIMEOUT_MS, remaining)
+        }));
+      } catch (error) {
+        const fhirError = FhirError.fromAxiosError(error, attempt);
+        fhirError.retryable = this.isRetryable(error, method);
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (!fhirError.retryable || attempt > maxRetries || Date.now() + delay >= deadline) {
+          throw fhirError;
+        }
+
+        logger.warn(`FHIR ${method} ${config.url} failed (${fhirError.status || error.code}); retry ${attempt}/${maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  isRetryable(error, method) {
+    const status = error.response?.status;
+    if (!status) {
+      return IDEMPOTENT_METHODS.includes(method) && RETRYABLE_NETWORK_CODES.includes(error.code);
+    }
+    if (!IDEMPOTENT_METHODS.includes(method)) {
+      return NOT_PROCESSED_STATUSES.includes(status);
+    }
+    return RETRYABLE_STATUSES.includes(status);
+  }
+
+  // Retry-After wins when present; otherwise exponential backoff with full jitter
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!Number.isNaN(ms)) {
+        return Math.min(Math.max(ms, 0), MAX_BACKOFF_MS);
+      }
+    }
+
+    const ceiling = Math.min(BASE_BACKOFF_MS * Math.pow(2, attempt - 1), MAX_BACKOFF_MS);
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  // Simple per-key semaphore
+  async withSlot(key, fn) {
+    let slot = this.slots.get(key);
+    if (!slot) {
+      slot = { active: 0, queue: [] };
+      this.slots.set(key, slot);
+    }
+
+    // A released slot is handed straight to the next waiter
+    if (slot.active >= MAX_CONCURRENCY) {
+      await new Promise(resolve => slot.queue.push(resolve));
+    } else {
+      slot.active++;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      const next = slot.queue.shift();
+      if (next) {
+        next();
+      } else if (--slot.active === 0) {
+        this.slots.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new FhirHttpClient();
@@ -0,0 +1,356 @@
+const { Op } = require('sequelize');
+const { sequelize, SandboxResource } = require('../models');
+
+// Search parameters the sandbox understands, grouped by how they are indexed
+const SEARCH_PARAMS = {
+  Patient: {
+    token: ['gender', 'identifier', 'address-postalcode', 'active'],
+    date: ['birthdate'],
+    text: ['name', 'family', 'given']
+  },
+  Condition: {
+    token: ['code', 'clinical-status', 'verification-status', 'category'],
+    date: ['onset-date', 'recorded-date']
+  },
+  Observation: {
+    token: ['code', 'category', 'status'],
+    date: ['date']
+  },
+  Encounter: {
+    token: ['status', 'class', 'type'],
+    date: ['date']
+  },
+  MedicationRequest: {
+    token: ['status', 'intent', 'code'],
+    date: ['authoredon']
+  },
+  Procedure: {
+    token: ['status', 'code'],
+    date: ['date']
+  },
+  Immunization: {
+    token: ['status', 'vaccine-code'],
+    date: ['date']
+  },
+  CarePlan: {
+    token: ['status', 'category'],
+    date: ['date']
+  },
+  Communication: {
+    token: ['status', 'category', 'identifier'],
+    date: ['sent']
+  },
+  Task: {
+    token: ['status', 'intent', 'code', 'identifier'],
+    date: ['authored-on']
+  }
+};
+
+const DATE_PREFIXES = {
+  eq: Op.eq,
+  gt: Op.gt,
+  ge: Op.gte,
+  lt: Op.lt,
+  le: Op.lte
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+class FhirSandboxStore {
+  get supportedTypes() {
+    return Object.keys(SEARCH_PARAMS);
+  }
+
+  // Own keys only, so names like "constructor" aren't taken for resource types
+  isSupported(resourceType) {
+    return Object.hasOwn(SEARCH_PARAMS, resourceType);
+  }
+
+  // Build the searchable row for a FHIR resource
+  indexResource(resource) {
+    return {
+      resourceType: resource.resourceType,
+      fhirId: resource.id,
+      patientId: this.getPatientId(resource),
+      searchTokens: this.getSearchTokens(resource),
+      searchText: this.getSearchText(resource),
+      searchDate: this.getSearchDate(resource),
+      resource,
+      lastUpdated: resource.meta?.lastUpdated ? new Date(resource.meta.lastUpdated) : new Date()
+    };
+  }
+
+  getPatientId(resource) {
+    if (resource.resourceType === 'Patient') return resource.id;
+    const reference = resource.subject?.reference || resource.patient?.reference || resource.for?.reference;
+    return reference ? reference.split('/')[1] : null;
+  }
+
+  getSearchTokens(resource) {
+    const tokens = [];
+    const addCodings = (param, codings = []) => {
+      for (const coding of codings) {
+        if (!coding.code) continue;
+        tokens.push(`${param}:${coding.code}`);
+        if (coding.system) tokens.push(`${param}:${coding.system}|${coding.code}`);
+      }
+    };
+    const addConcepts = (param, concepts = []) => {
+      for (const concept of [].concat(concepts)) {
+        addCodings(param, concept?.coding);
+      }
+    };
+    const addIdentifiers = (identifiers = []) => {
+      for (const identifier of identifiers) {
+        tokens.push(`identifier:${identifier.value}`);
+        if (identifier.system) tokens.push(`identifier:${identifier.system}|${identifier.value}`);
+      }
+    };
+
+    switch (resource.resourceType) {
+      case 'Patient':
+        if (resource.gender) tokens.push(`gender:${resource.gender}`);
+        if (resource.active !== undefined) tokens.push(`active:${resource.active}`);
+        addIdentifiers(resource.identifier);
+        for (const address of (resource.address || [])) {
+          if (address.postalCode) tokens.push(`address-postalcode:${address.postalCode}`);
+        }
+        break;
+      case 'Condition':
+        addConcepts('code', resource.code);
+        addConcepts('clinical-status', resource.clinicalStatus);
+        addConcepts('verification-status', resource.verificationStatus);
+        addConcepts('category', resource.category);
+        break;
+      case 'Observation':
+        addConcepts('code', resource.code);
+        addConcepts('category', resource.category);
+        if (resource.status) tokens.push(`status:${resource.status}`);
+        break;
+      case 'Encounter':
+        if (resource.status) tokens.push(`status:${resource.status}`);
+        addCodings('class', resource.class ? [resource.class] : []);
+        addConcepts('type', resource.type);
+        break;
+      case 'MedicationRequest':
+        if (resource.status) tokens.push(`status:${resource.status}`);
+        if (resource.intent) tokens.push(`intent:${resource.intent}`);
+        addConcepts('code', resource.medicationCodeableConcept);
+        break;
+      case 'Procedure':
+        if (resource.status) tokens.push(`status:${resource.status}`);
+        addConcepts('code', resource.code);
+        break;
+      case 'Immunization':
+        if (resource.status) tokens.push(`status:${resource.status}`);
+        addConcepts('vaccine-code', resource.vaccineCode);
+        break;
+      case 'CarePlan':
+        if (resource.status) tokens.push(`status:${resource.status}`);
+        addConcepts('category', resource.category);
+        break;
+      case 'Communication':
+        if (resource.status) tokens.push(`status:${resource.status}`);
+        addConcepts('category', resource.category);
+        addIdentifiers(resource.identifier);
+        break;
+      case 'Task':
+        if (resource.status) tokens.push(`status:${resource.status}`);
+        if (resource.intent) tokens.push(`intent:${resource.intent}`);
+        addConcepts('code', resource.code);
+        addIdentifiers(resource.identifier);
+        break;
+      default:
+        break;
+    }
+
+    return tokens;
+  }
+
+  getSearchText(resource) {
+    if (resource.resourceType !== 'Patient') return null;
+    return (resource.name || [])
+      .map(name => [...(name.given || []), name.family].filter(Boolean).join(' '))
+      .join(' ')
+      .toLowerCase();
+  }
+
+  getSearchDate(resource) {
+    const value = {
+      Patient: resource.birthDate,
+      Condition: resource.onsetDateTime || resource.recordedDate,
+      Observation: resource.effectiveDateTime || resource.effectivePeriod?.start,
+      Encounter: resource.period?.start,
+      MedicationRequest: resource.authoredOn,
+      Procedure: resource.performedDateTime || resource.performedPeriod?.start,
+      Immunization: resource.occurrenceDateTime,
+      CarePlan: resource.period?.start,
+      Communication: resource.sent,
+      Task: resource.authoredOn
+    }[resource.resourceType];
+
+    return value ? new Date(value) : null;
+  }
+
+  // Insert or replace resources, keyed by type and id
+  async saveResources(resources, options = {}) {
+    const rows = resources.map(resource => this.indexResource(resource));
+    if (rows.length === 0) return 0;
+
+    await SandboxResource.bulkCreate(rows, {
+      updateOnDuplicate: ['patientId', 'searchTokens', 'searchText', 'searchDate', 'resource', 'lastUpdated', 'updatedAt'],
+      transaction: options.transaction
+    });
+
+    return rows.length;
+  }
+
+  async clear() {
+    return SandboxResource.destroy({ where: {}, truncate: true });
+  }
+
+  async getById(resourceType, id) {
+    const row = await SandboxResource.findOne({
+      where: { resourceType, fhirId: id }
+    });
+    return row ? row.resource : null;
+  }
+
+  // Translate FHIR search parameters into a where clause
+  buildWhere(resourceType, query = {}) {
+    const definition = SEARCH_PARAMS[resourceType];
+    const conditions = [{ resourceType }];
+
+    const values = (param) => [].concat(query[param]).filter(v => v !== undefined && v !== '');
+
+    for (const id of values('_id')) {
+      conditions.push({ fhirId: { [Op.in]: id.split(',') } });
+    }
+
+    for (const param of ['patient', 'subject']) {
+      for (const reference of values(param)) {
+        conditions.push({ patientId: reference.split('/').pop() });
+      }
+    }
+
+    for (const value of values('_lastUpdated')) {
+      conditions.push({ lastUpdated: this.parseDateFilter(value) });
+    }
+
+    for (const param of definition.token) {
+      for (const value of values(param)) {
+        const tokens = value.split(',').map(token => {
+          const [system, code] = token.includes('|') ? token.split('|') : [null, token];
+          return system ? `${param}:${system}|${code}` : `${param}:${code}`;
+        });
+        conditions.push({ searchTokens: { [Op.overlap]: tokens } });
+      }
+    }
+
+    for (const param of definition.date) {
+      for (const value of values(param)) {
+        conditions.push({ searchDate: this.parseDateFilter(value) });
+      }
+    }
+
+    for (const param of (definition.text || [])) {
+      for (const value of values(param)) {
+        conditions.push({ searchText: { [Op.iLike]: `%${value.toLowerCase()}%` } });
+      }
+    }
+
+    return { [Op.and]: conditions };
+  }
+
+  // A date search value with an optional prefix (ge2020-01-01). An invalid
+  // date is a 400 rather than a failed query.
+  parseDateFilter(value) {
+    const prefix = value.slice(0, 2);
+    const operator = DATE_PREFIXES[prefix];
+    const date = new Date(operator ? value.slice(2) : value);
+    if (Number.isNaN(date.getTime())) {
+      const error = new Error(`Invalid date search value: ${value}`);
+      error.status = 400;
+      throw error;
+    }
+    return { [operator || Op.eq]: date };
+  }
+
+  getPageSize(query = {}) {
+    const count = parseInt(query._count) || DEFAULT_PAGE_SIZE;
+    return Math.min(Math.max(count, 1), MAX_PAGE_SIZE);
+  }
+
+  // Run a search and return one page of resources plus the total match count
+  async search(resourceType, query = {}) {
+    const limit = this.getPageSize(query);
+    const offset = Math.max(parseInt(query._offset) || 0, 0);
+
+    const { count, rows } = await SandboxResource.findAndCountAll({
+      where: this.buildWhere(resourceType, query),
+      order: [['fhirId', 'ASC']],
+      limit,
+      offset
+    });
+
+    return {
+      total: count,
+      offset,
+      count: limit,
+      resources: rows.map(row => row.resource)
+    };
+  }
+
+  // Patient compartment, with the Patient resource first
+  async getEverything(patientId, query = {}) {
+    const limit = this.getPageSize(query);
+    const offset = Math.max(parseInt(query._offset) || 0, 0);
+
+    const { count, rows } = await SandboxResource.findAndCountAll({
+      where: { patientId },
+      order: [
+        [sequelize.literal(`resource_type = 'Patient'`), 'DESC'],
+        ['resourceType', 'ASC'],
+        ['fhirId', 'ASC']
+      ],
+      limit,
+      offset
+    });
+
+    return {
+      total: count,
+      offset,
+      count: limit,
+      resources: rows.map(row => row.resource)
+    };
+  }
+
+  async countForExport(resourceType, since) {
+    const where = { resourceType };
+    if (since) where.lastUpdated = { [Op.gt]: new Date(since) };
+    return SandboxResource.count({ where });
+  }
+
+  // Stream resources of one type in batches (used by $export)
+  async forEachForExport(resourceType, since, onBatch, batchSize = 1000) {
+    const where = { resourceType };
+    if (since) where.lastUpdated = { [Op.gt]: new Date(since) };
+
+    let offset = 0;
+    while (true) {
+      const rows = await SandboxResource.findAll({
+        where,
+        order: [['fhirId', 'ASC']],
+        limit: batchSize,
+        offset
+      });
+      if (rows.length === 0) break;
+
+      await onBatch(rows.map(row => row.resource));
+      offset += rows.length;
+    }
+  }
+}
+
+module.exports = new FhirSandboxStore();
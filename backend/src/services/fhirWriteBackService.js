@@ -0,0 +1,182 @@
+const ehr = require('./ehr');
+const smartBackendAuth = require('./smartBackendAuth');
+const ehrTokenManager = require('./ehrTokenManager');
+const logger = require('../utils/logger');
+
+const WRITE_SCOPE = 'system/Communication.write system/Task.write system/CarePlan.write';
+const USER_WRITE_SCOPE = 'user/Communication.write user/Task.write user/CarePlan.write';
+// Identifies our outreach records so the care team can trace them back
+const OUTREACH_IDENTIFIER_SYSTEM = 'urn:careflow:outreach';
+const COMMUNICATION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/communication-category';
+const PARTICIPATION_MODE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ParticipationMode';
+const CAREPLAN_CATEGORY_SYSTEM = 'http://hl7.org/fhir/us/core/CodeSystem/careplan-category';
+
+const MEDIUM_BY_CAMPAIGN_TYPE = {
+  email: { code: 'EMAILWRIT', display: 'email' },
+  mail: { code: 'MAILWRIT', display: 'mail' },
+  sms: { code: 'SMSWRIT', display: 'SMS message' },
+  phone: { code: 'PHONE', display: 'telephone' }
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  communication: true,
+  task: true,
+  carePlan: true,
+  taskDueDays: 7
+};
+
+// Writes outreach and enrollments back to the organization's EHR as
+// Communication, Task and CarePlan resources. Controlled per organization by
+// settings.writeBack; resource ids are recorded on the OutreachHistory row.
+class FhirWriteBackService {
+  getSettings(organization) {
+    return { ...DEFAULT_SETTINGS, ...organization?.settings?.writeBack };
+  }
+
+  isEnabled(organization, kind) {
+    const settings = this.getSettings(organization);
+    return settings.enabled && (!kind || settings[kind] !== false);
+  }
+
+  // Scope for user authorization; asks for write access only when it will be used
+  getUserScope(organization) {
+    return this.isEnabled(organization)
+      ? `${ehr.DEFAULT_USER_SCOPE} ${USER_WRITE_SCOPE}`
+      : ehr.DEFAULT_USER_SCOPE;
+  }
+
+  // Prefer the backend client's system token; fall back to the user's connection
+  async getEpicService(organization, user) {
+    if (smartBackendAuth.isConfigured(organization)) {
+      return smartBackendAuth.getSystemEpicService(organization, WRITE_SCOPE);
+    }
+
+    return ehrTokenManager.tryGetEpicService(user, organization);
+  }
+
+  outreachIdentifier(outreach) {
+    return [{ system: OUTREACH_IDENTIFIER_SYSTEM, value: outreach.id }];
+  }
+
+  buildCommunication(outreach, campaign) {
+    const medium = MEDIUM_BY_CAMPAIGN_TYPE[campaign.type];
+    const content = outreach.selectedContent || outreach.contentClaude || outreach.contentOpenAI;
+
+    return {
+      resourceType: 'Communication',
+      identifier: this.outreachIdentifier(outreach),
+      status: 'completed',
+      category: [{
+        coding: [{ system: COMMUNICATION_CATEGORY_SYSTEM, code: 'notification' }],
+        text: 'Care program outreach'
+      }],
+      ...(medium && {
+        medium: [{ coding: [{ system: PARTICIPATION_MODE_SYSTEM, ...medium }] }]
+      }),
+      subject: { reference: `Patient/${outreach.patientFhirId}` },
+      recipient: [{ reference: `Patient/${outreach.patientFhirId}` }],
+      topic: { text: campaign.CarePlan?.name || campaign.name },
+      sent: (outreach.sentAt || new Date()).toISOString(),
+      ...(content && { payload: [{ contentString: content }] })
+    };
+  }
+
+  buildTask(outreach, campaign, communicationId, settings) {
+    const authoredOn = new Date();
+    const due = new Date(authoredOn.getTime() + settings.taskDueDays * 24 * 60 * 60 * 1000);
+    const programName = campaign.CarePlan?.name || campaign.name;
+
+    return {
+      resourceType: 'Task',
+      identifier: this.outreachIdentifier(outreach),
+      status: 'requested',
+      intent: 'order',
+      priority: 'routine',
+      code: { text: 'Outreach follow-up' },
+      description: `Follow up with patient about the ${programName} program`,
+      ...(communicationId && { focus: { reference: `Communication/${communicationId}` } }),
+      for: { reference: `Patient/${outreach.patientFhirId}` },
+      authoredOn: authoredOn.toISOString(),
+      restriction: { period: { end: due.toISOString() } }
+    };
+  }
+
+  buildCarePlan(outreach, campaign) {
+    const carePlan = campaign.CarePlan;
+    const start = outreach.enrolledAt || new Date();
+
+    return {
+      resourceType: 'CarePlan',
+      identifier: this.outreachIdentifier(outreach),
+      status: 'active',
+      intent: 'plan',
+      category: [{
+        coding: [{ system: CAREPLAN_CATEGORY_SYSTEM, code: 'assess-plan' }]
+      }],
+      title: carePlan?.name || campaign.name,
+      ...(carePlan?.description && { description: carePlan.description }),
+      subject: { reference: `Patient/${outreach.patientFhirId}` },
+      period: { start: start.toISOString() },
+      activity: (carePlan?.interventions || []).map(intervention => ({
+        detail: {
+          status: 'not-started',
+          description: typeof intervention === 'string'
+            ? intervention
+            : [intervention.name, intervention.frequency].filter(Boolean).join(' - ')
+        }
+      }))
+    };
+  }
+
+  // Create one resource and record its id (or the error) on the outreach
+  async writeResource(outreach, kind, create) {
+    const writeBack = { ...outreach.fhirWriteBack };
+    const errors = { ...writeBack.errors };
+
+    try {
+      const created = await create();
+      writeBack[kind] = { id: created.id, location: created.location, createdAt: new Date() };
+      delete errors[kind];
+    } catch (error) {
+      logger.error(`Write-back of ${kind} failed for outreach ${outreach.id}:`, error.message);
+      errors[kind] = error.message;
+    }
+
+    writeBack.errors = errors;
+    await outreach.update({ fhirWriteBack: writeBack });
+    return writeBack[kind]?.id || null;
+  }
+
+  // Communication for the sent outreach, plus a follow-up Task referencing it.
+  // Resources already written are skipped so a retry won't duplicate them.
+  async recordOutreachSent(outreach, campaign, epicService, organization) {
+    const settings = this.getSettings(organization);
+    let communicationId = outreach.fhirWriteBack?.communication?.id || null;
+
+    if (settings.communication && !communicationId) {
+      communicationId = await this.writeResource(outreach, 'communication', () =>
+        epicService.createCommunication(this.buildCommunication(outreach, campaign)));
+    }
+
+    if (settings.task && !outreach.fhirWriteBack?.task?.id) {
+      await this.writeResource(outreach, 'task', () =>
+        epicService.createTask(this.buildTask(outreach, campaign, communicationId, settings)));
+    }
+
+    return outreach.fhirWriteBack;
+  }
+
+  async recordEnrollment(outreach, campaign, epicService, organization) {
+    const settings = this.getSettings(organization);
+
+    if (settings.carePlan && !outreach.fhirWriteBack?.carePlan?.id) {
+      await this.writeResource(outreach, 'carePlan', () =>
+        epicService.createCarePlan(this.buildCarePlan(outreach, campaign)));
+    }
+
+    return outreach.fhirWriteBack;
+  }
+}
+
+module.exports = new FhirWriteBackService();
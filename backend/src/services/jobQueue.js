@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const os = require('os');
+const { createClient } = require('redis');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { Job } = require('../models');
+const logger = require('../utils/logger');
+
+const PREFIX = process.env.JOB_QUEUE_PREFIX || 'careflow:jobs';
+const WAITING_KEY = `${PREFIX}:waiting`;
+const ACTIVE_KEY = `${PREFIX}:active`;
+const DELAYED_KEY = `${PREFIX}:delayed`;
+const lockKey = (id) => `${PREFIX}:lock:${id}`;
+const cancelKey = (id) => `${PREFIX}:cancel:${id}`;
+const exclusiveKey = (name) => `${PREFIX}:exclusive:${name}`;
+// Delete a lock only while it still holds our token
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0";
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_CONCURRENCY = Number(process.env.JOB_WORKER_CONCURRENCY) || 2;
+// Seconds a worker blocks waiting for work before checking whether to stop
+const POLL_SECONDS = 5;
+// A running job's lock expires unless its worker keeps renewing it; an
+// active job without a lock belongs to a worker that died
+const LOCK_MS = 30 * 1000;
+const MAINTENANCE_INTERVAL_MS = 5 * 1000;
+// Retry backoff: 30s, 2m, 8m, ... capped at an hour
+const RETRY_BASE_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// Progress is written to the job row at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+const CANCEL_FLAG_SECONDS = 24 * 60 * 60;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobCancelledError extends Error {}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Errors a retry can't fix: bad input, missing EHR connection
+const isPermanent = (error) => error.retryable === false || (error.status >= 400 && error.status < 500);
+
+// Persistent background jobs. Redis holds the queue (a waiting list, an
+// active list and a delayed set for retries); the Job row records status,
+// progress and result. Workers run in the API process or in src/worker.js.
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.client = null;
+    this.connecting = null;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.workers = [];
+    this.stopping = false;
+    this.maintenanceTimer = null;
+    this.unlocked = new Set();
+  }
+
+  // `handler(job, context)` resolves to the job's result. context.progress(done,
+  // total, message) records progress and context.checkCancelled() throws once
+  // cancellation is requested. Types sharing a `group` count as one for
+  // enqueue's `unique` check.
+  register(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      group: options.group || null
+    });
+  }
+
+  // Held by the one active job of a type (or group) for a campaign
+  uniqueKey(type, campaignId) {
+    return `${this.handlers.get(type).group || type}:${campaignId}`;
+  }
+
+  // The 409 for a job refused because another holds its unique key
+  async alreadyActive(uniqueKey) {
+    const existing = await Job.findOne({
+      where: { uniqueKey, status: { [Op.in]: ACTIVE_STATUSES } }
+    });
+    const error = new Error(`A ${existing?.type || 'conflicting'} job is already queued or running for the campaign`);
+    error.status = 409;
+    error.job = existing;
+    return error;
+  }
+
+  get types() {
+    return [...this.handlers.keys()];
+  }
+
+  isConfigured() {
+    return !!process.env.REDIS_URL;
+  }
+
+  async getClient() {
+    if (!this.isConfigured()) {
+      const error = new Error('Job queue unavailable: REDIS_URL is not set');
+      error.status = 503;
+      throw error;
+    }
+
+    if (!this.client) {
+      this.client = createClient({ url: process.env.REDIS_URL });
+      this.client.on('error', error => logger.error('Job queue Redis error:', error.message));
+      this.connecting = this.client.connect();
+    }
+    await this.connecting;
+    return this.client;
+  }
+
+  // Run `fn` in one process at a time across every API and worker process
+  // (e.g. a scheduled task each of them fires). Resolves to null without
+  // running it while another process holds the lock; the lock lapses after
+  // `ttlMs` should its holder die.
+  async runExclusive(name, ttlMs, fn) {
+    const client = await this.getClient();
+    const token = `${this.workerId}:${crypto.randomUUID()}`;
+    if (!(await client.set(exclusiveKey(name), token, { NX: true, PX: ttlMs }))) {
+      return null;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await client.eval(RELEASE_SCRIPT, { keys: [exclusiveKey(name)], arguments: [token] })
+        .catch(error => logger.warn(`Could not release lock ${name}: ${error.message}`));
+    }
+  }
+
+  // Queue a job. With `unique`, a queued or running job of the same type (or
+  // group) for the same campaign is refused with 409 (error.job is the
+  // existing one). The database enforces this (jobs_active_unique_key), so
+  // two requests racing each other can't both queue.
+  async enqueue(type, payload, options = {}) {
+    const definition = this.handlers.get(type);
+    if (!definition) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const uniqueKey = options.unique && options.campaignId ? this.uniqueKey(type, options.campaignId) : null;
+    const client = await this.getClient();
+    let job;
+    try {
+      job = await Job.create({
+        organizationId: options.organizationId,
+        campaignId: options.campaignId || null,
+        type,
+        payload,
+        uniqueKey,
+        maxAttempts: options.maxAttempts || definition.maxAttempts,
+        createdBy: options.createdBy || null
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError && uniqueKey) {
+        throw await this.alreadyActive(uniqueKey);
+      }
+      throw error;
+    }
+
+    try {
+      await client.lPush(WAITING_KEY, job.id);
+    } catch (error) {
+      await job.update({ status: 'failed', errorMessage: `Could not queue job: ${error.message}`, completedAt: new Date() });
+      throw error;
+    }
+    return job;
+  }
+
+  // Queued jobs are cancelled at once; running jobs stop at their next
+  // checkCancelled(). Returns false for a finished job.
+  async cancel(job) {
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return false;
+    }
+
+    const client = await this.getClient();
+    if (job.status === 'queued') {
+      await client.lRem(WAITING_KEY, 0, job.id);
+      await client.zRem(DELAYED_KEY, job.id);
+      await job.update({ status: 'cancelled', retryAt: null, completedAt: new Date() });
+      return true;
+    }
+
+    await client.set(cancelKey(job.id), '1', { EX: CANCEL_FLAG_SECONDS });
+    await job.update({ cancelRequested: true });
+    return true;
+  }
+
+  // Run a failed or cancelled job again from its first attempt
+  async retry(job) {
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      const error = new Error(`A ${job.status} job can't be retried`);
+      error.status = 409;
+      throw error;
+    }
+
+    const client = await this.getClient();
+    try {
+      await job.update({
+        status: 'queued',
+        attempts: 0,
+        progress: {},
+        result: null,
+        errorMessage: null,
+        cancelRequested: false,
+        retryAt: null,
+        startedAt: null,
+        completedAt: null
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError && job.uniqueKey) {
+        await job.reload();
+        throw await this.alreadyActive(job.uniqueKey);
+      }
+      throw error;
+    }
+    await client.del(cancelKey(job.id));
+    await client.lPush(WAITING_KEY, job.id);
+    return job;
+  }
+
+  async startWorker(options = {}) {
+    const client = await this.getClient();
+    const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.stopping = false;
+
+    for (let i = 0; i < concurrency; i++) {
+      const blocking = client.duplicate();
+      blocking.on('error', error => logger.error('Job worker Redis error:', error.message));
+      await blocking.connect();
+      this.workers.push(this.work(blocking));
+    }
+
+    this.maintenanceTimer = setInterval(() => {
+      this.maintain().catch(error => logger.error('Job queue maintenance failed:', error.message));
+    }, MAINTENANCE_INTERVAL_MS);
+
+    logger.info(`Job worker ${this.workerId} started (${concurrency} slot(s); ${this.types.join(', ')})`);
+  }
+
+  // Stop taking jobs and wait for the running ones to finish
+  async stopWorker() {
+    this.stopping = true;
+    clearInterval(this.maintenanceTimer);
+    await Promise.all(this.workers);
+    this.workers = [];
+  }
+
+  async work(blocking) {
+    while (!this.stopping) {
+      try {
+        const id = await blocking.blMove(WAITING_KEY, ACTIVE_KEY, 'RIGHT', 'LEFT', POLL_SECONDS);
+        if (id) {
+          await this.process(id);
+        }
+      } catch (error) {
+        // Redis or the database went away; back off and keep the slot alive
+        logger.error(`Job worker ${this.workerId} error:`, error.message);
+        await sleep(POLL_SECONDS * 1000);
+      }
+    }
+    await blocking.quit().catch(() => {});
+  }
+
+  async process(id) {
+    const client = await this.getClient();
+    await client.set(lockKey(id), this.workerId, { PX: LOCK_MS });
+    const heartbeat = setInterval(() => {
+      client.pExpire(lockKey(id), LOCK_MS).catch(() => {});
+    }, LOCK_MS / 3);
+
+    try {
+      const job = await Job.findByPk(id);
+      if (!job || job.status !== 'queued') return;
+
+      const definition = this.handlers.get(job.type);
+      if (!definition) {
+        await job.update({ status: 'failed', errorMessage: `Unknown job type: ${job.type}`, completedAt: new Date() });
+        return;
+      }
+
+      await job.update({
+        status: 'running',
+        attempts: job.attempts + 1,
+        retryAt: null,
+        startedAt: job.startedAt || new Date()
+      });
+
+      try {
+        const result = await definition.handler(job, this.createContext(job, client));
+        await job.update({ status: 'completed', result: result || null, errorMessage: null, completedAt: new Date() });
+        logger.info(`Job ${job.id} (${job.type}) completed`);
+      } catch (error) {
+        await this.handleFailure(job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      await client.del([lockKey(id), cancelKey(id)]);
+      await client.lRem(ACTIVE_KEY, 0, id);
+    }
+  }
+
+  createContext(job, client) {
+    let lastWrite = 0;
+    return {
+      progress: async (done, total, message) => {
+        const now = Date.now();
+        if (done < total && now - lastWrite < PROGRESS_INTERVAL_MS) return;
+        lastWrite = now;
+        await job.update({ progress: { done, total, ...(message && { message }) } });
+      },
+      checkCancelled: async () => {
+        if (await client.exists(cancelKey(job.id))) {
+          throw new JobCancelledError();
+        }
+      }
+    };
+  }
+
+  async handleFailure(job, error) {
+    if (error instanceof JobCancelledError) {
+      await job.update({ status: 'cancelled', completedAt: new Date() });
+      logger.info(`Job ${job.id} (${job.type}) cancelled`);
+      return;
+    }
+
+    if (job.attempts < job.maxAttempts && !isPermanent(error)) {
+      const delay = Math.min(RETRY_BASE_MS * 4 ** (job.attempts - 1), MAX_RETRY_DELAY_MS);
+      const retryAt = new Date(Date.now() + delay);
+      await job.update({ status: 'queued', errorMessage: error.message, retryAt });
+      const client = await this.getClient();
+      await client.zAdd(DELAYED_KEY, { score: retryAt.getTime(), value: job.id });
+      logger.warn(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed, retrying at ${retryAt.toISOString()}: ${error.message}`);
+      return;
+    }
+
+    logger.error(`Job ${job.id} (${job.type}) failed:`, error);
+    await job.update({ status: 'failed', errorMessage: error.message, completedAt: new Date() });
+  }
+
+  async maintain() {
+    await this.promoteDelayed();
+    await this.recoverStalled();
+  }
+
+  // Move retries whose time has come back onto the waiting list
+  async promoteDelayed() {
+    const client = await this.getClient();
+    const due = await client.zRangeByScore(DELAYED_KEY, 0, Date.now());
+    for (const id of due) {
+      // Only the worker that removes the entry requeues it
+      if (await client.zRem(DELAYED_KEY, id)) {
+        await client.lPush(WAITING_KEY, id);
+      }
+    }
+  }
+
+  // Requeue jobs left on the active list by a worker that died. A job is
+  // only treated as stalled once it has been seen without a lock twice, so
+  // one that was just picked up isn't mistaken for it.
+  async recoverStalled() {
+    const client = await this.getClient();
+    const active = await client.lRange(ACTIVE_KEY, 0, -1);
+    const unlocked = new Set();
+
+    for (const id of active) {
+      if (await client.exists(lockKey(id))) continue;
+      if (!this.unlocked.has(id)) {
+        unlocked.add(id);
+        continue;
+      }
+      if (!(await client.lRem(ACTIVE_KEY, 0, id))) continue;
+
+      const job = await Job.findByPk(id);
+      if (job?.status === 'running' && job.cancelRequested) {
+        await job.update({ status: 'cancelled', completedAt: new Date() });
+      } else if (job?.status === 'running') {
+        await this.handleFailure(job, new Error('Worker stopped while running the job'));
+      } else if (job?.status === 'queued') {
+        await client.lPush(WAITING_KEY, id);
+      }
+    }
+    this.unlocked = unlocked;
+  }
+}
+
+module.exports = new JobQueue();
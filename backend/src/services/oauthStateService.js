@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { OAuthState } = require('../models');
+const OAuthError = require('../utils/oauthError');
+
+const STATE_TTL_MS = (Number(process.env.EPIC_OAUTH_STATE_TTL_MINUTES) || 10) * 60 * 1000;
+// Consumed and expired rows are kept this long so replays are recognised
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Server-side OAuth state for the EHR connect flow. Each authorization gets
+// a single-use state bound to the user, with an expiry and a PKCE (S256)
+// code verifier that only the token request reveals.
+class OAuthStateService {
+  get ttlMs() {
+    return STATE_TTL_MS;
+  }
+
+  codeChallenge(codeVerifier) {
+    return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  }
+
+  // Start an authorization; returns the state and PKCE challenge to send
+  async create(user, options = {}) {
+    await this.purge(user.id);
+
+    const codeVerifier = randomToken();
+    const record = await OAuthState.create({
+      userId: user.id,
+      state: randomToken(),
+      codeVerifier,
+      redirectUri: options.redirectUri || null,
+      scope: options.scope || null,
+      expiresAt: new Date(Date.now() + STATE_TTL_MS)
+    });
+
+    return {
+      state: record.state,
+      codeChallenge: this.codeChallenge(codeVerifier),
+      codeChallengeMethod: 'S256',
+      expiresAt: record.expiresAt
+    };
+  }
+
+  // Check a callback's state and mark it used. Returns the stored record
+  // (code verifier and redirect URI); throws an OAuthError otherwise.
+  async consume(user, state) {
+    if (!state) {
+      throw new OAuthError('The authorization response has no state', { code: 'STATE_MISSING' });
+    }
+
+    const record = await OAuthState.findOne({ where: { state } });
+    if (!record || record.userId !== user.id) {
+      throw new OAuthError('This authorization was not started from your session', { code: 'STATE_MISMATCH' });
+    }
+    if (record.consumedAt) {
+      throw new OAuthError('This authorization response has already been used', { code: 'STATE_REPLAYED' });
+    }
+    if (record.expiresAt < new Date()) {
+      throw new OAuthError('The authorization took too long and has expired', { code: 'STATE_EXPIRED' });
+    }
+
+    // Conditional update so two concurrent callbacks can't both succeed
+    const [updated] = await OAuthState.update(
+      { consumedAt: new Date() },
+      { where: { id: record.id, consumedAt: null } }
+    );
+    if (updated === 0) {
+      throw new OAuthError('This authorization response has already been used', { code: 'STATE_REPLAYED' });
+    }
+
+    return record;
+  }
+
+  // Drop a user's states that can no longer be used and are past retention
+  async purge(userId) {
+    const cutoff = new Date(Date.now() - RETENTION_MS);
+    return OAuthState.destroy({
+      where: {
+        userId,
+        [Op.or]: [
+          { expiresAt: { [Op.lt]: cutoff } },
+          { consumedAt: { [Op.lt]: cutoff } }
+        ]
+      }
+    });
+  }
+}
+
+module.exports = new OAuthStateService();
@@ -0,0 +1,175 @@
+const measureDefinitions = require('../../data/observation_measures.json');
+const ucum = require('../utils/ucum');
+
+const LOINC_SYSTEM = 'http://loinc.org';
+// Panels whose values are reported only in components
+const BLOOD_PRESSURE_PANELS = ['85354-9', '55284-4', '35094-2'];
+const EXCLUDED_STATUSES = ['entered-in-error', 'cancelled'];
+
+const MEASURES_BY_LOINC = new Map();
+for (const measure of measureDefinitions) {
+  for (const code of measure.loinc) {
+    MEASURES_BY_LOINC.set(code, measure);
+  }
+}
+
+const round = (value, digits = 2) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+const getPatientId = (resource) => resource.subject?.reference?.match(/Patient\/([^/]+)/)?.[1] || null;
+
+// Recognises key clinical measures by LOINC code, converts their values to one
+// canonical unit per measure (UCUM), splits blood pressure panels into their
+// components and summarises each patient's readings as latest value plus trend.
+class ObservationNormalizer {
+  get measures() {
+    return measureDefinitions;
+  }
+
+  getMeasure(key) {
+    return measureDefinitions.find(measure => measure.key === key) || null;
+  }
+
+  // LOINC codes for the given measure keys (all measures when none are given)
+  getLoincCodes(keys) {
+    return measureDefinitions
+      .filter(measure => !keys || keys.includes(measure.key))
+      .flatMap(measure => measure.loinc);
+  }
+
+  identify(concept) {
+    for (const coding of concept?.coding || []) {
+      if (coding.system && coding.system !== LOINC_SYSTEM) continue;
+      const measure = MEASURES_BY_LOINC.get(coding.code);
+      if (measure) return { measure, loinc: coding.code };
+    }
+    return null;
+  }
+
+  // Value in the measure's canonical unit, or null if the unit can't be converted
+  toCanonical(measure, value, unit) {
+    if (typeof value !== 'number') return null;
+
+    // A unitless value is taken to be in the canonical unit
+    const direct = unit ? ucum.convert(value, unit, measure.unit) : value;
+    if (direct !== null) return direct;
+
+    for (const conversion of measure.conversions || []) {
+      const converted = ucum.convert(value, unit, conversion.unit);
+      if (converted !== null) {
+        return converted * conversion.factor + (conversion.offset || 0);
+      }
+    }
+
+    return null;
+  }
+
+  reading(observation, concept, quantity) {
+    const match = this.identify(concept);
+    if (!match || !quantity) return null;
+
+    const originalUnit = quantity.code || quantity.unit || null;
+    const value = this.toCanonical(match.measure, quantity.value, originalUnit);
+    if (value === null) return null;
+
+    return {
+      measure: match.measure.key,
+      name: match.measure.name,
+      loinc: match.loinc,
+      value: round(value),
+      unit: match.measure.unit,
+      originalValue: quantity.value,
+      originalUnit,
+      effectiveDate: observation.effectiveDateTime || observation.effectivePeriod?.start || observation.issued || null,
+      observationId: observation.id,
+      patientId: getPatientId(observation)
+    };
+  }
+
+  // Readings for one Observation: the value itself, or one per recognised
+  // component (blood pressure panels carry systolic and diastolic this way)
+  normalize(observation) {
+    if (EXCLUDED_STATUSES.includes(observation.status)) return [];
+
+    const readings = [];
+    const own = this.reading(observation, observation.code, observation.valueQuantity);
+    if (own) readings.push(own);
+
+    const isPanel = observation.code?.coding?.some(c => BLOOD_PRESSURE_PANELS.includes(c.code));
+    if (isPanel || !own) {
+      for (const component of observation.component || []) {
+        const reading = this.reading(observation, component.code, component.valueQuantity);
+        if (reading) readings.push(reading);
+      }
+    }
+
+    return readings;
+  }
+
+  // Readings from a search bundle or an array of Observation resources
+  normalizeAll(observations) {
+    const resources = Array.isArray(observations)
+      ? observations
+      : (observations?.entry || []).map(entry => entry.resource);
+
+    return resources
+      .filter(resource => resource?.resourceType === 'Observation')
+      .flatMap(resource => this.normalize(resource));
+  }
+
+  // Trend from the previous reading; changes within the measure's
+  // stableChange count as stable
+  trend(measure, latest, previous) {
+    if (!previous) return null;
+    const change = latest.value - previous.value;
+    if (Math.abs(change) <= (measure.stableChange || 0)) return 'stable';
+    return change > 0 ? 'rising' : 'falling';
+  }
+
+  // Latest value plus trend per measure, from one patient's readings
+  summarize(readings) {
+    const byMeasure = {};
+    for (const reading of readings) {
+      (byMeasure[reading.measure] = byMeasure[reading.measure] || []).push(reading);
+    }
+
+    const summary = {};
+    for (const [key, measureReadings] of Object.entries(byMeasure)) {
+      const measure = this.getMeasure(key);
+      // Stored readings may predate a change to the measure definitions
+      if (!measure) continue;
+
+      const sorted = measureReadings
+        .filter(reading => reading.effectiveDate)
+        .sort((a, b) => new Date(b.effectiveDate) - new Date(a.effectiveDate));
+      const [latest, previous] = sorted.length ? sorted : measureReadings;
+
+      summary[key] = {
+        name: measure.name,
+        unit: measure.unit,
+        latest: { value: latest.value, date: latest.effectiveDate },
+        previous: previous ? { value: previous.value, date: previous.effectiveDate } : null,
+        change: previous ? round(latest.value - previous.value) : null,
+        trend: this.trend(measure, latest, previous),
+        ...(measure.high !== undefined && { aboveHigh: latest.value >= measure.high }),
+        readings: measureReadings.length
+      };
+    }
+
+    return summary;
+  }
+
+  // Per-patient view straight from an Observation bundle
+  getPatientMeasures(observations) {
+    return this.summarize(this.normalizeAll(observations));
+  }
+
+  // Canonical values keyed by measure, as stored on population rows
+  toMeasureValues(observation) {
+    const values = {};
+    for (const reading of this.normalize(observation)) {
+      values[reading.measure] = reading.value;
+    }
+    return Object.keys(values).length ? values : null;
+  }
+}
+
+module.exports = new ObservationNormalizer();
@@ -0,0 +1,494 @@
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  PopulationPatient,
+  PopulationCondition,
+  PopulationObservation,
+  PopulationEncounter,
+  PopulationMedication,
+  PopulationProcedure,
+  PopulationImmunization
+} = require('../models');
+const terminologyService = require('./terminologyService');
+const conditionNormalizer = require('./conditionNormalizer');
+const observationNormalizer = require('./observationNormalizer');
+
+const ICD10_SYSTEMS = ['http://hl7.org/fhir/sid/icd-10-cm', 'http://hl7.org/fhir/sid/icd-10'];
+const LOINC_SYSTEM = 'http://loinc.org';
+const RXNORM_SYSTEM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+const CVX_SYSTEM = 'http://hl7.org/fhir/sid/cvx';
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+const getPatientId = (resource) => {
+  const reference = resource.subject?.reference || resource.patient?.reference;
+  const match = reference?.match(/Patient\/([^/]+)/);
+  return match ? match[1] : null;
+};
+
+// Pick the coding from the preferred systems, else the first one
+const pickCoding = (concept, preferredSystems = []) => {
+  const codings = concept?.coding || [];
+  const coding = codings.find(c => preferredSystems.includes(c.system)) || codings[0];
+  return {
+    code: coding?.code || null,
+    codeSystem: coding?.system || null,
+    display: coding?.display || concept?.text || null
+  };
+};
+
+// ICD-10 when the Condition has it natively or via the SNOMED CT map,
+// else whatever coding it carries
+const conditionCoding = (concept) => {
+  const icd10 = terminologyService.getIcd10Codings(concept)[0];
+  if (!icd10) {
+    return { ...pickCoding(concept, ICD10_SYSTEMS), codeSource: null, sourceCode: null };
+  }
+
+  return {
+    code: icd10.code,
+    // Stats filter on the canonical system URLs
+    codeSystem: ICD10_SYSTEMS.includes(icd10.system) ? icd10.system : ICD10_SYSTEMS[0],
+    display: icd10.display,
+    codeSource: icd10.source,
+    sourceCode: icd10.mappedFrom?.code || null
+  };
+};
+
+const firstCode = (concepts) => {
+  const list = [].concat(concepts || []);
+  return list[0]?.coding?.[0]?.code || null;
+};
+
+// Row mappers per resource type. Each returns the extracted columns; the
+// common keys (organization, FHIR id, resource) are added by saveResources.
+const MAPPERS = {
+  Patient: (patient) => {
+    const name = patient.name?.find(n => n.use === 'official') || patient.name?.[0];
+    return {
+      familyName: name?.family || null,
+      givenName: name?.given?.join(' ') || null,
+      birthDate: patient.birthDate || null,
+      gender: patient.gender || null,
+      email: patient.telecom?.find(t => t.system === 'email')?.value || null,
+      phone: patient.telecom?.find(t => t.system === 'phone')?.value || null,
+      postalCode: patient.address?.[0]?.postalCode || null,
+      active: patient.active !== false,
+      deceased: !!(patient.deceasedBoolean || patient.deceasedDateTime)
+    };
+  },
+
+  Condition: (condition) => ({
+    patientId: getPatientId(condition),
+    ...conditionCoding(condition.code),
+    clinicalStatus: firstCode(condition.clinicalStatus),
+    verificationStatus: firstCode(condition.verificationStatus),
+    category: firstCode(condition.category),
+    onsetDate: toDate(condition.onsetDateTime || condition.onsetPeriod?.start),
+    recordedDate: toDate(condition.recordedDate),
+    abatementDate: toDate(condition.abatementDateTime || condition.abatementPeriod?.end)
+  }),
+
+  Observation: (observation) => ({
+    patientId: getPatientId(observation),
+    ...pickCoding(observation.code, [LOINC_SYSTEM]),
+    category: firstCode(observation.category),
+    status: observation.status || null,
+    valueQuantity: observation.valueQuantity?.value ?? null,
+    valueUnit: observation.valueQuantity?.unit || observation.valueQuantity?.code || null,
+    valueString: observation.valueString || observation.valueCodeableConcept?.text ||
+      observation.valueCodeableConcept?.coding?.[0]?.display || null,
+    measures: observationNormalizer.toMeasureValues(observation),
+    effectiveDate: toDate(observation.effectiveDateTime || observation.effectivePeriod?.start || observation.issued)
+  }),
+
+  Encounter: (encounter) => {
+    const type = pickCoding(encounter.type?.[0]);
+    return {
+      patientId: getPatientId(encounter),
+      status: encounter.status || null,
+      classCode: encounter.class?.code || null,
+      typeCode: type.code,
+      typeDisplay: type.display,
+      periodStart: toDate(encounter.period?.start),
+      periodEnd: toDate(encounter.period?.end)
+    };
+  },
+
+  MedicationRequest: (medication) => ({
+    patientId: getPatientId(medication),
+    status: medication.status || null,
+    intent: medication.intent || null,
+    ...pickCoding(medication.medicationCodeableConcept, [RXNORM_SYSTEM]),
+    authoredOn: toDate(medication.authoredOn)
+  }),
+
+  Procedure: (procedure) => ({
+    patientId: getPatientId(procedure),
+    status: procedure.status || null,
+    ...pickCoding(procedure.code),
+    performedDate: toDate(procedure.performedDateTime || procedure.performedPeriod?.start)
+  }),
+
+  Immunization: (immunization) => ({
+    patientId: getPatientId(immunization),
+    status: immunization.status || null,
+    ...pickCoding(immunization.vaccineCode, [CVX_SYSTEM]),
+    occurrenceDate: toDate(immunization.occurrenceDateTime)
+  })
+};
+
+const MODELS = {
+  Patient: PopulationPatient,
+  Condition: PopulationCondition,
+  Observation: PopulationObservation,
+  Encounter: PopulationEncounter,
+  MedicationRequest: PopulationMedication,
+  Procedure: PopulationProcedure,
+  Immunization: PopulationImmunization
+};
+
+// SQL equivalent of conditionNormalizer.matches
+const conditionFilters = (options = {}) => {
+  const filters = [{
+    [Op.or]: [
+      { verificationStatus: null },
+      { verificationStatus: { [Op.notIn]: conditionNormalizer.invalidVerificationStatuses } }
+    ]
+  }];
+
+  if (options.activeOnly) {
+    filters.push({
+      [Op.or]: [
+        { clinicalStatus: { [Op.in]: conditionNormalizer.activeClinicalStatuses } },
+        {
+          clinicalStatus: null,
+          [Op.or]: [{ abatementDate: null }, { abatementDate: { [Op.gt]: new Date() } }]
+        }
+      ]
+    });
+  }
+  if (options.confirmedOnly) {
+    filters.push({ verificationStatus: 'confirmed' });
+  }
+
+  const categories = [].concat(options.category || []);
+  if (categories.length > 0) {
+    filters.push({ category: { [Op.in]: categories } });
+  }
+  if (options.onsetFrom) {
+    filters.push({ onsetDate: { [Op.gte]: new Date(options.onsetFrom) } });
+  }
+  if (options.onsetTo) {
+    filters.push({ onsetDate: { [Op.lte]: new Date(options.onsetTo) } });
+  }
+
+  return { [Op.and]: filters };
+};
+
+// Local copy of an organization's population, loaded by bulk export and
+// kept current by incremental sync
+class PopulationStore {
+  get supportedTypes() {
+    return Object.keys(MODELS);
+  }
+
+  // Own keys only, so names like "constructor" aren't taken for resource types
+  isSupported(resourceType) {
+    return Object.hasOwn(MODELS, resourceType);
+  }
+
+  getModel(resourceType) {
+    return MODELS[resourceType];
+  }
+
+  toRow(organizationId, resource, options = {}) {
+    return {
+      organizationId,
+      fhirId: resource.id,
+      ...MAPPERS[resource.resourceType](resource),
+      resource,
+      sourceUpdatedAt: toDate(resource.meta?.lastUpdated),
+      exportJobId: options.exportJobId || null
+    };
+  }
+
+  // Upsert resources of a single type; returns the number written
+  async saveResources(organizationId, resourceType, resources, options = {}) {
+    const model = this.isSupported(resourceType) && MODELS[resourceType];
+    if (!model) {
+      throw new Error(`Unsupported population resource type: ${resourceType}`);
+    }
+
+    const rows = resources
+      .filter(resource => resource?.id && resource.resourceType === resourceType)
+      .map(resource => this.toRow(organizationId, resource, options));
+    if (rows.length === 0) return 0;
+
+    const updateFields = Object.keys(rows[0])
+      .filter(field => !['organizationId', 'fhirId'].includes(field))
+      .concat('updatedAt');
+
+    await model.bulkCreate(rows, {
+      updateOnDuplicate: updateFields,
+      transaction: options.transaction
+    });
+
+    return rows.length;
+  }
+
+  // ICD-10 coded conditions grouped by code, or by 3-character category with
+  // `groupByCategory`. Counting methods take the condition filters of
+  // conditionNormalizer.matches, where `category` is the condition category list.
+  async getConditionCodeCounts(organizationId, options = {}) {
+    const codeExpr = options.groupByCategory
+      ? sequelize.fn('LEFT', sequelize.col('code'), 3)
+      : sequelize.col('code');
+
+    const rows = await PopulationCondition.findAll({
+      attributes: [
+        [codeExpr, 'code'],
+        [sequelize.fn('MIN', sequelize.col('display')), 'display'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'occurrences'],
+        [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('patient_id'))), 'patientCount']
+      ],
+      where: {
+        organizationId,
+        codeSystem: { [Op.in]: ICD10_SYSTEMS },
+        code: { [Op.ne]: null },
+        ...conditionFilters(options)
+      },
+      group: [codeExpr],
+      order: [[sequelize.literal('"patientCount"'), 'DESC']],
+      limit: options.limit,
+      raw: true
+    });
+
+    return rows.map(row => ({
+      code: row.code,
+      display: row.display,
+      occurrences: parseInt(row.occurrences),
+      patientCount: parseInt(row.patientCount)
+    }));
+  }
+
+  async countConditions(organizationId, options = {}) {
+    return PopulationCondition.count({
+      where: { organizationId, codeSystem: { [Op.in]: ICD10_SYSTEMS }, ...conditionFilters(options) }
+    });
+  }
+
+  async countPatients(organizationId) {
+    return PopulationPatient.count({ where: { organizationId } });
+  }
+
+  async countPatientsWithConditions(organizationId, options = {}) {
+    return PopulationCondition.count({
+      distinct: true,
+      col: 'patientId',
+      where: { organizationId, ...conditionFilters(options) }
+    });
+  }
+
+  // Distinct patients with a condition code starting with any of the prefixes
+  async countPatientsWithCodePrefixes(organizationId, prefixes, options = {}) {
+    if (!prefixes.length) return 0;
+
+    return PopulationCondition.count({
+      distinct: true,
+      col: 'patientId',
+      where: {
+        organizationId,
+        [Op.or]: prefixes.map(prefix => ({ code: { [Op.startsWith]: prefix } })),
+        ...conditionFilters(options)
+      }
+    });
+  }
+
+  // Distinct patient ids with a condition code starting with any of the prefixes
+  async findPatientIdsWithCodePrefixes(organizationId, prefixes, options = {}) {
+    if (!prefixes.length) return [];
+
+    const rows = await PopulationCondition.findAll({
+      attributes: [[sequelize.fn('DISTINCT', sequelize.col('patient_id')), 'patientId']],
+      where: {
+        organizationId,
+        patientId: { [Op.ne]: null },
+        [Op.or]: prefixes.map(prefix => ({ code: { [Op.startsWith]: prefix } })),
+        ...conditionFilters(options)
+      },
+      limit: options.limit,
+      raw: true
+    });
+
+    return rows.map(row => row.patientId);
+  }
+
+  // Living patients in fhirId order, a page at a time (pass the last fhirId as afterId)
+  async getPatientsPage(organizationId, options = {}) {
+    return PopulationPatient.findAll({
+      attributes: ['fhirId', 'birthDate', 'gender'],
+      where: {
+        organizationId,
+        deceased: { [Op.not]: true },
+        ...(options.afterId && { fhirId: { [Op.gt]: options.afterId } })
+      },
+      order: [['fhirId', 'ASC']],
+      limit: options.limit || 500,
+      raw: true
+    });
+  }
+
+  // ICD-10 coded conditions per patient, as { patientId: [{ code, display, conditionId }] }
+  async getPatientDiagnoses(organizationId, patientIds, options = {}) {
+    if (!patientIds.length) return {};
+
+    const rows = await PopulationCondition.findAll({
+      attributes: ['fhirId', 'patientId', 'code', 'display'],
+      where: {
+        organizationId,
+        patientId: { [Op.in]: patientIds },
+        codeSystem: { [Op.in]: ICD10_SYSTEMS },
+        code: { [Op.ne]: null },
+        ...conditionFilters(options)
+      },
+      raw: true
+    });
+
+    const byPatient = {};
+    for (const row of rows) {
+      (byPatient[row.patientId] = byPatient[row.patientId] || []).push({
+        code: row.code,
+        display: row.display,
+        conditionId: row.fhirId
+      });
+    }
+    return byPatient;
+  }
+
+  // Latest and previous value of each measure per patient, as
+  // { patientId: { measureKey: summary } } in the shape of observationNormalizer.summarize
+  async getPatientMeasures(organizationId, patientIds) {
+    if (!patientIds.length) return {};
+
+    const rows = await PopulationObservation.findAll({
+      attributes: ['patientId', 'fhirId', 'measures', 'effectiveDate'],
+      where: {
+        organizationId,
+        patientId: { [Op.in]: patientIds },
+        measures: { [Op.ne]: null },
+        status: { [Op.notIn]: ['entered-in-error', 'cancelled'] }
+      },
+      raw: true
+    });
+
+    const readingsByPatient = {};
+    for (const row of rows) {
+      for (const [measure, value] of Object.entries(row.measures)) {
+        (readingsByPatient[row.patientId] = readingsByPatient[row.patientId] || []).push({
+          measure,
+          value,
+          effectiveDate: row.effectiveDate,
+          observationId: row.fhirId
+        });
+      }
+    }
+
+    const result = {};
+    for (const [patientId, readings] of Object.entries(readingsByPatient)) {
+      result[patientId] = observationNormalizer.summarize(readings);
+    }
+    return result;
+  }
+
+  // Population view of one measure over each patient's latest reading:
+  // how many patients, the mean, how many are at or above the measure's
+  // high threshold and how many are rising or falling since their previous one
+  async getMeasureStats(organizationId, measureKey) {
+    const measure = observationNormalizer.getMeasure(measureKey);
+    if (!measure) {
+      throw new Error(`Unknown measure: ${measureKey}`);
+    }
+
+    const [stats] = await sequelize.query(`
+      WITH ranked AS (
+        SELECT patient_id,
+               (measures->>:measure)::float AS value,
+               ROW_NUMBER() OVER (PARTITION BY patient_id ORDER BY effective_date DESC NULLS LAST) AS rn
+        FROM population_observations
+        WHERE organization_id = :organizationId
+          AND patient_id IS NOT NULL
+          AND measures->>:measure IS NOT NULL
+          AND (status IS NULL OR status NOT IN ('entered-in-error', 'cancelled'))
+      ), latest AS (
+        SELECT patient_id,
+               MAX(value) FILTER (WHERE rn = 1) AS latest,
+               MAX(value) FILTER (WHERE rn = 2) AS previous
+        FROM ranked
+        WHERE rn <= 2
+        GROUP BY patient_id
+      )
+      SELECT COUNT(*) AS patients,
+             AVG(latest) AS mean,
+             COUNT(*) FILTER (WHERE :high IS NOT NULL AND latest >= :high) AS above_high,
+             COUNT(*) FILTER (WHERE latest - previous > :stableChange) AS rising,
+             COUNT(*) FILTER (WHERE previous - latest > :stableChange) AS falling
+      FROM latest
+    `, {
+      replacements: {
+        organizationId,
+        measure: measureKey,
+        high: measure.high ?? null,
+        stableChange: measure.stableChange || 0
+      },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return {
+      measure: measure.key,
+      name: measure.name,
+      unit: measure.unit,
+      patients: parseInt(stats.patients),
+      mean: stats.mean === null ? null : Math.round(stats.mean * 100) / 100,
+      high: measure.high ?? null,
+      aboveHigh: measure.high === undefined ? null : parseInt(stats.above_high),
+      rising: parseInt(stats.rising),
+      falling: parseInt(stats.falling)
+    };
+  }
+
+  // Stored FHIR resources per patient, as { patientId: [resource] }; the
+  // Patient resources themselves are included when 'Patient' is asked for
+  async getPatientResources(organizationId, patientIds, resourceTypes = this.supportedTypes) {
+    if (!patientIds.length) return {};
+
+    const byPatient = {};
+    for (const resourceType of resourceTypes) {
+      const isPatient = resourceType === 'Patient';
+      const rows = await MODELS[resourceType].findAll({
+        attributes: [isPatient ? 'fhirId' : 'patientId', 'resource'],
+        where: {
+          organizationId,
+          [isPatient ? 'fhirId' : 'patientId']: { [Op.in]: patientIds }
+        },
+        raw: true
+      });
+
+      for (const row of rows) {
+        const patientId = isPatient ? row.fhirId : row.patientId;
+        (byPatient[patientId] = byPatient[patientId] || []).push(row.resource);
+      }
+    }
+    return byPatient;
+  }
+
+  async getCounts(organizationId) {
+    const counts = {};
+    for (const [resourceType, model] of Object.entries(MODELS)) {
+      counts[resourceType] = await model.count({ where: { organizationId } });
+    }
+    return counts;
+  }
+}
+
+module.exports = new PopulationStore();
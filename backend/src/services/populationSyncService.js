@@ -0,0 +1,136 @@
+const { SyncState } = require('../models');
+const populationStore = require('./populationStore');
+const logger = require('../utils/logger');
+
+const PAGE_SIZE = 200;
+
+// Incremental sync of the population store from FHIR search. Each resource
+// type keeps its own _lastUpdated watermark so a run only pulls changes.
+class PopulationSyncService {
+  constructor() {
+    this.running = new Set();
+  }
+
+  isRunning(organizationId) {
+    return this.running.has(organizationId);
+  }
+
+  async syncOrganization(organization, epicService, options = {}) {
+    if (this.running.has(organization.id)) {
+      return { skipped: true, reason: 'Sync already running' };
+    }
+
+    const resourceTypes = options.resourceTypes || populationStore.supportedTypes;
+    const results = {};
+
+    this.running.add(organization.id);
+    try {
+      for (const resourceType of resourceTypes) {
+        results[resourceType] = await this.syncResourceType(organization.id, resourceType, epicService, options);
+      }
+    } finally {
+      this.running.delete(organization.id);
+    }
+
+    return { skipped: false, results };
+  }
+
+  async syncResourceType(organizationId, resourceType, epicService, options = {}) {
+    // Servers that search this type per patient only are kept current by bulk export
+    if (!epicService.supportsPopulationSearch(resourceType)) {
+      return { status: 'skipped', records: 0, reason: `${resourceType} can't be searched across patients on this server` };
+    }
+
+    const [state] = await SyncState.findOrCreate({
+      where: { organizationId, resourceType }
+    });
+
+    const startedAt = new Date();
+    const params = { _count: PAGE_SIZE };
+    if (state.watermark && !options.full) {
+      params._lastUpdated = `gt${state.watermark.toISOString()}`;
+    }
+
+    await state.update({ lastStatus: 'running', lastError: null });
+
+    let saved = 0;
+    let watermark = state.watermark;
+
+    try {
+      let bundle = await epicService.getResource(resourceType, params);
+
+      while (bundle) {
+        const resources = (bundle.entry || [])
+          .map(entry => entry.resource)
+          .filter(resource => resource?.resourceType === resourceType);
+
+        saved += await populationStore.saveResources(organizationId, resourceType, resources);
+
+        for (const resource of resources) {
+          const lastUpdated = resource.meta?.lastUpdated ? new Date(resource.meta.lastUpdated) : null;
+          if (lastUpdated && (!watermark || lastUpdated > watermark)) {
+            watermark = lastUpdated;
+          }
+        }
+
+        bundle = await epicService.getNextPage(bundle);
+      }
+
+      // Servers that omit meta.lastUpdated still advance the watermark
+      await state.update({
+        watermark: watermark || startedAt,
+        lastSyncedAt: startedAt,
+        lastStatus: 'success',
+        lastRecordCount: saved
+      });
+
+      return { status: 'success', records: saved, watermark: state.watermark };
+    } catch (error) {
+      logger.error(`Population sync failed for ${resourceType} (org ${organizationId}):`, error.message);
+      await state.update({
+        lastStatus: 'failed',
+        lastError: error.message,
+        lastRecordCount: saved
+      });
+
+      return { status: 'failed', records: saved, error: error.message };
+    }
+  }
+
+  // A completed bulk export is a full snapshot as of its transaction time
+  async recordSnapshot(organizationId, resourceTypes, transactionTime) {
+    for (const resourceType of resourceTypes) {
+      const [state] = await SyncState.findOrCreate({
+        where: { organizationId, resourceType }
+      });
+      await state.update({
+        watermark: transactionTime,
+        lastSyncedAt: transactionTime,
+        lastStatus: 'success',
+        lastError: null
+      });
+    }
+  }
+
+  async getStatus(organizationId) {
+    return SyncState.findAll({
+      where: { organizationId },
+      order: [['resourceType', 'ASC']]
+    });
+  }
+
+  // Oldest successful sync across the given types: every row is at least this fresh
+  async getDataAsOf(organizationId, resourceTypes = populationStore.supportedTypes) {
+    const states = await SyncState.findAll({
+      where: { organizationId, resourceType: resourceTypes }
+    });
+
+    if (states.length < resourceTypes.length || states.some(state => !state.lastSyncedAt)) {
+      return null;
+    }
+
+    return new Date(Math.min(...states.map(state => state.lastSyncedAt.getTime())));
+  }
+}
+
+module.exports = new PopulationSyncService();
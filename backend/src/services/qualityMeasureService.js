@@ -0,0 +1,476 @@
+const fs = require('fs');
+const path = require('path');
+const conditionNormalizer = require('./conditionNormalizer');
+const observationNormalizer = require('./observationNormalizer');
+const populationStore = require('./populationStore');
+const { ageOn } = require('../utils/age');
+const logger = require('../utils/logger');
+
+const DEFAULT_DEFINITIONS_PATH = path.join(__dirname, '../../data/quality_measures.json');
+// Resource types measures read; the population store may not hold them all
+const RESOURCE_TYPES = ['Patient', 'Condition', 'Observation', 'Procedure', 'Immunization', 'Encounter'];
+const EXCLUDED_OBSERVATION_STATUSES = ['entered-in-error', 'cancelled'];
+const STATUSES = ['met', 'gap', 'excluded', 'not-applicable', 'unverified'];
+// OperationOutcome issue codes that mark a resource type as missing from a
+// bundle (see FhirR4Adapter.assembleEverything)
+const MISSING_ISSUE_CODES = ['incomplete', 'not-supported'];
+
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/\./g, '').trim();
+const toDate = (value) => (value ? new Date(value) : null);
+const toDateOnly = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+// Shift a date by a { years, months, days } lookback (sign -1 goes back)
+const shift = (date, lookback = {}, sign = 1) => {
+  const result = new Date(date);
+  result.setUTCFullYear(result.getUTCFullYear() + sign * (lookback.years || 0));
+  result.setUTCMonth(result.getUTCMonth() + sign * (lookback.months || 0));
+  result.setUTCDate(result.getUTCDate() + sign * (lookback.days || 0));
+  return result;
+};
+
+const codingsOf = (concepts) => [].concat(concepts || []).flatMap(concept => concept?.coding || []);
+
+// The coded, dated facts a measure can look at, one per resource. Resources
+// that don't count as done (cancelled procedures, not-done immunizations,
+// entered-in-error observations, refuted conditions) are left out.
+const FACTS = {
+  Condition: (resource) => {
+    const condition = conditionNormalizer.normalize(resource);
+    if (!conditionNormalizer.matches(condition)) return null;
+    return {
+      codings: condition.icd10Codes,
+      date: condition.onsetDate || condition.recordedDate,
+      active: condition.active
+    };
+  },
+  Observation: (resource) => {
+    if (EXCLUDED_OBSERVATION_STATUSES.includes(resource.status)) return null;
+    return {
+      codings: codingsOf(resource.code),
+      date: toDate(resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued)
+    };
+  },
+  Procedure: (resource) => {
+    if (resource.status !== 'completed') return null;
+    return {
+      codings: codingsOf(resource.code),
+      date: toDate(resource.performedDateTime || resource.performedPeriod?.start)
+    };
+  },
+  Immunization: (resource) => {
+    if (resource.status !== 'completed') return null;
+    return {
+      codings: codingsOf(resource.vaccineCode),
+      date: toDate(resource.occurrenceDateTime)
+    };
+  },
+  Encounter: (resource) => {
+    if (resource.status !== 'finished') return null;
+    return {
+      codings: codingsOf(resource.type),
+      date: toDate(resource.period?.start)
+    };
+  }
+};
+
+// Deterministic quality measure engine. Each measure in
+// data/quality_measures.json (or QUALITY_MEASURES_PATH) is data:
+//  - denominator: age range, sex and qualifying conditions
+//  - numerator: evidence criteria (coded resources within a lookback window),
+//    any one of which meets the measure
+//  - exclusions: criteria that take a patient out of the measure
+// Every result carries references to the resources behind it.
+class QualityMeasureService {
+  constructor() {
+    this.definitions = null;
+  }
+
+  // Load (or reload) the definitions; returns the number of measures
+  load(definitionsPath = process.env.QUALITY_MEASURES_PATH || DEFAULT_DEFINITIONS_PATH) {
+    const definitions = JSON.parse(fs.readFileSync(definitionsPath, 'utf8'));
+    const compiled = new Map();
+
+    for (const measure of definitions.measures) {
+      const compile = (criterion) => this.compileCriterion(definitions.systems, measure.id, criterion);
+      compiled.set(measure.id, {
+        conditions: measure.denominator?.conditions
+          ? compile({ resourceType: 'Condition', activeOnly: true, ...measure.denominator.conditions })
+          : null,
+        numerator: (measure.numerator || []).map(compile),
+        exclusions: (measure.exclusions || []).map(compile)
+      });
+    }
+
+    this.definitions = { ...definitions, compiled };
+    logger.info(`Loaded quality measures ${definitions.version} (${definitions.measures.length} measures)`);
+    return definitions.measures.length;
+  }
+
+  // Code lookups for one criterion: ICD-10 prefixes for conditions, exact
+  // codes per system for everything else
+  compileCriterion(systems, measureId, criterion) {
+    if (!FACTS[criterion.resourceType]) {
+      throw new Error(`Measure ${measureId}: unsupported resource type ${criterion.resourceType}`);
+    }
+
+    const bySystem = new Map();
+    const add = (system, codes) => {
+      if (!bySystem.has(system)) bySystem.set(system, new Set());
+      for (const code of codes) bySystem.get(system).add(code);
+    };
+
+    for (const [alias, codes] of Object.entries(criterion.codes || {})) {
+      if (!systems[alias]) {
+        throw new Error(`Measure ${measureId}: unknown code system "${alias}"`);
+      }
+      add(systems[alias], codes);
+    }
+    if (criterion.measure) {
+      if (!observationNormalizer.getMeasure(criterion.measure)) {
+        throw new Error(`Measure ${measureId}: unknown observation measure "${criterion.measure}"`);
+      }
+      add(systems.loinc, observationNormalizer.getLoincCodes([criterion.measure]));
+    }
+
+    return {
+      ...criterion,
+      prefixes: criterion.resourceType === 'Condition'
+        ? (criterion.codes?.icd10 || []).map(normalizeCode)
+        : null,
+      bySystem
+    };
+  }
+
+  ensureLoaded() {
+    if (!this.definitions) {
+      this.load();
+    }
+  }
+
+  get version() {
+    this.ensureLoaded();
+    return this.definitions.version;
+  }
+
+  get resourceTypes() {
+    return RESOURCE_TYPES;
+  }
+
+  get statuses() {
+    return STATUSES;
+  }
+
+  // Measure definitions, all or the given ids; unknown ids are a 400
+  getMeasures(ids) {
+    this.ensureLoaded();
+    const { measures } = this.definitions;
+    if (!ids || ids.length === 0) return measures;
+
+    const unknown = ids.filter(id => !measures.some(measure => measure.id === id));
+    if (unknown.length > 0) {
+      const error = new Error(`Unknown quality measures: ${unknown.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return measures.filter(measure => ids.includes(measure.id));
+  }
+
+  // One patient's resources (a bundle, e.g. from $everything, or an array)
+  // reduced to the facts measures look at, grouped by resource type.
+  // `missing` holds the types an OperationOutcome says the bundle lacks.
+  buildRecord(resources) {
+    const list = Array.isArray(resources)
+      ? resources
+      : (resources?.entry || []).map(entry => entry.resource);
+
+    const record = { patient: null, facts: {}, missing: new Set() };
+    for (const resource of list) {
+      if (!resource?.resourceType) continue;
+      if (resource.resourceType === 'Patient') {
+        record.patient = record.patient || resource;
+        continue;
+      }
+      if (resource.resourceType === 'OperationOutcome') {
+        for (const issue of resource.issue || []) {
+          if (!MISSING_ISSUE_CODES.includes(issue.code)) continue;
+          for (const type of issue.expression || []) {
+            if (RESOURCE_TYPES.includes(type)) record.missing.add(type);
+          }
+        }
+        continue;
+      }
+
+      const fact = FACTS[resource.resourceType]?.(resource);
+      if (!fact) continue;
+      (record.facts[resource.resourceType] = record.facts[resource.resourceType] || []).push({
+        ...fact,
+        resourceType: resource.resourceType,
+        id: resource.id
+      });
+    }
+    return record;
+  }
+
+  codingMatches(criterion, coding) {
+    if (criterion.prefixes) {
+      const code = normalizeCode(coding.code);
+      return criterion.prefixes.some(prefix => code.startsWith(prefix));
+    }
+    if (coding.system) {
+      return !!criterion.bySystem.get(coding.system)?.has(coding.code);
+    }
+    // Codings without a system match a code from any of the criterion's systems
+    return [...criterion.bySystem.values()].some(codes => codes.has(coding.code));
+  }
+
+  // Facts matching a criterion up to `asOf`, most recent first. With
+  // `inWindow` only those inside the criterion's lookback count.
+  findMatches(criterion, record, asOf, options = {}) {
+    const from = options.inWindow && criterion.lookback ? shift(asOf, criterion.lookback, -1) : null;
+
+    return (record.facts[criterion.resourceType] || [])
+      .filter(fact => {
+        if (criterion.activeOnly && !fact.active) return false;
+        if (fact.date && fact.date > asOf) return false;
+        if (from && (!fact.date || fact.date < from)) return false;
+        return fact.codings.some(coding => this.codingMatches(criterion, coding));
+      })
+      .map(fact => {
+        const coding = fact.codings.find(c => this.codingMatches(criterion, c));
+        return {
+          ...(criterion.label && { label: criterion.label }),
+          reference: `${fact.resourceType}/${fact.id}`,
+          resourceType: fact.resourceType,
+          id: fact.id,
+          system: coding.system || null,
+          code: coding.code,
+          display: coding.display || null,
+          date: toDateOnly(fact.date),
+          dueDate: fact.date && criterion.lookback ? toDateOnly(shift(fact.date, criterion.lookback)) : null
+        };
+      })
+      .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  }
+
+  // Who the measure applies to; returns the reason when it doesn't
+  checkDenominator(measure, compiled, record, asOf) {
+    const denominator = measure.denominator || {};
+    const age = ageOn(record.patient?.birthDate, asOf);
+
+    if ((denominator.minAge !== undefined || denominator.maxAge !== undefined) && age === null) {
+      return { applies: false, reason: 'Birth date unknown' };
+    }
+    if (denominator.minAge !== undefined && age < denominator.minAge) {
+      return { applies: false, reason: `Younger than ${denominator.minAge}` };
+    }
+    if (denominator.maxAge !== undefined && age > denominator.maxAge) {
+      return { applies: false, reason: `Older than ${denominator.maxAge}` };
+    }
+    if (denominator.sex && record.patient?.gender !== denominator.sex) {
+      return { applies: false, reason: `Applies to ${denominator.sex} patients only` };
+    }
+
+    const conditions = compiled.conditions ? this.findMatches(compiled.conditions, record, asOf) : [];
+    if (compiled.conditions && conditions.length === 0) {
+      return { applies: false, reason: 'No qualifying condition' };
+    }
+
+    return { applies: true, conditions };
+  }
+
+  // Resource types a negative result for the measure depends on that the
+  // record is missing; such a result can't be trusted
+  missingFor(compiled, record, criteria) {
+    if (!record.missing || record.missing.size === 0) return [];
+    return [...new Set(criteria.map(criterion => criterion.resourceType))]
+      .filter(type => record.missing.has(type));
+  }
+
+  unverified(result, missing) {
+    return {
+      ...result,
+      status: 'unverified',
+      reason: `${missing.join(', ')} could not be read from the EHR`,
+      missingResourceTypes: missing
+    };
+  }
+
+  evaluateMeasure(measure, record, asOf) {
+    const compiled = this.definitions.compiled.get(measure.id);
+    const result = {
+      id: measure.id,
+      name: measure.name,
+      reference: measure.reference || null,
+      status: null,
+      reason: null,
+      lastPerformed: null,
+      dueDate: null,
+      evidence: [],
+      qualifyingConditions: []
+    };
+
+    const denominator = this.checkDenominator(measure, compiled, record, asOf);
+    if (!denominator.applies) {
+      const missing = denominator.reason === 'No qualifying condition'
+        ? this.missingFor(compiled, record, [compiled.conditions])
+        : [];
+      if (missing.length > 0) {
+        return this.unverified(result, missing);
+      }
+      return { ...result, status: 'not-applicable', reason: denominator.reason };
+    }
+    result.qualifyingConditions = denominator.conditions;
+
+    for (const exclusion of compiled.exclusions) {
+      const matches = this.findMatches(exclusion, record, asOf, { inWindow: true });
+      if (matches.length > 0) {
+        return { ...result, status: 'excluded', reason: exclusion.label || 'Exclusion criteria met', evidence: matches };
+      }
+    }
+
+    const evidence = compiled.numerator
+      .flatMap(criterion => this.findMatches(criterion, record, asOf, { inWindow: true }))
+      .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+    if (evidence.length > 0) {
+      // Current until the longest-lasting piece of evidence runs out
+      const dueDates = evidence.map(item => item.dueDate).filter(Boolean).sort();
+      return {
+        ...result,
+        status: 'met',
+        lastPerformed: evidence[0].date,
+        dueDate: dueDates[dueDates.length - 1] || null,
+        evidence
+      };
+    }
+
+    // Evidence too old to count still tells when the patient became due
+    const history = compiled.numerator
+      .flatMap(criterion => this.findMatches(criterion, record, asOf))
+      .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    const last = history[0];
+
+    const gap = {
+      ...result,
+      status: 'gap',
+      reason: last ? 'Most recent evidence is outside the lookback window' : 'No qualifying evidence on record',
+      lastPerformed: last?.date || null,
+      dueDate: last?.dueDate || null,
+      evidence: last ? [last] : []
+    };
+    // Evidence or an exclusion may be in the records that failed to load
+    const missing = this.missingFor(compiled, record, [...compiled.numerator, ...compiled.exclusions]);
+    return missing.length > 0 ? this.unverified(gap, missing) : gap;
+  }
+
+  // Evaluate measures (all, or `measureIds`) for one patient's resources.
+  // `complete` is false when the bundle says resource types are missing;
+  // gaps that depend on them come back unverified.
+  evaluatePatient(resources, options = {}) {
+    const measures = this.getMeasures(options.measureIds);
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    const record = this.buildRecord(resources);
+    const results = measures.map(measure => this.evaluateMeasure(measure, record, asOf));
+
+    const summary = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    for (const result of results) summary[result.status]++;
+
+    return {
+      definitionsVersion: this.version,
+      asOf: toDateOnly(asOf),
+      patientId: record.patient?.id || null,
+      age: ageOn(record.patient?.birthDate, asOf),
+      sex: record.patient?.gender || null,
+      complete: record.missing.size === 0,
+      incomplete: [...record.missing],
+      results,
+      summary
+    };
+  }
+
+  // Evaluate the synced population in batches. Returns rates per measure;
+  // with `status` also the matching patient results (up to `limit`).
+  // `onBatch` is awaited with each batch's [{ patientId, evaluation }].
+  async evaluatePopulation(organizationId, options = {}) {
+    const measures = this.getMeasures(options.measureIds);
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    const batchSize = options.batchSize || 200;
+    const limit = options.limit || 100;
+    const resourceTypes = RESOURCE_TYPES.filter(type => populationStore.isSupported(type));
+
+    const totals = new Map(measures.map(measure => [
+      measure.id,
+      Object.fromEntries(STATUSES.map(status => [status, 0]))
+    ]));
+    const results = [];
+    let truncated = false;
+    let patients = 0;
+    let afterId = null;
+
+    for (;;) {
+      const page = await populationStore.getPatientsPage(organizationId, { afterId, limit: batchSize });
+      if (page.length === 0) break;
+
+      const ids = page.map(patient => patient.fhirId);
+      const resourcesByPatient = await populationStore.getPatientResources(organizationId, ids, resourceTypes);
+
+      const evaluations = [];
+      for (const patientId of ids) {
+        const evaluation = this.evaluatePatient(resourcesByPatient[patientId] || [], {
+          measureIds: measures.map(measure => measure.id),
+          asOf
+        });
+        evaluations.push({ patientId, evaluation });
+        patients++;
+
+        for (const result of evaluation.results) {
+          totals.get(result.id)[result.status]++;
+          if (!options.status || result.status !== options.status) continue;
+          if (results.length >= limit) {
+            truncated = true;
+            continue;
+          }
+          results.push({
+            patientId,
+            measureId: result.id,
+            status: result.status,
+            reason: result.reason,
+            lastPerformed: result.lastPerformed,
+            dueDate: result.dueDate,
+            evidence: result.evidence.map(item => item.reference)
+          });
+        }
+      }
+
+      if (options.onBatch) {
+        await options.onBatch(evaluations);
+      }
+      afterId = ids[ids.length - 1];
+    }
+
+    return {
+      definitionsVersion: this.version,
+      asOf: toDateOnly(asOf),
+      patients,
+      measures: measures.map(measure => {
+        const counts = totals.get(measure.id);
+        const denominator = counts.met + counts.gap + counts.excluded;
+        const eligible = denominator - counts.excluded;
+        return {
+          id: measure.id,
+          name: measure.name,
+          reference: measure.reference || null,
+          denominator,
+          exclusions: counts.excluded,
+          numerator: counts.met,
+          gaps: counts.gap,
+          notApplicable: counts['not-applicable'],
+          rate: eligible > 0 ? Math.round((counts.met / eligible) * 1000) / 10 : null
+        };
+      }),
+      ...(options.status && { results, truncated })
+    };
+  }
+}
+
+module.exports = new QualityMeasureService();
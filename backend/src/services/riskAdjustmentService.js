@@ -0,0 +1,450 @@
+const fs = require('fs');
+const path = require('path');
+const { RiskScore } = require('../models');
+const conditionNormalizer = require('./conditionNormalizer');
+const populationStore = require('./populationStore');
+const { ageOn } = require('../utils/age');
+const logger = require('../utils/logger');
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, '../../data/hcc_model.json');
+// Patients this old get the aged demographic factors, younger ones the disabled ones
+const AGED_FROM = 65;
+// RAF score bands behind the low/medium/high risk levels (1.0 is an average beneficiary)
+const RISK_LEVELS = {
+  low: { max: 1 },
+  medium: { min: 1, max: 2 },
+  high: { min: 2 }
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+// Mapping tables list codes without the dot (E1122); FHIR usually has it (E11.22)
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/\./g, '').trim();
+const normalizeHcc = (hcc) => {
+  const value = String(hcc || '').trim().toUpperCase();
+  if (!value) return null;
+  return value.startsWith('HCC') ? value : `HCC${value}`;
+};
+
+const toSex = (gender) => {
+  const value = String(gender || '').toLowerCase();
+  if (['female', 'f', '2'].includes(value)) return 'female';
+  if (['male', 'm', '1'].includes(value)) return 'male';
+  return null;
+};
+
+// Split one CSV/TSV line, honouring double quotes
+const splitRow = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+// Deterministic CMS-HCC style risk adjustment. ICD-10 codes map to HCCs
+// through a loadable table, hierarchies drop the less severe HCC of a
+// family, and the RAF score is the sum of the demographic factor, the
+// remaining HCCs, disease interactions and the payment HCC count, divided
+// by the normalization factor. Every term is returned as a line so the
+// score can be explained.
+//
+// Loads HCC_MODEL_PATH when set (JSON in the shape of data/hcc_model.json),
+// otherwise the starter model in data/. HCC_MAPPING_PATH can replace the
+// model's ICD-10 mappings with a CMS mapping table (CSV or tab-separated).
+class RiskAdjustmentService {
+  constructor() {
+    this.model = null;
+  }
+
+  // Load (or reload) the model; returns the number of ICD-10 mappings
+  load(modelPath = process.env.HCC_MODEL_PATH || DEFAULT_MODEL_PATH, mappingPath = process.env.HCC_MAPPING_PATH) {
+    const definition = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    const entries = mappingPath
+      ? this.parseMappingTable(fs.readFileSync(mappingPath, 'utf8'), process.env.HCC_MAPPING_COLUMN)
+      : Object.entries(definition.mappings || {});
+
+    const mappings = new Map();
+    for (const [code, hcc] of entries) {
+      const normalizedHcc = normalizeHcc(hcc);
+      // Codes that map to HCCs the model doesn't pay for are ignored
+      if (normalizedHcc && definition.categories[normalizedHcc]) {
+        mappings.set(normalizeCode(code), normalizedHcc);
+      }
+    }
+
+    this.model = { ...definition, mappings };
+    logger.info(`Loaded HCC model ${definition.version} with ${mappings.size} ICD-10 mappings`);
+    return mappings.size;
+  }
+
+  // CMS ICD-10 to HCC mapping table. Uses the diagnosis code column and the
+  // first HCC column (or the column named by `hccColumn`); returns [code, hcc] pairs.
+  parseMappingTable(content, hccColumn) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    const delimiter = lines[0].includes('\t') ? '\t' : ',';
+    const header = splitRow(lines.shift(), delimiter).map(name => name.toLowerCase());
+
+    const codeIndex = header.findIndex(name => name.includes('diagnosis code') || name === 'code' || name.includes('icd'));
+    const hccIndex = hccColumn
+      ? header.indexOf(hccColumn.toLowerCase())
+      : header.findIndex(name => name.includes('hcc'));
+    if (codeIndex < 0 || hccIndex < 0) {
+      throw new Error('Unrecognised ICD-10 to HCC mapping table');
+    }
+
+    return lines
+      .map(line => splitRow(line, delimiter))
+      .filter(fields => fields[codeIndex] && fields[hccIndex])
+      .map(fields => [fields[codeIndex], fields[hccIndex]]);
+  }
+
+  ensureLoaded() {
+    if (!this.model) {
+      this.load();
+    }
+  }
+
+  get modelVersion() {
+    this.ensureLoaded();
+    return this.model.version;
+  }
+
+  get riskLevels() {
+    return RISK_LEVELS;
+  }
+
+  // low, medium or high for a RAF score; bands include their min, not their max
+  riskLevel(score) {
+    if (score === null || score === undefined) return null;
+    return Object.keys(RISK_LEVELS).find(level => {
+      const { min, max } = RISK_LEVELS[level];
+      return (min === undefined || score >= min) && (max === undefined || score < max);
+    });
+  }
+
+  // HCC for an ICD-10 code: exact match first, then the longest mapped prefix
+  mapCode(code) {
+    this.ensureLoaded();
+    const normalized = normalizeCode(code);
+    for (let length = normalized.length; length >= 3; length--) {
+      const hcc = this.model.mappings.get(normalized.slice(0, length));
+      if (hcc) return hcc;
+    }
+    return null;
+  }
+
+  demographicFactor(age, sex) {
+    if (age === null || !sex) return null;
+    const segment = age >= AGED_FROM ? 'aged' : 'disabled';
+    return this.model.demographics.find(factor =>
+      factor.segment === segment &&
+      factor.sex === sex &&
+      age >= factor.minAge &&
+      (factor.maxAge === undefined || age <= factor.maxAge)
+    ) || null;
+  }
+
+  // RAF score for one patient. `diagnoses` are ICD-10 codes or
+  // { code, display, conditionId }; age comes from `age` or `birthDate` as of `asOf`.
+  calculate({ diagnoses = [], birthDate, age, sex, asOf } = {}) {
+    this.ensureLoaded();
+    const asOfDate = asOf ? new Date(asOf) : new Date();
+    const patientAge = age !== undefined && age !== null
+      ? Number(age)
+      : ageOn(birthDate, asOfDate);
+    const patientSex = toSex(sex);
+    const lines = [];
+    const warnings = [];
+
+    const demographic = this.demographicFactor(patientAge, patientSex);
+    if (demographic) {
+      lines.push({
+        type: 'demographic',
+        label: `${patientSex === 'female' ? 'Female' : 'Male'} ${demographic.minAge}${demographic.maxAge === undefined ? '+' : `-${demographic.maxAge}`}`,
+        coefficient: demographic.coefficient
+      });
+    } else {
+      warnings.push(patientAge === null ? 'Age unknown; no demographic factor applied' : 'Sex unknown; no demographic factor applied');
+    }
+
+    // Codes grouped by the HCC they map to
+    const codesByHcc = new Map();
+    const unmappedCodes = [];
+    const seen = new Set();
+    for (const diagnosis of diagnoses) {
+      const entry = typeof diagnosis === 'string' ? { code: diagnosis } : diagnosis;
+      if (!entry?.code || seen.has(normalizeCode(entry.code))) continue;
+      seen.add(normalizeCode(entry.code));
+
+      const code = {
+        code: entry.code,
+        ...(entry.display && { display: entry.display }),
+        ...(entry.conditionId && { conditionId: entry.conditionId })
+      };
+      const hcc = this.mapCode(entry.code);
+      if (!hcc) {
+        unmappedCodes.push(code);
+        continue;
+      }
+      if (!codesByHcc.has(hcc)) codesByHcc.set(hcc, []);
+      codesByHcc.get(hcc).push(code);
+    }
+
+    // Hierarchies: a more severe HCC in the same family drops the others
+    const present = [...codesByHcc.keys()];
+    const droppedHccs = [];
+    const hccs = [];
+    for (const hcc of present) {
+      const droppedBy = present.find(other => (this.model.hierarchies[other] || []).includes(hcc));
+      const category = this.model.categories[hcc];
+      if (droppedBy) {
+        droppedHccs.push({ hcc, description: category.description, droppedBy, codes: codesByHcc.get(hcc) });
+      } else {
+        hccs.push(hcc);
+        lines.push({
+          type: 'hcc',
+          hcc,
+          label: category.description,
+          coefficient: category.coefficient,
+          codes: codesByHcc.get(hcc)
+        });
+      }
+    }
+
+    for (const interaction of this.model.interactions || []) {
+      const matched = interaction.groups.map(group => group.filter(hcc => hccs.includes(hcc)));
+      if (matched.every(group => group.length > 0)) {
+        lines.push({
+          type: 'interaction',
+          name: interaction.name,
+          label: interaction.description,
+          coefficient: interaction.coefficient,
+          hccs: matched.flat()
+        });
+      }
+    }
+
+    const countBand = (this.model.hccCounts || []).find(band =>
+      hccs.length >= band.min && (band.max === undefined || hccs.length <= band.max)
+    );
+    if (countBand) {
+      lines.push({
+        type: 'hccCount',
+        label: `${hccs.length} payment HCCs`,
+        coefficient: countBand.coefficient
+      });
+    }
+
+    const rawScore = round(lines.reduce((sum, line) => sum + line.coefficient, 0));
+    const normalizationFactor = this.model.normalizationFactor || 1;
+
+    return {
+      modelVersion: this.model.version,
+      asOf: asOfDate.toISOString().slice(0, 10),
+      age: patientAge,
+      sex: patientSex,
+      segment: patientAge === null ? null : (patientAge >= AGED_FROM ? 'aged' : 'disabled'),
+      score: round(rawScore / normalizationFactor),
+      rawScore,
+      normalizationFactor,
+      hccs,
+      lines,
+      droppedHccs,
+      unmappedCodes,
+      warnings
+    };
+  }
+
+  // Score from a FHIR Patient and its Conditions (active, not refuted)
+  calculateForPatient(patient, conditions, options = {}) {
+    const diagnoses = conditionNormalizer
+      .extractICD10Codes(conditions, { activeOnly: true })
+      .map(row => ({ code: row.code, display: row.display, conditionId: row.conditionId }));
+
+    return this.calculate({
+      diagnoses,
+      birthDate: patient?.birthDate,
+      sex: patient?.gender,
+      asOf: options.asOf
+    });
+  }
+
+  // Store a result as the patient's snapshot for its day (one per model version)
+  async save(organizationId, patientId, result, source) {
+    const [record] = await RiskScore.upsert({
+      organizationId,
+      patientId,
+      modelVersion: result.modelVersion,
+      scoreDate: result.asOf,
+      score: result.score,
+      rawScore: result.rawScore,
+      segment: result.segment,
+      age: result.age,
+      sex: result.sex,
+      hccs: result.hccs,
+      details: {
+        lines: result.lines,
+        droppedHccs: result.droppedHccs,
+        unmappedCodes: result.unmappedCodes,
+        warnings: result.warnings,
+        normalizationFactor: result.normalizationFactor
+      },
+      source
+    }, {
+      conflictFields: ['organization_id', 'patient_id', 'model_version', 'score_date'],
+      // Keep the original row id on a same-day recalculation
+      fields: ['score', 'rawScore', 'segment', 'age', 'sex', 'hccs', 'details', 'source', 'updatedAt']
+    });
+    return record;
+  }
+
+  // Each patient's most recent stored score under the current model, as a Map
+  async getLatestScores(organizationId, patientIds) {
+    if (!patientIds.length) return new Map();
+
+    const rows = await RiskScore.findAll({
+      attributes: ['patientId', 'score', 'scoreDate'],
+      where: { organizationId, modelVersion: this.modelVersion, patientId: patientIds },
+      order: [['scoreDate', 'DESC']]
+    });
+
+    const scores = new Map();
+    for (const row of rows) {
+      if (!scores.has(row.patientId)) scores.set(row.patientId, row.score);
+    }
+    return scores;
+  }
+
+  async getHistory(organizationId, patientId, options = {}) {
+    return RiskScore.findAll({
+      where: {
+        organizationId,
+        patientId,
+        ...(options.modelVersion && { modelVersion: options.modelVersion })
+      },
+      order: [['scoreDate', 'DESC']],
+      limit: options.limit || 100
+    });
+  }
+
+  // Score every patient in the synced population and store the snapshots
+  async scorePopulation(organizationId, options = {}) {
+    const batchSize = options.batchSize || 500;
+    const asOf = options.asOf || new Date();
+    let afterId = null;
+    let scored = 0;
+
+    for (;;) {
+      const patients = await populationStore.getPatientsPage(organizationId, { afterId, limit: batchSize });
+      if (patients.length === 0) break;
+
+      const diagnoses = await populationStore.getPatientDiagnoses(
+        organizationId,
+        patients.map(patient => patient.fhirId),
+        { activeOnly: true }
+      );
+
+      for (const patient of patients) {
+        const result = this.calculate({
+          diagnoses: diagnoses[patient.fhirId] || [],
+          birthDate: patient.birthDate,
+          sex: patient.gender,
+          asOf
+        });
+        await this.save(organizationId, patient.fhirId, result, 'population');
+        scored++;
+      }
+
+      afterId = patients[patients.length - 1].fhirId;
+    }
+
+    return { modelVersion: this.modelVersion, scored };
+  }
+
+  // Distribution of each patient's latest score and the most common HCCs
+  async getSummary(organizationId, options = {}) {
+    const modelVersion = options.modelVersion || this.modelVersion;
+    const sequelize = RiskScore.sequelize;
+    const replacements = { organizationId, modelVersion, limit: options.limit || 20 };
+    const latest = `
+      SELECT DISTINCT ON (patient_id) patient_id, score, hccs, score_date
+      FROM risk_scores
+      WHERE organization_id = :organizationId AND model_version = :modelVersion
+      ORDER BY patient_id, score_date DESC
+    `;
+
+    const [stats] = await sequelize.query(`
+      WITH latest AS (${latest})
+      SELECT COUNT(*) AS patients,
+             AVG(score) AS mean,
+             PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY score) AS median,
+             COUNT(*) FILTER (WHERE score < 0.5) AS below_0_5,
+             COUNT(*) FILTER (WHERE score >= 0.5 AND score < 1) AS from_0_5_to_1,
+             COUNT(*) FILTER (WHERE score >= 1 AND score < 2) AS from_1_to_2,
+             COUNT(*) FILTER (WHERE score >= 2) AS from_2,
+             MAX(score_date) AS scored_at
+      FROM latest
+    `, { replacements, type: sequelize.QueryTypes.SELECT });
+
+    const [topHccs, topPatients] = await Promise.all([
+      sequelize.query(`
+        WITH latest AS (${latest})
+        SELECT hcc, COUNT(*) AS patients
+        FROM latest, UNNEST(hccs) AS hcc
+        GROUP BY hcc
+        ORDER BY patients DESC
+        LIMIT :limit
+      `, { replacements, type: sequelize.QueryTypes.SELECT }),
+      sequelize.query(`
+        WITH latest AS (${latest})
+        SELECT patient_id, score, hccs
+        FROM latest
+        ORDER BY score DESC
+        LIMIT :limit
+      `, { replacements, type: sequelize.QueryTypes.SELECT })
+    ]);
+
+    this.ensureLoaded();
+    return {
+      modelVersion,
+      patients: parseInt(stats.patients),
+      mean: stats.mean === null ? null : round(Number(stats.mean)),
+      median: stats.median === null ? null : round(Number(stats.median)),
+      distribution: {
+        '<0.5': parseInt(stats.below_0_5),
+        '0.5-1': parseInt(stats.from_0_5_to_1),
+        '1-2': parseInt(stats.from_1_to_2),
+        '>=2': parseInt(stats.from_2)
+      },
+      scoredAt: stats.scored_at,
+      topHccs: topHccs.map(row => ({
+        hcc: row.hcc,
+        description: this.model.categories[row.hcc]?.description || null,
+        patients: parseInt(row.patients)
+      })),
+      topPatients: topPatients.map(row => ({
+        patientId: row.patient_id,
+        score: Number(row.score),
+        hccs: row.hccs
+      }))
+    };
+  }
+}
+
+module.exports = new RiskAdjustmentService();
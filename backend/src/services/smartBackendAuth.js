@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const ehr = require('./ehr');
+const ehrTokenManager = require('./ehrTokenManager');
+const fhirHttpClient = require('./fhirHttpClient');
+const fhirDiscoveryService = require('./fhirDiscoveryService');
+const logger = require('../utils/logger');
+
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+const DEFAULT_SYSTEM_SCOPE = 'system/*.read';
+// Refresh cached system tokens this long before they expire
+const TOKEN_EXPIRY_BUFFER_MS = 60 * 1000;
+// JWS algorithm for each EC curve (RFC 7518 3.4); the curve fixes the hash
+const EC_ALGORITHMS = {
+  prime256v1: 'ES256',
+  secp384r1: 'ES384',
+  secp521r1: 'ES512'
+};
+
+// SMART Backend Services: system-level tokens obtained with a signed
+// JWT client assertion instead of a user-delegated authorization code.
+class SmartBackendAuthService {
+  constructor() {
+    this.tokenCache = new Map();
+  }
+
+  // Resolve the org-owned client and key, falling back to the environment
+  getKeyConfig(organization) {
+    let privateKey = organization?.epicPrivateKey || process.env.EPIC_PRIVATE_KEY || null;
+    if (!privateKey && process.env.EPIC_PRIVATE_KEY_PATH) {
+      privateKey = fs.readFileSync(process.env.EPIC_PRIVATE_KEY_PATH, 'utf8');
+    }
+
+    return {
+      clientId: organization?.epicBackendClientId || process.env.EPIC_BACKEND_CLIENT_ID,
+      privateKey,
+      keyId: organization?.epicKeyId || process.env.EPIC_KEY_ID || null
+    };
+  }
+
+  isConfigured(organization) {
+    const config = this.getKeyConfig(organization);
+    return !!(config.clientId && config.privateKey);
+  }
+
+  // Token endpoint for the organization's FHIR server (discovered when published)
+  async getTokenUrl(organization) {
+    const { baseUrl, tokenUrl, restrictHosts } = ehr.getOrganizationConfig(organization);
+    const smartConfig = await fhirDiscoveryService.tryGetSmartConfiguration(baseUrl, { restrictHosts });
+    return smartConfig?.tokenEndpoint || tokenUrl;
+  }
+
+  // RSA keys sign RS384; EC keys use their curve's algorithm (Epic accepts
+  // RS384 and ES384). Other key types and curves are a 400.
+  getSigningAlgorithm(privateKey) {
+    const key = crypto.createPrivateKey(privateKey);
+    if (key.asymmetricKeyType === 'rsa') return 'RS384';
+
+    const algorithm = key.asymmetricKeyType === 'ec' && EC_ALGORITHMS[key.asymmetricKeyDetails?.namedCurve];
+    if (!algorithm) {
+      const curve = key.asymmetricKeyDetails?.namedCurve;
+      const error = new Error(`Unsupported private key: ${key.asymmetricKeyType}${curve ? ` (${curve})` : ''}; use RSA or EC P-256, P-384 or P-521`);
+      error.status = 400;
+      throw error;
+    }
+    return algorithm;
+  }
+
+  createClientAssertion(config) {
+    return jwt.sign(
+      {
+        iss: config.clientId,
+        sub: config.clientId,
+        aud: config.tokenUrl,
+        jti: uuidv4()
+      },
+      config.privateKey,
+      {
+        algorithm: this.getSigningAlgorithm(config.privateKey),
+        expiresIn: 300,
+        ...(config.keyId && { keyid: config.keyId })
+      }
+    );
+  }
+
+  // Exchange a client assertion for a system access token (cached per org and scope)
+  async getSystemToken(organization, scope = DEFAULT_SYSTEM_SCOPE) {
+    const config = this.getKeyConfig(organization);
+    config.tokenUrl = await this.getTokenUrl(organization);
+    config.restrictHosts = ehr.getOrganizationConfig(organization).restrictHosts;
+    if (!config.clientId || !config.privateKey || !config.tokenUrl) {
+      throw new Error('SMART Backend Services is not configured for this organization');
+    }
+
+    const cacheKey = `${organization?.id || 'default'}:${scope}`;
+    const cached = this.tokenCache.get(cacheKey);
+    if (cached && cached.expiresAt - TOKEN_EXPIRY_BUFFER_MS > Date.now()) {
+      return cached.accessToken;
+    }
+
+    const params = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_assertion_type: CLIENT_ASSERTION_TYPE,
+      client_assertion: this.createClientAssertion(config),
+      scope
+    });
+
+    try {
+      const response = await fhirHttpClient.request({
+        method: 'POST',
+        url: config.tokenUrl,
+        data: params.toString(),
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }, { concurrencyKey: organization?.id, restrictHosts: config.restrictHosts });
+
+      const { access_token: accessToken, expires_in: expiresIn } = response.data;
+      this.tokenCache.set(cacheKey, {
+        accessToken,
+        expiresAt: Date.now() + (expiresIn || 300) * 1000
+      });
+
+      return accessToken;
+    } catch (error) {
+      logger.error('Backend services token request failed:', error.message);
+      throw error;
+    }
+  }
+
+  clearCachedTokens(organization) {
+    const prefix = `${organization?.id || 'default'}:`;
+    for (const key of this.tokenCache.keys()) {
+      if (key.startsWith(prefix)) this.tokenCache.delete(key);
+    }
+  }
+
+  // FHIR client authorized with the organization's system token
+  async getSystemEpicService(organization, scope) {
+    const accessToken = await this.getSystemToken(organization, scope);
+    return ehr.forOrganization(organization, { accessToken });
+  }
+
+  // Prefer system-level access for population work; fall back to the
+  // user's own connection when the organization has no backend client.
+  async getEpicServiceForOrganization(organization, user) {
+    if (this.isConfigured(organization)) {
+      return this.getSystemEpicService(organization);
+    }
+
+    return ehrTokenManager.tryGetEpicService(user, organization);
+  }
+
+  // Public JWKS to register with Epic (derived from the private key)
+  getPublicJwks(organization) {
+    const config = this.getKeyConfig(organization);
+    if (!config.privateKey) {
+      return { keys: [] };
+    }
+
+    const publicJwk = crypto.createPublicKey(config.privateKey).export({ format: 'jwk' });
+    return {
+      keys: [{
+        ...publicJwk,
+        use: 'sig',
+        alg: this.getSigningAlgorithm(config.privateKey),
+        ...(config.keyId && { kid: config.keyId })
+      }]
+    };
+  }
+
+  // Generate a new RSA key pair for an organization
+  generateKeyPair() {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+
+    return {
+      privateKey,
+      keyId: uuidv4()
+    };
+  }
+}
+
+module.exports = new SmartBackendAuthService();
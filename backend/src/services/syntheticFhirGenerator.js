@@ -0,0 +1,456 @@
+const icd10Codes = require('../../data/icd10_codes.json');
+
+const ICD10_SYSTEM = 'http://hl7.org/fhir/sid/icd-10-cm';
+const LOINC_SYSTEM = 'http://loinc.org';
+const RXNORM_SYSTEM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+const CPT_SYSTEM = 'http://www.ama-assn.org/go/cpt';
+const CVX_SYSTEM = 'http://hl7.org/fhir/sid/cvx';
+
+const FIRST_NAMES = {
+  male: ['James', 'Robert', 'Michael', 'William', 'David', 'Carlos', 'Wei', 'Ahmed', 'Daniel', 'Thomas', 'Jamal', 'Luis', 'Kenji', 'Samuel', 'Patrick'],
+  female: ['Mary', 'Patricia', 'Jennifer', 'Linda', 'Maria', 'Aisha', 'Mei', 'Elizabeth', 'Susan', 'Priya', 'Camila', 'Grace', 'Fatima', 'Rosa', 'Hannah']
+};
+const LAST_NAMES = ['Smith', 'Johnson', 'Garcia', 'Lopez', 'Nguyen', 'Lin', 'Patel', 'Williams', 'Brown', 'Davis', 'Martinez', 'Kim', 'Okafor', 'Wilson', 'Anderson', 'Thomas', 'Hernandez', 'Moore', 'Clark', 'Lewis'];
+const LOCATIONS = [
+  { city: 'Madison', state: 'WI', postalCode: '53703' },
+  { city: 'Verona', state: 'WI', postalCode: '53593' },
+  { city: 'Milwaukee', state: 'WI', postalCode: '53202' },
+  { city: 'Chicago', state: 'IL', postalCode: '60614' },
+  { city: 'Minneapolis', state: 'MN', postalCode: '55401' },
+  { city: 'Des Moines', state: 'IA', postalCode: '50309' }
+];
+const STREETS = ['Main St', 'Oak Ave', 'University Ave', 'Park St', 'Lake Dr', 'Elm St', 'Maple Rd'];
+
+// Chronic condition profile: probability per patient and the age it starts to apply
+const CONDITION_PROFILE = [
+  { code: 'I10', probability: 0.3, minAge: 30 },
+  { code: 'E78.5', probability: 0.25, minAge: 35 },
+  { code: 'E66.9', probability: 0.2, minAge: 18 },
+  { code: 'E11.9', probability: 0.1, minAge: 30 },
+  { code: 'E11.65', probability: 0.04, minAge: 30 },
+  { code: 'E11.22', probability: 0.02, minAge: 45 },
+  { code: 'R73.03', probability: 0.08, minAge: 30 },
+  { code: 'F32.9', probability: 0.08, minAge: 18 },
+  { code: 'F41.1', probability: 0.08, minAge: 18 },
+  { code: 'J45.20', probability: 0.06, minAge: 5 },
+  { code: 'J44.9', probability: 0.06, minAge: 45 },
+  { code: 'I50.9', probability: 0.03, minAge: 55 },
+  { code: 'I48.91', probability: 0.03, minAge: 60 },
+  { code: 'I25.10', probability: 0.05, minAge: 50 },
+  { code: 'N18.3', probability: 0.05, minAge: 50 },
+  { code: 'N18.4', probability: 0.01, minAge: 60 },
+  { code: 'E03.9', probability: 0.05, minAge: 30 },
+  { code: 'G47.33', probability: 0.05, minAge: 35 },
+  { code: 'K21.0', probability: 0.06, minAge: 25 },
+  { code: 'M17.11', probability: 0.05, minAge: 55 },
+  { code: 'M54.5', probability: 0.07, minAge: 20 },
+  { code: 'F11.20', probability: 0.01, minAge: 18 },
+  { code: 'F10.20', probability: 0.02, minAge: 21 },
+  { code: 'G30.9', probability: 0.02, minAge: 70 },
+  { code: 'C50.911', probability: 0.01, minAge: 45, gender: 'female' },
+  { code: 'C61', probability: 0.02, minAge: 55, gender: 'male' }
+];
+
+// First-line medication per condition prefix
+const MEDICATIONS = {
+  E11: { code: '860975', display: 'metformin hydrochloride 500 MG Extended Release Oral Tablet' },
+  I10: { code: '314076', display: 'lisinopril 10 MG Oral Tablet' },
+  E78: { code: '617312', display: 'atorvastatin 10 MG Oral Tablet' },
+  I50: { code: '310429', display: 'furosemide 20 MG Oral Tablet' },
+  J44: { code: '1552002', display: 'tiotropium 18 MCG Inhalation Powder' },
+  J45: { code: '745679', display: 'albuterol 0.09 MG/ACTUAT Metered Dose Inhaler' },
+  F32: { code: '312940', display: 'sertraline 50 MG Oral Tablet' },
+  F41: { code: '312940', display: 'sertraline 50 MG Oral Tablet' },
+  E03: { code: '966222', display: 'levothyroxine sodium 0.05 MG Oral Tablet' },
+  I48: { code: '1364430', display: 'apixaban 5 MG Oral Tablet' }
+};
+
+const ENCOUNTER_TYPES = [
+  { classCode: 'AMB', code: '185349003', display: 'Office Visit', weight: 0.7 },
+  { classCode: 'AMB', code: '86013001', display: 'Annual Wellness Visit', weight: 0.15 },
+  { classCode: 'EMER', code: '50849002', display: 'Emergency Department Visit', weight: 0.1 },
+  { classCode: 'IMP', code: '32485007', display: 'Hospital Admission', weight: 0.05 }
+];
+
+// Preventive procedures: who is eligible, how often they have had one and how
+// far back (in days) the last one may be, so some are current and some overdue
+const PROCEDURE_PROFILE = [
+  {
+    key: 'colonoscopy', minAge: 45, probability: 0.6, maxDaysAgo: 365 * 14,
+    coding: [{ system: SNOMED_SYSTEM, code: '73761001', display: 'Colonoscopy' }, { system: CPT_SYSTEM, code: '45378' }]
+  },
+  {
+    key: 'mammogram', minAge: 45, gender: 'female', probability: 0.7, maxDaysAgo: 365 * 4,
+    coding: [{ system: SNOMED_SYSTEM, code: '241055006', display: 'Mammogram - symptomatic' }, { system: CPT_SYSTEM, code: '77067' }]
+  },
+  {
+    key: 'eye', minAge: 18, condition: 'E11', probability: 0.6, maxDaysAgo: 365 * 2,
+    coding: [{ system: SNOMED_SYSTEM, code: '252779009', display: 'Single bright light fundus photography' }, { system: CPT_SYSTEM, code: '92250' }]
+  }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SyntheticFhirGenerator {
+  constructor(options = {}) {
+    this.seed = options.seed || 20240101;
+    this.now = options.now || new Date();
+    this.idPrefix = options.idPrefix || 'sbx';
+    this.random = this.createRandom(this.seed);
+    this.icd10Lookup = icd10Codes.reduce((acc, code) => {
+      acc[code.code] = code.description;
+      return acc;
+    }, {});
+  }
+
+  // Small deterministic PRNG (mulberry32) so seeded datasets are reproducible
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  pick(list) {
+    return list[Math.floor(this.random() * list.length)];
+  }
+
+  between(min, max) {
+    return min + this.random() * (max - min);
+  }
+
+  round(value, decimals = 0) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+
+  daysAgo(days) {
+    return new Date(this.now.getTime() - days * DAY_MS);
+  }
+
+  toDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  meta() {
+    return { lastUpdated: this.now.toISOString() };
+  }
+
+  // Generate every resource for `count` patients
+  generatePopulation(count) {
+    const resources = [];
+    for (let i = 1; i <= count; i++) {
+      resources.push(...this.generatePatientRecord(i));
+    }
+    return resources;
+  }
+
+  // Generate one patient plus their clinical record
+  generatePatientRecord(index) {
+    const patient = this.generatePatient(index);
+    const age = Math.floor((this.now - new Date(patient.birthDate)) / (365.25 * DAY_MS));
+    const conditions = this.generateConditions(patient, age);
+    const activeCodes = conditions
+      .filter(c => c.clinicalStatus.coding[0].code === 'active')
+      .map(c => c.code.coding[0].code);
+
+    return [
+      patient,
+      ...conditions,
+      ...this.generateObservations(patient, activeCodes),
+      ...this.generateEncounters(patient, activeCodes),
+      ...this.generateMedications(patient, activeCodes),
+      ...this.generateCarePlans(patient, activeCodes),
+      ...this.generateProcedures(patient, age, activeCodes),
+      ...this.generateImmunizations(patient)
+    ];
+  }
+
+  generatePatient(index) {
+    const gender = this.random() < 0.5 ? 'female' : 'male';
+    const given = this.pick(FIRST_NAMES[gender]);
+    const family = this.pick(LAST_NAMES);
+    const location = this.pick(LOCATIONS);
+    const age = Math.floor(this.between(18, 92));
+    const birthDate = this.daysAgo(age * 365.25 + this.between(0, 364));
+    const id = `${this.idPrefix}-pt-${String(index).padStart(6, '0')}`;
+
+    const telecom = [];
+    if (this.random() < 0.85) {
+      telecom.push({ system: 'email', value: `${given}.${family}.${index}@example.com`.toLowerCase(), use: 'home' });
+    }
+    if (this.random() < 0.9) {
+      telecom.push({ system: 'phone', value: `608-555-${String(1000 + (index % 9000)).padStart(4, '0')}`, use: 'mobile' });
+    }
+
+    const address = this.random() < 0.95 ? [{
+      use: 'home',
+      line: [`${Math.floor(this.between(100, 9999))} ${this.pick(STREETS)}`],
+      city: location.city,
+      state: location.state,
+      postalCode: location.postalCode,
+      country: 'US'
+    }] : [];
+
+    return {
+      resourceType: 'Patient',
+      id,
+      meta: this.meta(),
+      identifier: [{ system: 'urn:oid:1.2.840.114350.1.13.0.1.7.5.737384.14', value: `MRN${String(index).padStart(7, '0')}` }],
+      active: true,
+      name: [{ use: 'official', family, given: [given] }],
+      telecom,
+      gender,
+      birthDate: this.toDate(birthDate),
+      address
+    };
+  }
+
+  generateConditions(patient, age) {
+    const conditions = [];
+
+    for (const profile of CONDITION_PROFILE) {
+      if (age < profile.minAge) continue;
+      if (profile.gender && profile.gender !== patient.gender) continue;
+      // Prevalence of chronic disease climbs with age
+      const ageFactor = 0.6 + Math.min(age, 90) / 90;
+      if (this.random() >= profile.probability * ageFactor) continue;
+
+      const isChronic = !['M54.5', 'F32.9', 'R73.03'].includes(profile.code);
+      const resolved = !isChronic && this.random() < 0.3;
+      const onset = this.daysAgo(this.between(60, 365 * 8));
+
+      conditions.push({
+        resourceType: 'Condition',
+        id: `${patient.id}-cond-${conditions.length + 1}`,
+        meta: this.meta(),
+        clinicalStatus: {
+          coding: [{
+            system: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+            code: resolved ? 'resolved' : 'active'
+          }]
+        },
+        verificationStatus: {
+          coding: [{
+            system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+            code: 'confirmed'
+          }]
+        },
+        category: [{
+          coding: [{
+            system: 'http://terminology.hl7.org/CodeSystem/condition-category',
+            code: this.random() < 0.8 ? 'problem-list-item' : 'encounter-diagnosis'
+          }]
+        }],
+        code: {
+          coding: [{ system: ICD10_SYSTEM, code: profile.code, display: this.icd10Lookup[profile.code] }],
+          text: this.icd10Lookup[profile.code]
+        },
+        subject: { reference: `Patient/${patient.id}` },
+        onsetDateTime: onset.toISOString(),
+        ...(resolved && { abatementDateTime: this.daysAgo(this.between(1, 50)).toISOString() }),
+        recordedDate: onset.toISOString()
+      });
+    }
+
+    return conditions;
+  }
+
+  observation(patient, id, category, code, display, effective, value) {
+    return {
+      resourceType: 'Observation',
+      id,
+      meta: this.meta(),
+      status: 'final',
+      category: [{
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: category }]
+      }],
+      code: { coding: [{ system: LOINC_SYSTEM, code, display }], text: display },
+      subject: { reference: `Patient/${patient.id}` },
+      effectiveDateTime: effective.toISOString(),
+      ...value
+    };
+  }
+
+  quantity(value, unit) {
+    return { valueQuantity: { value, unit, system: UCUM_SYSTEM, code: unit } };
+  }
+
+  generateObservations(patient, activeCodes) {
+    const observations = [];
+    const has = prefix => activeCodes.some(code => code.startsWith(prefix));
+    const diabetic = has('E11');
+    const hypertensive = has('I10');
+    const obese = has('E66');
+    const visits = 1 + Math.floor(this.random() * 4);
+
+    for (let v = 0; v < visits; v++) {
+      const effective = this.daysAgo(this.between(v * 120, v * 120 + 119));
+      const prefix = `${patient.id}-obs-${v + 1}`;
+      const systolic = this.round(this.between(hypertensive ? 130 : 105, hypertensive ? 165 : 135));
+      const diastolic = this.round(this.between(hypertensive ? 82 : 65, hypertensive ? 100 : 85));
+
+      observations.push({
+        ...this.observation(patient, `${prefix}-bp`, 'vital-signs', '85354-9', 'Blood pressure panel', effective, {}),
+        component: [
+          {
+            code: { coding: [{ system: LOINC_SYSTEM, code: '8480-6', display: 'Systolic blood pressure' }] },
+            valueQuantity: { value: systolic, unit: 'mm[Hg]', system: UCUM_SYSTEM, code: 'mm[Hg]' }
+          },
+          {
+            code: { coding: [{ system: LOINC_SYSTEM, code: '8462-4', display: 'Diastolic blood pressure' }] },
+            valueQuantity: { value: diastolic, unit: 'mm[Hg]', system: UCUM_SYSTEM, code: 'mm[Hg]' }
+          }
+        ]
+      });
+
+      const bmi = this.round(this.between(obese ? 30 : 19, obese ? 42 : 31), 1);
+      observations.push(this.observation(patient, `${prefix}-bmi`, 'vital-signs', '39156-5', 'Body mass index (BMI) [Ratio]', effective, this.quantity(bmi, 'kg/m2')));
+
+      if (diabetic || this.random() < 0.2) {
+        const a1c = this.round(this.between(diabetic ? 6.4 : 4.8, diabetic ? 10.5 : 6.2), 1);
+        observations.push(this.observation(patient, `${prefix}-a1c`, 'laboratory', '4548-4', 'Hemoglobin A1c/Hemoglobin.total in Blood', effective, this.quantity(a1c, '%')));
+      }
+
+      if (this.random() < 0.5) {
+        // Mix of reporting units, as real feeds do
+        const glucose = this.between(diabetic ? 120 : 75, diabetic ? 240 : 110);
+        observations.push(this.random() < 0.7
+          ? this.observation(patient, `${prefix}-glu`, 'laboratory', '2345-7', 'Glucose [Mass/volume] in Serum or Plasma', effective, this.quantity(this.round(glucose), 'mg/dL'))
+          : this.observation(patient, `${prefix}-glu`, 'laboratory', '14749-6', 'Glucose [Moles/volume] in Serum or Plasma', effective, this.quantity(this.round(glucose / 18.016, 1), 'mmol/L')));
+      }
+
+      if (this.random() < 0.4) {
+        const ldl = this.round(this.between(70, has('E78') ? 190 : 140));
+        observations.push(this.observation(patient, `${prefix}-ldl`, 'laboratory', '13457-7', 'Cholesterol in LDL [Mass/volume] in Serum or Plasma by calculation', effective, this.quantity(ldl, 'mg/dL')));
+      }
+    }
+
+    return observations;
+  }
+
+  generateEncounters(patient, activeCodes) {
+    const encounters = [];
+    const count = 1 + Math.floor(this.random() * (2 + activeCodes.length));
+
+    for (let i = 0; i < count; i++) {
+      let roll = this.random();
+      const type = ENCOUNTER_TYPES.find(t => (roll -= t.weight) < 0) || ENCOUNTER_TYPES[0];
+      const start = this.daysAgo(this.between(1, 730));
+      const lengthDays = type.classCode === 'IMP' ? Math.ceil(this.between(1, 7)) : 0;
+      const end = new Date(start.getTime() + lengthDays * DAY_MS + 60 * 60 * 1000);
+
+      encounters.push({
+        resourceType: 'Encounter',
+        id: `${patient.id}-enc-${i + 1}`,
+        meta: this.meta(),
+        status: 'finished',
+        class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: type.classCode },
+        type: [{ coding: [{ system: 'http://snomed.info/sct', code: type.code, display: type.display }], text: type.display }],
+        subject: { reference: `Patient/${patient.id}` },
+        period: { start: start.toISOString(), end: end.toISOString() }
+      });
+    }
+
+    return encounters;
+  }
+
+  generateMedications(patient, activeCodes) {
+    const seen = new Set();
+    const medications = [];
+
+    for (const code of activeCodes) {
+      const medication = MEDICATIONS[code.slice(0, 3)];
+      if (!medication || seen.has(medication.code)) continue;
+      seen.add(medication.code);
+
+      medications.push({
+        resourceType: 'MedicationRequest',
+        id: `${patient.id}-med-${medications.length + 1}`,
+        meta: this.meta(),
+        status: this.random() < 0.9 ? 'active' : 'stopped',
+        intent: 'order',
+        medicationCodeableConcept: {
+          coding: [{ system: RXNORM_SYSTEM, code: medication.code, display: medication.display }],
+          text: medication.display
+        },
+        subject: { reference: `Patient/${patient.id}` },
+        authoredOn: this.toDate(this.daysAgo(this.between(30, 900)))
+      });
+    }
+
+    return medications;
+  }
+
+  generateProcedures(patient, age, activeCodes) {
+    const procedures = [];
+
+    for (const profile of PROCEDURE_PROFILE) {
+      if (age < profile.minAge) continue;
+      if (profile.gender && profile.gender !== patient.gender) continue;
+      if (profile.condition && !activeCodes.some(code => code.startsWith(profile.condition))) continue;
+      if (this.random() >= profile.probability) continue;
+
+      const display = profile.coding[0].display;
+      procedures.push({
+        resourceType: 'Procedure',
+        id: `${patient.id}-proc-${procedures.length + 1}`,
+        meta: this.meta(),
+        status: 'completed',
+        code: { coding: profile.coding, text: display },
+        subject: { reference: `Patient/${patient.id}` },
+        performedDateTime: this.daysAgo(this.between(1, profile.maxDaysAgo)).toISOString()
+      });
+    }
+
+    return procedures;
+  }
+
+  generateImmunizations(patient) {
+    if (this.random() >= 0.55) {
+      return [];
+    }
+
+    return [{
+      resourceType: 'Immunization',
+      id: `${patient.id}-imm-1`,
+      meta: this.meta(),
+      status: 'completed',
+      vaccineCode: {
+        coding: [{ system: CVX_SYSTEM, code: '158', display: 'influenza, injectable, quadrivalent, contains preservative' }],
+        text: 'Influenza vaccine'
+      },
+      patient: { reference: `Patient/${patient.id}` },
+      occurrenceDateTime: this.daysAgo(this.between(1, 540)).toISOString(),
+      primarySource: true
+    }];
+  }
+
+  generateCarePlans(patient, activeCodes) {
+    if (!activeCodes.some(code => code.startsWith('E11')) || this.random() >= 0.3) {
+      return [];
+    }
+
+    return [{
+      resourceType: 'CarePlan',
+      id: `${patient.id}-cp-1`,
+      meta: this.meta(),
+      status: 'active',
+      intent: 'plan',
+      category: [{
+        coding: [{ system: 'http://hl7.org/fhir/us/core/CodeSystem/careplan-category', code: 'assess-plan' }]
+      }],
+      title: 'Diabetes self-management plan',
+      subject: { reference: `Patient/${patient.id}` },
+      period: { start: this.daysAgo(this.between(30, 400)).toISOString() }
+    }];
+  }
+}
+
+module.exports = SyntheticFhirGenerator;
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+const ICD10_CM_SYSTEM = 'http://hl7.org/fhir/sid/icd-10-cm';
+const DEFAULT_MAP_PATH = path.join(__dirname, '../../data/snomed_icd10_map.json');
+
+// Epic often identifies code systems by OID rather than URL
+const ICD10_CM_OID = 'urn:oid:2.16.840.1.113883.6.90';
+const SNOMED_OID = 'urn:oid:2.16.840.1.113883.6.96';
+
+const isIcd10System = (system) => !!system &&
+  (system.includes('icd-10') || system.includes('ICD') || system === ICD10_CM_OID);
+const isSnomedSystem = (system) => !!system &&
+  (system === SNOMED_SYSTEM || system === SNOMED_OID || system.includes('snomed'));
+
+// Local SNOMED CT -> ICD-10-CM mapping so SNOMED-only Conditions still count
+// toward population stats, targeting and risk. Loads SNOMED_ICD10_MAP_PATH when
+// set (a JSON map or the NLM SNOMED CT to ICD-10-CM extended map release file),
+// otherwise the starter map in data/.
+class TerminologyService {
+  constructor() {
+    this.snomedToIcd10 = null;
+    this.icd10ToSnomed = null;
+  }
+
+  get snomedSystem() {
+    return SNOMED_SYSTEM;
+  }
+
+  get icd10System() {
+    return ICD10_CM_SYSTEM;
+  }
+
+  isIcd10System(system) {
+    return isIcd10System(system);
+  }
+
+  isSnomedSystem(system) {
+    return isSnomedSystem(system);
+  }
+
+  // Load (or reload) the map; returns the number of SNOMED concepts mapped
+  load(mapPath = process.env.SNOMED_ICD10_MAP_PATH || DEFAULT_MAP_PATH) {
+    const content = fs.readFileSync(mapPath, 'utf8');
+    const entries = mapPath.endsWith('.json')
+      ? JSON.parse(content)
+      : this.parseExtendedMap(content);
+
+    const snomedToIcd10 = new Map();
+    const icd10ToSnomed = new Map();
+    for (const entry of entries) {
+      if (!entry.snomed || !entry.icd10 || snomedToIcd10.has(entry.snomed)) continue;
+
+      snomedToIcd10.set(entry.snomed, { code: entry.icd10, display: entry.icd10Display || null });
+      const code = entry.icd10.toUpperCase();
+      if (!icd10ToSnomed.has(code)) icd10ToSnomed.set(code, []);
+      icd10ToSnomed.get(code).push(entry.snomed);
+    }
+
+    this.snomedToIcd10 = snomedToIcd10;
+    this.icd10ToSnomed = icd10ToSnomed;
+    logger.info(`Loaded ${snomedToIcd10.size} SNOMED CT to ICD-10-CM mappings from ${mapPath}`);
+    return snomedToIcd10.size;
+  }
+
+  // NLM extended map (tab-separated RF2 refset). Keeps active rows from the
+  // first map group whose rule applies unconditionally, lowest priority first.
+  parseExtendedMap(content) {
+    const lines = content.split(/\r?\n/);
+    const header = lines.shift().split('\t');
+    const col = (name) => header.indexOf(name);
+    const [active, conceptId, group, priority, rule, target] = [
+      'active', 'referencedComponentId', 'mapGroup', 'mapPriority', 'mapRule', 'mapTarget'
+    ].map(col);
+
+    if ([active, conceptId, target].some(index => index < 0)) {
+      throw new Error('Unrecognised SNOMED CT to ICD-10-CM map file');
+    }
+
+    const candidates = [];
+    for (const line of lines) {
+      const fields = line.split('\t');
+      if (fields[active] !== '1' || !fields[target]) continue;
+      if (group >= 0 && fields[group] !== '1') continue;
+      if (rule >= 0 && !['TRUE', 'OTHERWISE TRUE'].includes(fields[rule])) continue;
+
+      candidates.push({
+        snomed: fields[conceptId],
+        icd10: fields[target].replace(/\?$/, ''),
+        priority: priority >= 0 ? Number(fields[priority]) : 1
+      });
+    }
+
+    return candidates.sort((a, b) => a.priority - b.priority);
+  }
+
+  ensureLoaded() {
+    if (!this.snomedToIcd10) {
+      this.load();
+    }
+  }
+
+  mapSnomedToIcd10(snomedCode) {
+    this.ensureLoaded();
+    return this.snomedToIcd10.get(String(snomedCode)) || null;
+  }
+
+  // SNOMED concepts that map onto any of the given ICD-10 codes or 3-character categories
+  getSnomedCodesForIcd10(icd10Codes = []) {
+    this.ensureLoaded();
+    const wanted = icd10Codes.map(code => code.toUpperCase());
+    const snomedCodes = new Set();
+
+    for (const [code, concepts] of this.icd10ToSnomed) {
+      if (wanted.some(w => code === w || (w.length === 3 && code.startsWith(w)))) {
+        concepts.forEach(concept => snomedCodes.add(concept));
+      }
+    }
+
+    return [...snomedCodes];
+  }
+
+  // ICD-10 codes for one CodeableConcept. Native ICD-10 codings win; SNOMED
+  // codings are mapped only when there is no native code.
+  getIcd10Codings(concept) {
+    const codings = concept?.coding || [];
+
+    const native = codings
+      .filter(coding => isIcd10System(coding.system) && coding.code)
+      .map(coding => ({
+        code: coding.code,
+        display: coding.display || concept.text || null,
+        system: coding.system,
+        source: 'native'
+      }));
+    if (native.length > 0) return native;
+
+    const mapped = [];
+    for (const coding of codings) {
+      if (!isSnomedSystem(coding.system) || !coding.code) continue;
+
+      const target = this.mapSnomedToIcd10(coding.code);
+      if (target && !mapped.some(m => m.code === target.code)) {
+        mapped.push({
+          code: target.code,
+          display: target.display || coding.display || concept.text || null,
+          system: ICD10_CM_SYSTEM,
+          source: 'mapped',
+          mappedFrom: { system: SNOMED_SYSTEM, code: coding.code, display: coding.display || null }
+        });
+      }
+    }
+
+    return mapped;
+  }
+}
+
+module.exports = new TerminologyService();
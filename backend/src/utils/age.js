@@ -0,0 +1,14 @@
+// Age in whole years on a given date (UTC), or null for a missing or bad birth date
+const ageOn = (birthDate, asOf = new Date()) => {
+  const birth = birthDate ? new Date(birthDate) : null;
+  if (!birth || Number.isNaN(birth.getTime())) return null;
+
+  const age = asOf.getUTCFullYear() - birth.getUTCFullYear();
+  const beforeBirthday = asOf.getUTCMonth() < birth.getUTCMonth() ||
+    (asOf.getUTCMonth() === birth.getUTCMonth() && asOf.getUTCDate() < birth.getUTCDate());
+  return beforeBirthday ? age - 1 : age;
+};
+
+module.exports = {
+  ageOn
+};
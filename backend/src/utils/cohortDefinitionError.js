@@ -0,0 +1,20 @@
+// Error raised for an invalid cohort definition. `errors` lists each problem
+// with the path to the offending node (e.g. "all[1].value") so the cohort
+// builder can point at it.
+class CohortDefinitionError extends Error {
+  constructor(errors = []) {
+    super('Invalid cohort definition');
+    this.name = 'CohortDefinitionError';
+    this.errors = errors;
+    this.status = 400;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      errors: this.errors
+    };
+  }
+}
+
+module.exports = CohortDefinitionError;
@@ -0,0 +1,22 @@
+// Error raised when a user's EHR connection can't provide an access token.
+// `code` is NOT_CONNECTED, SESSION_EXPIRED or REVOKED; `action` tells the
+// client what the user has to do about it.
+class EhrConnectionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'EhrConnectionError';
+    this.code = details.code || null;
+    this.status = details.status || 401;
+    this.action = details.action || 'reconnect_epic';
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      action: this.action
+    };
+  }
+}
+
+module.exports = EhrConnectionError;
@@ -0,0 +1,127 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Addresses an organization-supplied EHR URL may not reach: loopback,
+// private, shared (carrier-grade NAT), link-local (including cloud metadata
+// at 169.254.169.254), documentation, multicast and other reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) match the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// EHR_ALLOW_INSECURE_URLS=true lifts the checks for development against a
+// local server
+const allowInsecure = () => process.env.EHR_ALLOW_INSECURE_URLS === 'true';
+
+const isBlocked = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const refused = (message) => {
+  const error = new Error(message);
+  error.code = 'EHR_URL_REFUSED';
+  error.status = 400;
+  return error;
+};
+
+// The checks that need no DNS: an absolute https URL whose host, if an IP
+// address, is a public one. Returns the problem or null.
+const checkUrlSyntax = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { problem: 'must be an absolute URL' };
+  }
+  if (url.protocol !== 'https:') {
+    return { problem: 'must use https' };
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlocked(host)) {
+    return { problem: `host ${host} is a private or reserved address` };
+  }
+  return { host };
+};
+
+// Why the server shouldn't fetch an EHR URL an organization admin entered (or
+// its server advertised), or null when it may. It must be https and resolve
+// only to public addresses; a host that doesn't resolve is refused too.
+const checkEhrUrl = async (value) => {
+  if (allowInsecure()) {
+    return URL.canParse(value) ? null : 'must be an absolute URL';
+  }
+
+  const { problem, host } = checkUrlSyntax(value);
+  if (problem) return problem;
+  if (net.isIP(host)) return null;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return `host ${host} could not be resolved`;
+  }
+  if (addresses.some(({ address }) => isBlocked(address))) {
+    return `host ${host} resolves to a private or reserved address`;
+  }
+  return null;
+};
+
+// checkEhrUrl for URLs taken from a server response (SMART discovery): throws
+// a 400 naming the field
+const assertEhrUrl = async (value, name) => {
+  const problem = await checkEhrUrl(value);
+  if (problem) {
+    throw refused(`${name} ${problem}`);
+  }
+};
+
+// dns.lookup for the request agents below: the address is checked when the
+// connection is made, so a host that re-resolves to an internal address
+// after checkEhrUrl passed it is still refused
+const lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isBlocked(address))) {
+      return callback(refused(`EHR host ${hostname} resolves to a private or reserved address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const AGENTS = {
+  httpAgent: new http.Agent({ lookup }),
+  httpsAgent: new https.Agent({ lookup })
+};
+
+// Axios options for a request to an organization-supplied URL: https only,
+// no redirects (a redirect could lead anywhere) and connections to public
+// addresses only. Throws a 400 when the URL itself is refused.
+const restrictedRequestConfig = (value) => {
+  if (allowInsecure()) return {};
+
+  const { problem } = checkUrlSyntax(value);
+  if (problem) {
+    throw refused(`EHR URL ${value} ${problem}`);
+  }
+  return { ...AGENTS, maxRedirects: 0 };
+};
+
+module.exports = {
+  checkEhrUrl,
+  assertEhrUrl,
+  restrictedRequestConfig
+};
@@ -0,0 +1,60 @@
+// Error raised by the FHIR HTTP client. Carries the HTTP status and, when the
+// server sent one, the OperationOutcome explaining the failure.
+class FhirError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FhirError';
+    this.status = details.status || null;
+    this.url = details.url || null;
+    this.method = details.method || null;
+    this.code = details.code || null;
+    this.operationOutcome = details.operationOutcome || null;
+    // OAuth error code (invalid_grant, invalid_client...) from token endpoints
+    this.oauthError = details.oauthError || null;
+    this.attempts = details.attempts || 1;
+    this.retryable = !!details.retryable;
+  }
+
+  get issues() {
+    return (this.operationOutcome?.issue || []).map(issue => ({
+      severity: issue.severity,
+      code: issue.code,
+      diagnostics: issue.diagnostics || issue.details?.text || null
+    }));
+  }
+
+  // Build from an axios error, pulling the OperationOutcome out of the body
+  static fromAxiosError(error, attempts = 1) {
+    const response = error.response;
+    const body = response?.data;
+    const operationOutcome = body?.resourceType === 'OperationOutcome' ? body : null;
+    // OAuth endpoints answer with { error, error_description } instead
+    const diagnostics = operationOutcome
+      ? operationOutcome.issue?.map(issue => issue.diagnostics || issue.details?.text).filter(Boolean).join('; ')
+      : body?.error_description || (typeof body?.error === 'string' ? body.error : null);
+
+    const message = response
+      ? `FHIR request failed with ${response.status}${diagnostics ? `: ${diagnostics}` : ''}`
+      : `FHIR request failed: ${error.message}`;
+
+    return new FhirError(message, {
+      status: response?.status,
+      url: error.config?.url,
+      method: error.config?.method?.toUpperCase(),
+      code: error.code,
+      operationOutcome,
+      oauthError: typeof body?.error === 'string' ? body.error : null,
+      attempts
+    });
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      status: this.status,
+      issues: this.issues
+    };
+  }
+}
+
+module.exports = FhirError;
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+// Envelope encryption for secrets stored in the database (EHR tokens,
+// client secrets, private keys). Each value gets its own random data key;
+// the data key is wrapped with a master key from FIELD_ENCRYPTION_KEYS,
+// whose id is stored alongside so old master keys keep working after
+// rotation. Stored form:
+//
+//   enc:v1:<keyId>:<wrapped data key>:<encrypted value>
+//
+// Both encrypted parts are base64url(iv | auth tag | ciphertext), AES-256-GCM.
+// The value is bound to its column (e.g. User.epicAccessToken) so it can't be
+// copied into another one.
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+
+let keyring = null;
+
+// FIELD_ENCRYPTION_KEYS="keyId:base64Key,oldKeyId:base64Key"; the active key is
+// FIELD_ENCRYPTION_KEY_ID, or the first one listed
+const loadKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  for (const entry of (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator < 1 || key.length !== KEY_BYTES) {
+      // Never echo the entry, it may hold key material
+      throw new Error(`FIELD_ENCRYPTION_KEYS entries must be keyId:<${KEY_BYTES} bytes, base64>`);
+    }
+    keys.set(keyId, key);
+  }
+
+  const activeKeyId = process.env.FIELD_ENCRYPTION_KEY_ID || keys.keys().next().value || null;
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`FIELD_ENCRYPTION_KEY_ID "${activeKeyId}" is not in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, activeKeyId };
+  return keyring;
+};
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+};
+
+const open = (key, sealed, aad) => {
+  const data = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+const parse = (value) => {
+  const [keyId, wrappedKey, payload] = value.slice(PREFIX.length).split(':');
+  return { keyId, wrappedKey, payload };
+};
+
+const getMasterKey = (keyId) => {
+  const key = loadKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not configured in FIELD_ENCRYPTION_KEYS`);
+  }
+  return key;
+};
+
+const isConfigured = () => !!loadKeyring().activeKeyId;
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+const getKeyId = (value) => (isEncrypted(value) ? parse(value).keyId : null);
+
+// Fails fast on a malformed keyring, and in production on a missing one
+const checkConfiguration = () => {
+  if (!isConfigured() && process.env.NODE_ENV === 'production') {
+    throw new Error('FIELD_ENCRYPTION_KEYS must be set in production');
+  }
+};
+
+// Without a configured key values are stored as given (development only)
+const encrypt = (plaintext, context) => {
+  if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) return plaintext;
+  const { activeKeyId } = loadKeyring();
+  if (!activeKeyId) {
+    checkConfiguration();
+    return plaintext;
+  }
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const wrappedKey = seal(getMasterKey(activeKeyId), dataKey, activeKeyId);
+  return `${PREFIX}${activeKeyId}:${wrappedKey}:${seal(dataKey, String(plaintext), context)}`;
+};
+
+// Values written before encryption was enabled are returned unchanged
+const decrypt = (value, context) => {
+  if (!isEncrypted(value)) return value;
+  const { keyId, wrappedKey, payload } = parse(value);
+  const dataKey = open(getMasterKey(keyId), wrappedKey, keyId);
+  return open(dataKey, payload, context).toString('utf8');
+};
+
+// Re-wrap the data key under the active master key; the encrypted value
+// itself is untouched, so rotation never handles plaintext
+const rewrap = (value) => {
+  const { activeKeyId } = loadKeyring();
+  if (!isEncrypted(value) || !activeKeyId) return value;
+
+  const { keyId, wrappedKey, payload } = parse(value);
+  if (keyId === activeKeyId) return value;
+
+  const dataKey = open(getMasterKey(keyId), wrappedKey, keyId);
+  return `${PREFIX}${activeKeyId}:${seal(getMasterKey(activeKeyId), dataKey, activeKeyId)}:${payload}`;
+};
+
+// Getter/setter pair that makes a model attribute transparently encrypted
+const encryptedField = (modelName, attribute) => {
+  const context = `${modelName}.${attribute}`;
+  return {
+    get() {
+      return decrypt(this.getDataValue(attribute), context);
+    },
+    set(value) {
+      this.setDataValue(attribute, encrypt(value, context));
+    }
+  };
+};
+
+// Drop the cached keyring (tests and key rotation scripts)
+const reset = () => {
+  keyring = null;
+};
+
+module.exports = {
+  isConfigured,
+  isEncrypted,
+  getKeyId,
+  checkConfiguration,
+  encrypt,
+  decrypt,
+  rewrap,
+  encryptedField,
+  reset,
+  get activeKeyId() {
+    return loadKeyring().activeKeyId;
+  }
+};
@@ -0,0 +1,20 @@
+// Error raised while completing an EHR authorization. `code` says what went
+// wrong (STATE_MISSING, STATE_MISMATCH, STATE_EXPIRED, STATE_REPLAYED,
+// CODE_MISSING, TOKEN_EXCHANGE_FAILED) so the client can explain it.
+class OAuthError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'OAuthError';
+    this.code = details.code || null;
+    this.status = details.status || 400;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code
+    };
+  }
+}
+
+module.exports = OAuthError;
@@ -0,0 +1,50 @@
+// Contact details for outreach from a FHIR Patient resource
+
+const formatPatientName = (patient) => {
+  if (!patient.name?.[0]) return 'Unknown';
+  const name = patient.name[0];
+  const given = name.given?.join(' ') || '';
+  const family = name.family || '';
+  return `${given} ${family}`.trim();
+};
+
+const extractPatientContactInfo = (patient) => {
+  const info = {
+    id: patient.id,
+    name: formatPatientName(patient),
+    email: null,
+    phone: null,
+    address: null
+  };
+
+  // Extract email
+  const emailTelecom = patient.telecom?.find(t => t.system === 'email');
+  if (emailTelecom) {
+    info.email = emailTelecom.value;
+  }
+
+  // Extract phone
+  const phoneTelecom = patient.telecom?.find(t => t.system === 'phone');
+  if (phoneTelecom) {
+    info.phone = phoneTelecom.value;
+  }
+
+  // Extract address
+  if (patient.address?.[0]) {
+    const addr = patient.address[0];
+    info.address = {
+      line: addr.line?.join(', '),
+      city: addr.city,
+      state: addr.state,
+      postalCode: addr.postalCode,
+      country: addr.country
+    };
+  }
+
+  return info;
+};
+
+module.exports = {
+  formatPatientName,
+  extractPatientContactInfo
+};
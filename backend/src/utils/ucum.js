@@ -0,0 +1,114 @@
+// Minimal UCUM support for the units clinical feeds actually send: resolves
+// common spellings to UCUM codes and converts within a dimension. Conversions
+// across dimensions (mass <-> molar concentration) depend on the analyte and
+// live with the measure definitions instead.
+
+// Spellings seen in the wild -> UCUM code
+const ALIASES = {
+  'mg/dl': 'mg/dL',
+  'g/dl': 'g/dL',
+  'g/l': 'g/L',
+  'mg/l': 'mg/L',
+  'mmol/l': 'mmol/L',
+  'umol/l': 'umol/L',
+  'µmol/l': 'umol/L',
+  'μmol/l': 'umol/L',
+  'mol/l': 'mol/L',
+  'mmhg': 'mm[Hg]',
+  'mm hg': 'mm[Hg]',
+  'mm[hg]': 'mm[Hg]',
+  'kpa': 'kPa',
+  'kg': 'kg',
+  'g': 'g',
+  'lb': '[lb_av]',
+  'lbs': '[lb_av]',
+  '[lb_av]': '[lb_av]',
+  'oz': '[oz_av]',
+  '[oz_av]': '[oz_av]',
+  'cm': 'cm',
+  'm': 'm',
+  'mm': 'mm',
+  'in': '[in_i]',
+  '[in_i]': '[in_i]',
+  'ft': '[ft_i]',
+  '[ft_i]': '[ft_i]',
+  'cel': 'Cel',
+  '°c': 'Cel',
+  'degc': 'Cel',
+  '[degf]': '[degF]',
+  '°f': '[degF]',
+  'degf': '[degF]',
+  '%': '%',
+  'mmol/mol': 'mmol/mol',
+  'kg/m2': 'kg/m2',
+  'kg/m^2': 'kg/m2',
+  'mg/g': 'mg/g',
+  'mg/mmol': 'mg/mmol',
+  '/min': '/min',
+  'bpm': '/min',
+  'beats/min': '/min',
+  '{beats}/min': '/min',
+  'ml/min/{1.73_m2}': 'mL/min/{1.73_m2}',
+  'ml/min/1.73m2': 'mL/min/{1.73_m2}',
+  'ml/min/1.73 m2': 'mL/min/{1.73_m2}',
+  'miu/l': 'm[IU]/L',
+  'm[iu]/l': 'm[IU]/L',
+  // uIU/mL is numerically identical to mIU/L
+  'uiu/ml': 'm[IU]/L',
+  'u[iu]/ml': 'm[IU]/L'
+};
+
+// UCUM code -> dimension and linear conversion to the dimension's base unit
+const UNITS = {
+  'g': { dimension: 'mass', factor: 1 },
+  'kg': { dimension: 'mass', factor: 1000 },
+  'mg': { dimension: 'mass', factor: 0.001 },
+  '[lb_av]': { dimension: 'mass', factor: 453.59237 },
+  '[oz_av]': { dimension: 'mass', factor: 28.349523125 },
+  'm': { dimension: 'length', factor: 1 },
+  'cm': { dimension: 'length', factor: 0.01 },
+  'mm': { dimension: 'length', factor: 0.001 },
+  '[in_i]': { dimension: 'length', factor: 0.0254 },
+  '[ft_i]': { dimension: 'length', factor: 0.3048 },
+  'Cel': { dimension: 'temperature', factor: 1, offset: 273.15 },
+  '[degF]': { dimension: 'temperature', factor: 5 / 9, offset: 255.372222 },
+  'g/L': { dimension: 'massConcentration', factor: 1 },
+  'g/dL': { dimension: 'massConcentration', factor: 10 },
+  'mg/dL': { dimension: 'massConcentration', factor: 0.01 },
+  'mg/L': { dimension: 'massConcentration', factor: 0.001 },
+  'mol/L': { dimension: 'molarConcentration', factor: 1 },
+  'mmol/L': { dimension: 'molarConcentration', factor: 0.001 },
+  'umol/L': { dimension: 'molarConcentration', factor: 0.000001 },
+  'mm[Hg]': { dimension: 'pressure', factor: 133.322 },
+  'kPa': { dimension: 'pressure', factor: 1000 },
+  'mg/g': { dimension: 'massRatio', factor: 0.001 },
+  'g/g': { dimension: 'massRatio', factor: 1 }
+};
+
+// Resolve a unit string (UCUM code or common spelling) to its UCUM code
+const normalizeUnit = (unit) => {
+  if (!unit) return null;
+  const trimmed = String(unit).trim();
+  if (UNITS[trimmed]) return trimmed;
+  return ALIASES[trimmed.toLowerCase()] || trimmed;
+};
+
+// Convert between units of the same dimension; null when they aren't commensurable
+const convert = (value, fromUnit, toUnit) => {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (value === null || value === undefined || !from || !to) return null;
+  if (from === to) return value;
+
+  const fromDef = UNITS[from];
+  const toDef = UNITS[to];
+  if (!fromDef || !toDef || fromDef.dimension !== toDef.dimension) return null;
+
+  const base = value * fromDef.factor + (fromDef.offset || 0);
+  return (base - (toDef.offset || 0)) / toDef.factor;
+};
+
+module.exports = {
+  normalizeUnit,
+  convert
+};
@@ -0,0 +1,33 @@
+require('dotenv').config();
+const { sequelize } = require('./models');
+const logger = require('./utils/logger');
+const fieldEncryption = require('./utils/fieldEncryption');
+const jobQueue = require('./services/jobQueue');
+const { registerJobHandlers } = require('./jobs/handlers');
+
+// Standalone job worker (npm run worker), for running jobs outside the API
+// process. Set JOB_WORKER_ENABLED=false on the API to leave jobs to these.
+async function startWorker() {
+  try {
+    fieldEncryption.checkConfiguration();
+    await sequelize.authenticate();
+    logger.info('Database connection established successfully');
+
+    registerJobHandlers();
+    await jobQueue.startWorker();
+  } catch (error) {
+    logger.error('Failed to start job worker:', error);
+    process.exit(1);
+  }
+}
+
+// Finish the running jobs before exiting
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, stopping job worker`);
+  await jobQueue.stopWorker();
+  process.exit(0);
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startWorker();
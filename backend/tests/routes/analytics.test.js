@@ -0,0 +1,84 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { User, PopulationPatient, PopulationCondition, SyncState } = require('../../src/models');
+const aiService = require('../../src/services/aiService');
+const analyticsRoutes = require('../../src/routes/analytics');
+
+const app = express().use('/analytics', analyticsRoutes);
+const token = jwt.sign({ userId: 'user-1' }, process.env.JWT_SECRET);
+const get = (path) => request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+// The grouping expression and condition filters of the code count query
+const codeCountQuery = () => {
+  const [options] = PopulationCondition.findAll.mock.calls[0];
+  return {
+    group: options.group[0],
+    categoryFilters: options.where[Op.and].filter(filter => 'category' in filter)
+  };
+};
+
+describe('analytics routes', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ id: 'user-1', isActive: true, organizationId: 'org-1', role: 'org_admin' });
+    jest.spyOn(PopulationPatient, 'count').mockResolvedValue(10);
+    jest.spyOn(PopulationCondition, 'count').mockResolvedValue(4);
+    jest.spyOn(PopulationCondition, 'findAll').mockResolvedValue([
+      { code: 'E11', display: 'Type 2 diabetes', occurrences: '3', patientCount: '2' }
+    ]);
+    jest.spyOn(SyncState, 'findAll').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /analytics/population', () => {
+    it('groups by 3-character category and applies the condition category filter', async () => {
+      const res = await get('/analytics/population?conditionCategory=problem-list-item,health-concern');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        totalPatients: 10,
+        totalConditions: 4,
+        uniqueConditions: 1,
+        topConditions: [{ code: 'E11', patientCount: 2, prevalence: '20.0' }],
+        filters: { activeOnly: true, category: ['problem-list-item', 'health-concern'] }
+      });
+
+      const { group, categoryFilters } = codeCountQuery();
+      expect(group).toMatchObject({ fn: 'LEFT' });
+      expect(categoryFilters).toEqual([{ category: { [Op.in]: ['problem-list-item', 'health-concern'] } }]);
+    });
+
+    it('does not filter by condition category when none is given', async () => {
+      const res = await get('/analytics/population');
+
+      expect(res.status).toBe(200);
+      expect(codeCountQuery().categoryFilters).toEqual([]);
+    });
+
+    it('rejects an onset date that does not parse', async () => {
+      const res = await get('/analytics/population?onsetFrom=2024-13-45');
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'onsetFrom must be a date' });
+      expect(PopulationCondition.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /analytics/icd10-patterns', () => {
+    it('counts full codes', async () => {
+      PopulationCondition.findAll.mockResolvedValue([
+        { code: 'E11.9', display: 'Type 2 diabetes', occurrences: '3', patientCount: '2' }
+      ]);
+      jest.spyOn(aiService, 'analyzeICD10Patterns').mockResolvedValue({ summary: 'ok' });
+      const res = await get('/analytics/icd10-patterns');
+
+      expect(res.status).toBe(200);
+      expect(codeCountQuery().group).toMatchObject({ col: 'code' });
+      expect(res.body.topCodes).toEqual({ 'E11.9': 3 });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { AuditLog, OAuthState, User } = require('../../src/models');
+const ehr = require('../../src/services/ehr');
+const ehrTokenManager = require('../../src/services/ehrTokenManager');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express().use(express.json()).use('/auth', authRoutes);
+const token = jwt.sign({ userId: 'user-1' }, process.env.JWT_SECRET);
+const organization = { id: 'org-1', settings: {} };
+
+const callback = (body) => request(app).post('/auth/epic/callback').set('Authorization', `Bearer ${token}`).send(body);
+
+// A stored state, usable unless overridden
+const storedState = (values = {}) => ({
+  id: 'state-1',
+  userId: 'user-1',
+  state: 'state-abc',
+  codeVerifier: 'verifier-xyz',
+  redirectUri: 'https://app.example/callback',
+  consumedAt: null,
+  expiresAt: new Date(Date.now() + 5 * 60 * 1000),
+  ...values
+});
+
+describe('auth routes', () => {
+  let adapter;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ id: 'user-1', isActive: true, organizationId: 'org-1', Organization: organization });
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    adapter = new ehr.FhirR4Adapter({
+      baseUrl: 'https://fhir.example.org/R4',
+      authUrl: 'https://auth.example.org/authorize',
+      clientId: 'client-1'
+    });
+    jest.spyOn(ehr, 'forOrganization').mockResolvedValue(adapter);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /auth/epic/authorize', () => {
+    it('sends a fresh state and the S256 challenge of the stored verifier', async () => {
+      jest.spyOn(OAuthState, 'destroy').mockResolvedValue(0);
+      jest.spyOn(OAuthState, 'create').mockImplementation(async (values) => values);
+
+      const res = await request(app).get('/auth/epic/authorize').set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      const stored = OAuthState.create.mock.calls[0][0];
+      const params = new URL(res.body.authorizationUrl).searchParams;
+      expect(stored.userId).toBe('user-1');
+      expect(params.get('state')).toBe(stored.state);
+      expect(params.get('code_challenge_method')).toBe('S256');
+      expect(params.get('code_challenge')).toBe(crypto.createHash('sha256').update(stored.codeVerifier).digest('base64url'));
+      expect(res.body.authorizationUrl).not.toContain(stored.codeVerifier);
+    });
+  });
+
+  describe('POST /auth/epic/callback', () => {
+    it('exchanges the code with the stored verifier and marks the state used', async () => {
+      jest.spyOn(OAuthState, 'findOne').mockResolvedValue(storedState());
+      jest.spyOn(OAuthState, 'update').mockResolvedValue([1]);
+      jest.spyOn(adapter, 'exchangeCodeForToken').mockResolvedValue({ access_token: 'a', expires_in: 3600, scope: 'launch/patient' });
+      jest.spyOn(ehrTokenManager, 'storeTokens').mockResolvedValue();
+
+      const res = await callback({ code: 'code-1', state: 'state-abc' });
+
+      expect(res.status).toBe(200);
+      expect(adapter.exchangeCodeForToken).toHaveBeenCalledWith('code-1', 'https://app.example/callback', 'verifier-xyz');
+      expect(OAuthState.update).toHaveBeenCalledWith(
+        { consumedAt: expect.any(Date) },
+        { where: { id: 'state-1', consumedAt: null } }
+      );
+      expect(ehrTokenManager.storeTokens).toHaveBeenCalled();
+    });
+
+    it.each([
+      ['no state', {}, null, 'STATE_MISSING'],
+      ['an unknown state', { state: 'forged' }, null, 'STATE_MISMATCH'],
+      ['another user\'s state', { state: 'state-abc' }, storedState({ userId: 'user-2' }), 'STATE_MISMATCH'],
+      ['a used state', { state: 'state-abc' }, storedState({ consumedAt: new Date() }), 'STATE_REPLAYED'],
+      ['an expired state', { state: 'state-abc' }, storedState({ expiresAt: new Date(Date.now() - 1000) }), 'STATE_EXPIRED']
+    ])('rejects %s', async (description, body, record, code) => {
+      jest.spyOn(OAuthState, 'findOne').mockResolvedValue(record);
+      jest.spyOn(adapter, 'exchangeCodeForToken');
+
+      const res = await callback({ code: 'code-1', ...body });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe(code);
+      expect(adapter.exchangeCodeForToken).not.toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'EPIC_CONNECT_REJECTED', details: { code } }));
+    });
+
+    it('lets only one of two concurrent callbacks use a state', async () => {
+      jest.spyOn(OAuthState, 'findOne').mockResolvedValue(storedState());
+      jest.spyOn(OAuthState, 'update').mockResolvedValue([0]);
+
+      const res = await callback({ code: 'code-1', state: 'state-abc' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('STATE_REPLAYED');
+    });
+
+    it('uses up the state even when the code is missing', async () => {
+      jest.spyOn(OAuthState, 'findOne').mockResolvedValue(storedState());
+      jest.spyOn(OAuthState, 'update').mockResolvedValue([1]);
+
+      const res = await callback({ state: 'state-abc' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('CODE_MISSING');
+      expect(OAuthState.update).toHaveBeenCalled();
+    });
+
+    it('answers a rejected code exchange with 502', async () => {
+      jest.spyOn(OAuthState, 'findOne').mockResolvedValue(storedState());
+      jest.spyOn(OAuthState, 'update').mockResolvedValue([1]);
+      jest.spyOn(adapter, 'exchangeCodeForToken').mockRejectedValue(new Error('FHIR request failed with 400: invalid_grant'));
+
+      const res = await callback({ code: 'code-1', state: 'state-abc' });
+
+      expect(res.status).toBe(502);
+      expect(res.body.code).toBe('TOKEN_EXCHANGE_FAILED');
+    });
+  });
+});
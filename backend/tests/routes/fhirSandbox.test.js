@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { SandboxResource } = require('../../src/models');
+const sandboxRoutes = require('../../src/routes/fhirSandbox');
+
+const app = express().use('/fhir-sandbox', sandboxRoutes);
+const get = (path) => request(app).get(`/fhir-sandbox${path}`).set('Authorization', 'Bearer test');
+
+const patient = (id) => ({ resourceType: 'Patient', id });
+const rows = (resources) => resources.map(resource => ({ resource }));
+
+// Query string of a Bundle link, keyed by parameter
+const linkParams = (bundle, relation) => {
+  const link = bundle.link.find(l => l.relation === relation);
+  return link && Object.fromEntries(new URL(link.url).searchParams);
+};
+
+describe('FHIR sandbox routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('search', () => {
+    beforeEach(() => {
+      jest.spyOn(SandboxResource, 'findAndCountAll').mockResolvedValue({
+        count: 120,
+        rows: rows([patient('p51'), patient('p52')])
+      });
+    });
+
+    it('requires a bearer token', async () => {
+      const res = await request(app).get('/fhir-sandbox/R4/Patient');
+      expect(res.status).toBe(401);
+      expect(res.body.issue[0].code).toBe('login');
+    });
+
+    it('returns a searchset with self, next and previous links that keep the search', async () => {
+      const res = await get('/R4/Patient?gender=female&_count=50&_offset=50');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ resourceType: 'Bundle', type: 'searchset', total: 120 });
+      expect(res.body.entry.map(entry => entry.resource.id)).toEqual(['p51', 'p52']);
+      expect(res.body.entry[0].fullUrl).toMatch(/\/fhir-sandbox\/R4\/Patient\/p51$/);
+      expect(linkParams(res.body, 'self')).toEqual({ gender: 'female', _count: '50', _offset: '50' });
+      expect(linkParams(res.body, 'next')).toEqual({ gender: 'female', _count: '50', _offset: '100' });
+      expect(linkParams(res.body, 'previous')).toEqual({ gender: 'female', _count: '50', _offset: '0' });
+      expect(SandboxResource.findAndCountAll).toHaveBeenCalledWith(expect.objectContaining({ limit: 50, offset: 50 }));
+    });
+
+    it('stops paging at the last page and caps the page size', async () => {
+      const res = await get('/R4/Patient?_count=5000&_offset=0');
+
+      expect(linkParams(res.body, 'next')).toBeUndefined();
+      expect(linkParams(res.body, 'previous')).toBeUndefined();
+      expect(SandboxResource.findAndCountAll).toHaveBeenCalledWith(expect.objectContaining({ limit: 1000, offset: 0 }));
+    });
+
+    it('answers an invalid date search value with a 400 OperationOutcome', async () => {
+      const res = await get('/R4/Condition?onset-date=ge2020-99-99');
+
+      expect(res.status).toBe(400);
+      expect(res.body.issue[0]).toMatchObject({ code: 'invalid', diagnostics: 'Invalid date search value: ge2020-99-99' });
+    });
+
+    it.each(['constructor', '__proto__', 'toString', 'Practitioner'])('does not support %s', async (resourceType) => {
+      const res = await get(`/R4/${resourceType}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.issue[0].code).toBe('not-supported');
+      expect(SandboxResource.findAndCountAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('$export', () => {
+    const kickOff = (path) => get(path).set('Prefer', 'respond-async');
+    const jobPath = (res) => new URL(res.headers['content-location']).pathname.replace('/fhir-sandbox', '');
+
+    it('requires Prefer: respond-async', async () => {
+      const res = await get('/R4/$export');
+      expect(res.status).toBe(400);
+    });
+
+    it.each(['Practitioner', 'constructor'])('rejects _type=%s', async (type) => {
+      const res = await kickOff(`/R4/Patient/$export?_type=Patient,${type}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.issue[0]).toMatchObject({ code: 'not-supported', diagnostics: `Unsupported _type: ${type}` });
+    });
+
+    it('rejects a _since that is not an instant', async () => {
+      const res = await kickOff('/R4/$export?_since=yesterday');
+      expect(res.status).toBe(400);
+    });
+
+    it('reports progress, then a manifest of the types with data, then streams NDJSON', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      jest.spyOn(SandboxResource, 'count').mockImplementation(({ where }) => Promise.resolve(where.resourceType === 'Patient' ? 2 : 0));
+      jest.spyOn(SandboxResource, 'findAll')
+        .mockResolvedValueOnce(rows([patient('p1'), patient('p2')]))
+        .mockResolvedValueOnce([]);
+
+      const kickedOff = await kickOff('/R4/Group/g1/$export?_type=Patient,Condition&_since=2024-01-01T00:00:00Z');
+      expect(kickedOff.status).toBe(202);
+      const statusPath = jobPath(kickedOff);
+
+      const pending = await get(statusPath);
+      expect(pending.status).toBe(202);
+      expect(pending.headers['retry-after']).toBe('2');
+
+      Date.now.mockReturnValue(now + 5000);
+      const complete = await get(statusPath);
+      expect(complete.status).toBe(200);
+      expect(complete.body).toMatchObject({ requiresAccessToken: true, error: [] });
+      expect(complete.body.request).toMatch(/\/R4\/Group\/g1\/\$export$/);
+      expect(complete.body.output).toEqual([expect.objectContaining({ type: 'Patient', count: 2 })]);
+      expect(SandboxResource.count.mock.calls[0][0].where.lastUpdated).toBeDefined();
+
+      const download = await get(new URL(complete.body.output[0].url).pathname.replace('/fhir-sandbox', ''));
+      expect(download.status).toBe(200);
+      expect(download.headers['content-type']).toMatch(/application\/fhir\+ndjson/);
+      expect(download.text.trim().split('\n').map(line => JSON.parse(line).id)).toEqual(['p1', 'p2']);
+
+      expect((await request(app).delete(`/fhir-sandbox${statusPath}`).set('Authorization', 'Bearer test')).status).toBe(202);
+      expect((await get(statusPath)).status).toBe(404);
+    });
+  });
+
+  describe('OAuth', () => {
+    const verifier = 'verifier-with-enough-entropy-0123456789abcdef';
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+    const authorize = async (query) => {
+      const res = await request(app).get('/fhir-sandbox/oauth2/authorize').query(query);
+      return { res, location: res.headers.location && new URL(res.headers.location) };
+    };
+    const exchange = (code, codeVerifier) => request(app)
+      .post('/fhir-sandbox/oauth2/token')
+      .send({ grant_type: 'authorization_code', code, ...(codeVerifier && { code_verifier: codeVerifier }) });
+
+    it('redirects back with a code and the state', async () => {
+      const { res, location } = await authorize({ redirect_uri: 'https://app.example/callback', state: 'abc' });
+
+      expect(res.status).toBe(302);
+      expect(location.origin + location.pathname).toBe('https://app.example/callback');
+      expect(location.searchParams.get('state')).toBe('abc');
+      expect(location.searchParams.get('code')).toMatch(/^sandbox-code-/);
+    });
+
+    it.each([
+      [{}, 'redirect_uri required'],
+      [{ redirect_uri: '/callback' }, 'redirect_uri must be an absolute URL'],
+      [{ redirect_uri: 'https://app.example/cb', code_challenge: 'x', code_challenge_method: 'plain' }, 'code_challenge_method must be S256']
+    ])('rejects %j', async (query, description) => {
+      const { res } = await authorize(query);
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'invalid_request', error_description: description });
+    });
+
+    it('checks the PKCE verifier and accepts a code once', async () => {
+      const { location } = await authorize({ redirect_uri: 'https://app.example/cb', code_challenge: challenge, code_challenge_method: 'S256' });
+      const code = location.searchParams.get('code');
+
+      const ok = await exchange(code, verifier);
+      expect(ok.status).toBe(200);
+      expect(ok.body.access_token).toMatch(/^sandbox-/);
+
+      const replayed = await exchange(code, verifier);
+      expect(replayed.status).toBe(400);
+      expect(replayed.body).toEqual({ error: 'invalid_grant', error_description: 'authorization code already used' });
+    });
+
+    it.each([
+      [undefined, 'code_verifier required'],
+      ['wrong-verifier', 'code_verifier does not match code_challenge']
+    ])('rejects verifier %p', async (codeVerifier, description) => {
+      const { location } = await authorize({ redirect_uri: 'https://app.example/cb', code_challenge: challenge, code_challenge_method: 'S256' });
+
+      const res = await exchange(location.searchParams.get('code'), codeVerifier);
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'invalid_grant', error_description: description });
+    });
+
+    it('requires a client assertion for client_credentials', async () => {
+      const res = await request(app).post('/fhir-sandbox/oauth2/token').send({ grant_type: 'client_credentials' });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('invalid_client');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const { Op } = require('sequelize');
+const { BulkExportJob } = require('../../src/models');
+const jobQueue = require('../../src/services/jobQueue');
+const populationSyncService = require('../../src/services/populationSyncService');
+const bulkExportService = require('../../src/services/bulkExportService');
+
+// A job whose row lives in memory: BulkExportJob.update applies its `where`
+// status condition the way the database would
+const exportJob = (values = {}) => {
+  const job = {
+    id: 'export-1',
+    organizationId: 'org-1',
+    status: 'exporting',
+    resourceTypes: ['Patient'],
+    resourceCounts: {},
+    exportErrors: [],
+    statusUrl: 'https://fhir.example.org/status/1',
+    startedAt: new Date(),
+    manifest: null,
+    ...values
+  };
+  job.update = jest.fn(async (changes) => Object.assign(job, changes));
+  job.reload = jest.fn(async () => job);
+
+  jest.spyOn(BulkExportJob, 'update').mockImplementation(async (changes, { where }) => {
+    if (where.id !== job.id) return [0];
+    if (where.status && !where.status[Op.in].includes(job.status)) return [0];
+    Object.assign(job, changes);
+    return [1];
+  });
+  jest.spyOn(BulkExportJob, 'findByPk').mockImplementation(async () => ({ id: job.id, status: job.status }));
+  return job;
+};
+
+const manifest = { status: 'complete', transactionTime: '2026-03-01T00:00:00Z', output: [], error: [] };
+
+describe('bulkExportService', () => {
+  beforeEach(() => {
+    jest.spyOn(populationSyncService, 'recordSnapshot').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('run', () => {
+    it('completes an active job and records the snapshot', async () => {
+      const job = exportJob();
+      const epicService = { checkBulkExportStatus: jest.fn().mockResolvedValue(manifest) };
+
+      await bulkExportService.run(job, async () => epicService);
+
+      expect(job.status).toBe('completed');
+      expect(populationSyncService.recordSnapshot).toHaveBeenCalledWith('org-1', ['Patient'], new Date(manifest.transactionTime));
+    });
+
+    it('leaves a job cancelled while it ran as cancelled', async () => {
+      const job = exportJob();
+      const epicService = {
+        checkBulkExportStatus: jest.fn(async () => {
+          job.status = 'cancelled';
+          return manifest;
+        })
+      };
+
+      await bulkExportService.run(job, async () => epicService);
+
+      expect(job.status).toBe('cancelled');
+      expect(populationSyncService.recordSnapshot).not.toHaveBeenCalled();
+    });
+
+    it('fails the job when the export fails', async () => {
+      const job = exportJob();
+      const epicService = { checkBulkExportStatus: jest.fn().mockRejectedValue(new Error('HTTP 400')) };
+
+      await bulkExportService.run(job, async () => epicService);
+
+      expect(job).toMatchObject({ status: 'failed', errorMessage: 'HTTP 400' });
+    });
+
+    it('starts the counts over when resuming a job that had its manifest', async () => {
+      const job = exportJob({
+        status: 'importing',
+        manifest,
+        resourceCounts: { Patient: { exported: 10, imported: 10, failed: 0 } },
+        exportErrors: [{ type: 'Patient', message: 'old' }]
+      });
+      const epicService = { checkBulkExportStatus: jest.fn().mockResolvedValue(manifest) };
+
+      await bulkExportService.run(job, async () => epicService);
+
+      expect(job).toMatchObject({ status: 'completed', resourceCounts: {}, exportErrors: [] });
+    });
+  });
+
+  describe('startExport', () => {
+    it('runs the export on the job queue when one is configured', async () => {
+      const job = exportJob();
+      jest.spyOn(BulkExportJob, 'create').mockResolvedValue(job);
+      jest.spyOn(jobQueue, 'isConfigured').mockReturnValue(true);
+      jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({ id: 'queue-job-1' });
+      const epicService = { initiateBulkExport: jest.fn().mockResolvedValue({ statusUrl: job.statusUrl }) };
+
+      await bulkExportService.startExport({ id: 'org-1' }, epicService, { resourceTypes: ['Patient'], initiatedBy: 'user-1' });
+
+      expect(jobQueue.enqueue).toHaveBeenCalledWith('population.bulk-export', { bulkExportJobId: 'export-1' }, {
+        organizationId: 'org-1',
+        createdBy: 'user-1'
+      });
+      expect(job.queueJobId).toBe('queue-job-1');
+    });
+  });
+
+  describe('cancel', () => {
+    it('cancels an active job and the export on the server', async () => {
+      const job = exportJob();
+      const epicService = { cancelBulkExport: jest.fn().mockResolvedValue() };
+
+      expect(await bulkExportService.cancel(job, epicService)).toBe(true);
+      expect(job.status).toBe('cancelled');
+      expect(epicService.cancelBulkExport).toHaveBeenCalledWith(job.statusUrl);
+    });
+
+    it('refuses a job that already finished', async () => {
+      const job = exportJob({ status: 'completed' });
+      const epicService = { cancelBulkExport: jest.fn() };
+
+      expect(await bulkExportService.cancel(job, epicService)).toBe(false);
+      expect(job.status).toBe('completed');
+      expect(epicService.cancelBulkExport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recoverInterruptedJobs', () => {
+    it('only fails active jobs whose heartbeat is stale', async () => {
+      jest.spyOn(BulkExportJob, 'update').mockResolvedValue([2]);
+
+      expect(await bulkExportService.recoverInterruptedJobs()).toBe(2);
+
+      const [changes, { where }] = BulkExportJob.update.mock.calls[0];
+      expect(changes.status).toBe('failed');
+      expect(where.status).toEqual({ [Op.in]: ['pending', 'exporting', 'downloading', 'importing'] });
+      const [stale, legacy] = where[Op.or];
+      expect(Date.now() - stale.heartbeatAt[Op.lt].getTime()).toBeGreaterThanOrEqual(10 * 60 * 1000);
+      expect(legacy).toMatchObject({ heartbeatAt: null });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { Op } = require('sequelize');
+const { CampaignAudience } = require('../../src/models');
+const campaignAudienceService = require('../../src/services/campaignAudienceService');
+
+const member = (patientId, status, source = 'targeting', extra = {}) => ({
+  id: `row-${patientId}`,
+  patientId,
+  status,
+  source,
+  firstTargetedRun: 1,
+  ...extra
+});
+
+const candidate = (patientId, exclusionReasons = []) => ({
+  patientId,
+  contact: { name: `Patient ${patientId}`, email: `${patientId}@example.com` },
+  inclusionReasons: ['E11.9 Type 2 diabetes'],
+  exclusionReasons
+});
+
+describe('campaignAudienceService', () => {
+  let campaign;
+
+  beforeEach(() => {
+    campaign = { id: 'camp-1', targetingRun: 2, update: jest.fn(async (changes) => Object.assign(campaign, changes)) };
+    jest.spyOn(CampaignAudience, 'bulkCreate').mockResolvedValue([]);
+    jest.spyOn(CampaignAudience, 'update').mockResolvedValue([1]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('toCandidate', () => {
+    it('excludes a patient with no email or mailing address', () => {
+      const result = campaignAudienceService.toCandidate(
+        { resourceType: 'Patient', id: 'p1', name: [{ given: ['Jo'], family: 'Doe' }], telecom: [{ system: 'phone', value: '555-0100' }] },
+        ['E11.9']
+      );
+
+      expect(result).toMatchObject({
+        patientId: 'p1',
+        contact: { name: 'Jo Doe', phone: '555-0100', email: null },
+        inclusionReasons: ['E11.9'],
+        exclusionReasons: ['No email or mailing address on record']
+      });
+    });
+  });
+
+  describe('applyTargeting', () => {
+    beforeEach(() => {
+      jest.spyOn(CampaignAudience, 'findAll').mockImplementation(async (options) => (options.group
+        ? [{ status: 'included', count: '4' }, { status: 'excluded', count: '3' }, { status: 'removed', count: '1' }]
+        : [
+          member('kept', 'included'),
+          member('gone', 'included'),
+          member('removed-by-hand', 'removed'),
+          member('added-by-hand', 'included', 'manual'),
+          member('manual-not-found', 'included', 'manual'),
+          member('now-excluded', 'included'),
+          member('was-excluded', 'excluded')
+        ]));
+    });
+
+    it('diffs the run against the audience it replaces', async () => {
+      const result = await campaignAudienceService.applyTargeting(campaign, [
+        candidate('kept'),
+        candidate('removed-by-hand'),
+        candidate('added-by-hand', ['Opted out']),
+        candidate('now-excluded', ['Deceased']),
+        candidate('was-excluded'),
+        candidate('new'),
+        candidate('new-excluded', ['No email or mailing address on record'])
+      ]);
+
+      expect(result).toMatchObject({
+        run: 3,
+        previousRun: 2,
+        candidates: 7,
+        included: 4,
+        diff: {
+          added: 2,
+          dropped: 2,
+          unchanged: 2,
+          keptRemoved: 1,
+          keptManual: 1,
+          addedPatientIds: ['was-excluded', 'new'],
+          droppedPatientIds: ['now-excluded', 'gone']
+        }
+      });
+
+      const rows = Object.fromEntries(CampaignAudience.bulkCreate.mock.calls[0][0].map(row => [row.patientId, row]));
+      expect(rows['removed-by-hand'].status).toBe('removed');
+      expect(rows['added-by-hand']).toMatchObject({ status: 'included', source: 'manual' });
+      expect(rows['now-excluded']).toMatchObject({ status: 'excluded', exclusionReasons: ['Deceased'] });
+      expect(rows.new).toMatchObject({ status: 'included', firstTargetedRun: 3, lastTargetedRun: 3, email: 'new@example.com' });
+      expect(rows.kept.firstTargetedRun).toBe(1);
+    });
+
+    it('excludes members the run no longer finds, except those added by hand', async () => {
+      await campaignAudienceService.applyTargeting(campaign, [candidate('kept')]);
+
+      const [changes, { where }] = CampaignAudience.update.mock.calls[0];
+      expect(changes).toEqual({ status: 'excluded', exclusionReasons: ['No longer matched by targeting'] });
+      expect(where.id[Op.in]).toEqual(['row-gone', 'row-now-excluded']);
+    });
+
+    it('records the run on the campaign', async () => {
+      await campaignAudienceService.applyTargeting(campaign, [candidate('kept')], { source: 'care-gaps', details: { measureId: 'cdc-a1c' } });
+
+      expect(campaign).toMatchObject({
+        targetingRun: 3,
+        patientCount: 4,
+        targetingSummary: { run: 3, source: 'care-gaps', measureId: 'cdc-a1c', diff: { dropped: 2 } }
+      });
+      expect(campaign.targetingSummary.diff).not.toHaveProperty('droppedPatientIds');
+    });
+  });
+
+  describe('list', () => {
+    it('rejects an unknown status filter', async () => {
+      await expect(campaignAudienceService.list(campaign, { status: 'pending' }))
+        .rejects.toMatchObject({ status: 400, message: 'status must be one of included, excluded, removed or all' });
+    });
+  });
+});
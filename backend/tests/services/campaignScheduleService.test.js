@@ -0,0 +1,154 @@
+const { Campaign } = require('../../src/models');
+const jobQueue = require('../../src/services/jobQueue');
+const campaignScheduleService = require('../../src/services/campaignScheduleService');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const campaignRow = (values = {}) => {
+  const campaign = {
+    id: 'camp-1',
+    organizationId: 'org-1',
+    status: 'draft',
+    scheduledAt: null,
+    recurrence: null,
+    runCount: 0,
+    lastRunAt: null,
+    createdBy: 'user-1',
+    ...values
+  };
+  campaign.update = jest.fn(async (changes) => Object.assign(campaign, changes));
+  return campaign;
+};
+
+const recurrence = (frequency, startsAt, values = {}) => ({ frequency, interval: 1, startsAt, endsAt: null, ...values });
+
+describe('campaignScheduleService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('nextOccurrence', () => {
+    it('keeps monthly runs on the first run\'s day, clamped to short months', () => {
+      const monthly = recurrence('monthly', '2026-01-31T09:00:00.000Z');
+
+      expect(campaignScheduleService.nextOccurrence(monthly, new Date('2026-01-31T09:00:00Z'))).toEqual(new Date('2026-02-28T09:00:00Z'));
+      expect(campaignScheduleService.nextOccurrence(monthly, new Date('2026-02-28T09:00:00Z'))).toEqual(new Date('2026-03-31T09:00:00Z'));
+    });
+
+    it('skips runs missed while the scheduler was down', () => {
+      const weekly = recurrence('weekly', '2026-01-05T08:00:00.000Z', { interval: 2 });
+      expect(campaignScheduleService.nextOccurrence(weekly, NOW)).toEqual(new Date('2026-03-02T08:00:00Z'));
+    });
+
+    it('ends the series after endsAt', () => {
+      const daily = recurrence('daily', '2026-02-27T12:00:00.000Z', { endsAt: '2026-03-01T18:00:00.000Z' });
+      expect(campaignScheduleService.nextOccurrence(daily, NOW)).toBeNull();
+    });
+  });
+
+  describe('schedule', () => {
+    beforeEach(() => {
+      jest.spyOn(jobQueue, 'isConfigured').mockReturnValue(true);
+    });
+
+    it('schedules a draft campaign with its recurrence', async () => {
+      const campaign = campaignRow();
+      const scheduledAt = new Date(Date.now() + 60 * 60 * 1000);
+
+      await campaignScheduleService.schedule(campaign, { scheduledAt: scheduledAt.toISOString(), recurrence: { frequency: 'weekly' } }, 'user-2');
+
+      expect(campaign).toMatchObject({
+        status: 'scheduled',
+        scheduledAt,
+        recurrence: { frequency: 'weekly', interval: 1, startsAt: scheduledAt.toISOString(), endsAt: null },
+        scheduledBy: 'user-2'
+      });
+    });
+
+    it.each([
+      ['a past date', { scheduledAt: '2020-01-01' }, 'scheduledAt must be in the future'],
+      ['an unknown frequency', { scheduledAt: '2999-01-01', recurrence: { frequency: 'hourly' } }, 'recurrence.frequency must be one of daily, weekly, monthly'],
+      ['a fractional interval', { scheduledAt: '2999-01-01', recurrence: { frequency: 'daily', interval: 1.5 } }, 'recurrence.interval must be a whole number from 1 to 365'],
+      ['an end before the start', { scheduledAt: '2999-01-01', recurrence: { frequency: 'daily', endsAt: '2998-01-01' } }, 'recurrence.endsAt must be after scheduledAt']
+    ])('rejects %s', async (description, body, message) => {
+      await expect(campaignScheduleService.schedule(campaignRow(), body, 'user-1')).rejects.toMatchObject({ status: 400, message });
+    });
+
+    it('refuses closed or already scheduled campaigns, and runs without a queue', async () => {
+      await expect(campaignScheduleService.schedule(campaignRow({ status: 'completed' }), {}, 'user-1')).rejects.toMatchObject({ status: 409 });
+      await expect(campaignScheduleService.schedule(campaignRow({ status: 'scheduled', scheduledAt: NOW }), {}, 'user-1'))
+        .rejects.toMatchObject({ status: 409, message: 'Campaign is already scheduled; reschedule it instead' });
+
+      jobQueue.isConfigured.mockReturnValue(false);
+      await expect(campaignScheduleService.schedule(campaignRow(), { scheduledAt: '2999-01-01' }, 'user-1')).rejects.toMatchObject({ status: 503 });
+    });
+
+    it('moves the series with its first run and sends a never-run campaign back to draft when unscheduled', async () => {
+      const campaign = campaignRow({ status: 'scheduled', scheduledAt: new Date('2999-01-01'), recurrence: recurrence('daily', '2999-01-01T00:00:00.000Z') });
+
+      await campaignScheduleService.reschedule(campaign, { scheduledAt: '2999-02-01T00:00:00Z' }, 'user-1');
+      expect(campaign.recurrence.startsAt).toBe('2999-02-01T00:00:00.000Z');
+
+      await campaignScheduleService.unschedule(campaign);
+      expect(campaign).toMatchObject({ status: 'draft', scheduledAt: null, recurrence: null });
+    });
+  });
+
+  describe('runDueCampaigns', () => {
+    it('claims each due campaign, queues its run and moves a recurring one to the next occurrence', async () => {
+      const once = campaignRow({ id: 'camp-once', status: 'scheduled', scheduledAt: new Date('2026-03-01T11:55:00Z') });
+      const weekly = campaignRow({
+        id: 'camp-weekly',
+        status: 'in_progress',
+        scheduledAt: new Date('2026-03-01T09:00:00Z'),
+        recurrence: recurrence('weekly', '2026-02-22T09:00:00.000Z'),
+        runCount: 1,
+        scheduledBy: 'user-2'
+      });
+      jest.spyOn(Campaign, 'findAll').mockResolvedValue([once, weekly]);
+      jest.spyOn(Campaign, 'update').mockResolvedValue([1]);
+      jest.spyOn(jobQueue, 'enqueue').mockImplementation(async (type, payload, { campaignId }) => ({ id: `job-${campaignId}` }));
+
+      const result = await campaignScheduleService.runDueCampaigns(NOW);
+
+      expect(result).toEqual({
+        due: 2,
+        started: [
+          { campaignId: 'camp-once', jobId: 'job-camp-once', nextRunAt: null },
+          { campaignId: 'camp-weekly', jobId: 'job-camp-weekly', nextRunAt: new Date('2026-03-08T09:00:00Z') }
+        ]
+      });
+      expect(Campaign.update.mock.calls[2]).toEqual([
+        expect.objectContaining({ status: 'in_progress', scheduledAt: new Date('2026-03-08T09:00:00Z'), lastRunAt: NOW }),
+        { where: { id: 'camp-weekly', status: 'in_progress', scheduledAt: weekly.scheduledAt } }
+      ]);
+      expect(jobQueue.enqueue).toHaveBeenCalledWith(
+        'campaign.scheduled-run',
+        { run: 2, scheduledFor: '2026-03-01T09:00:00.000Z' },
+        { organizationId: 'org-1', campaignId: 'camp-weekly', createdBy: 'user-2', unique: true }
+      );
+    });
+
+    it('skips a campaign another process claimed first', async () => {
+      jest.spyOn(Campaign, 'findAll').mockResolvedValue([campaignRow({ status: 'scheduled', scheduledAt: NOW })]);
+      jest.spyOn(Campaign, 'update').mockResolvedValue([0]);
+      jest.spyOn(jobQueue, 'enqueue');
+
+      expect(await campaignScheduleService.runDueCampaigns(NOW)).toEqual({ due: 1, started: [] });
+      expect(jobQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('undoes the claim when the run cannot be queued', async () => {
+      const campaign = campaignRow({ status: 'scheduled', scheduledAt: new Date('2026-03-01T11:00:00Z') });
+      jest.spyOn(Campaign, 'findAll').mockResolvedValue([campaign]);
+      jest.spyOn(Campaign, 'update').mockResolvedValue([1]);
+      jest.spyOn(jobQueue, 'enqueue').mockRejectedValue(Object.assign(new Error('A campaign.send job is already queued or running for the campaign'), { status: 409 }));
+
+      expect(await campaignScheduleService.runDueCampaigns(NOW)).toEqual({ due: 1, started: [] });
+      expect(Campaign.update).toHaveBeenLastCalledWith(
+        { status: 'scheduled', scheduledAt: campaign.scheduledAt, runCount: 0, lastRunAt: null },
+        { where: { id: 'camp-1' } }
+      );
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const { Op } = require('sequelize');
+const { CareGap, MeasureCompliance } = require('../../src/models');
+const careGapService = require('../../src/services/careGapService');
+const campaignAudienceService = require('../../src/services/campaignAudienceService');
+const populationStore = require('../../src/services/populationStore');
+const qualityMeasureService = require('../../src/services/qualityMeasureService');
+
+const EVALUATED_AT = new Date('2026-03-01T02:00:00Z');
+
+const openGap = (patientId, measureId, values = {}) => {
+  const gap = {
+    id: `gap-${patientId}-${measureId}`,
+    patientId,
+    measureId,
+    status: 'open',
+    reason: 'No HbA1c test in the measurement period',
+    lastPerformed: null,
+    dueDate: null,
+    evidence: [],
+    ...values
+  };
+  gap.update = jest.fn(async (changes) => Object.assign(gap, changes));
+  return gap;
+};
+
+const result = (id, status, values = {}) => ({
+  id,
+  status,
+  reason: 'No HbA1c test in the measurement period',
+  lastPerformed: null,
+  dueDate: null,
+  evidence: [],
+  ...values
+});
+
+const evaluation = (patientId, ...results) => ({ patientId, evaluation: { definitionsVersion: 'careflow-2026.1', results } });
+
+describe('careGapService', () => {
+  beforeEach(() => {
+    jest.spyOn(CareGap, 'update').mockResolvedValue([0]);
+    jest.spyOn(CareGap, 'bulkCreate').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('applyBatch', () => {
+    it('opens new gaps, refreshes open ones and closes those that resolved', async () => {
+      const stillOpen = openGap('p1', 'diabetesA1c');
+      const changed = openGap('p1', 'diabetesEye');
+      const resolved = openGap('p2', 'diabetesA1c');
+      jest.spyOn(CareGap, 'findAll').mockResolvedValue([stillOpen, changed, resolved]);
+
+      const counts = await careGapService.applyBatch('org-1', [
+        evaluation('p1',
+          result('diabetesA1c', 'gap'),
+          result('diabetesEye', 'gap', { reason: 'Eye exam overdue', lastPerformed: '2024-01-05', evidence: [{ reference: 'Procedure/e1' }] }),
+          result('flu', 'gap')),
+        evaluation('p2', result('diabetesA1c', 'met', { lastPerformed: '2026-02-10', evidence: [{ reference: 'Observation/a1' }] }), result('flu', 'excluded'))
+      ], EVALUATED_AT);
+
+      expect(counts).toEqual({ opened: 1, refreshed: 2, closed: 1 });
+      expect(CareGap.bulkCreate.mock.calls[0][0]).toEqual([expect.objectContaining({
+        organizationId: 'org-1',
+        patientId: 'p1',
+        measureId: 'flu',
+        status: 'open',
+        openedAt: EVALUATED_AT,
+        definitionsVersion: 'careflow-2026.1'
+      })]);
+      expect(changed).toMatchObject({ reason: 'Eye exam overdue', evidence: ['Procedure/e1'], lastEvaluatedAt: EVALUATED_AT, status: 'open' });
+      expect(stillOpen.update).not.toHaveBeenCalled();
+      expect(CareGap.update).toHaveBeenCalledWith({ lastEvaluatedAt: EVALUATED_AT }, { where: { id: { [Op.in]: [stillOpen.id] } } });
+      expect(resolved).toMatchObject({ status: 'closed', resolution: 'met', closedAt: EVALUATED_AT, evidence: ['Observation/a1'] });
+    });
+  });
+
+  describe('evaluateOrganization', () => {
+    it('closes gaps the run did not reach and snapshots compliance', async () => {
+      jest.spyOn(CareGap, 'findAll').mockResolvedValue([]);
+      CareGap.update.mockResolvedValue([3]);
+      jest.spyOn(MeasureCompliance, 'upsert').mockResolvedValue([{}]);
+      jest.spyOn(qualityMeasureService, 'evaluatePopulation').mockImplementation(async (organizationId, { onBatch }) => {
+        await onBatch([evaluation('p1', result('flu', 'gap'))]);
+        return {
+          definitionsVersion: 'careflow-2026.1',
+          asOf: '2026-03-01',
+          patients: 1,
+          measures: [{ id: 'flu', denominator: 1, exclusions: 0, numerator: 0, gaps: 1, rate: 0 }]
+        };
+      });
+
+      const summary = await careGapService.evaluateOrganization('org-1');
+
+      expect(summary).toMatchObject({ skipped: false, patients: 1, opened: 1, refreshed: 0, closed: 0, removed: 3 });
+      const [changes, { where }] = CareGap.update.mock.calls[0];
+      expect(changes).toMatchObject({ status: 'closed', resolution: 'removed' });
+      expect(where).toMatchObject({ organizationId: 'org-1', status: 'open' });
+      expect(MeasureCompliance.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ organizationId: 'org-1', measureId: 'flu', snapshotDate: '2026-03-01', rate: 0 }),
+        expect.objectContaining({ conflictFields: ['organization_id', 'measure_id', 'snapshot_date'] })
+      );
+      expect(careGapService.isRunning('org-1')).toBe(false);
+    });
+
+    it('runs one evaluation per organization at a time', async () => {
+      let fail;
+      jest.spyOn(qualityMeasureService, 'evaluatePopulation').mockImplementation(() => new Promise((resolve, reject) => { fail = reject; }));
+
+      const first = careGapService.evaluateOrganization('org-1');
+      expect(await careGapService.evaluateOrganization('org-1')).toEqual({ skipped: true, reason: 'Care gap evaluation already running' });
+
+      fail(new Error('Population not synced'));
+      await expect(first).rejects.toThrow('Population not synced');
+      expect(careGapService.isRunning('org-1')).toBe(false);
+    });
+  });
+
+  describe('worklist filters', () => {
+    it('rejects unknown statuses, measures and dates with a 400', () => {
+      expect(() => careGapService.parseFilters({ status: 'pending' })).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => careGapService.parseFilters({ measure: 'flu,unknown' })).toThrow(expect.objectContaining({ status: 400, message: 'Unknown quality measures: unknown' }));
+      expect(() => careGapService.parseFilters({ dueBefore: 'soon' })).toThrow(expect.objectContaining({ status: 400, message: 'dueBefore must be a date' }));
+    });
+
+    it('treats a gap without a due date as overdue', () => {
+      const filters = careGapService.parseFilters({ measure: ['flu', 'awv'], overdue: 'true', status: 'all' });
+      const where = careGapService.buildWhere('org-1', filters);
+
+      expect(where).toMatchObject({ organizationId: 'org-1', measureId: { [Op.in]: ['flu', 'awv'] } });
+      expect(where).not.toHaveProperty('status');
+      expect(where[Op.and][0][Op.or]).toEqual([{ dueDate: null }, { dueDate: { [Op.lt]: expect.any(String) } }]);
+    });
+  });
+
+  describe('getCompliance', () => {
+    it('compares the latest snapshot with the previous one', async () => {
+      jest.spyOn(MeasureCompliance, 'findAll')
+        .mockResolvedValueOnce([{ snapshotDate: '2026-03-01' }, { snapshotDate: '2026-02-28' }])
+        .mockResolvedValueOnce([
+          { measureId: 'flu', snapshotDate: '2026-03-01', rate: 62.5, denominator: 8, numerator: 5 },
+          { measureId: 'flu', snapshotDate: '2026-02-28', rate: 50, denominator: 8, numerator: 4 },
+          { measureId: 'awv', snapshotDate: '2026-03-01', rate: null, denominator: 0, numerator: 0 }
+        ]);
+      jest.spyOn(CareGap, 'count').mockResolvedValue([{ measureId: 'flu', count: '3' }]);
+
+      const compliance = await careGapService.getCompliance('org-1');
+
+      expect(compliance).toMatchObject({ snapshotDate: '2026-03-01', previousSnapshotDate: '2026-02-28' });
+      expect(compliance.measures).toEqual([
+        expect.objectContaining({ measureId: 'flu', name: 'Influenza Immunization', rate: 62.5, previousRate: 50, change: 12.5, openGaps: 3 }),
+        expect.objectContaining({ measureId: 'awv', rate: null, previousRate: null, change: null, openGaps: 0 })
+      ]);
+    });
+  });
+
+  describe('exportToCampaign', () => {
+    it('targets the patients with matching gaps, giving each gap as the reason', async () => {
+      const campaign = { id: 'camp-1', organizationId: 'org-1', status: 'draft', targetCriteria: { patientIds: ['old'] } };
+      campaign.update = jest.fn(async (changes) => Object.assign(campaign, changes));
+      jest.spyOn(CareGap, 'findAll')
+        .mockResolvedValueOnce([{ patientId: 'p1' }, { patientId: 'p2' }])
+        .mockResolvedValueOnce([{ patientId: 'p1', measureId: 'flu' }, { patientId: 'p1', measureId: 'awv' }, { patientId: 'p2', measureId: 'flu' }]);
+      jest.spyOn(populationStore, 'getPatientResources').mockResolvedValue({
+        p1: [{ resourceType: 'Patient', id: 'p1', telecom: [{ system: 'email', value: 'p1@example.com' }] }]
+      });
+      jest.spyOn(campaignAudienceService, 'applyTargeting').mockResolvedValue({ run: 1 });
+
+      const exported = await careGapService.exportToCampaign(campaign, careGapService.parseFilters({ measure: 'flu,awv' }));
+
+      expect(exported).toEqual({ campaignId: 'camp-1', patients: 2, run: 1 });
+      const [, candidates, options] = campaignAudienceService.applyTargeting.mock.calls[0];
+      expect(candidates).toEqual([expect.objectContaining({
+        patientId: 'p1',
+        inclusionReasons: ['Open care gap: Influenza Immunization', 'Open care gap: Annual Wellness Visit']
+      })]);
+      expect(options).toEqual({ source: 'care-gaps', details: { truncated: false } });
+      expect(campaign.targetCriteria).not.toHaveProperty('patientIds');
+      expect(campaign.targetCriteria.source).toBe('care-gaps');
+    });
+
+    it('refuses a campaign that is already running', async () => {
+      jest.spyOn(CareGap, 'findAll');
+
+      await expect(careGapService.exportToCampaign({ status: 'in_progress' }, careGapService.parseFilters()))
+        .rejects.toMatchObject({ status: 409 });
+      expect(CareGap.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
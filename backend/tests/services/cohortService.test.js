@@ -0,0 +1,230 @@
+const cohortService = require('../../src/services/cohortService');
+const CohortDefinitionError = require('../../src/utils/cohortDefinitionError');
+
+const AS_OF = '2026-06-15T00:00:00Z';
+
+const compile = (definition) => {
+  const { where, replacements } = cohortService.compile(definition, { asOf: AS_OF });
+  return { where: where.replace(/\s+/g, ' '), replacements };
+};
+
+// The problems validate() reports for a definition
+const problemsOf = (definition) => {
+  try {
+    cohortService.validate(definition);
+  } catch (error) {
+    expect(error).toBeInstanceOf(CohortDefinitionError);
+    expect(error.status).toBe(400);
+    return error.errors;
+  }
+  throw new Error('Expected the definition to be rejected');
+};
+
+describe('cohortService', () => {
+  describe('validate', () => {
+    it('accepts a nested definition', () => {
+      const definition = {
+        all: [
+          { type: 'condition', codes: ['E11'] },
+          { any: [{ type: 'age', min: 65 }, { type: 'riskScore', level: 'high' }] },
+          { not: { type: 'medication', codes: ['860975'] } }
+        ]
+      };
+      expect(cohortService.validate(definition)).toBe(definition);
+    });
+
+    it.each([
+      ['a non-object', 'E11', '(root)', 'must be an object'],
+      ['an empty group', { all: [] }, 'all', 'must be a non-empty list'],
+      ['two groups in one node', { all: [{ type: 'sex', value: 'male' }], any: [{ type: 'sex', value: 'female' }] }, '(root)', 'must be exactly one of all, any, not or a criterion with a type'],
+      ['a group with a type', { type: 'sex', not: { type: 'sex', value: 'male' } }, '(root)', 'must be exactly one of all, any, not or a criterion with a type'],
+      ['an unknown criterion type', { type: 'bmi' }, 'type', 'must be one of condition, age, sex, lab, encounters, medication, riskScore, zip']
+    ])('rejects %s', (name, definition, path, message) => {
+      expect(problemsOf(definition)).toEqual([{ path, message }]);
+    });
+
+    it.each([
+      ['constructor', { type: 'constructor' }, 'type'],
+      ['__proto__', { type: '__proto__' }, 'type'],
+      ['toString as an operator', { type: 'lab', measure: 'hba1c', operator: 'toString', value: 7 }, 'operator'],
+      ['hasOwnProperty as a risk level', { type: 'riskScore', level: 'hasOwnProperty' }, 'level']
+    ])('rejects inherited property names: %s', (name, definition, path) => {
+      expect(problemsOf(definition).map(problem => problem.path)).toEqual([path]);
+    });
+
+    it('reports every problem with its path', () => {
+      const problems = problemsOf({
+        all: [
+          { type: 'condition', codes: ["E11' OR 1=1 --"] },
+          { any: [{ type: 'age', min: 70, max: 60 }, { type: 'lab', measure: 'sodium', operator: '!=', value: 'high' }] },
+          { not: { type: 'zip', values: ['021; DROP TABLE'] } }
+        ]
+      });
+      expect(problems).toEqual([
+        { path: 'all[0].codes', message: 'must contain only ICD-10 codes or prefixes such as E11 or E11.65' },
+        { path: 'all[1].any[0].max', message: 'must not be less than min' },
+        { path: 'all[1].any[1].measure', message: expect.stringMatching(/^must be one of /) },
+        { path: 'all[1].any[1].operator', message: 'must be one of < <= > >= =' },
+        { path: 'all[1].any[1].value', message: 'must be a number' },
+        { path: 'all[2].not.values', message: 'must be a non-empty list of ZIP codes or ZIP prefixes' }
+      ]);
+    });
+
+    it.each([
+      [{ type: 'age' }, 'min', 'min or max is required'],
+      [{ type: 'age', min: 1.5 }, 'min', 'must be a whole number of years'],
+      [{ type: 'sex', value: 'F' }, 'value', 'must be one of male, female, other, unknown'],
+      [{ type: 'condition', codes: ['E11'], within: { weeks: 2 } }, 'within', 'must be a window such as { "months": 12 } using years, months or days'],
+      [{ type: 'condition', codes: ['E11'], activeOnly: 'yes' }, 'activeOnly', 'must be true or false'],
+      [{ type: 'lab', measure: 'hba1c', operator: '>', value: 9, reading: 'first' }, 'reading', 'must be one of latest, any'],
+      [{ type: 'encounters', max: 0 }, 'max', 'must not be less than min'],
+      [{ type: 'encounters', classCodes: [] }, 'classCodes', 'must be a non-empty list of codes'],
+      [{ type: 'medication', codes: [' '] }, 'codes', 'must be a non-empty list of RxNorm codes'],
+      [{ type: 'riskScore' }, 'min', 'min, max or level is required'],
+      [{ type: 'riskScore', level: 'high', min: 1 }, 'level', 'cannot be combined with min or max']
+    ])('rejects %j', (definition, path, message) => {
+      expect(problemsOf(definition)).toEqual([{ path, message }]);
+    });
+
+    it('limits nesting depth', () => {
+      let definition = { type: 'sex', value: 'male' };
+      for (let i = 0; i < 11; i++) definition = { not: definition };
+      expect(problemsOf(definition)).toEqual([
+        { path: 'not.not.not.not.not.not.not.not.not.not.not', message: 'nests deeper than 10 levels' }
+      ]);
+    });
+
+    it('limits the number of nodes', () => {
+      const definition = { any: Array.from({ length: 100 }, () => ({ type: 'sex', value: 'male' })) };
+      expect(problemsOf(definition)).toEqual([{ path: '(root)', message: 'has more than 100 criteria and groups' }]);
+    });
+  });
+
+  describe('compile', () => {
+    it('refuses an invalid definition', () => {
+      expect(() => cohortService.compile({ type: 'constructor' })).toThrow(CohortDefinitionError);
+    });
+
+    it('binds condition codes as upper-case prefixes and keeps active, unrefuted conditions', () => {
+      const { where, replacements } = compile({ type: 'condition', codes: ['e11', 'I10'], within: { years: 2 } });
+      expect(where).toBe('COALESCE((EXISTS (SELECT 1 FROM population_conditions c WHERE c.organization_id = p.organization_id ' +
+        'AND c.patient_id = p.fhir_id AND (c.code LIKE :c0 OR c.code LIKE :c1) ' +
+        'AND (c.verification_status IS NULL OR c.verification_status NOT IN (:c2)) ' +
+        'AND (c.clinical_status IN (:c3) OR (c.clinical_status IS NULL AND (c.abatement_date IS NULL OR c.abatement_date > :c4))) ' +
+        'AND c.onset_date >= :c5)), FALSE)');
+      expect(replacements).toEqual({
+        c0: 'E11%',
+        c1: 'I10%',
+        c2: ['refuted', 'entered-in-error'],
+        c3: ['active', 'recurrence', 'relapse'],
+        c4: new Date('2026-06-15T00:00:00Z'),
+        c5: new Date('2024-06-15T00:00:00Z')
+      });
+    });
+
+    it('drops the active check and requires confirmation when asked', () => {
+      const { where } = compile({ type: 'condition', codes: ['E11'], activeOnly: false, confirmedOnly: true });
+      expect(where).not.toContain('clinical_status');
+      expect(where).toContain("AND c.verification_status = 'confirmed'");
+    });
+
+    it('turns ages into birth date bounds', () => {
+      expect(compile({ type: 'age', min: 65, max: 74 })).toEqual({
+        where: 'COALESCE((p.birth_date <= :c0 AND p.birth_date > :c1), FALSE)',
+        replacements: { c0: '1961-06-15', c1: '1951-06-15' }
+      });
+    });
+
+    it('matches sex exactly', () => {
+      expect(compile({ type: 'sex', value: 'female' })).toEqual({
+        where: 'COALESCE((p.gender = :c0), FALSE)',
+        replacements: { c0: 'female' }
+      });
+    });
+
+    it('compares the latest lab reading by default', () => {
+      const { where, replacements } = compile({ type: 'lab', measure: 'hba1c', operator: '>=', value: 9 });
+      expect(where).toBe('COALESCE(((SELECT (o.measures->>:c0)::float FROM population_observations o ' +
+        'WHERE o.organization_id = p.organization_id AND o.patient_id = p.fhir_id AND o.measures->>:c0 IS NOT NULL ' +
+        'AND (o.status IS NULL OR o.status NOT IN (:c1)) ORDER BY o.effective_date DESC NULLS LAST LIMIT 1) >= :c2), FALSE)');
+      expect(replacements).toEqual({ c0: 'hba1c', c1: ['entered-in-error', 'cancelled'], c2: 9 });
+    });
+
+    it('compares any lab reading in the window', () => {
+      const { where, replacements } = compile({
+        type: 'lab', measure: 'hba1c', operator: '<', value: 7, reading: 'any', within: { months: 6 }
+      });
+      expect(where).toBe('COALESCE((EXISTS (SELECT 1 FROM population_observations o ' +
+        'WHERE o.organization_id = p.organization_id AND o.patient_id = p.fhir_id AND o.measures->>:c0 IS NOT NULL ' +
+        'AND (o.status IS NULL OR o.status NOT IN (:c1)) AND o.effective_date >= :c2 AND (o.measures->>:c0)::float < :c3)), FALSE)');
+      expect(replacements.c2).toEqual(new Date('2025-12-15T00:00:00Z'));
+    });
+
+    it('counts encounters from one by default', () => {
+      const { where, replacements } = compile({ type: 'encounters', min: 2, within: { months: 12 }, classCodes: ['IMP'] });
+      expect(where).toBe('COALESCE(((SELECT COUNT(*) FROM population_encounters e ' +
+        'WHERE e.organization_id = p.organization_id AND e.patient_id = p.fhir_id AND (e.status IS NULL OR e.status NOT IN (:c0)) ' +
+        'AND e.period_start >= :c1 AND e.class_code IN (:c2)) >= :c3), FALSE)');
+      expect(replacements).toMatchObject({ c2: ['IMP'], c3: 2 });
+
+      expect(compile({ type: 'encounters' }).where).toMatch(/>= :c1\), FALSE\)$/);
+    });
+
+    it('bounds encounter counts with a max', () => {
+      const { where, replacements } = compile({ type: 'encounters', min: 0, max: 0, typeCodes: ['AWV'] });
+      expect(where).toContain('AND e.type_code IN (:c1)) BETWEEN :c2 AND :c3), FALSE)');
+      expect(replacements).toMatchObject({ c1: ['AWV'], c2: 0, c3: 0 });
+    });
+
+    it('matches active medications by trimmed code', () => {
+      expect(compile({ type: 'medication', codes: [' 860975 '] })).toEqual({
+        where: 'COALESCE((EXISTS (SELECT 1 FROM population_medications m WHERE m.organization_id = p.organization_id ' +
+          "AND m.patient_id = p.fhir_id AND m.code IN (:c0) AND m.status = 'active')), FALSE)",
+        replacements: { c0: ['860975'] }
+      });
+      expect(compile({ type: 'medication', codes: ['860975'], activeOnly: false }).where).not.toContain('m.status');
+    });
+
+    it('uses risk level bands with an exclusive max', () => {
+      const { where, replacements } = compile({ type: 'riskScore', level: 'medium' });
+      expect(where).toMatch(/LIMIT 1\) >= :c1 AND \(SELECT r\.score .* LIMIT 1\) < :c2\), FALSE\)$/);
+      expect(where).toContain('r.model_version = :c0');
+      expect(replacements).toMatchObject({ c1: 1, c2: 2 });
+    });
+
+    it('uses inclusive min and max risk scores', () => {
+      const { where, replacements } = compile({ type: 'riskScore', min: 1.5, max: 3 });
+      expect(where).toMatch(/LIMIT 1\) >= :c1 AND \(SELECT r\.score .* LIMIT 1\) <= :c2\), FALSE\)$/);
+      expect(replacements).toMatchObject({ c1: 1.5, c2: 3 });
+    });
+
+    it('matches ZIP prefixes', () => {
+      expect(compile({ type: 'zip', values: ['021', ' 02139'] })).toEqual({
+        where: 'COALESCE(((p.postal_code LIKE :c0 OR p.postal_code LIKE :c1)), FALSE)',
+        replacements: { c0: '021%', c1: '02139%' }
+      });
+    });
+
+    it('combines groups and negates criteria that are wrapped in COALESCE', () => {
+      const { where, replacements } = compile({
+        any: [
+          { all: [{ type: 'sex', value: 'male' }, { not: { type: 'age', min: 80 } }] },
+          { not: { any: [{ type: 'zip', values: ['021'] }, { type: 'sex', value: 'unknown' }] } }
+        ]
+      });
+      expect(where).toBe('((COALESCE((p.gender = :c0), FALSE) AND NOT COALESCE((p.birth_date <= :c1), FALSE)) OR ' +
+        'NOT (COALESCE(((p.postal_code LIKE :c2)), FALSE) OR COALESCE((p.gender = :c3), FALSE)))');
+      expect(replacements).toEqual({ c0: 'male', c1: '1946-06-15', c2: '021%', c3: 'unknown' });
+    });
+
+    it('never puts definition values into the SQL', () => {
+      const { where } = compile({
+        all: [
+          { type: 'encounters', typeCodes: ["x') OR 1=1 --"] },
+          { type: 'medication', codes: ["1'; DROP TABLE patients; --"] }
+        ]
+      });
+      expect(where).not.toMatch(/OR 1=1|DROP TABLE/);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const comorbidityService = require('../../src/services/comorbidityService');
+
+const AS_OF = '2026-06-15';
+
+const keysOf = (entries) => entries.map(entry => entry.key);
+
+describe('comorbidityService', () => {
+  describe('categorize', () => {
+    it('matches code prefixes with or without dots, in any case', () => {
+      expect(comorbidityService.categorize('I50.9')).toEqual({
+        charlson: ['congestiveHeartFailure'],
+        elixhauser: ['congestiveHeartFailure']
+      });
+      expect(comorbidityService.categorize('z992')).toEqual({ charlson: ['renal'], elixhauser: ['renalFailure'] });
+    });
+
+    it('expands code ranges to every stem in between', () => {
+      expect(comorbidityService.categorize('I60').charlson).toEqual(['cerebrovascular']);
+      expect(comorbidityService.categorize('I63.9').charlson).toEqual(['cerebrovascular']);
+      expect(comorbidityService.categorize('K76.3').charlson).toEqual(['mildLiver']);
+      expect(comorbidityService.categorize('K76.5').charlson).toEqual(['severeLiver']);
+      expect(comorbidityService.categorize('K76.1').charlson).toEqual([]);
+    });
+
+    it('does not match a code shorter than the defined prefix', () => {
+      expect(comorbidityService.categorize('E11')).toEqual({ charlson: [], elixhauser: [] });
+      expect(comorbidityService.categorize('')).toEqual({ charlson: [], elixhauser: [] });
+    });
+  });
+
+  describe('calculate', () => {
+    const diagnoses = ['E11.9', 'E11.22', 'I50.9', 'C78.0', 'C34.1', 'J44.9'];
+
+    it('scores nothing without diagnoses or age', () => {
+      expect(comorbidityService.calculate({})).toEqual({
+        age: null,
+        charlson: {
+          version: 'quan-2005-icd10',
+          score: 0,
+          agePoints: null,
+          ageAdjustedScore: null,
+          tenYearSurvival: 0.983,
+          categories: [],
+          superseded: []
+        },
+        elixhauser: {
+          version: 'quan-2005-icd10',
+          count: 0,
+          vanWalravenScore: 0,
+          categories: [],
+          superseded: []
+        }
+      });
+    });
+
+    it('sums Charlson weights, counting only the most severe category of a family', () => {
+      const { charlson } = comorbidityService.calculate({ diagnoses, age: 72 });
+
+      expect(keysOf(charlson.categories)).toEqual([
+        'congestiveHeartFailure', 'chronicPulmonary', 'diabetesComplicated', 'metastaticTumor'
+      ]);
+      expect(charlson.superseded.map(entry => [entry.key, entry.codes, entry.supersededBy])).toEqual([
+        ['diabetes', ['E11.9'], 'diabetesComplicated'],
+        ['malignancy', ['C34.1'], 'metastaticTumor']
+      ]);
+      expect(charlson.score).toBe(1 + 1 + 2 + 6);
+      expect(charlson.agePoints).toBe(3);
+      expect(charlson.ageAdjustedScore).toBe(13);
+    });
+
+    it('keeps the less severe category when the more severe one is absent', () => {
+      const { charlson } = comorbidityService.calculate({ diagnoses: ['E11.9', 'C34.1'] });
+      expect(keysOf(charlson.categories)).toEqual(['diabetes', 'malignancy']);
+      expect(charlson.superseded).toEqual([]);
+      expect(charlson.score).toBe(3);
+    });
+
+    it('counts Elixhauser categories and sums van Walraven weights after the hierarchies', () => {
+      const { elixhauser } = comorbidityService.calculate({ diagnoses });
+
+      expect(keysOf(elixhauser.categories)).toEqual([
+        'congestiveHeartFailure', 'chronicPulmonary', 'diabetesComplicated', 'metastaticCancer'
+      ]);
+      expect(keysOf(elixhauser.superseded)).toEqual(['diabetes', 'solidTumor']);
+      expect(elixhauser.count).toBe(4);
+      expect(elixhauser.vanWalravenScore).toBe(7 + 3 + 0 + 12);
+    });
+
+    it('lets negative van Walraven weights lower the score', () => {
+      const { elixhauser } = comorbidityService.calculate({ diagnoses: ['E66.9', 'F11.20'] });
+      expect(keysOf(elixhauser.categories)).toEqual(['obesity', 'drugAbuse']);
+      expect(elixhauser.vanWalravenScore).toBe(-11);
+    });
+
+    it('lists each code once per category, accepting strings or { code }', () => {
+      const { charlson } = comorbidityService.calculate({
+        diagnoses: ['I50.9', { code: 'I50.9' }, { code: 'I11.0' }, { display: 'no code' }, null]
+      });
+      expect(charlson.categories).toEqual([{
+        key: 'congestiveHeartFailure',
+        name: 'Congestive heart failure',
+        weight: 1,
+        codes: ['I50.9', 'I11.0']
+      }]);
+    });
+
+    it.each([
+      [49, 0],
+      [50, 1],
+      [59, 1],
+      [60, 2],
+      [79, 3],
+      [80, 4],
+      [101, 4]
+    ])('gives age %p %p Charlson points', (age, points) => {
+      expect(comorbidityService.calculate({ age }).charlson.agePoints).toBe(points);
+    });
+
+    it('takes the age from the birth date as of the scoring date', () => {
+      expect(comorbidityService.calculate({ birthDate: '1976-06-15', asOf: AS_OF }).charlson.agePoints).toBe(1);
+      expect(comorbidityService.calculate({ birthDate: '1976-06-16', asOf: AS_OF })).toMatchObject({
+        age: 49,
+        charlson: { agePoints: 0, ageAdjustedScore: 0 }
+      });
+    });
+
+    it('estimates ten-year survival from the age-adjusted score when there is one', () => {
+      // 0.983^(e^(0.9 * 2))
+      expect(comorbidityService.calculate({ diagnoses: ['E11.22'] }).charlson.tenYearSurvival).toBe(0.901);
+      expect(comorbidityService.calculate({ diagnoses: ['E11.22'], age: 85 }).charlson.tenYearSurvival).toBe(0.022);
+    });
+  });
+
+  describe('calculateForPatient', () => {
+    const condition = (id, code, clinicalStatus, verificationStatus) => ({
+      resourceType: 'Condition',
+      id,
+      code: { coding: [{ system: 'http://hl7.org/fhir/sid/icd-10-cm', code }] },
+      clinicalStatus: { coding: [{ code: clinicalStatus }] },
+      ...(verificationStatus && { verificationStatus: { coding: [{ code: verificationStatus }] } })
+    });
+    const patient = { resourceType: 'Patient', birthDate: '1960-01-01' };
+    const conditions = [
+      condition('c1', 'I50.9', 'active'),
+      condition('c2', 'J44.9', 'resolved'),
+      condition('c3', 'E11.9', 'active', 'refuted')
+    ];
+
+    it('counts resolved conditions but never refuted ones', () => {
+      const result = comorbidityService.calculateForPatient(patient, conditions, { asOf: AS_OF });
+      expect(result.age).toBe(66);
+      expect(keysOf(result.charlson.categories)).toEqual(['congestiveHeartFailure', 'chronicPulmonary']);
+      expect(result.charlson.ageAdjustedScore).toBe(4);
+    });
+
+    it('counts only active conditions with activeOnly', () => {
+      const result = comorbidityService.calculateForPatient(patient, conditions, { asOf: AS_OF, activeOnly: true });
+      expect(keysOf(result.charlson.categories)).toEqual(['congestiveHeartFailure']);
+    });
+  });
+});
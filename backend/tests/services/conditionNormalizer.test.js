@@ -0,0 +1,106 @@
+const conditionNormalizer = require('../../src/services/conditionNormalizer');
+
+const condition = ({ id = 'c1', code = 'E11.9', clinicalStatus, verificationStatus, category, onset, abatement } = {}) => ({
+  resourceType: 'Condition',
+  id,
+  subject: { reference: 'Patient/p1' },
+  code: { coding: [{ system: 'http://hl7.org/fhir/sid/icd-10-cm', code, display: `Display ${code}` }] },
+  ...(clinicalStatus && { clinicalStatus: { coding: [{ code: clinicalStatus }] } }),
+  ...(verificationStatus && { verificationStatus: { coding: [{ code: verificationStatus }] } }),
+  ...(category && { category: [{ coding: [{ code: category }] }] }),
+  ...(onset && { onsetDateTime: onset }),
+  ...(abatement && { abatementDateTime: abatement })
+});
+
+const idsOf = (conditions, options) => conditionNormalizer.normalizeAll(conditions, options).map(c => c.id);
+
+describe('conditionNormalizer', () => {
+  describe('normalize', () => {
+    it('flattens status, category and dates', () => {
+      expect(conditionNormalizer.normalize(condition({
+        clinicalStatus: 'active',
+        verificationStatus: 'confirmed',
+        category: 'problem-list-item',
+        onset: '2020-04-01'
+      }))).toMatchObject({
+        id: 'c1',
+        patientId: 'p1',
+        icd10Codes: [expect.objectContaining({ code: 'E11.9' })],
+        clinicalStatus: 'active',
+        verificationStatus: 'confirmed',
+        categories: ['problem-list-item'],
+        onsetDate: new Date('2020-04-01'),
+        active: true,
+        confirmed: true
+      });
+    });
+
+    it('treats a condition without clinicalStatus as resolved once it has abated', () => {
+      expect(conditionNormalizer.normalize(condition({ abatement: '2020-01-01' })).active).toBe(false);
+      expect(conditionNormalizer.normalize(condition({ abatement: '2999-01-01' })).active).toBe(true);
+      expect(conditionNormalizer.normalize(condition()).active).toBe(true);
+    });
+  });
+
+  describe('normalizeAll', () => {
+    const conditions = [
+      condition({ id: 'active', clinicalStatus: 'active', verificationStatus: 'confirmed', category: 'problem-list-item', onset: '2021-06-01' }),
+      condition({ id: 'resolved', clinicalStatus: 'resolved', verificationStatus: 'confirmed', category: 'encounter-diagnosis', onset: '2019-01-01' }),
+      condition({ id: 'provisional', clinicalStatus: 'recurrence', verificationStatus: 'provisional', category: 'encounter-diagnosis' }),
+      condition({ id: 'refuted', clinicalStatus: 'active', verificationStatus: 'refuted' }),
+      condition({ id: 'error', clinicalStatus: 'active', verificationStatus: 'entered-in-error' })
+    ];
+
+    it('always drops refuted and entered-in-error conditions', () => {
+      expect(idsOf(conditions)).toEqual(['active', 'resolved', 'provisional']);
+    });
+
+    it('filters by clinical and verification status', () => {
+      expect(idsOf(conditions, { activeOnly: true })).toEqual(['active', 'provisional']);
+      expect(idsOf(conditions, { confirmedOnly: true })).toEqual(['active', 'resolved']);
+    });
+
+    it('filters by any of the given categories', () => {
+      expect(idsOf(conditions, { category: 'encounter-diagnosis' })).toEqual(['resolved', 'provisional']);
+      expect(idsOf(conditions, { category: ['health-concern', 'problem-list-item'] })).toEqual(['active']);
+    });
+
+    it('filters by onset, leaving out conditions without one', () => {
+      expect(idsOf(conditions, { onsetFrom: '2020-01-01' })).toEqual(['active']);
+      expect(idsOf(conditions, { onsetTo: '2020-01-01' })).toEqual(['resolved']);
+    });
+
+    it('reads a search bundle', () => {
+      const bundle = { resourceType: 'Bundle', entry: conditions.map(resource => ({ resource })) };
+      expect(idsOf(bundle, { activeOnly: true })).toEqual(['active', 'provisional']);
+    });
+  });
+
+  describe('parseFilterQuery', () => {
+    it('reads flags, categories and onset dates', () => {
+      expect(conditionNormalizer.parseFilterQuery({
+        activeOnly: 'true',
+        confirmedOnly: '0',
+        conditionCategory: 'problem-list-item, health-concern',
+        onsetFrom: '2020-01-01',
+        onsetTo: '2024-12-31T23:59:59Z'
+      })).toEqual({
+        activeOnly: true,
+        confirmedOnly: false,
+        category: ['problem-list-item', 'health-concern'],
+        onsetFrom: '2020-01-01',
+        onsetTo: '2024-12-31T23:59:59Z'
+      });
+    });
+
+    it('uses the defaults for absent flags only', () => {
+      expect(conditionNormalizer.parseFilterQuery({}, { activeOnly: true })).toMatchObject({ activeOnly: true, category: [] });
+      expect(conditionNormalizer.parseFilterQuery({ activeOnly: 'false' }, { activeOnly: true }).activeOnly).toBe(false);
+    });
+
+    it.each(['onsetFrom', 'onsetTo'])('rejects an invalid %s with a 400', (name) => {
+      expect(() => conditionNormalizer.parseFilterQuery({ [name]: 'last-tuesday' }))
+        .toThrow(expect.objectContaining({ status: 400, message: `${name} must be a date` }));
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { Op } = require('sequelize');
+const { ICD10Code } = require('../../src/models');
+const conditionSearchService = require('../../src/services/conditionSearchService');
+const populationStore = require('../../src/services/populationStore');
+const terminologyService = require('../../src/services/terminologyService');
+
+const ICD10 = 'http://hl7.org/fhir/sid/icd-10-cm';
+const SNOMED = 'http://snomed.info/sct';
+
+const condition = (id, patientId, verificationStatus = 'confirmed') => ({
+  resource: {
+    resourceType: 'Condition',
+    id,
+    subject: { reference: `Patient/${patientId}` },
+    code: { coding: [{ system: ICD10, code: 'E11.9' }] },
+    clinicalStatus: { coding: [{ code: 'active' }] },
+    verificationStatus: { coding: [{ code: verificationStatus }] }
+  }
+});
+
+// A FHIR service answering each Condition search with the given pages
+const fhirService = (results = [], supported = true) => ({
+  organizationId: 'org-1',
+  supportsPopulationSearch: jest.fn(() => supported),
+  supportsSearchParam: jest.fn(() => supported),
+  searchConditionsByCodes: jest.fn(async (codes, options) => ({ codes, options })),
+  getAllPages: jest.fn(async () => results.shift() || { entries: [], complete: true })
+});
+
+describe('conditionSearchService', () => {
+  beforeEach(() => {
+    jest.spyOn(terminologyService, 'getSnomedCodesForIcd10').mockReturnValue(['44054006']);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('expandIcd10Codes', () => {
+    it('adds the categories and every known code under them', async () => {
+      jest.spyOn(ICD10Code, 'findAll').mockResolvedValue([{ code: 'E11.65' }, { code: 'E11.9' }, { code: 'I10' }]);
+
+      expect(await conditionSearchService.expandIcd10Codes(['e11.9', 'I10'])).toEqual(['E11', 'E11.65', 'E11.9', 'I10']);
+      expect(ICD10Code.findAll.mock.calls[0][0].where[Op.or]).toEqual([
+        { code: { [Op.startsWith]: 'E11' } },
+        { code: { [Op.startsWith]: 'I10' } }
+      ]);
+    });
+
+    it('does not query for no codes', async () => {
+      jest.spyOn(ICD10Code, 'findAll');
+      expect(await conditionSearchService.expandIcd10Codes([])).toEqual([]);
+      expect(ICD10Code.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findPatientsByIcd10Codes', () => {
+    it('searches ICD-10 and mapped SNOMED codes for active conditions and collects the patients', async () => {
+      const service = fhirService([
+        { entries: [condition('c1', 'p1'), condition('c2', 'p2'), condition('c3', 'p3', 'refuted')], complete: true },
+        { entries: [condition('c4', 'p1')], complete: true }
+      ]);
+
+      const result = await conditionSearchService.findPatientsByIcd10Codes(service, ['E11.9'], { expand: false });
+
+      expect(service.searchConditionsByCodes.mock.calls).toEqual([
+        [['E11.9'], { system: ICD10, clinicalStatus: ['active', 'recurrence', 'relapse'] }],
+        [['44054006'], { system: SNOMED, clinicalStatus: ['active', 'recurrence', 'relapse'] }]
+      ]);
+      expect(result).toEqual({
+        patientIds: ['p1', 'p2'],
+        codesSearched: ['E11.9'],
+        snomedCodesSearched: ['44054006'],
+        conditionsMatched: 3,
+        truncated: false,
+        source: 'fhir'
+      });
+    });
+
+    it('splits long code lists across searches', async () => {
+      const service = fhirService();
+      const codes = Array.from({ length: 45 }, (value, i) => `Z${String(i).padStart(2, '0')}`);
+
+      await conditionSearchService.findPatientsByIcd10Codes(service, codes, { expand: false, includeSnomed: false, activeOnly: false });
+
+      expect(service.searchConditionsByCodes.mock.calls.map(([chunk, options]) => [chunk.length, options.clinicalStatus]))
+        .toEqual([[40, null], [5, null]]);
+    });
+
+    it('reports a truncated search when a page fails or the limit is reached', async () => {
+      const failedPage = fhirService([{ entries: [condition('c1', 'p1')], complete: false }]);
+      expect((await conditionSearchService.findPatientsByIcd10Codes(failedPage, ['E11.9'], { expand: false })).truncated).toBe(true);
+
+      const limited = fhirService([{ entries: [condition('c1', 'p1'), condition('c2', 'p2')], complete: true }]);
+      const result = await conditionSearchService.findPatientsByIcd10Codes(limited, ['E11.9'], { expand: false, maxConditions: 2 });
+      expect(result.truncated).toBe(true);
+      expect(limited.searchConditionsByCodes).toHaveBeenCalledTimes(1);
+      expect(limited.getAllPages).toHaveBeenCalledWith(expect.anything(), { maxResults: 2 });
+    });
+
+    it('matches against the synced population when the server cannot search conditions by code', async () => {
+      const service = fhirService([], false);
+      jest.spyOn(populationStore, 'findPatientIdsWithCodePrefixes').mockResolvedValue(['p1', 'p2', 'p3']);
+
+      const result = await conditionSearchService.findPatientsByIcd10Codes(service, ['E11.9', 'E11.65'], { maxConditions: 2 });
+
+      expect(populationStore.findPatientIdsWithCodePrefixes).toHaveBeenCalledWith('org-1', ['E11'], { activeOnly: true, limit: 3 });
+      expect(service.searchConditionsByCodes).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ patientIds: ['p1', 'p2'], truncated: true, source: 'population' });
+    });
+  });
+});
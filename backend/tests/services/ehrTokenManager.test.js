@@ -0,0 +1,126 @@
+const { AuditLog, User } = require('../../src/models');
+const ehr = require('../../src/services/ehr');
+const mailService = require('../../src/services/mailService');
+const ehrTokenManager = require('../../src/services/ehrTokenManager');
+
+const MINUTE = 60 * 1000;
+const organization = { id: 'org-1', isActive: true };
+
+const connectedUser = (values = {}) => {
+  const user = {
+    id: 'user-1',
+    email: 'jane@example.com',
+    organizationId: 'org-1',
+    epicAccessToken: 'old-access',
+    epicRefreshToken: 'old-refresh',
+    epicTokenExpiry: new Date(Date.now() + 30 * 1000),
+    epicConnectionStatus: 'connected',
+    epicRefreshFailures: 0,
+    Organization: organization,
+    ...values
+  };
+  user.update = jest.fn(async (changes) => Object.assign(user, changes));
+  return user;
+};
+
+// The token endpoint, as seen through the organization's adapter
+const tokenEndpoint = (refreshToken) => {
+  jest.spyOn(ehr, 'forOrganization').mockResolvedValue({ refreshToken });
+  return refreshToken;
+};
+
+const invalidGrant = () => Object.assign(new Error('HTTP 400'), { oauthError: 'invalid_grant' });
+
+describe('ehrTokenManager', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    jest.spyOn(mailService, 'sendEmail').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getAccessToken', () => {
+    it('returns a token that is not about to expire without refreshing', async () => {
+      const refreshToken = tokenEndpoint(jest.fn());
+      const user = connectedUser({ epicTokenExpiry: new Date(Date.now() + 30 * MINUTE) });
+
+      expect(await ehrTokenManager.getAccessToken(user, organization)).toBe('old-access');
+      expect(refreshToken).not.toHaveBeenCalled();
+    });
+
+    it('shares one refresh between concurrent requests', async () => {
+      const refreshToken = tokenEndpoint(jest.fn().mockResolvedValue({
+        access_token: 'new-access',
+        refresh_token: 'new-refresh',
+        expires_in: 3600
+      }));
+      const user = connectedUser();
+
+      const tokens = await Promise.all([
+        ehrTokenManager.getAccessToken(user, organization),
+        ehrTokenManager.getAccessToken(user, organization),
+        ehrTokenManager.getAccessToken(user, organization)
+      ]);
+
+      expect(tokens).toEqual(['new-access', 'new-access', 'new-access']);
+      expect(refreshToken).toHaveBeenCalledTimes(1);
+      expect(refreshToken).toHaveBeenCalledWith('old-refresh');
+      expect(user).toMatchObject({ epicRefreshToken: 'new-refresh', epicConnectionStatus: 'connected', epicRefreshFailures: 0 });
+    });
+
+    it('clears a revoked connection, records it and tells the user', async () => {
+      tokenEndpoint(jest.fn().mockRejectedValue(invalidGrant()));
+      const user = connectedUser();
+
+      await expect(ehrTokenManager.getAccessToken(user, organization)).rejects.toMatchObject({ code: 'REVOKED' });
+
+      expect(user).toMatchObject({ epicAccessToken: null, epicRefreshToken: null, epicConnectionStatus: 'revoked' });
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'EPIC_TOKEN_REVOKED', details: { reason: 'invalid_grant' } }));
+      expect(mailService.sendEmail).toHaveBeenCalledWith('jane@example.com', expect.any(String), expect.any(String));
+      await expect(ehrTokenManager.getAccessToken(user, organization)).rejects.toMatchObject({ code: 'REVOKED' });
+    });
+
+    it('keeps using a still-valid token when the refresh fails, and counts the failure', async () => {
+      tokenEndpoint(jest.fn().mockRejectedValue(new Error('HTTP 503')));
+      const user = connectedUser();
+
+      expect(await ehrTokenManager.getAccessToken(user, organization)).toBe('old-access');
+      expect(user).toMatchObject({ epicConnectionStatus: 'refresh_failed', epicRefreshFailures: 1, epicLastError: 'HTTP 503' });
+      expect(user.epicRefreshFailedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('refreshExpiring', () => {
+    it('backs off from users whose refreshes keep failing', async () => {
+      const refreshToken = tokenEndpoint(jest.fn().mockResolvedValue({ access_token: 'new-access', expires_in: 3600 }));
+      const failingRecently = connectedUser({
+        id: 'user-2',
+        epicConnectionStatus: 'refresh_failed',
+        epicRefreshFailures: 3,
+        epicRefreshFailedAt: new Date(Date.now() - 15 * MINUTE)
+      });
+      const failingLongAgo = connectedUser({
+        id: 'user-3',
+        epicConnectionStatus: 'refresh_failed',
+        epicRefreshFailures: 3,
+        epicRefreshFailedAt: new Date(Date.now() - 25 * MINUTE)
+      });
+      jest.spyOn(User, 'findAll').mockResolvedValue([connectedUser(), failingRecently, failingLongAgo]);
+
+      const results = await ehrTokenManager.refreshExpiring();
+
+      expect(results).toEqual({ checked: 3, refreshed: 2, revoked: 0, failed: 0, deferred: 1 });
+      expect(refreshToken).toHaveBeenCalledTimes(2);
+      expect(failingRecently.update).not.toHaveBeenCalled();
+    });
+
+    it('caps the wait at six hours', () => {
+      const failedAt = new Date('2026-03-01T00:00:00Z');
+      const user = { epicConnectionStatus: 'refresh_failed', epicRefreshFailures: 20, epicRefreshFailedAt: failedAt };
+      expect(ehrTokenManager.nextRetryAt(user)).toEqual(new Date(failedAt.getTime() + 6 * 60 * MINUTE));
+      expect(ehrTokenManager.nextRetryAt({ epicConnectionStatus: 'connected' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const eligibilityService = require('../../src/services/eligibilityService');
+
+const AS_OF = '2026-03-01';
+
+const patient = (values = {}) => ({ resourceType: 'Patient', id: 'p1', gender: 'female', birthDate: '1950-06-15', ...values });
+
+const condition = (code, clinicalStatus = 'active') => ({
+  resourceType: 'Condition',
+  id: `c-${code}`,
+  subject: { reference: 'Patient/p1' },
+  code: { coding: [{ system: 'http://hl7.org/fhir/sid/icd-10-cm', code }] },
+  clinicalStatus: { coding: [{ code: clinicalStatus }] }
+});
+
+const bmi = (value, date = '2026-01-10') => ({
+  resourceType: 'Observation',
+  id: `bmi-${date}`,
+  status: 'final',
+  subject: { reference: 'Patient/p1' },
+  code: { coding: [{ system: 'http://loinc.org', code: '39156-5' }] },
+  effectiveDateTime: date,
+  valueQuantity: { value, unit: 'kg/m2' }
+});
+
+const inpatientStay = (end, status = 'finished') => ({
+  resourceType: 'Encounter',
+  id: `enc-${end}`,
+  status,
+  class: { code: 'IMP' },
+  period: { start: end, end }
+});
+
+const evaluate = (eligibilityCriteria, resources, options = {}) =>
+  eligibilityService.evaluate({ id: 'plan-1', name: 'Plan', eligibilityCriteria }, resources, { asOf: AS_OF, ...options });
+
+const results = (evaluation) => Object.fromEntries(evaluation.checks.map(item => [item.criterion, item.result]));
+
+describe('eligibilityService', () => {
+  it('checks age, sex and active conditions against the patient\'s record', () => {
+    const evaluation = evaluate(
+      { minAge: 65, gender: 'female', conditions: ['E11', 'I10'], excludeConditions: ['N18.6'] },
+      [patient(), condition('E11.9'), condition('N18.6', 'resolved')]
+    );
+
+    expect(evaluation).toMatchObject({ patientId: 'p1', eligible: true, needsReview: false, reasons: [] });
+    expect(evaluation.checks).toEqual([
+      { criterion: 'minAge', result: 'met', message: 'Age 75 is at least 65' },
+      { criterion: 'gender', result: 'met', message: 'Sex is female' },
+      { criterion: 'conditions', result: 'met', message: 'Has active E11.9' },
+      { criterion: 'excludeConditions', result: 'met', message: 'No excluded condition (N18.6)' }
+    ]);
+  });
+
+  it('gives each failed criterion as a reason', () => {
+    const evaluation = evaluate(
+      { maxAge: 64, conditions: ['E11'], excludeConditions: ['N18.6'] },
+      [patient(), condition('E11.9', 'resolved'), condition('N18.6')]
+    );
+
+    expect(evaluation.eligible).toBe(false);
+    expect(evaluation.reasons).toEqual([
+      'Age 75 is over 64',
+      'No active condition in E11',
+      'Has excluded condition N18.6'
+    ]);
+  });
+
+  it('counts resolved conditions when the plan does not require active ones', () => {
+    const evaluation = evaluate({ conditions: ['E11'], requireActiveCondition: false }, [patient(), condition('E11.9', 'resolved')]);
+    expect(evaluation.checks).toEqual([{ criterion: 'conditions', result: 'met', message: 'Has E11.9' }]);
+  });
+
+  it('counts distinct chronic condition categories from the plan\'s codes', () => {
+    const carePlan = { eligibilityCriteria: { minChronicConditions: 2 }, icd10Codes: ['E11.9', 'I10', 'J44.9'] };
+    const resources = [patient(), condition('E11.9'), condition('E11.65'), condition('I10'), condition('M54.5')];
+
+    expect(eligibilityService.evaluate(carePlan, resources, { asOf: AS_OF }).checks[0])
+      .toEqual({ criterion: 'minChronicConditions', result: 'met', message: '2 qualifying chronic conditions (needs 2)' });
+  });
+
+  it('reads the latest BMI and recent hospital discharges', () => {
+    const criteria = { minBMI: 30, recentHospitalization: true, daysPostDischarge: 14 };
+
+    expect(results(evaluate(criteria, [patient(), bmi(28, '2025-06-01'), bmi(31.5), inpatientStay('2026-02-20')])))
+      .toEqual({ minBMI: 'met', recentHospitalization: 'met' });
+    expect(evaluate(criteria, [patient(), bmi(29), inpatientStay('2026-02-01'), inpatientStay('2026-02-25', 'cancelled')]).reasons)
+      .toEqual(['Latest BMI 29 is under 30', 'No hospital discharge in the last 14 days']);
+  });
+
+  it('flags criteria it cannot verify for review instead of failing the patient', () => {
+    const evaluation = evaluate(
+      { minAge: 18, minBMI: 30, insuranceType: 'Medicare', conditions: ['E11'] },
+      [patient({ birthDate: undefined })],
+      { resourceTypes: ['Observation'] }
+    );
+
+    expect(evaluation).toMatchObject({ eligible: true, needsReview: true });
+    expect(evaluation.unverified).toEqual([
+      'Birth date unknown',
+      'No BMI on record',
+      'Coverage (Medicare) is not read from the EHR',
+      'conditions needs Condition data, which was not loaded'
+    ]);
+  });
+
+  it('accepts a patient who meets any one of the program groups', () => {
+    const criteria = {
+      colorectal: { minAge: 45, maxAge: 75 },
+      breast: { minAge: 40, maxAge: 74, gender: 'female' }
+    };
+
+    expect(evaluate(criteria, [patient({ birthDate: '1980-01-01', gender: 'male' })]).checks)
+      .toEqual([{ criterion: 'programs', result: 'met', message: 'Qualifies for: colorectal' }]);
+    expect(evaluate(criteria, [patient({ birthDate: '2000-01-01' })]).reasons)
+      .toEqual(['Meets none of: colorectal, breast']);
+  });
+
+  it('adds cohort membership when the plan has a cohort', () => {
+    expect(results(evaluate({}, [patient()], { cohortMembers: new Set(['p1']) }))).toEqual({ cohort: 'met' });
+    expect(results(evaluate({}, [patient()], { cohortMembers: new Set() }))).toEqual({ cohort: 'not-met' });
+    expect(results(evaluate({}, [patient()], { cohortMembers: null }))).toEqual({ cohort: 'unverified' });
+  });
+
+  it('lists the resource types a care plan needs and loads them from the EHR', async () => {
+    const carePlan = { eligibilityCriteria: { conditions: ['E11'], minBMI: 30, noAWVInPast12Months: true } };
+    expect(eligibilityService.requiredResourceTypes(carePlan)).toEqual(['Condition', 'Observation', 'Encounter', 'Procedure']);
+
+    const epicService = {
+      getPatientById: jest.fn().mockResolvedValue(patient()),
+      getPatientConditions: jest.fn().mockResolvedValue({ entry: [{ resource: condition('E11.9') }] }),
+      getPatientObservations: jest.fn().mockResolvedValue({})
+    };
+    const resources = await eligibilityService.loadFromEhr(epicService, 'p1', ['Condition', 'Observation']);
+
+    expect(resources.map(resource => resource.resourceType)).toEqual(['Patient', 'Condition']);
+    expect(epicService.getPatientConditions).toHaveBeenCalledWith('p1');
+  });
+
+  it('summarises evaluations with the criteria most often failed', () => {
+    const evaluations = [
+      evaluate({ minAge: 80, gender: 'male' }, [patient()]),
+      evaluate({ minAge: 65 }, [patient()]),
+      evaluate({ minAge: 65, insuranceType: 'Medicare' }, [patient()])
+    ];
+
+    expect(eligibilityService.summarize(evaluations)).toEqual({
+      evaluated: 3,
+      eligible: 2,
+      ineligible: 1,
+      needsReview: 1,
+      failedBy: { minAge: 1, gender: 1 }
+    });
+  });
+});
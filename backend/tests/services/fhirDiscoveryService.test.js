@@ -0,0 +1,124 @@
+const axios = require('axios');
+const dns = require('dns');
+const ehr = require('../../src/services/ehr');
+const fhirDiscoveryService = require('../../src/services/fhirDiscoveryService');
+
+const BASE_URL = 'https://fhir.example.org/R4';
+
+const smartConfiguration = (overrides = {}) => ({
+  data: {
+    authorization_endpoint: 'https://auth.example.org/authorize',
+    token_endpoint: 'https://auth.example.org/token',
+    ...overrides
+  }
+});
+
+describe('fhirDiscoveryService', () => {
+  beforeEach(() => {
+    fhirDiscoveryService.clear();
+    // Every name resolves to a public address unless a test says otherwise
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.215.14', family: 4 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fetches an organization server without following redirects', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue(smartConfiguration());
+
+    const config = await fhirDiscoveryService.getSmartConfiguration(BASE_URL, { restrictHosts: true });
+
+    expect(config.tokenEndpoint).toBe('https://auth.example.org/token');
+    expect(axios.get).toHaveBeenCalledWith(`${BASE_URL}/.well-known/smart-configuration`, expect.objectContaining({
+      maxRedirects: 0,
+      httpsAgent: expect.anything()
+    }));
+  });
+
+  it.each([
+    ['token_endpoint', 'https://169.254.169.254/latest/meta-data'],
+    ['authorization_endpoint', 'http://auth.example.org/authorize']
+  ])('refuses an organization server advertising %s %s', async (field, url) => {
+    jest.spyOn(axios, 'get').mockResolvedValue(smartConfiguration({ [field]: url }));
+
+    await expect(fhirDiscoveryService.getSmartConfiguration(BASE_URL, { restrictHosts: true }))
+      .rejects.toMatchObject({ status: 400, code: 'EHR_URL_REFUSED', message: expect.stringMatching(new RegExp(`^${field} `)) });
+    expect(await fhirDiscoveryService.tryGetSmartConfiguration(BASE_URL, { restrictHosts: true })).toBeNull();
+  });
+
+  it('trusts the deployment\'s own server', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue(smartConfiguration({ token_endpoint: 'http://localhost:5000/oauth2/token' }));
+
+    const config = await fhirDiscoveryService.getSmartConfiguration('http://localhost:5000/fhir-sandbox/R4');
+
+    expect(config.tokenEndpoint).toBe('http://localhost:5000/oauth2/token');
+    expect(axios.get.mock.calls[0][1]).not.toHaveProperty('maxRedirects');
+  });
+
+  it('caches restricted and unrestricted results apart', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue(smartConfiguration({ token_endpoint: 'https://10.0.0.8/token' }));
+
+    expect(await fhirDiscoveryService.tryGetSmartConfiguration(BASE_URL)).toMatchObject({ tokenEndpoint: 'https://10.0.0.8/token' });
+    expect(await fhirDiscoveryService.tryGetSmartConfiguration(BASE_URL, { restrictHosts: true })).toBeNull();
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the interactions, search parameters and operations of the server\'s CapabilityStatement', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      data: {
+        resourceType: 'CapabilityStatement',
+        fhirVersion: '4.0.1',
+        software: { name: 'Example FHIR', version: '2.1' },
+        format: ['json'],
+        rest: [
+          { mode: 'client', resource: [{ type: 'Patient' }] },
+          {
+            mode: 'server',
+            operation: [{ name: 'export' }],
+            resource: [
+              {
+                type: 'Patient',
+                interaction: [{ code: 'read' }, { code: 'search-type' }],
+                searchParam: [{ name: 'name' }, { name: 'birthdate' }],
+                operation: [{ name: '$everything' }]
+              },
+              { type: 'Condition', interaction: [{ code: 'search-type' }] }
+            ]
+          }
+        ]
+      }
+    });
+
+    expect(await fhirDiscoveryService.getCapabilities(BASE_URL)).toEqual({
+      fhirVersion: '4.0.1',
+      software: { name: 'Example FHIR', version: '2.1' },
+      formats: ['json'],
+      operations: ['export'],
+      resources: {
+        Patient: { interactions: ['read', 'search-type'], searchParams: ['name', 'birthdate'], operations: ['everything'] },
+        Condition: { interactions: ['search-type'], searchParams: [], operations: [] }
+      },
+      fetchedAt: expect.any(String)
+    });
+    expect(axios.get.mock.calls[0][0]).toBe(`${BASE_URL}/metadata`);
+  });
+
+  describe('ehr.forOrganization', () => {
+    it('restricts an organization-supplied server and ignores a refused token endpoint', async () => {
+      jest.spyOn(axios, 'get').mockImplementation(async (url) => (url.endsWith('/metadata')
+        ? { data: { resourceType: 'CapabilityStatement', fhirVersion: '4.0.1' } }
+        : smartConfiguration({ token_endpoint: 'https://192.168.0.10/token' })));
+
+      const adapter = await ehr.forOrganization({ id: 'org-1', epicFhirBaseUrl: BASE_URL });
+
+      expect(adapter.restrictHosts).toBe(true);
+      expect(adapter.tokenUrl).not.toBe('https://192.168.0.10/token');
+      expect(adapter.capabilities.fhirVersion).toBe('4.0.1');
+    });
+
+    it('trusts the environment\'s base URL', () => {
+      expect(ehr.getOrganizationConfig({ id: 'org-1' }).restrictHosts).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const axios = require('axios');
+const FhirError = require('../../src/utils/fhirError');
+const fhirHttpClient = require('../../src/services/fhirHttpClient');
+
+const PATIENT_URL = 'https://fhir.example.org/R4/Patient/p1';
+
+// An axios error for an HTTP answer
+const httpError = (status, { headers = {}, data } = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers, data },
+  config: { url: PATIENT_URL, method: 'get' }
+});
+
+const networkError = (code) => Object.assign(new Error(code), { code, config: { url: PATIENT_URL, method: 'get' } });
+
+describe('fhirHttpClient', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('waits as long as Retry-After says before retrying', async () => {
+    jest.spyOn(axios, 'request')
+      .mockRejectedValueOnce(httpError(429, { headers: { 'retry-after': '2' } }))
+      .mockResolvedValueOnce({ status: 200, data: { id: 'p1' } });
+
+    const pending = fhirHttpClient.request({ url: PATIENT_URL });
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(axios.request).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect((await pending).data).toEqual({ id: 'p1' });
+    expect(axios.request).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries dropped connections on reads', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(axios, 'request')
+      .mockRejectedValueOnce(networkError('ECONNRESET'))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce({ status: 200, data: {} });
+
+    const pending = fhirHttpClient.request({ url: PATIENT_URL });
+    await jest.advanceTimersByTimeAsync(100);
+
+    expect((await pending).status).toBe(200);
+    expect(axios.request).toHaveBeenCalledTimes(3);
+  });
+
+  it('only retries a POST when the server did not act on it', async () => {
+    jest.spyOn(axios, 'request').mockRejectedValueOnce(httpError(502));
+    await expect(fhirHttpClient.request({ method: 'post', url: PATIENT_URL })).rejects.toMatchObject({ status: 502, retryable: false, attempts: 1 });
+
+    axios.request.mockRejectedValueOnce(httpError(503, { headers: { 'retry-after': '1' } }))
+      .mockResolvedValueOnce({ status: 201, data: {} });
+    const pending = fhirHttpClient.request({ method: 'post', url: PATIENT_URL });
+    await jest.advanceTimersByTimeAsync(1000);
+    expect((await pending).status).toBe(201);
+  });
+
+  it('gives up after the configured retries with the OperationOutcome', async () => {
+    const outcome = { resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'transient', diagnostics: 'Server busy' }] };
+    jest.spyOn(axios, 'request').mockRejectedValue(httpError(503, { headers: { 'retry-after': '1' }, data: outcome }));
+
+    const pending = fhirHttpClient.request({ url: PATIENT_URL }, { retries: 2 });
+    const assertion = expect(pending).rejects.toMatchObject({
+      status: 503,
+      attempts: 3,
+      message: 'FHIR request failed with 503: Server busy'
+    });
+    await jest.advanceTimersByTimeAsync(2000);
+    await assertion;
+    await expect(pending).rejects.toBeInstanceOf(FhirError);
+  });
+
+  it('does not retry errors a retry cannot fix', async () => {
+    jest.spyOn(axios, 'request').mockRejectedValue(httpError(404));
+    await expect(fhirHttpClient.request({ url: PATIENT_URL })).rejects.toMatchObject({ status: 404, retryable: false });
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops retrying when the next wait would pass the deadline', async () => {
+    jest.spyOn(axios, 'request').mockRejectedValue(httpError(429, { headers: { 'retry-after': '20' } }));
+    await expect(fhirHttpClient.request({ url: PATIENT_URL }, { deadlineMs: 10000 })).rejects.toMatchObject({ status: 429 });
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  describe('getRetryDelay', () => {
+    it('reads an HTTP-date Retry-After and caps long waits', () => {
+      jest.setSystemTime(new Date('2026-03-01T00:00:00Z'));
+      const at = (value) => fhirHttpClient.getRetryDelay(httpError(503, { headers: { 'retry-after': value } }), 1);
+
+      expect(at('Sun, 01 Mar 2026 00:00:05 GMT')).toBe(5000);
+      expect(at('3600')).toBe(30000);
+      expect(at('0')).toBe(0);
+    });
+
+    it('backs off exponentially with jitter otherwise', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.999);
+      expect(fhirHttpClient.getRetryDelay(httpError(503), 1)).toBe(499);
+      expect(fhirHttpClient.getRetryDelay(httpError(503), 3)).toBe(1998);
+      expect(fhirHttpClient.getRetryDelay(httpError(503), 20)).toBe(29970);
+    });
+  });
+
+  it('limits concurrent requests per key', async () => {
+    const releases = [];
+    jest.spyOn(axios, 'request').mockImplementation(() => new Promise(resolve => releases.push(() => resolve({ status: 200 }))));
+
+    const requests = Array.from({ length: 7 }, () => fhirHttpClient.request({ url: PATIENT_URL }, { concurrencyKey: 'org-1' }));
+    const other = fhirHttpClient.request({ url: PATIENT_URL }, { concurrencyKey: 'org-2' });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(axios.request).toHaveBeenCalledTimes(6);
+
+    releases.shift()();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(axios.request).toHaveBeenCalledTimes(7);
+
+    while (releases.length) {
+      releases.shift()();
+      await jest.advanceTimersByTimeAsync(0);
+    }
+    await Promise.all([...requests, other]);
+    expect(fhirHttpClient.slots.size).toBe(0);
+  });
+});
@@ -0,0 +1,195 @@
+const ehr = require('../../src/services/ehr');
+const fhirDiscoveryService = require('../../src/services/fhirDiscoveryService');
+
+const BASE_URL = 'https://fhir.example.org/R4';
+
+const bundle = (...ids) => ({
+  resourceType: 'Bundle',
+  type: 'searchset',
+  total: ids.length,
+  entry: ids.map(id => ({ resource: { resourceType: 'Observation', id } }))
+});
+
+// An adapter of the vendor's class whose requests are answered by `respond`
+const adapterFor = (vendor, respond = async () => ({ data: bundle() }), config = {}) => {
+  const Adapter = ehr.getAdapterClass(vendor);
+  const adapter = new Adapter({ baseUrl: BASE_URL, accessToken: 'token', ...config });
+  jest.spyOn(adapter, 'request').mockImplementation(respond);
+  return adapter;
+};
+
+describe('EHR adapters', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('forOrganization', () => {
+    beforeEach(() => {
+      jest.spyOn(fhirDiscoveryService, 'tryGetSmartConfiguration').mockResolvedValue(null);
+      jest.spyOn(fhirDiscoveryService, 'tryGetCapabilities').mockResolvedValue(null);
+    });
+
+    it('builds the adapter for the organization\'s EHR vendor', async () => {
+      expect(await ehr.forOrganization({ id: 'org-1', ehrVendor: 'cerner' })).toBeInstanceOf(ehr.CernerAdapter);
+      expect(await ehr.forOrganization({ id: 'org-1', ehrVendor: 'generic' })).not.toBeInstanceOf(ehr.EpicAdapter);
+      expect(await ehr.forOrganization({ id: 'org-1' })).toBeInstanceOf(ehr.EpicAdapter);
+      expect(ehr.getAdapterClass('unknown')).toBe(ehr.FhirR4Adapter);
+    });
+
+    it('lets the organization override its vendor\'s quirks', async () => {
+      const adapter = await ehr.forOrganization({ id: 'org-1', ehrVendor: 'cerner', settings: { ehrQuirks: { maxPageSize: 50 } } });
+
+      expect(adapter.quirks).toMatchObject({ maxPageSize: 50, supportsEverything: false, bulkExportLevels: ['group'] });
+      expect(adapter.organizationId).toBe('org-1');
+    });
+  });
+
+  describe('searches', () => {
+    it('caps the page size and requires a patient on Oracle Health', async () => {
+      const adapter = adapterFor('cerner');
+
+      await adapter.getResource('Encounter', { patient: 'p1', _count: 500 });
+      expect(adapter.request.mock.calls[0][0].params).toEqual({ patient: 'p1', _count: 100 });
+
+      await expect(adapter.getConditions()).rejects.toMatchObject({ status: 501, code: 'NOT_SUPPORTED' });
+      expect(adapter.supportsPopulationSearch('Patient')).toBe(true);
+    });
+
+    it('searches Epic observations once per required category and merges the pages', async () => {
+      const adapter = adapterFor('epic', async ({ params }) => ({ data: bundle(`${params.category}-1`) }));
+
+      const merged = await adapter.getPatientObservations('p1');
+
+      expect(adapter.request.mock.calls.map(([config]) => config.params)).toEqual([
+        { patient: 'p1', category: 'laboratory' },
+        { patient: 'p1', category: 'vital-signs' }
+      ]);
+      expect(merged).toMatchObject({ resourceType: 'Bundle', total: 2 });
+      expect(merged.entry.map(entry => entry.resource.id)).toEqual(['laboratory-1', 'vital-signs-1']);
+    });
+
+    it('follows relative next links until the limit', async () => {
+      const adapter = adapterFor('generic', async ({ url }) => ({
+        data: { ...bundle(url.slice(-1)), link: [{ relation: 'next', url: `Observation?page=${Number(url.slice(-1)) + 1}` }] }
+      }));
+      const first = { ...bundle('a', 'b'), link: [{ relation: 'next', url: '/Observation?page=1' }] };
+
+      const result = await adapter.getAllPages(first, { maxResults: 3 });
+
+      expect(adapter.request.mock.calls[0][0].url).toBe(`${BASE_URL}/Observation?page=1`);
+      expect(result).toMatchObject({ complete: false, truncated: true, pages: 2 });
+      expect(result.entries.map(entry => entry.resource.id)).toEqual(['a', 'b', '1']);
+    });
+
+    it('returns what it has when a later page fails', async () => {
+      const error = Object.assign(new Error('FHIR request failed with 500'), { status: 500 });
+      const adapter = adapterFor('generic', async () => { throw error; });
+
+      const result = await adapter.getAllPages({ ...bundle('a'), link: [{ relation: 'next', url: `${BASE_URL}/Observation?page=2` }] });
+
+      expect(result).toEqual({ entries: [bundle('a').entry[0]], complete: false, truncated: false, pages: 1, error });
+    });
+  });
+
+  describe('capabilities', () => {
+    const capabilities = {
+      operations: ['validate'],
+      resources: {
+        Patient: { interactions: ['read', 'search-type'], searchParams: [], operations: ['match'] },
+        Condition: { interactions: ['search-type'], searchParams: ['patient', 'code'], operations: [] },
+        Observation: { interactions: ['search-type'], searchParams: [], operations: [] },
+        Group: { interactions: ['read'], searchParams: [], operations: ['export'] },
+        Communication: { interactions: ['create'], searchParams: [], operations: [] }
+      }
+    };
+
+    it('assumes everything is supported without a CapabilityStatement', () => {
+      expect(adapterFor('generic').getFeatures(['Condition'])).toEqual({
+        vendor: 'generic',
+        capabilityStatement: false,
+        everything: 'native',
+        bulkExportLevels: ['system', 'group'],
+        conditionCodeSearch: true,
+        populationSearch: { Condition: true },
+        writeBack: { Communication: true, Task: true, CarePlan: true }
+      });
+    });
+
+    it('gates features on what the server says it supports', () => {
+      expect(adapterFor('generic', undefined, { capabilities }).getFeatures(['Condition', 'Encounter'])).toEqual({
+        vendor: 'generic',
+        capabilityStatement: true,
+        everything: 'assembled',
+        bulkExportLevels: ['group'],
+        conditionCodeSearch: true,
+        populationSearch: { Condition: true, Encounter: false },
+        writeBack: { Communication: true, Task: false, CarePlan: false }
+      });
+    });
+
+    it('leaves off optional search parameters the server does not list', async () => {
+      const adapter = adapterFor('generic', undefined, { capabilities });
+
+      await adapter.searchConditionsByCodes(['E11.9'], { clinicalStatus: ['active'] });
+
+      expect(adapter.request.mock.calls[0][0].params).toEqual({ code: 'http://hl7.org/fhir/sid/icd-10-cm|E11.9', _count: 200 });
+      expect(adapter.supportsSearchParam('Condition', '_lastUpdated')).toBe(true);
+    });
+
+    it('refuses calls the server does not support before making them', async () => {
+      const adapter = adapterFor('generic', undefined, { capabilities });
+
+      await expect(adapter.createTask({})).rejects.toMatchObject({ status: 501, code: 'NOT_SUPPORTED' });
+      await expect(adapter.initiateBulkExport()).rejects.toMatchObject({ status: 501, message: 'This FHIR server only exports by Group; set a bulk export Group id' });
+      expect(adapter.request).not.toHaveBeenCalled();
+    });
+
+    it('lists the resource types an assembled record is missing', async () => {
+      const adapter = adapterFor('generic', async ({ url }) => {
+        if (url.endsWith('/Observation')) throw new Error('FHIR request failed with 500');
+        return { data: url.endsWith('/Patient/p1') ? { resourceType: 'Patient', id: 'p1' } : bundle() };
+      }, { capabilities });
+
+      const record = await adapter.getPatientEverything('p1');
+
+      const outcome = record.entry[record.entry.length - 1];
+      expect(outcome.search).toEqual({ mode: 'outcome' });
+      expect(outcome.resource.issue.map(issue => [issue.expression[0], issue.code])).toEqual([
+        ['MedicationRequest', 'not-supported'],
+        ['Encounter', 'not-supported'],
+        ['Procedure', 'not-supported'],
+        ['Immunization', 'not-supported'],
+        ['AllergyIntolerance', 'not-supported'],
+        ['DiagnosticReport', 'not-supported'],
+        ['CarePlan', 'not-supported'],
+        ['Observation', 'incomplete']
+      ]);
+    });
+  });
+
+  describe('getPatientEverything', () => {
+    it('assembles the record from searches where $everything is not implemented', async () => {
+      const adapter = adapterFor('cerner', async ({ url }) => ({
+        data: url.endsWith('/Patient/p1') ? { resourceType: 'Patient', id: 'p1' } : bundle(url.split('/').pop())
+      }));
+
+      const record = await adapter.getPatientEverything('p1');
+
+      expect(adapter.request.mock.calls.some(([config]) => config.url.includes('$everything'))).toBe(false);
+      expect(record.entry[0].resource).toEqual({ resourceType: 'Patient', id: 'p1' });
+      expect(record.entry.map(entry => entry.resource.id)).toEqual(expect.arrayContaining(['Condition', 'Observation', 'CarePlan']));
+      expect(record.total).toBe(10);
+    });
+
+    it('falls back to searches when the server answers $everything with 404', async () => {
+      const adapter = adapterFor('generic', async ({ url }) => {
+        if (url.endsWith('$everything')) throw Object.assign(new Error('Not found'), { status: 404 });
+        return { data: url.endsWith('/Patient/p1') ? { resourceType: 'Patient', id: 'p1' } : bundle() };
+      });
+
+      expect((await adapter.getPatientEverything('p1')).entry).toEqual([
+        { fullUrl: `${BASE_URL}/Patient/p1`, resource: { resourceType: 'Patient', id: 'p1' } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const ehr = require('../../src/services/ehr');
+const fhirWriteBackService = require('../../src/services/fhirWriteBackService');
+
+const organization = { id: 'org-1', settings: { writeBack: { enabled: true, taskDueDays: 3 } } };
+const campaign = {
+  id: 'camp-1',
+  name: 'Spring diabetes outreach',
+  type: 'email',
+  CarePlan: { name: 'Diabetes Management', description: 'A1c control', interventions: [{ name: 'A1c test', frequency: 'quarterly' }, 'Diet review'] }
+};
+
+const outreachRow = (values = {}) => {
+  const outreach = {
+    id: 'out-1',
+    patientFhirId: 'p1',
+    selectedContent: 'Time for your A1c check',
+    sentAt: new Date('2026-03-01T10:00:00Z'),
+    fhirWriteBack: null,
+    ...values
+  };
+  outreach.update = jest.fn(async (changes) => Object.assign(outreach, changes));
+  return outreach;
+};
+
+// A FHIR service that gives each created resource the next id
+const fhirService = () => {
+  let next = 0;
+  const create = jest.fn(async () => ({ id: `r${++next}`, location: null }));
+  return { createCommunication: create, createTask: create, createCarePlan: create };
+};
+
+describe('fhirWriteBackService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is off unless the organization enables it, and asks for write scopes only then', () => {
+    expect(fhirWriteBackService.isEnabled({ settings: {} })).toBe(false);
+    expect(fhirWriteBackService.isEnabled(organization, 'task')).toBe(true);
+    expect(fhirWriteBackService.isEnabled({ settings: { writeBack: { enabled: true, task: false } } }, 'task')).toBe(false);
+
+    expect(fhirWriteBackService.getUserScope({ settings: {} })).toBe(ehr.DEFAULT_USER_SCOPE);
+    expect(fhirWriteBackService.getUserScope(organization)).toContain('user/Communication.write user/Task.write user/CarePlan.write');
+  });
+
+  describe('recordOutreachSent', () => {
+    it('writes a Communication and a follow-up Task that points at it', async () => {
+      const service = fhirService();
+      const outreach = outreachRow();
+
+      await fhirWriteBackService.recordOutreachSent(outreach, campaign, service, organization);
+
+      const [[communication], [task]] = service.createCommunication.mock.calls;
+      expect(communication).toMatchObject({
+        resourceType: 'Communication',
+        identifier: [{ system: 'urn:careflow:outreach', value: 'out-1' }],
+        status: 'completed',
+        medium: [{ coding: [expect.objectContaining({ code: 'EMAILWRIT' })] }],
+        subject: { reference: 'Patient/p1' },
+        topic: { text: 'Diabetes Management' },
+        sent: '2026-03-01T10:00:00.000Z',
+        payload: [{ contentString: 'Time for your A1c check' }]
+      });
+      expect(task).toMatchObject({ resourceType: 'Task', status: 'requested', focus: { reference: 'Communication/r1' }, for: { reference: 'Patient/p1' } });
+      expect(new Date(task.restriction.period.end) - new Date(task.authoredOn)).toBe(3 * 24 * 60 * 60 * 1000);
+      expect(outreach.fhirWriteBack).toMatchObject({ communication: { id: 'r1' }, task: { id: 'r2' }, errors: {} });
+    });
+
+    it('records a failed write and retries only what is missing', async () => {
+      const service = fhirService();
+      service.createTask = jest.fn().mockRejectedValueOnce(new Error('FHIR request failed with 403')).mockResolvedValueOnce({ id: 't1' });
+      const outreach = outreachRow();
+
+      await fhirWriteBackService.recordOutreachSent(outreach, campaign, service, organization);
+      expect(outreach.fhirWriteBack).toMatchObject({ communication: { id: 'r1' }, errors: { task: 'FHIR request failed with 403' } });
+
+      await fhirWriteBackService.recordOutreachSent(outreach, campaign, service, organization);
+      expect(service.createCommunication).toHaveBeenCalledTimes(1);
+      expect(service.createTask.mock.calls[1][0].focus).toEqual({ reference: 'Communication/r1' });
+      expect(outreach.fhirWriteBack).toMatchObject({ communication: { id: 'r1' }, task: { id: 't1' }, errors: {} });
+    });
+  });
+
+  describe('recordEnrollment', () => {
+    it('writes the care plan with its interventions as activities once', async () => {
+      const service = fhirService();
+      const outreach = outreachRow({ enrolledAt: new Date('2026-03-05T00:00:00Z') });
+
+      await fhirWriteBackService.recordEnrollment(outreach, campaign, service, organization);
+      await fhirWriteBackService.recordEnrollment(outreach, campaign, service, organization);
+
+      expect(service.createCarePlan).toHaveBeenCalledTimes(1);
+      expect(service.createCarePlan.mock.calls[0][0]).toMatchObject({
+        resourceType: 'CarePlan',
+        status: 'active',
+        title: 'Diabetes Management',
+        description: 'A1c control',
+        period: { start: '2026-03-05T00:00:00.000Z' },
+        activity: [
+          { detail: { status: 'not-started', description: 'A1c test - quarterly' } },
+          { detail: { status: 'not-started', description: 'Diet review' } }
+        ]
+      });
+      expect(outreach.fhirWriteBack.carePlan.id).toBe('r1');
+    });
+  });
+
+  describe('FhirR4Adapter.createResource', () => {
+    it('takes the new id from the Location header when the server returns no body', async () => {
+      const adapter = new ehr.FhirR4Adapter({ baseUrl: 'https://fhir.example.org/R4', accessToken: 'token' });
+      jest.spyOn(adapter, 'request').mockResolvedValue({
+        status: 201,
+        headers: { location: 'https://fhir.example.org/R4/Task/t9/_history/1' },
+        data: ''
+      });
+
+      const created = await adapter.createTask({ status: 'requested' });
+
+      expect(created).toEqual({ id: 't9', resource: null, location: 'https://fhir.example.org/R4/Task/t9/_history/1' });
+      expect(adapter.request.mock.calls[0][0]).toMatchObject({
+        method: 'POST',
+        url: 'https://fhir.example.org/R4/Task',
+        headers: { Authorization: 'Bearer token', Prefer: 'return=representation' },
+        data: { resourceType: 'Task', status: 'requested' }
+      });
+    });
+  });
+});
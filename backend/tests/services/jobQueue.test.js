@@ -0,0 +1,292 @@
+const { UniqueConstraintError } = require('sequelize');
+const { Job } = require('../../src/models');
+const jobQueue = require('../../src/services/jobQueue');
+const { registerJobHandlers } = require('../../src/jobs/handlers');
+
+const WAITING = 'careflow:jobs:waiting';
+const ACTIVE = 'careflow:jobs:active';
+const DELAYED = 'careflow:jobs:delayed';
+const lock = (id) => `careflow:jobs:lock:${id}`;
+
+// An in-memory Redis with the commands the queue uses: string keys with
+// SET NX/PX, lists, one sorted set and the lock release script
+const fakeRedis = () => {
+  const keys = new Map();
+  const list = (key) => {
+    if (!keys.has(key)) keys.set(key, []);
+    return keys.get(key);
+  };
+  const removeFromList = (key, value) => {
+    const items = list(key);
+    const before = items.length;
+    keys.set(key, items.filter(item => item !== value));
+    return before - keys.get(key).length;
+  };
+  const zset = () => {
+    if (!keys.has(DELAYED)) keys.set(DELAYED, new Map());
+    return keys.get(DELAYED);
+  };
+
+  return {
+    keys,
+    list,
+    set: jest.fn(async (key, value, options = {}) => {
+      if (options.NX && keys.has(key)) return null;
+      keys.set(key, value);
+      return 'OK';
+    }),
+    get: jest.fn(async (key) => keys.get(key) ?? null),
+    exists: jest.fn(async (key) => (keys.has(key) ? 1 : 0)),
+    del: jest.fn(async (names) => [].concat(names).filter(key => keys.delete(key)).length),
+    pExpire: jest.fn(async (key) => (keys.has(key) ? 1 : 0)),
+    eval: jest.fn(async (script, { keys: [key], arguments: [token] }) => {
+      if (keys.get(key) !== token) return 0;
+      keys.delete(key);
+      return 1;
+    }),
+    lPush: jest.fn(async (key, value) => list(key).unshift(value)),
+    lRem: jest.fn(async (key, count, value) => removeFromList(key, value)),
+    lRange: jest.fn(async (key) => [...list(key)]),
+    zAdd: jest.fn(async (key, { score, value }) => zset().set(value, score) && 1),
+    zRem: jest.fn(async (key, value) => (zset().delete(value) ? 1 : 0)),
+    zRangeByScore: jest.fn(async (key, min, max) => [...zset()].filter(([, score]) => score >= min && score <= max).map(([value]) => value))
+  };
+};
+
+// A Job row kept in memory
+const jobRow = (values = {}) => {
+  const job = {
+    id: 'job-1',
+    organizationId: 'org-1',
+    campaignId: null,
+    type: 'patients.bulk-analyze',
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: 3,
+    payload: {},
+    ...values
+  };
+  job.update = jest.fn(async (changes) => Object.assign(job, changes));
+  job.reload = jest.fn(async () => job);
+  return job;
+};
+
+describe('jobQueue', () => {
+  let redis;
+  const originalHandlers = new Map(jobQueue.handlers);
+
+  beforeAll(() => {
+    registerJobHandlers();
+  });
+
+  afterAll(() => {
+    jobQueue.handlers = originalHandlers;
+  });
+
+  beforeEach(() => {
+    redis = fakeRedis();
+    jest.spyOn(jobQueue, 'getClient').mockResolvedValue(redis);
+    jobQueue.unlocked = new Set();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('enqueue', () => {
+    it('records the job and puts it on the waiting list', async () => {
+      jest.spyOn(Job, 'create').mockImplementation(async (values) => jobRow({ ...values, id: 'job-7' }));
+
+      const job = await jobQueue.enqueue('patients.bulk-analyze', { patientIds: ['p1'] }, { organizationId: 'org-1' });
+
+      expect(job.uniqueKey).toBeNull();
+      expect(redis.list(WAITING)).toEqual(['job-7']);
+    });
+
+    it('gives targeting, content, sending and scheduled runs one unique key per campaign', async () => {
+      jest.spyOn(Job, 'create').mockImplementation(async (values) => jobRow(values));
+
+      for (const type of ['campaign.target', 'campaign.generate-content', 'campaign.send', 'campaign.scheduled-run']) {
+        const job = await jobQueue.enqueue(type, {}, { organizationId: 'org-1', campaignId: 'camp-1', unique: true });
+        expect(job.uniqueKey).toBe('campaign.outreach:camp-1');
+      }
+    });
+
+    it('answers a job the unique index refused with 409 and the active job', async () => {
+      const existing = jobRow({ id: 'job-running', type: 'campaign.send', status: 'running' });
+      jest.spyOn(Job, 'create').mockRejectedValue(new UniqueConstraintError({ message: 'duplicate key' }));
+      jest.spyOn(Job, 'findOne').mockResolvedValue(existing);
+
+      await expect(jobQueue.enqueue('campaign.target', {}, { organizationId: 'org-1', campaignId: 'camp-1', unique: true }))
+        .rejects.toMatchObject({ status: 409, job: existing, message: 'A campaign.send job is already queued or running for the campaign' });
+      expect(Job.findOne.mock.calls[0][0].where.uniqueKey).toBe('campaign.outreach:camp-1');
+      expect(redis.list(WAITING)).toEqual([]);
+    });
+  });
+
+  describe('process', () => {
+    it('claims a queued job, runs it and clears its lock', async () => {
+      const job = jobRow({ type: 'test.job' });
+      jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+      const handler = jest.fn(async () => ({ analyzed: 0 }));
+      jobQueue.register('test.job', handler);
+      redis.list(ACTIVE).push(job.id);
+
+      await jobQueue.process(job.id);
+
+      expect(handler).toHaveBeenCalledWith(job, expect.objectContaining({ progress: expect.any(Function) }));
+      expect(job).toMatchObject({ status: 'completed', attempts: 1, result: { analyzed: 0 } });
+      expect(redis.keys.has(lock(job.id))).toBe(false);
+      expect(redis.list(ACTIVE)).toEqual([]);
+    });
+
+    it('renews the lock while the job runs', async () => {
+      jest.useFakeTimers();
+      const job = jobRow({ type: 'test.job' });
+      jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+      let finish;
+      jobQueue.register('test.job', () => new Promise(resolve => { finish = resolve; }));
+
+      const processing = jobQueue.process(job.id);
+      await jest.advanceTimersByTimeAsync(0);
+      expect(redis.keys.get(lock(job.id))).toBe(jobQueue.workerId);
+
+      await jest.advanceTimersByTimeAsync(25 * 1000);
+      expect(redis.pExpire).toHaveBeenCalledTimes(2);
+      expect(redis.pExpire).toHaveBeenCalledWith(lock(job.id), 30 * 1000);
+
+      finish();
+      await processing;
+      await jest.advanceTimersByTimeAsync(30 * 1000);
+      expect(redis.pExpire).toHaveBeenCalledTimes(2);
+    });
+
+    it('skips a job that is no longer queued', async () => {
+      const job = jobRow({ status: 'cancelled', type: 'test.job' });
+      jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+      const handler = jest.fn();
+      jobQueue.register('test.job', handler);
+
+      await jobQueue.process(job.id);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(job.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retries', () => {
+    it('delays a failed attempt, then puts it back on the waiting list once due', async () => {
+      const job = jobRow({ type: 'test.job' });
+      jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+      jobQueue.register('test.job', async () => { throw new Error('HTTP 503'); });
+
+      const before = Date.now();
+      await jobQueue.process(job.id);
+
+      expect(job).toMatchObject({ status: 'queued', attempts: 1, errorMessage: 'HTTP 503' });
+      expect(job.retryAt.getTime() - before).toBeGreaterThanOrEqual(30 * 1000);
+      expect(await redis.zRangeByScore(DELAYED, 0, Infinity)).toEqual([job.id]);
+
+      await jobQueue.promoteDelayed();
+      expect(redis.list(WAITING)).toEqual([]);
+
+      jest.spyOn(Date, 'now').mockReturnValue(job.retryAt.getTime());
+      await jobQueue.promoteDelayed();
+      await jobQueue.promoteDelayed();
+      expect(redis.list(WAITING)).toEqual([job.id]);
+    });
+
+    it('fails at once on an error a retry cannot fix', async () => {
+      const job = jobRow({ type: 'test.job' });
+      jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+      jobQueue.register('test.job', async () => { throw Object.assign(new Error('Campaign not found'), { retryable: false }); });
+
+      await jobQueue.process(job.id);
+
+      expect(job).toMatchObject({ status: 'failed', attempts: 1, errorMessage: 'Campaign not found' });
+      expect(redis.zAdd).not.toHaveBeenCalled();
+    });
+
+    it('fails once the attempts are used up', async () => {
+      const job = jobRow({ type: 'test.job', attempts: 2 });
+      jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+      jobQueue.register('test.job', async () => { throw new Error('HTTP 503'); });
+
+      await jobQueue.process(job.id);
+
+      expect(job).toMatchObject({ status: 'failed', attempts: 3 });
+    });
+  });
+
+  describe('recoverStalled', () => {
+    it('retries a running job whose worker died, once it has been seen unlocked twice', async () => {
+      const stalled = jobRow({ id: 'job-stalled', status: 'running', attempts: 1 });
+      const alive = jobRow({ id: 'job-alive', status: 'running', attempts: 1 });
+      jest.spyOn(Job, 'findByPk').mockImplementation(async (id) => (id === stalled.id ? stalled : alive));
+      redis.list(ACTIVE).push(stalled.id, alive.id);
+      redis.keys.set(lock(alive.id), 'other-worker');
+
+      await jobQueue.recoverStalled();
+      expect(redis.list(ACTIVE)).toEqual([stalled.id, alive.id]);
+      expect(stalled.update).not.toHaveBeenCalled();
+
+      await jobQueue.recoverStalled();
+      expect(redis.list(ACTIVE)).toEqual([alive.id]);
+      expect(stalled).toMatchObject({ status: 'queued', errorMessage: 'Worker stopped while running the job' });
+      expect(await redis.zRangeByScore(DELAYED, 0, Infinity)).toEqual([stalled.id]);
+      expect(alive.update).not.toHaveBeenCalled();
+    });
+
+    it('puts a queued job that was claimed but never started back on the waiting list', async () => {
+      const job = jobRow({ id: 'job-claimed' });
+      jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+      redis.list(ACTIVE).push(job.id);
+
+      await jobQueue.recoverStalled();
+      await jobQueue.recoverStalled();
+
+      expect(redis.list(ACTIVE)).toEqual([]);
+      expect(redis.list(WAITING)).toEqual([job.id]);
+    });
+
+    it('finishes a stalled job that was being cancelled as cancelled', async () => {
+      const job = jobRow({ id: 'job-cancelling', status: 'running', cancelRequested: true });
+      jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+      redis.list(ACTIVE).push(job.id);
+
+      await jobQueue.recoverStalled();
+      await jobQueue.recoverStalled();
+
+      expect(job.status).toBe('cancelled');
+    });
+  });
+
+  describe('runExclusive', () => {
+    it('runs the task in one process at a time and releases the lock afterwards', async () => {
+      let finish;
+      const first = jobQueue.runExclusive('task', 60000, () => new Promise(resolve => { finish = resolve; }));
+      await new Promise(setImmediate);
+
+      const second = jest.fn();
+      expect(await jobQueue.runExclusive('task', 60000, second)).toBeNull();
+      expect(second).not.toHaveBeenCalled();
+
+      finish({ done: true });
+      expect(await first).toEqual({ done: true });
+      expect(redis.keys.size).toBe(0);
+      expect(await jobQueue.runExclusive('task', 60000, async () => 'again')).toBe('again');
+    });
+
+    it('releases the lock when the task fails, but not a lock another process took over', async () => {
+      await expect(jobQueue.runExclusive('task', 60000, async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+      expect(redis.keys.size).toBe(0);
+
+      await jobQueue.runExclusive('task', 60000, async () => {
+        // Our lock lapsed and another process holds it now
+        redis.keys.set('careflow:jobs:exclusive:task', 'other-process');
+      });
+      expect(redis.keys.get('careflow:jobs:exclusive:task')).toBe('other-process');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const observationNormalizer = require('../../src/services/observationNormalizer');
+
+const LOINC = 'http://loinc.org';
+
+const observation = ({ id = 'o1', loinc, value, unit, code, date = '2026-01-10', status = 'final', components } = {}) => ({
+  resourceType: 'Observation',
+  id,
+  status,
+  subject: { reference: 'Patient/p1' },
+  code: { coding: [{ system: LOINC, code: loinc }] },
+  effectiveDateTime: date,
+  ...(value !== undefined && { valueQuantity: { value, unit, ...(code && { code }) } }),
+  ...(components && {
+    component: components.map(([componentLoinc, componentValue]) => ({
+      code: { coding: [{ system: LOINC, code: componentLoinc }] },
+      valueQuantity: { value: componentValue, unit: 'mmHg', code: 'mm[Hg]' }
+    }))
+  })
+});
+
+const valueOf = (resource) => observationNormalizer.normalize(resource).map(reading => [reading.measure, reading.value]);
+
+describe('observationNormalizer', () => {
+  describe('normalize', () => {
+    it('identifies the measure by LOINC and keeps the original value', () => {
+      expect(observationNormalizer.normalize(observation({ loinc: '4548-4', value: 7.2, unit: '%' }))).toEqual([{
+        measure: 'hba1c',
+        name: 'Hemoglobin A1c',
+        loinc: '4548-4',
+        value: 7.2,
+        unit: '%',
+        originalValue: 7.2,
+        originalUnit: '%',
+        effectiveDate: '2026-01-10',
+        observationId: 'o1',
+        patientId: 'p1'
+      }]);
+    });
+
+    it('converts to the measure\'s canonical unit', () => {
+      expect(valueOf(observation({ loinc: '4548-4', value: 53, unit: 'mmol/mol' }))).toEqual([['hba1c', 7]]);
+      expect(valueOf(observation({ loinc: '2345-7', value: 5.5, unit: 'mmol/l' }))).toEqual([['glucose', 99.09]]);
+      expect(valueOf(observation({ loinc: '2160-0', value: 88.4, unit: 'µmol/L' }))).toEqual([['creatinine', 1]]);
+      expect(valueOf(observation({ loinc: '29463-7', value: 180, unit: 'pounds', code: '[lb_av]' }))).toEqual([['weight', 81.65]]);
+    });
+
+    it('skips values whose unit cannot be converted', () => {
+      expect(valueOf(observation({ loinc: '2345-7', value: 5.5, unit: 'mEq/L' }))).toEqual([]);
+    });
+
+    it('splits a blood pressure panel into its components', () => {
+      expect(valueOf(observation({ loinc: '85354-9', components: [['8480-6', 142], ['8462-4', 88]] })))
+        .toEqual([['systolicBp', 142], ['diastolicBp', 88]]);
+    });
+
+    it('ignores cancelled and entered-in-error observations and other code systems', () => {
+      expect(valueOf(observation({ loinc: '4548-4', value: 7.2, unit: '%', status: 'entered-in-error' }))).toEqual([]);
+      expect(observationNormalizer.identify({ coding: [{ system: 'http://example.org/local', code: '4548-4' }] })).toBeNull();
+    });
+  });
+
+  describe('getPatientMeasures', () => {
+    it('summarises the latest reading and its trend per measure', () => {
+      const bundle = {
+        entry: [
+          observation({ id: 'a1', loinc: '4548-4', value: 8.1, unit: '%', date: '2025-07-01' }),
+          observation({ id: 'a2', loinc: '4548-4', value: 75, unit: 'mmol/mol', date: '2026-01-10' }),
+          observation({ id: 'w1', loinc: '29463-7', value: 90, unit: 'kg', date: '2025-12-01' }),
+          observation({ id: 'w2', loinc: '29463-7', value: 90.1, unit: 'kg', date: '2026-01-01' }),
+          { resourceType: 'Patient', id: 'p1' }
+        ].map(resource => ({ resource }))
+      };
+
+      const summary = observationNormalizer.getPatientMeasures(bundle);
+
+      expect(summary.hba1c).toEqual({
+        name: 'Hemoglobin A1c',
+        unit: '%',
+        latest: { value: 9.01, date: '2026-01-10' },
+        previous: { value: 8.1, date: '2025-07-01' },
+        change: 0.91,
+        trend: 'rising',
+        aboveHigh: true,
+        readings: 2
+      });
+      expect(summary.weight).toMatchObject({ trend: 'stable', previous: { value: 90 } });
+      expect(Object.keys(summary)).toEqual(['hba1c', 'weight']);
+    });
+  });
+
+  it('keeps canonical values by measure for population rows', () => {
+    expect(observationNormalizer.toMeasureValues(observation({ loinc: '55284-4', components: [['8480-6', 120], ['8462-4', 80]] })))
+      .toEqual({ systolicBp: 120, diastolicBp: 80 });
+    expect(observationNormalizer.toMeasureValues(observation({ loinc: '0000-0', value: 1, unit: 'g' }))).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+const { PopulationCondition, PopulationPatient } = require('../../src/models');
+const populationStore = require('../../src/services/populationStore');
+
+describe('populationStore', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isSupported', () => {
+    it('accepts the stored resource types only', () => {
+      expect(populationStore.isSupported('Condition')).toBe(true);
+      expect(populationStore.isSupported('Practitioner')).toBe(false);
+      expect(populationStore.isSupported('constructor')).toBe(false);
+      expect(populationStore.isSupported('__proto__')).toBe(false);
+    });
+  });
+
+  describe('toRow', () => {
+    it('extracts the Patient columns', () => {
+      const row = populationStore.toRow('org-1', {
+        resourceType: 'Patient',
+        id: 'p1',
+        meta: { lastUpdated: '2026-01-02T03:04:05Z' },
+        name: [{ use: 'nickname', given: ['Jo'] }, { use: 'official', family: 'Doe', given: ['Jane', 'Q'] }],
+        birthDate: '1950-02-03',
+        gender: 'female',
+        telecom: [{ system: 'phone', value: '555-0100' }, { system: 'email', value: 'jane@example.com' }],
+        address: [{ postalCode: '02139' }],
+        deceasedDateTime: '2025-01-01'
+      }, { exportJobId: 'job-1' });
+
+      expect(row).toMatchObject({
+        organizationId: 'org-1',
+        fhirId: 'p1',
+        familyName: 'Doe',
+        givenName: 'Jane Q',
+        birthDate: '1950-02-03',
+        gender: 'female',
+        email: 'jane@example.com',
+        phone: '555-0100',
+        postalCode: '02139',
+        active: true,
+        deceased: true,
+        sourceUpdatedAt: new Date('2026-01-02T03:04:05Z'),
+        exportJobId: 'job-1'
+      });
+    });
+
+    it('prefers the ICD-10 coding of a Condition', () => {
+      const row = populationStore.toRow('org-1', {
+        resourceType: 'Condition',
+        id: 'c1',
+        subject: { reference: 'Patient/p1' },
+        code: {
+          coding: [
+            { system: 'http://snomed.info/sct', code: '44054006' },
+            { system: 'http://hl7.org/fhir/sid/icd-10-cm', code: 'E11.9', display: 'Type 2 diabetes' }
+          ]
+        },
+        clinicalStatus: { coding: [{ code: 'active' }] },
+        category: [{ coding: [{ code: 'problem-list-item' }] }],
+        onsetDateTime: '2020-05-01'
+      });
+
+      expect(row).toMatchObject({
+        patientId: 'p1',
+        code: 'E11.9',
+        codeSystem: 'http://hl7.org/fhir/sid/icd-10-cm',
+        codeSource: 'native',
+        clinicalStatus: 'active',
+        category: 'problem-list-item',
+        onsetDate: new Date('2020-05-01'),
+        exportJobId: null
+      });
+    });
+  });
+
+  describe('saveResources', () => {
+    it('upserts only resources of the given type with an id', async () => {
+      jest.spyOn(PopulationPatient, 'bulkCreate').mockResolvedValue([]);
+
+      const saved = await populationStore.saveResources('org-1', 'Patient', [
+        { resourceType: 'Patient', id: 'p1' },
+        { resourceType: 'Patient' },
+        { resourceType: 'Condition', id: 'c1' },
+        null
+      ]);
+
+      expect(saved).toBe(1);
+      const [rows, options] = PopulationPatient.bulkCreate.mock.calls[0];
+      expect(rows.map(row => row.fhirId)).toEqual(['p1']);
+      expect(options.updateOnDuplicate).toEqual(expect.arrayContaining(['resource', 'updatedAt']));
+      expect(options.updateOnDuplicate).not.toContain('organizationId');
+    });
+
+    it('writes nothing for an empty batch', async () => {
+      jest.spyOn(PopulationCondition, 'bulkCreate');
+      expect(await populationStore.saveResources('org-1', 'Condition', [])).toBe(0);
+      expect(PopulationCondition.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    it.each(['Practitioner', 'constructor'])('refuses %s', async (resourceType) => {
+      await expect(populationStore.saveResources('org-1', resourceType, [{ resourceType, id: 'x' }]))
+        .rejects.toThrow(`Unsupported population resource type: ${resourceType}`);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { SyncState } = require('../../src/models');
+const populationStore = require('../../src/services/populationStore');
+const populationSyncService = require('../../src/services/populationSyncService');
+
+const syncState = (values = {}) => {
+  const state = {
+    watermark: null,
+    ...values,
+    update: jest.fn(async (changes) => Object.assign(state, changes))
+  };
+  return state;
+};
+
+const condition = (id, lastUpdated) => ({
+  resourceType: 'Condition',
+  id,
+  ...(lastUpdated && { meta: { lastUpdated } })
+});
+
+const page = (...resources) => ({ resourceType: 'Bundle', entry: resources.map(resource => ({ resource })) });
+
+// An EHR client returning the given search pages in order
+const ehrClient = (pages, options = {}) => {
+  const remaining = [...pages];
+  return {
+    supportsPopulationSearch: jest.fn(() => options.searchable !== false),
+    getResource: jest.fn(async () => remaining.shift()),
+    getNextPage: jest.fn(async () => {
+      if (options.failOnPage && remaining.length === options.failOnPage) throw new Error('HTTP 503');
+      return remaining.shift() || null;
+    })
+  };
+};
+
+describe('populationSyncService', () => {
+  let state;
+
+  beforeEach(() => {
+    state = syncState();
+    jest.spyOn(SyncState, 'findOrCreate').mockImplementation(async () => [state, false]);
+    jest.spyOn(populationStore, 'saveResources').mockImplementation(async (orgId, type, resources) => resources.length);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pulls every page and advances the watermark to the newest lastUpdated', async () => {
+    const ehr = ehrClient([
+      page(condition('c1', '2026-03-01T00:00:00Z'), condition('c2', '2026-03-05T00:00:00Z')),
+      page(condition('c3', '2026-03-02T00:00:00Z'), { resourceType: 'OperationOutcome' })
+    ]);
+
+    const result = await populationSyncService.syncResourceType('org-1', 'Condition', ehr);
+
+    expect(ehr.getResource).toHaveBeenCalledWith('Condition', { _count: 200 });
+    expect(result).toMatchObject({ status: 'success', records: 3 });
+    expect(state).toMatchObject({
+      watermark: new Date('2026-03-05T00:00:00Z'),
+      lastStatus: 'success',
+      lastRecordCount: 3
+    });
+  });
+
+  it('only asks for changes since the watermark, unless a full sync is requested', async () => {
+    const incremental = ehrClient([page()]);
+    state = syncState({ watermark: new Date('2026-03-05T00:00:00Z') });
+    await populationSyncService.syncResourceType('org-1', 'Condition', incremental);
+    expect(incremental.getResource).toHaveBeenCalledWith('Condition', { _count: 200, _lastUpdated: 'gt2026-03-05T00:00:00.000Z' });
+
+    const full = ehrClient([page()]);
+    await populationSyncService.syncResourceType('org-1', 'Condition', full, { full: true });
+    expect(full.getResource).toHaveBeenCalledWith('Condition', { _count: 200 });
+  });
+
+  it('advances the watermark to the start of the run when the server omits lastUpdated', async () => {
+    const before = new Date();
+    await populationSyncService.syncResourceType('org-1', 'Condition', ehrClient([page(condition('c1'))]));
+
+    expect(state.watermark.getTime()).toBeGreaterThanOrEqual(before.getTime());
+    expect(state.lastSyncedAt).toBe(state.watermark);
+  });
+
+  it('keeps the old watermark when a page fails, so the next run retries the changes', async () => {
+    const watermark = new Date('2026-03-01T00:00:00Z');
+    state = syncState({ watermark });
+    const ehr = ehrClient([page(condition('c1', '2026-03-09T00:00:00Z')), page()], { failOnPage: 1 });
+
+    const result = await populationSyncService.syncResourceType('org-1', 'Condition', ehr);
+
+    expect(result).toEqual({ status: 'failed', records: 1, error: 'HTTP 503' });
+    expect(state).toMatchObject({ watermark, lastStatus: 'failed', lastError: 'HTTP 503' });
+  });
+
+  it('skips types the server cannot search across patients', async () => {
+    const ehr = ehrClient([], { searchable: false });
+    const result = await populationSyncService.syncResourceType('org-1', 'Observation', ehr);
+
+    expect(result.status).toBe('skipped');
+    expect(ehr.getResource).not.toHaveBeenCalled();
+  });
+
+  it('runs one sync per organization at a time', async () => {
+    let release;
+    const ehr = ehrClient([]);
+    ehr.getResource.mockImplementation(() => new Promise(resolve => { release = () => resolve(page()); }));
+
+    const first = populationSyncService.syncOrganization({ id: 'org-1' }, ehr, { resourceTypes: ['Condition'] });
+    await new Promise(setImmediate);
+    expect(await populationSyncService.syncOrganization({ id: 'org-1' }, ehr)).toEqual({ skipped: true, reason: 'Sync already running' });
+
+    release();
+    expect(await first).toMatchObject({ skipped: false, results: { Condition: { status: 'success' } } });
+    expect(populationSyncService.isRunning('org-1')).toBe(false);
+  });
+});
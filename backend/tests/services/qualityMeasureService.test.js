@@ -0,0 +1,302 @@
+const qualityMeasureService = require('../../src/services/qualityMeasureService');
+
+const AS_OF = '2026-06-15';
+const CPT = 'http://www.ama-assn.org/go/cpt';
+const ICD10 = 'http://hl7.org/fhir/sid/icd-10-cm';
+const LOINC = 'http://loinc.org';
+const CVX = 'http://hl7.org/fhir/sid/cvx';
+
+// Fixture resources, shaped like an EHR's $everything output
+const patient = (birthDate, gender = 'female') => ({ resourceType: 'Patient', id: 'p1', birthDate, gender });
+const procedure = (id, code, date, status = 'completed') => ({
+  resourceType: 'Procedure',
+  id,
+  status,
+  code: { coding: [{ system: CPT, code }] },
+  performedDateTime: date
+});
+const condition = (id, code, clinicalStatus = 'active', verificationStatus) => ({
+  resourceType: 'Condition',
+  id,
+  code: { coding: [{ system: ICD10, code }] },
+  clinicalStatus: { coding: [{ code: clinicalStatus }] },
+  ...(verificationStatus && { verificationStatus: { coding: [{ code: verificationStatus }] } }),
+  recordedDate: '2020-01-01'
+});
+const observation = (id, code, date, status = 'final') => ({
+  resourceType: 'Observation',
+  id,
+  status,
+  code: { coding: [{ system: LOINC, code }] },
+  effectiveDateTime: date,
+  valueQuantity: { value: 7.2, unit: '%' }
+});
+const immunization = (id, code, date, status = 'completed') => ({
+  resourceType: 'Immunization',
+  id,
+  status,
+  vaccineCode: { coding: [{ system: CVX, code }] },
+  occurrenceDateTime: date
+});
+const bundle = (...resources) => ({
+  resourceType: 'Bundle',
+  type: 'searchset',
+  entry: resources.map(resource => ({ resource }))
+});
+
+const evaluate = (resources, measureId) => {
+  const evaluation = qualityMeasureService.evaluatePatient(resources, { measureIds: [measureId], asOf: AS_OF });
+  return evaluation.results[0];
+};
+
+describe('qualityMeasureService', () => {
+  beforeAll(() => {
+    qualityMeasureService.load();
+  });
+
+  describe('evaluatePatient', () => {
+    it('summarizes every measure for a bundle', () => {
+      const evaluation = qualityMeasureService.evaluatePatient(
+        bundle(patient('1960-03-01'), procedure('col1', '45378', '2020-05-01')),
+        { asOf: AS_OF }
+      );
+
+      expect(evaluation).toMatchObject({
+        definitionsVersion: 'careflow-2026.1',
+        asOf: AS_OF,
+        patientId: 'p1',
+        age: 66,
+        sex: 'female',
+        complete: true,
+        incomplete: []
+      });
+      expect(evaluation.results.map(result => result.id)).toEqual(
+        qualityMeasureService.getMeasures().map(measure => measure.id)
+      );
+      const total = Object.values(evaluation.summary).reduce((sum, count) => sum + count, 0);
+      expect(total).toBe(evaluation.results.length);
+      expect(evaluation.summary.met).toBe(1);
+    });
+
+    it('accepts an array of resources', () => {
+      const result = evaluate([patient('1960-03-01'), procedure('col1', '45378', '2020-05-01')], 'colorectal');
+      expect(result.status).toBe('met');
+    });
+
+    it('gives the same result for the same input', () => {
+      const resources = bundle(patient('1960-03-01'), procedure('col1', '45378', '2020-05-01'), observation('fit1', '77353-1', '2025-01-01'));
+      expect(qualityMeasureService.evaluatePatient(resources, { asOf: AS_OF }))
+        .toEqual(qualityMeasureService.evaluatePatient(resources, { asOf: AS_OF }));
+    });
+
+    it('rejects unknown measure ids with a 400', () => {
+      expect(() => qualityMeasureService.evaluatePatient([], { measureIds: ['nope'] }))
+        .toThrow(expect.objectContaining({ status: 400, message: 'Unknown quality measures: nope' }));
+    });
+  });
+
+  describe('met', () => {
+    it('cites the evidence, when it was performed and when it is next due', () => {
+      const result = evaluate(bundle(patient('1960-03-01'), procedure('col1', '45378', '2020-05-01')), 'colorectal');
+
+      expect(result).toMatchObject({
+        id: 'colorectal',
+        reference: 'CMS130',
+        status: 'met',
+        reason: null,
+        lastPerformed: '2020-05-01',
+        dueDate: '2030-05-01'
+      });
+      expect(result.evidence).toEqual([{
+        label: 'Colonoscopy',
+        reference: 'Procedure/col1',
+        resourceType: 'Procedure',
+        id: 'col1',
+        system: CPT,
+        code: '45378',
+        display: null,
+        date: '2020-05-01',
+        dueDate: '2030-05-01'
+      }]);
+    });
+
+    it('is current until the longest-lasting evidence runs out', () => {
+      const result = evaluate(bundle(
+        patient('1960-03-01'),
+        procedure('col1', '45378', '2020-05-01'),
+        observation('fobt1', '2335-8', '2026-01-10')
+      ), 'colorectal');
+
+      expect(result.lastPerformed).toBe('2026-01-10');
+      expect(result.dueDate).toBe('2030-05-01');
+      expect(result.evidence.map(item => item.reference)).toEqual(['Observation/fobt1', 'Procedure/col1']);
+    });
+
+    it('matches codings without a system against any of the criterion systems', () => {
+      const unsystemed = { ...procedure('col1', '45378', '2020-05-01'), code: { coding: [{ code: '45378' }] } };
+      expect(evaluate(bundle(patient('1960-03-01'), unsystemed), 'colorectal').status).toBe('met');
+    });
+
+    it('uses normalized observation measures for lab criteria', () => {
+      const result = evaluate(bundle(
+        patient('1970-01-01'),
+        condition('dm', 'E11.9'),
+        observation('a1c', '4548-4', '2026-03-01')
+      ), 'diabetesA1c');
+
+      expect(result.status).toBe('met');
+      expect(result.qualifyingConditions.map(item => item.reference)).toEqual(['Condition/dm']);
+    });
+  });
+
+  describe('gap', () => {
+    it('reports no evidence on record', () => {
+      const result = evaluate(bundle(patient('1960-03-01')), 'colorectal');
+      expect(result).toMatchObject({
+        status: 'gap',
+        reason: 'No qualifying evidence on record',
+        lastPerformed: null,
+        dueDate: null,
+        evidence: []
+      });
+    });
+
+    it('reports evidence that is too old and when it fell due', () => {
+      const result = evaluate(bundle(patient('1960-03-01'), procedure('col1', '45378', '2014-02-01')), 'colorectal');
+      expect(result).toMatchObject({
+        status: 'gap',
+        reason: 'Most recent evidence is outside the lookback window',
+        lastPerformed: '2014-02-01',
+        dueDate: '2024-02-01'
+      });
+      expect(result.evidence.map(item => item.reference)).toEqual(['Procedure/col1']);
+    });
+
+    it.each([
+      ['a procedure that was not completed', procedure('col1', '45378', '2024-01-01', 'not-done')],
+      ['an observation entered in error', observation('fobt1', '2335-8', '2026-01-01', 'entered-in-error')],
+      ['a code from another measure', procedure('mammo', '77067', '2025-01-01')]
+    ])('ignores %s', (name, resource) => {
+      expect(evaluate(bundle(patient('1960-03-01'), resource), 'colorectal').status).toBe('gap');
+    });
+  });
+
+  describe('lookback windows', () => {
+    it('counts evidence on the first day of the window', () => {
+      const result = evaluate(bundle(patient('1960-03-01'), procedure('col1', '45378', '2016-06-15')), 'colorectal');
+      expect(result.status).toBe('met');
+      expect(result.dueDate).toBe('2026-06-15');
+    });
+
+    it('does not count evidence the day before the window', () => {
+      const result = evaluate(bundle(patient('1960-03-01'), procedure('col1', '45378', '2016-06-14')), 'colorectal');
+      expect(result.status).toBe('gap');
+      expect(result.dueDate).toBe('2026-06-14');
+    });
+
+    it('gives each criterion its own window', () => {
+      // Fecal occult blood counts for a year, sigmoidoscopy for five
+      const fobt = observation('fobt1', '2335-8', '2025-06-14');
+      const sigmoidoscopy = procedure('sig1', '45330', '2021-06-15');
+      expect(evaluate(bundle(patient('1960-03-01'), fobt), 'colorectal').status).toBe('gap');
+      expect(evaluate(bundle(patient('1960-03-01'), sigmoidoscopy), 'colorectal').status).toBe('met');
+    });
+
+    it('handles month windows', () => {
+      const inWindow = immunization('flu1', '158', '2025-06-15');
+      const outOfWindow = immunization('flu1', '158', '2025-06-14');
+      expect(evaluate(bundle(patient('1960-03-01'), inWindow), 'flu').status).toBe('met');
+      expect(evaluate(bundle(patient('1960-03-01'), outOfWindow), 'flu').status).toBe('gap');
+    });
+
+    it('ignores evidence dated after the evaluation date', () => {
+      const result = evaluate(bundle(patient('1960-03-01'), procedure('col1', '45378', '2026-06-16')), 'colorectal');
+      expect(result.status).toBe('gap');
+      expect(result.evidence).toEqual([]);
+    });
+  });
+
+  describe('excluded', () => {
+    it('takes patients with an exclusion out of the measure, with the evidence', () => {
+      const result = evaluate(bundle(patient('1960-03-01'), condition('crc', 'C18.9')), 'colorectal');
+      expect(result).toMatchObject({ status: 'excluded', reason: 'Colorectal cancer' });
+      expect(result.evidence.map(item => item.reference)).toEqual(['Condition/crc']);
+    });
+
+    it('checks exclusions before the numerator', () => {
+      const result = evaluate(bundle(
+        patient('1960-03-01'),
+        procedure('col1', '45378', '2020-05-01'),
+        procedure('colectomy', '44150', '2019-01-01')
+      ), 'colorectal');
+      expect(result).toMatchObject({ status: 'excluded', reason: 'Total colectomy' });
+    });
+
+    it('ignores refuted conditions', () => {
+      const result = evaluate(bundle(patient('1960-03-01'), condition('crc', 'C18.9', 'active', 'refuted')), 'colorectal');
+      expect(result.status).toBe('gap');
+    });
+  });
+
+  describe('not-applicable', () => {
+    it.each([
+      ['younger than the minimum age', patient('1990-01-01'), 'Younger than 45'],
+      ['older than the maximum age', patient('1940-01-01'), 'Older than 75'],
+      ['without a birth date', patient(undefined), 'Birth date unknown']
+    ])('leaves out patients %s', (name, resource, reason) => {
+      expect(evaluate(bundle(resource), 'colorectal')).toMatchObject({ status: 'not-applicable', reason });
+    });
+
+    it('applies from the birthday that reaches the minimum age', () => {
+      expect(evaluate(bundle(patient('1981-06-15')), 'colorectal').status).toBe('gap');
+      expect(evaluate(bundle(patient('1981-06-16')), 'colorectal').status).toBe('not-applicable');
+    });
+
+    it('applies sex-specific measures to that sex only', () => {
+      expect(evaluate(bundle(patient('1960-03-01', 'male')), 'breastCancer'))
+        .toMatchObject({ status: 'not-applicable', reason: 'Applies to female patients only' });
+    });
+
+    it('requires an active qualifying condition when the measure names one', () => {
+      expect(evaluate(bundle(patient('1970-01-01')), 'diabetesA1c'))
+        .toMatchObject({ status: 'not-applicable', reason: 'No qualifying condition' });
+      expect(evaluate(bundle(patient('1970-01-01'), condition('dm', 'E11.9', 'resolved')), 'diabetesA1c'))
+        .toMatchObject({ status: 'not-applicable', reason: 'No qualifying condition' });
+    });
+  });
+
+  describe('unverified', () => {
+    // What FhirR4Adapter.assembleEverything adds when a search fails
+    const missing = (...resourceTypes) => ({
+      resourceType: 'OperationOutcome',
+      issue: resourceTypes.map(type => ({ severity: 'warning', code: 'incomplete', expression: [type] }))
+    });
+
+    it('does not report a gap when the records it depends on failed to load', () => {
+      const evaluation = qualityMeasureService.evaluatePatient(
+        bundle(patient('1960-03-01'), missing('Procedure')),
+        { measureIds: ['colorectal'], asOf: AS_OF }
+      );
+
+      expect(evaluation.complete).toBe(false);
+      expect(evaluation.incomplete).toEqual(['Procedure']);
+      expect(evaluation.results[0]).toMatchObject({
+        status: 'unverified',
+        reason: 'Procedure could not be read from the EHR',
+        missingResourceTypes: ['Procedure']
+      });
+      expect(evaluation.summary).toMatchObject({ gap: 0, unverified: 1 });
+    });
+
+    it('keeps results that the loaded records already decide', () => {
+      const resources = bundle(patient('1960-03-01'), observation('fobt1', '2335-8', '2026-01-10'), missing('Procedure'));
+      expect(evaluate(resources, 'colorectal').status).toBe('met');
+      expect(evaluate(resources, 'flu').status).toBe('gap');
+    });
+
+    it('does not rule a patient out of a measure when conditions failed to load', () => {
+      expect(evaluate(bundle(patient('1970-01-01'), missing('Condition')), 'diabetesA1c'))
+        .toMatchObject({ status: 'unverified', missingResourceTypes: ['Condition'] });
+    });
+  });
+});
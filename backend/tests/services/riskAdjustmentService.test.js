@@ -0,0 +1,214 @@
+const path = require('path');
+const riskAdjustmentService = require('../../src/services/riskAdjustmentService');
+
+const MODEL_PATH = path.join(__dirname, '../fixtures/hcc_model.json');
+const MAPPING_PATH = path.join(__dirname, '../fixtures/hcc_mapping.csv');
+const AS_OF = '2026-06-15';
+
+const calculate = (options) => riskAdjustmentService.calculate({ sex: 'female', age: 67, asOf: AS_OF, ...options });
+const linesOf = (result, type) => result.lines.filter(line => line.type === type);
+
+describe('riskAdjustmentService', () => {
+  beforeEach(() => {
+    riskAdjustmentService.load(MODEL_PATH, null);
+  });
+
+  describe('load', () => {
+    it('keeps only mappings to HCCs the model pays for', () => {
+      expect(riskAdjustmentService.load(MODEL_PATH, null)).toBe(6);
+      expect(riskAdjustmentService.mapCode('Z99.9')).toBeNull();
+    });
+
+    it('replaces the mappings with a CMS mapping table', () => {
+      expect(riskAdjustmentService.load(MODEL_PATH, MAPPING_PATH)).toBe(2);
+      expect(riskAdjustmentService.mapCode('E11.22')).toBe('HCC18');
+      expect(riskAdjustmentService.mapCode('I50.9')).toBe('HCC85');
+      expect(riskAdjustmentService.mapCode('J44.9')).toBeNull();
+    });
+  });
+
+  describe('parseMappingTable', () => {
+    it('reads quoted CSV and tab-separated tables', () => {
+      const csv = 'Diagnosis Code,Description,CMS-HCC V24\nE1122,"Diabetes, with ""CKD""",18\nR69,Illness,\n';
+      expect(riskAdjustmentService.parseMappingTable(csv)).toEqual([['E1122', '18']]);
+
+      const tsv = 'ICD10\tV22 HCC\tV24 HCC\nI509\t80\t85\n';
+      expect(riskAdjustmentService.parseMappingTable(tsv, 'V24 HCC')).toEqual([['I509', '85']]);
+    });
+
+    it('rejects a table without code and HCC columns', () => {
+      expect(() => riskAdjustmentService.parseMappingTable('a,b\n1,2\n')).toThrow('Unrecognised ICD-10 to HCC mapping table');
+    });
+  });
+
+  describe('mapCode', () => {
+    it('prefers an exact match, then the longest mapped prefix', () => {
+      expect(riskAdjustmentService.mapCode('E11.22')).toBe('HCC18');
+      expect(riskAdjustmentService.mapCode('e1122')).toBe('HCC18');
+      expect(riskAdjustmentService.mapCode('E11.9')).toBe('HCC19');
+      expect(riskAdjustmentService.mapCode('E11.649')).toBe('HCC19');
+      expect(riskAdjustmentService.mapCode('I48.0')).toBeNull();
+      expect(riskAdjustmentService.mapCode('E1')).toBeNull();
+    });
+  });
+
+  describe('calculate', () => {
+    it('scores demographics alone with no diagnoses', () => {
+      expect(calculate({})).toMatchObject({
+        modelVersion: 'test-hcc-model',
+        asOf: AS_OF,
+        age: 67,
+        sex: 'female',
+        segment: 'aged',
+        rawScore: 0.3,
+        score: 0.24,
+        normalizationFactor: 1.25,
+        hccs: [],
+        lines: [{ type: 'demographic', label: 'Female 65-69', coefficient: 0.3 }],
+        warnings: []
+      });
+    });
+
+    it('explains every term of the score', () => {
+      const result = calculate({ diagnoses: ['E11.22', 'E11.9', 'I50.9'] });
+
+      expect(result.hccs).toEqual(['HCC18', 'HCC85']);
+      expect(result.lines).toEqual([
+        { type: 'demographic', label: 'Female 65-69', coefficient: 0.3 },
+        { type: 'hcc', hcc: 'HCC18', label: 'Diabetes with Chronic Complications', coefficient: 0.3, codes: [{ code: 'E11.22' }] },
+        { type: 'hcc', hcc: 'HCC85', label: 'Congestive Heart Failure', coefficient: 0.4, codes: [{ code: 'I50.9' }] },
+        { type: 'interaction', name: 'DIABETES_CHF', label: 'Diabetes and heart failure', coefficient: 0.1, hccs: ['HCC18', 'HCC85'] },
+        { type: 'hccCount', label: '2 payment HCCs', coefficient: 0.01 }
+      ]);
+      expect(result.rawScore).toBe(1.11);
+      expect(result.score).toBe(0.888);
+    });
+
+    describe('hierarchies', () => {
+      it('drops the less severe HCC of a family, recording what dropped it', () => {
+        const result = calculate({ diagnoses: ['E11.9', { code: 'E11.22', display: 'Diabetic CKD', conditionId: 'c1' }] });
+        expect(result.hccs).toEqual(['HCC18']);
+        expect(result.droppedHccs).toEqual([{
+          hcc: 'HCC19',
+          description: 'Diabetes without Complication',
+          droppedBy: 'HCC18',
+          codes: [{ code: 'E11.9' }]
+        }]);
+        expect(linesOf(result, 'hcc')[0].codes).toEqual([{ code: 'E11.22', display: 'Diabetic CKD', conditionId: 'c1' }]);
+      });
+
+      it('keeps the lower HCC when the higher one is absent', () => {
+        const result = calculate({ diagnoses: ['E11.9'] });
+        expect(result.hccs).toEqual(['HCC19']);
+        expect(result.droppedHccs).toEqual([]);
+      });
+    });
+
+    describe('interactions', () => {
+      it('apply when every group has a payment HCC', () => {
+        const result = calculate({ diagnoses: ['E11.9', 'I50.9', 'J44.9'] });
+        expect(linesOf(result, 'interaction').map(line => [line.name, line.hccs])).toEqual([
+          ['DIABETES_CHF', ['HCC19', 'HCC85']],
+          ['CHF_COPD', ['HCC85', 'HCC111']]
+        ]);
+      });
+
+      it('do not apply when a group is missing', () => {
+        expect(linesOf(calculate({ diagnoses: ['E11.9', 'J44.9'] }), 'interaction')).toEqual([]);
+      });
+
+      it('do not count HCCs dropped by a hierarchy', () => {
+        // HCC19 is dropped by HCC18, which still meets the diabetes group
+        const result = calculate({ diagnoses: ['E11.22', 'E11.9', 'I50.9'] });
+        expect(linesOf(result, 'interaction')[0].hccs).toEqual(['HCC18', 'HCC85']);
+      });
+    });
+
+    describe('payment HCC count bands', () => {
+      it.each([
+        [['E11.9'], null],
+        [['E11.9', 'I50.9'], 0.01],
+        [['E11.9', 'I50.9', 'J44.9'], 0.02],
+        [['E11.9', 'I50.9', 'J44.9', 'I48.91'], 0.05],
+        [['E11.9', 'I50.9', 'J44.9', 'I48.91', 'M05.79'], 0.05]
+      ])('%j adds %p', (diagnoses, coefficient) => {
+        const [line] = linesOf(calculate({ diagnoses }), 'hccCount');
+        expect(line ? line.coefficient : null).toBe(coefficient);
+      });
+
+      it('count HCCs after hierarchies', () => {
+        const [line] = linesOf(calculate({ diagnoses: ['E11.22', 'E11.9'] }), 'hccCount');
+        expect(line).toBeUndefined();
+      });
+    });
+
+    it('counts each code once and lists unmapped codes', () => {
+      const result = calculate({ diagnoses: ['I50.9', 'i509', 'R69', '', null, { code: 'Z00.00', display: 'Exam' }] });
+      expect(linesOf(result, 'hcc')[0].codes).toEqual([{ code: 'I50.9' }]);
+      expect(result.unmappedCodes).toEqual([{ code: 'R69' }, { code: 'Z00.00', display: 'Exam' }]);
+    });
+
+    it('uses the disabled segment under 65 and the open-ended band at the top', () => {
+      expect(calculate({ age: 64, sex: 'M' })).toMatchObject({
+        segment: 'disabled',
+        lines: [{ type: 'demographic', label: 'Male 0-64', coefficient: 0.25 }]
+      });
+      expect(calculate({ age: 92, sex: 'male' }).lines[0]).toEqual({ type: 'demographic', label: 'Male 70+', coefficient: 0.45 });
+    });
+
+    it('takes the age from the birth date as of the scoring date', () => {
+      expect(calculate({ age: undefined, birthDate: '1961-06-15' }).age).toBe(65);
+      expect(calculate({ age: undefined, birthDate: '1961-06-16' })).toMatchObject({ age: 64, segment: 'disabled' });
+    });
+
+    it('warns instead of guessing a missing age or sex', () => {
+      expect(calculate({ age: undefined, diagnoses: ['I50.9'] })).toMatchObject({
+        age: null,
+        segment: null,
+        rawScore: 0.4,
+        warnings: ['Age unknown; no demographic factor applied']
+      });
+      expect(calculate({ sex: 'unknown' }).warnings).toEqual(['Sex unknown; no demographic factor applied']);
+    });
+  });
+
+  describe('calculateForPatient', () => {
+    it('scores active, unrefuted conditions', () => {
+      const condition = (id, code, clinicalStatus, verificationStatus) => ({
+        resourceType: 'Condition',
+        id,
+        code: { coding: [{ system: 'http://hl7.org/fhir/sid/icd-10-cm', code, display: `Display ${code}` }] },
+        clinicalStatus: { coding: [{ code: clinicalStatus }] },
+        ...(verificationStatus && { verificationStatus: { coding: [{ code: verificationStatus }] } })
+      });
+
+      const result = riskAdjustmentService.calculateForPatient(
+        { resourceType: 'Patient', birthDate: '1950-01-01', gender: 'female' },
+        [
+          condition('c1', 'I50.9', 'active'),
+          condition('c2', 'J44.9', 'resolved'),
+          condition('c3', 'E11.9', 'active', 'refuted')
+        ],
+        { asOf: AS_OF }
+      );
+
+      expect(result.age).toBe(76);
+      expect(result.hccs).toEqual(['HCC85']);
+      expect(linesOf(result, 'hcc')[0].codes).toEqual([{ code: 'I50.9', display: 'Display I50.9', conditionId: 'c1' }]);
+    });
+  });
+
+  describe('riskLevel', () => {
+    it.each([
+      [null, null],
+      [0, 'low'],
+      [0.999, 'low'],
+      [1, 'medium'],
+      [1.999, 'medium'],
+      [2, 'high'],
+      [5.2, 'high']
+    ])('puts %p in %p', (score, level) => {
+      expect(riskAdjustmentService.riskLevel(score)).toBe(level);
+    });
+  });
+});
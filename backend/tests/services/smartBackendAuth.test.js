@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const fhirDiscoveryService = require('../../src/services/fhirDiscoveryService');
+const fhirHttpClient = require('../../src/services/fhirHttpClient');
+const smartBackendAuth = require('../../src/services/smartBackendAuth');
+
+const TOKEN_URL = 'https://fhir.example.org/oauth2/token';
+
+const pem = (type, options) => crypto.generateKeyPairSync(type, {
+  ...options,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const rsaKey = pem('rsa', { modulusLength: 2048 });
+const p384Key = pem('ec', { namedCurve: 'secp384r1' });
+
+const organizationWith = (key) => ({
+  id: 'org-1',
+  epicFhirBaseUrl: 'https://fhir.example.org/R4',
+  epicBackendClientId: 'backend-client',
+  epicPrivateKey: key.privateKey,
+  epicKeyId: 'key-1'
+});
+
+describe('smartBackendAuth', () => {
+  beforeEach(() => {
+    jest.spyOn(fhirDiscoveryService, 'tryGetSmartConfiguration').mockResolvedValue({ tokenEndpoint: TOKEN_URL });
+  });
+
+  afterEach(() => {
+    smartBackendAuth.tokenCache.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('getSigningAlgorithm', () => {
+    it('signs RSA keys with RS384 and EC keys with their curve\'s algorithm', () => {
+      expect(smartBackendAuth.getSigningAlgorithm(rsaKey.privateKey)).toBe('RS384');
+      expect(smartBackendAuth.getSigningAlgorithm(p384Key.privateKey)).toBe('ES384');
+      expect(smartBackendAuth.getSigningAlgorithm(pem('ec', { namedCurve: 'prime256v1' }).privateKey)).toBe('ES256');
+    });
+
+    it('rejects other key types with a 400', () => {
+      expect(() => smartBackendAuth.getSigningAlgorithm(pem('ed25519').privateKey))
+        .toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining('Unsupported private key: ed25519') }));
+      expect(() => smartBackendAuth.getSigningAlgorithm(pem('ec', { namedCurve: 'secp256k1' }).privateKey))
+        .toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining('(secp256k1)') }));
+    });
+  });
+
+  describe('createClientAssertion', () => {
+    it.each([['an RSA', rsaKey, 'RS384'], ['a P-384', p384Key, 'ES384']])('signs with %s key', (description, key, algorithm) => {
+      const assertion = smartBackendAuth.createClientAssertion({
+        clientId: 'backend-client',
+        privateKey: key.privateKey,
+        keyId: 'key-1',
+        tokenUrl: TOKEN_URL
+      });
+
+      const { header, payload } = jwt.verify(assertion, key.publicKey, { algorithms: [algorithm], complete: true });
+      expect(header).toMatchObject({ alg: algorithm, kid: 'key-1' });
+      expect(payload).toMatchObject({ iss: 'backend-client', sub: 'backend-client', aud: TOKEN_URL, jti: expect.any(String) });
+      expect(payload.exp - payload.iat).toBe(300);
+    });
+  });
+
+  describe('getSystemToken', () => {
+    it('exchanges a client assertion for a system token and caches it', async () => {
+      jest.spyOn(fhirHttpClient, 'request').mockResolvedValue({ data: { access_token: 'system-token', expires_in: 3600 } });
+      const organization = organizationWith(p384Key);
+
+      expect(await smartBackendAuth.getSystemToken(organization)).toBe('system-token');
+      expect(await smartBackendAuth.getSystemToken(organization)).toBe('system-token');
+
+      expect(fhirHttpClient.request).toHaveBeenCalledTimes(1);
+      const [config, options] = fhirHttpClient.request.mock.calls[0];
+      const params = new URLSearchParams(config.data);
+      expect(config).toMatchObject({ method: 'POST', url: TOKEN_URL });
+      expect(options).toEqual({ concurrencyKey: 'org-1', restrictHosts: true });
+      expect(params.get('grant_type')).toBe('client_credentials');
+      expect(params.get('scope')).toBe('system/*.read');
+      expect(jwt.verify(params.get('client_assertion'), p384Key.publicKey, { algorithms: ['ES384'] }).aud).toBe(TOKEN_URL);
+    });
+
+    it('requests a new token once the cached one is about to expire', async () => {
+      jest.spyOn(fhirHttpClient, 'request')
+        .mockResolvedValueOnce({ data: { access_token: 'first', expires_in: 30 } })
+        .mockResolvedValueOnce({ data: { access_token: 'second', expires_in: 3600 } });
+      const organization = organizationWith(rsaKey);
+
+      expect(await smartBackendAuth.getSystemToken(organization)).toBe('first');
+      expect(await smartBackendAuth.getSystemToken(organization)).toBe('second');
+    });
+  });
+
+  describe('getPublicJwks', () => {
+    it('publishes the public key with its signing algorithm', () => {
+      const { keys: [key] } = smartBackendAuth.getPublicJwks(organizationWith(p384Key));
+
+      expect(key).toMatchObject({ kty: 'EC', crv: 'P-384', use: 'sig', alg: 'ES384', kid: 'key-1' });
+      expect(key).not.toHaveProperty('d');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const terminologyService = require('../../src/services/terminologyService');
+
+const SNOMED = 'http://snomed.info/sct';
+const ICD10 = 'http://hl7.org/fhir/sid/icd-10-cm';
+
+const EXTENDED_MAP = [
+  ['id', 'active', 'refsetId', 'referencedComponentId', 'mapGroup', 'mapPriority', 'mapRule', 'mapTarget'],
+  ['1', '1', 'r', '38341003', '1', '2', 'TRUE', 'I15.9'],
+  ['2', '1', 'r', '38341003', '1', '1', 'TRUE', 'I10'],
+  ['3', '1', 'r', '195967001', '1', '1', 'IFA 445518008 | Age at onset |', 'J45.909'],
+  ['4', '1', 'r', '195967001', '1', '2', 'OTHERWISE TRUE', 'J45.909?'],
+  ['5', '0', 'r', '13645005', '1', '1', 'TRUE', 'J44.9'],
+  ['6', '1', 'r', '13645005', '2', '1', 'TRUE', 'Z87.891'],
+  ['7', '1', 'r', '22298006', '1', '1', 'TRUE', '']
+].map(row => row.join('\t')).join('\n');
+
+describe('terminologyService', () => {
+  afterAll(() => {
+    terminologyService.load();
+  });
+
+  describe('getIcd10Codings', () => {
+    beforeAll(() => {
+      terminologyService.load();
+    });
+
+    it('maps a SNOMED-only condition and records where the code came from', () => {
+      expect(terminologyService.getIcd10Codings({
+        coding: [{ system: SNOMED, code: '44054006', display: 'Type 2 diabetes' }]
+      })).toEqual([{
+        code: 'E11.9',
+        display: 'Type 2 diabetes',
+        system: ICD10,
+        source: 'mapped',
+        mappedFrom: { system: SNOMED, code: '44054006', display: 'Type 2 diabetes' }
+      }]);
+    });
+
+    it('prefers native ICD-10 codings, including ones identified by OID', () => {
+      expect(terminologyService.getIcd10Codings({
+        text: 'Diabetes',
+        coding: [
+          { system: SNOMED, code: '44054006' },
+          { system: 'urn:oid:2.16.840.1.113883.6.90', code: 'E11.65' }
+        ]
+      })).toEqual([{ code: 'E11.65', display: 'Diabetes', system: 'urn:oid:2.16.840.1.113883.6.90', source: 'native' }]);
+    });
+
+    it('maps SNOMED codings identified by OID and lists each target once', () => {
+      const codings = terminologyService.getIcd10Codings({
+        coding: [
+          { system: 'urn:oid:2.16.840.1.113883.6.96', code: '73211009' },
+          { system: SNOMED, code: '44054006' }
+        ]
+      });
+      expect(codings.map(coding => coding.code)).toEqual(['E11.9']);
+    });
+
+    it('returns nothing for unmapped concepts', () => {
+      expect(terminologyService.getIcd10Codings({ coding: [{ system: SNOMED, code: '999999999' }] })).toEqual([]);
+      expect(terminologyService.getIcd10Codings(undefined)).toEqual([]);
+    });
+
+    it('finds the SNOMED concepts behind an ICD-10 code or category', () => {
+      expect(terminologyService.getSnomedCodesForIcd10(['e11.9'])).toEqual(expect.arrayContaining(['73211009', '44054006']));
+      expect(terminologyService.getSnomedCodesForIcd10(['E11'])).toEqual(expect.arrayContaining(['44054006', '127013003', '230572002']));
+      expect(terminologyService.getSnomedCodesForIcd10(['E11'])).not.toContain('46635009');
+    });
+  });
+
+  describe('load', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminology-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reads the NLM extended map, keeping the first unconditional target of map group 1', () => {
+      const mapPath = path.join(dir, 'der2_iisssccRefset_ExtendedMapSnapshot.txt');
+      fs.writeFileSync(mapPath, EXTENDED_MAP);
+
+      expect(terminologyService.load(mapPath)).toBe(2);
+      expect(terminologyService.mapSnomedToIcd10('38341003')).toEqual({ code: 'I10', display: null });
+      expect(terminologyService.mapSnomedToIcd10('195967001').code).toBe('J45.909');
+      expect(terminologyService.mapSnomedToIcd10('13645005')).toBeNull();
+      expect(terminologyService.mapSnomedToIcd10('22298006')).toBeNull();
+    });
+
+    it('rejects a file that is not an extended map', () => {
+      const mapPath = path.join(dir, 'map.txt');
+      fs.writeFileSync(mapPath, 'snomed\ticd10\n38341003\tI10');
+
+      expect(() => terminologyService.load(mapPath)).toThrow('Unrecognised SNOMED CT to ICD-10-CM map file');
+    });
+  });
+});
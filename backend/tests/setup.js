@@ -0,0 +1,8 @@
+// Services load the Sequelize models, which need a connection URL. Unit
+// tests never connect, so any URL will do. The AI clients likewise only need
+// a key to be constructed.
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgres://localhost:5432/careflow_test';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+process.env.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
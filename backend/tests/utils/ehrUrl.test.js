@@ -0,0 +1,98 @@
+const dns = require('dns');
+const { checkEhrUrl, assertEhrUrl, restrictedRequestConfig } = require('../../src/utils/ehrUrl');
+
+// Make the host resolve to the given addresses
+const resolveTo = (...addresses) => {
+  const records = addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+  jest.spyOn(dns.promises, 'lookup').mockResolvedValue(records);
+  jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, records));
+};
+
+// The connect-time lookup the restricted agents use, as a promise
+const agentLookup = (hostname, options = {}) => new Promise((resolve, reject) => {
+  const { lookup } = restrictedRequestConfig('https://fhir.example.org/R4').httpsAgent.options;
+  lookup(hostname, options, (error, ...result) => (error ? reject(error) : resolve(result)));
+});
+
+describe('ehrUrl', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.EHR_ALLOW_INSECURE_URLS;
+  });
+
+  describe('checkEhrUrl', () => {
+    it('accepts an https URL on a public host', async () => {
+      resolveTo('93.184.215.14', '2606:2800:21f:cb07:6820:80da:af6b:8b2c');
+      expect(await checkEhrUrl('https://fhir.example.org/api/FHIR/R4')).toBeNull();
+    });
+
+    it.each([
+      ['fhir.example.org/R4', 'must be an absolute URL'],
+      ['http://fhir.example.org/R4', 'must use https']
+    ])('refuses %s', async (url, problem) => {
+      expect(await checkEhrUrl(url)).toBe(problem);
+    });
+
+    it.each([
+      '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '100.64.0.1', '169.254.169.254',
+      '0.0.0.0', '[::1]', '[fd00::1]', '[fe80::1]', '[::ffff:10.0.0.1]', '[::ffff:7f00:1]', '0x7f.1', '2130706433'
+    ])('refuses the literal address %s', async (host) => {
+      expect(await checkEhrUrl(`https://${host}/R4`)).toMatch(/is a private or reserved address$/);
+    });
+
+    it.each(['10.0.0.5', '172.31.255.255', 'fc00::5', '::ffff:192.168.0.1'])('refuses a host resolving to %s', async (address) => {
+      resolveTo('93.184.215.14', address);
+      expect(await checkEhrUrl('https://fhir.example.org/R4')).toBe('host fhir.example.org resolves to a private or reserved address');
+    });
+
+    it('refuses a host that does not resolve', async () => {
+      jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('queryA ENOTFOUND'), { code: 'ENOTFOUND' }));
+      expect(await checkEhrUrl('https://fhir.example.org/R4')).toBe('host fhir.example.org could not be resolved');
+    });
+
+    it('only requires an absolute URL when insecure URLs are allowed', async () => {
+      process.env.EHR_ALLOW_INSECURE_URLS = 'true';
+      expect(await checkEhrUrl('http://localhost:5000/fhir-sandbox/R4')).toBeNull();
+      expect(await checkEhrUrl('localhost/R4')).toBe('must be an absolute URL');
+    });
+  });
+
+  describe('assertEhrUrl', () => {
+    it('throws a 400 naming the field', async () => {
+      await expect(assertEhrUrl('https://127.0.0.1/token', 'token_endpoint')).rejects.toMatchObject({
+        status: 400,
+        code: 'EHR_URL_REFUSED',
+        message: 'token_endpoint host 127.0.0.1 is a private or reserved address'
+      });
+    });
+  });
+
+  describe('restrictedRequestConfig', () => {
+    it('turns off redirects and connects through the checking agents', () => {
+      const config = restrictedRequestConfig('https://fhir.example.org/R4/metadata');
+      expect(config.maxRedirects).toBe(0);
+      expect(config.httpsAgent.options.lookup).toEqual(expect.any(Function));
+      expect(config.httpAgent.options.lookup).toBe(config.httpsAgent.options.lookup);
+    });
+
+    it.each(['http://fhir.example.org/R4', 'https://169.254.169.254/latest'])('refuses %s', (url) => {
+      expect(() => restrictedRequestConfig(url)).toThrow(expect.objectContaining({ status: 400, code: 'EHR_URL_REFUSED' }));
+    });
+
+    it('leaves requests alone when insecure URLs are allowed', () => {
+      process.env.EHR_ALLOW_INSECURE_URLS = 'true';
+      expect(restrictedRequestConfig('http://localhost:5000/R4')).toEqual({});
+    });
+
+    it('refuses to connect when the host resolves to a private address', async () => {
+      resolveTo('93.184.215.14', '10.0.0.7');
+      await expect(agentLookup('fhir.example.org')).rejects.toMatchObject({ code: 'EHR_URL_REFUSED' });
+    });
+
+    it('answers in the form the caller asked for', async () => {
+      resolveTo('93.184.215.14');
+      expect(await agentLookup('fhir.example.org')).toEqual(['93.184.215.14', 4]);
+      expect(await agentLookup('fhir.example.org', { all: true })).toEqual([[{ address: '93.184.215.14', family: 4 }]]);
+    });
+  });
+});
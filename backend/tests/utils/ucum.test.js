@@ -0,0 +1,32 @@
+const ucum = require('../../src/utils/ucum');
+
+describe('ucum', () => {
+  it('resolves common spellings to UCUM codes', () => {
+    expect(ucum.normalizeUnit('mg/dl')).toBe('mg/dL');
+    expect(ucum.normalizeUnit(' mmHg ')).toBe('mm[Hg]');
+    expect(ucum.normalizeUnit('µmol/L')).toBe('umol/L');
+    expect(ucum.normalizeUnit('uIU/mL')).toBe('m[IU]/L');
+    expect(ucum.normalizeUnit('{copies}/mL')).toBe('{copies}/mL');
+    expect(ucum.normalizeUnit('')).toBeNull();
+  });
+
+  it('converts within a dimension', () => {
+    expect(ucum.convert(180, 'lbs', 'kg')).toBeCloseTo(81.647, 3);
+    expect(ucum.convert(70, 'in', 'cm')).toBeCloseTo(177.8, 6);
+    expect(ucum.convert(98.6, '°F', 'Cel')).toBeCloseTo(37, 3);
+    expect(ucum.convert(1, 'g/dL', 'mg/dL')).toBeCloseTo(1000, 6);
+    expect(ucum.convert(16, 'kPa', 'mm[Hg]')).toBeCloseTo(120.01, 2);
+  });
+
+  it('returns the value unchanged for the same unit, even one it does not know', () => {
+    expect(ucum.convert(42, 'mL/min/1.73m2', 'mL/min/{1.73_m2}')).toBe(42);
+    expect(ucum.convert(3, '{score}', '{score}')).toBe(3);
+  });
+
+  it('refuses conversions across dimensions or to unknown units', () => {
+    expect(ucum.convert(5.5, 'mmol/L', 'mg/dL')).toBeNull();
+    expect(ucum.convert(1, 'kg', 'cm')).toBeNull();
+    expect(ucum.convert(1, 'widgets', 'kg')).toBeNull();
+    expect(ucum.convert(null, 'kg', 'g')).toBeNull();
+  });
+});
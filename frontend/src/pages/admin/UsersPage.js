@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Plus, User, Edit, Trash2, Shield, Loader2 } from 'lucide-react';
+import { Plus, User, Edit, Trash2, Shield, Loader2, RefreshCw } from 'lucide-react';
 import { adminApi } from '../../services/api';
 import toast from 'react-hot-toast';
 
@@ -16,6 +16,36 @@ export default function UsersPage() {
     },
   });
 
+  const { data: connectionData } = useQuery({
+    queryKey: ['ehrConnections'],
+    queryFn: async () => {
+      const response = await adminApi.getEhrConnections();
+      return response.data;
+    },
+  });
+  const connectionsByUser = Object.fromEntries(
+    (connectionData?.connections || []).map((connection) => [connection.userId, connection])
+  );
+
+  const refreshConnectionMutation = useMutation({
+    mutationFn: async (userId) => {
+      const response = await adminApi.refreshEhrConnection(userId);
+      return response.data;
+    },
+    onSuccess: (health) => {
+      if (health.status === 'revoked') {
+        toast.error('EPIC revoked this connection; the user has been asked to reconnect');
+      } else {
+        toast.success('EPIC token refreshed');
+      }
+      queryClient.invalidateQueries(['ehrConnections']);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Token refresh failed');
+      queryClient.invalidateQueries(['ehrConnections']);
+    },
+  });
+
   const createMutation = useMutation({
     mutationFn: async (userData) => {
       await adminApi.createUser(userData);
@@ -47,6 +77,15 @@ export default function UsersPage() {
     viewer: 'badge-success',
   };
 
+  const connectionBadges = {
+    healthy: { className: 'badge-success', label: 'Connected' },
+    expiring: { className: 'badge-warning', label: 'Expiring' },
+    expired: { className: 'badge-danger', label: 'Expired' },
+    refresh_failed: { className: 'badge-warning', label: 'Refresh failing' },
+    revoked: { className: 'badge-danger', label: 'Revoked' },
+    disconnected: { className: 'badge-info', label: 'Not connected' },
+  };
+
   return (
     <div className="animate-fade-in">
       <div className="page-header flex items-center justify-between">
@@ -71,13 +110,14 @@ export default function UsersPage() {
                 <th>User</th>
                 <th>Role</th>
                 <th>Status</th>
+                <th>EPIC</th>
                 <th>Last Login</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody className="divide-y divide-slate-200">
               {isLoading ? (
-                <tr><td colSpan={5} className="text-center py-8">Loading...</td></tr>
+                <tr><td colSpan={6} className="text-center py-8">Loading...</td></tr>
               ) : (
                 data?.users?.map((user) => (
                   <tr key={user.id}>
@@ -102,6 +142,28 @@ export default function UsersPage() {
                         {user.isActive ? 'Active' : 'Inactive'}
                       </span>
                     </td>
+                    <td>
+                      {connectionsByUser[user.id] && (
+                        <div className="flex items-center gap-2">
+                          <span
+                            className={`badge ${connectionBadges[connectionsByUser[user.id].status].className}`}
+                            title={connectionsByUser[user.id].lastError || undefined}
+                          >
+                            {connectionBadges[connectionsByUser[user.id].status].label}
+                          </span>
+                          {connectionsByUser[user.id].refreshable && (
+                            <button
+                              className="p-1 hover:bg-slate-100 rounded-lg"
+                              title="Refresh token now"
+                              onClick={() => refreshConnectionMutation.mutate(user.id)}
+                              disabled={refreshConnectionMutation.isPending}
+                            >
+                              <RefreshCw className="w-4 h-4 text-slate-500" />
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
                     <td className="text-sm text-slate-500">
                       {user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'Never'}
                     </td>
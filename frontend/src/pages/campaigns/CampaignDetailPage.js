@@ -1,12 +1,41 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { useQuery, useMutation } from '@tanstack/react-query';
-import { ArrowLeft, Play, Pause, Users, Mail, Sparkles, Loader2 } from 'lucide-react';
-import { campaignsApi } from '../../services/api';
+import { ArrowLeft, Play, Pause, Users, Mail, Sparkles, Loader2, X } from 'lucide-react';
+import { campaignsApi, jobsApi } from '../../services/api';
 import toast from 'react-hot-toast';
 
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Toast for a finished targeting or send job
+const reportJob = (job) => {
+  if (job.status === 'failed') {
+    toast.error(job.errorMessage || 'Job failed');
+    return;
+  }
+  if (job.status === 'cancelled') {
+    toast('Job cancelled');
+    return;
+  }
+
+  if (job.type === 'campaign.target') {
+    const { included, diff, search } = job.result;
+    toast.success(`${included} patients in the audience (${diff.added} added, ${diff.dropped} dropped)`);
+    if (search?.truncated) {
+      toast.error('Search hit its result limit; some eligible patients may be missing');
+    }
+  } else if (job.type === 'campaign.send') {
+    toast.success('Campaign sent!');
+    const { writeBack } = job.result;
+    if (writeBack?.error || writeBack?.failed > 0) {
+      toast.error('Some outreach could not be recorded in EPIC');
+    }
+  }
+};
+
 export default function CampaignDetailPage() {
   const { id } = useParams();
+  const [jobId, setJobId] = useState(null);
 
   const { data, isLoading, refetch } = useQuery({
     queryKey: ['campaign', id],
@@ -16,22 +45,53 @@ export default function CampaignDetailPage() {
     },
   });
 
-  const targetMutation = useMutation({
-    mutationFn: () => campaignsApi.targetPatients(id),
-    onSuccess: () => {
-      toast.success('Target patients identified');
-      refetch();
+  const { data: job } = useQuery({
+    queryKey: ['job', jobId],
+    queryFn: async () => {
+      const response = await jobsApi.get(jobId);
+      return response.data.job;
     },
+    enabled: !!jobId,
+    refetchInterval: (query) => (FINISHED_JOB_STATUSES.includes(query.state.data?.status) ? false : 2000),
   });
 
-  const sendMutation = useMutation({
-    mutationFn: () => campaignsApi.send(id),
-    onSuccess: () => {
-      toast.success('Campaign sent!');
+  useEffect(() => {
+    if (job && FINISHED_JOB_STATUSES.includes(job.status)) {
+      reportJob(job);
+      setJobId(null);
       refetch();
-    },
+    }
+  }, [job, refetch]);
+
+  // A second request while one runs returns the running job with 409
+  const startJob = (request) => async () => {
+    try {
+      const response = await request();
+      return response.data.job;
+    } catch (error) {
+      if (error.response?.status === 409 && error.response.data.job) {
+        return error.response.data.job;
+      }
+      throw error;
+    }
+  };
+
+  const targetMutation = useMutation({
+    mutationFn: startJob(() => campaignsApi.targetPatients(id)),
+    onSuccess: (started) => setJobId(started.id),
   });
 
+  const sendMutation = useMutation({
+    mutationFn: startJob(() => campaignsApi.send(id)),
+    onSuccess: (started) => setJobId(started.id),
+  });
+
+  const cancelMutation = useMutation({
+    mutationFn: () => jobsApi.cancel(jobId),
+  });
+
+  const jobRunning = !!jobId;
+
   if (isLoading) return <p>Loading...</p>;
 
   const campaign = data?.campaign;
@@ -52,22 +112,40 @@ export default function CampaignDetailPage() {
           <button 
             className="btn-secondary"
             onClick={() => targetMutation.mutate()}
-            disabled={targetMutation.isPending}
+            disabled={targetMutation.isPending || jobRunning}
           >
-            {targetMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin mr-2" /> : <Users className="w-4 h-4 mr-2" />}
+            {targetMutation.isPending || job?.type === 'campaign.target' ? <Loader2 className="w-4 h-4 animate-spin mr-2" /> : <Users className="w-4 h-4 mr-2" />}
             Find Patients
           </button>
           <button 
             className="btn-primary"
             onClick={() => sendMutation.mutate()}
-            disabled={sendMutation.isPending || campaign?.status === 'completed'}
+            disabled={sendMutation.isPending || jobRunning || campaign?.status === 'completed'}
           >
-            {sendMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin mr-2" /> : <Mail className="w-4 h-4 mr-2" />}
+            {sendMutation.isPending || job?.type === 'campaign.send' ? <Loader2 className="w-4 h-4 animate-spin mr-2" /> : <Mail className="w-4 h-4 mr-2" />}
             Send Campaign
           </button>
         </div>
       </div>
 
+      {jobRunning && (
+        <div className="card p-4 mb-6 flex items-center gap-3">
+          <Loader2 className="w-4 h-4 animate-spin text-primary-600" />
+          <span className="text-sm text-slate-700 flex-1">
+            {job?.progress?.message || (job?.status === 'running' ? 'Running' : 'Queued')}
+            {job?.progress?.total ? ` (${job.progress.done} of ${job.progress.total})` : ''}
+          </span>
+          <button
+            className="btn-secondary"
+            onClick={() => cancelMutation.mutate()}
+            disabled={cancelMutation.isPending || job?.cancelRequested}
+          >
+            <X className="w-4 h-4 mr-2" />
+            Cancel
+          </button>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
         <div className="stat-card">
           <p className="stat-value">{campaign?.patientCount || 0}</p>
@@ -1,16 +1,41 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { Loader2, CheckCircle, XCircle } from 'lucide-react';
 import { authApi } from '../../services/api';
 import toast from 'react-hot-toast';
 
+// Messages for the error codes POST /auth/epic/callback returns
+const CALLBACK_ERRORS = {
+  STATE_MISSING: 'The response from EPIC was incomplete. Please start the connection again.',
+  STATE_MISMATCH: 'This authorization was started from a different session. Please start the connection again.',
+  STATE_EXPIRED: 'The authorization took too long and has expired. Please start the connection again.',
+  STATE_REPLAYED: 'This authorization response has already been used. Check Settings to see whether EPIC is connected.',
+  CODE_MISSING: 'No authorization code received',
+  TOKEN_EXCHANGE_FAILED: 'EPIC did not accept the authorization. Please start the connection again.',
+};
+
 export default function EpicCallbackPage() {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const [status, setStatus] = useState('processing');
   const [error, setError] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
+  // The state is single use, so the callback must only be posted once
+  const handled = useRef(false);
+
+  const retry = async () => {
+    try {
+      const response = await authApi.epicAuthorize();
+      window.location.href = response.data.authorizationUrl;
+    } catch (err) {
+      toast.error('Failed to initiate EPIC connection');
+    }
+  };
 
   useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
     const handleCallback = async () => {
       const code = searchParams.get('code');
       const state = searchParams.get('state');
@@ -34,8 +59,10 @@ export default function EpicCallbackPage() {
         toast.success('EPIC connected successfully!');
         setTimeout(() => navigate('/settings'), 2000);
       } catch (err) {
+        const data = err.response?.data;
         setStatus('error');
-        setError(err.response?.data?.error || 'Failed to complete EPIC authorization');
+        setErrorCode(data?.code || null);
+        setError(CALLBACK_ERRORS[data?.code] || data?.error || 'Failed to complete EPIC authorization');
       }
     };
 
@@ -65,13 +92,21 @@ export default function EpicCallbackPage() {
           <>
             <XCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
             <h1 className="text-xl font-bold text-slate-900 mb-2">Connection Failed</h1>
-            <p className="text-red-600 mb-4">{error}</p>
-            <button 
-              className="btn-primary"
-              onClick={() => navigate('/settings')}
-            >
-              Back to Settings
-            </button>
+            <p className="text-red-600 mb-1">{error}</p>
+            {errorCode && <p className="text-xs text-slate-400 mb-4">Error code: {errorCode}</p>}
+            <div className="flex justify-center gap-3 mt-4">
+              {errorCode && errorCode !== 'STATE_REPLAYED' && (
+                <button className="btn-primary" onClick={retry}>
+                  Try Again
+                </button>
+              )}
+              <button 
+                className="btn-secondary"
+                onClick={() => navigate('/settings')}
+              >
+                Back to Settings
+              </button>
+            </div>
           </>
         )}
       </div>
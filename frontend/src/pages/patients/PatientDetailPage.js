@@ -3,7 +3,7 @@ import { useParams, Link } from 'react-router-dom';
 import { useQuery, useMutation } from '@tanstack/react-query';
 import { 
   ArrowLeft, User, Calendar, Mail, Phone, MapPin, 
-  Activity, Pill, FileText, Sparkles, Loader2, AlertTriangle
+  Activity, Pill, FileText, Sparkles, Loader2, AlertTriangle, ClipboardCheck
 } from 'lucide-react';
 import { patientsApi, aiApi } from '../../services/api';
 import toast from 'react-hot-toast';
@@ -46,6 +46,7 @@ export default function PatientDetailPage() {
   const conditions = data?.conditions;
   const medications = data?.medications;
   const observations = data?.observations;
+  const carePlanEligibility = data?.carePlanEligibility;
 
   return (
     <div className="animate-fade-in">
@@ -220,6 +221,38 @@ export default function PatientDetailPage() {
           )}
         </div>
 
+        {/* Care Plan Eligibility */}
+        <div className="lg:col-span-3 card p-6">
+          <div className="flex items-center gap-2 mb-4">
+            <ClipboardCheck className="w-5 h-5 text-slate-400" />
+            <h2 className="text-lg font-semibold text-slate-900">Care Plan Eligibility</h2>
+          </div>
+
+          {carePlanEligibility?.length > 0 ? (
+            <div className="space-y-2">
+              {carePlanEligibility.map((plan) => (
+                <div key={plan.carePlanId} className="p-3 rounded-lg bg-slate-50">
+                  <div className="flex items-center justify-between">
+                    <p className="font-medium text-slate-900">{plan.carePlanName}</p>
+                    <span className={plan.eligible ? (plan.needsReview ? 'badge-warning' : 'badge-success') : 'badge bg-slate-100 text-slate-600'}>
+                      {plan.eligible ? (plan.needsReview ? 'Eligible, needs review' : 'Eligible') : 'Not eligible'}
+                    </span>
+                  </div>
+                  {[...plan.reasons, ...plan.unverified].length > 0 && (
+                    <ul className="mt-1 text-xs text-slate-500 list-disc list-inside">
+                      {[...plan.reasons, ...plan.unverified].map((reason, index) => (
+                        <li key={index}>{reason}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-slate-500 text-sm">No active care plans</p>
+          )}
+        </div>
+
         {/* AI Analysis Results */}
         {showAIAnalysis && analyzeMutation.data && (
           <div className="lg:col-span-3 card p-6">
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation } from '@tanstack/react-query';
-import { Settings, Link2, CheckCircle, AlertCircle, Loader2, Key, Building2 } from 'lucide-react';
+import { Settings, Link2, CheckCircle, AlertCircle, XCircle, Loader2, Key, Building2, Activity } from 'lucide-react';
 import { authApi, epicApi, adminApi } from '../../services/api';
 import useAuthStore from '../../stores/authStore';
 import toast from 'react-hot-toast';
@@ -9,6 +9,18 @@ export default function SettingsPage() {
   const { user, organization } = useAuthStore();
   const [epicClientId, setEpicClientId] = useState('');
   const [epicClientSecret, setEpicClientSecret] = useState('');
+  const [epicFhirBaseUrl, setEpicFhirBaseUrl] = useState('');
+  const [ehrVendor, setEhrVendor] = useState(organization?.ehrVendor || 'epic');
+  const [connectionTest, setConnectionTest] = useState(null);
+  const [capabilities, setCapabilities] = useState(null);
+  const [writeBackEnabled, setWriteBackEnabled] = useState(!!organization?.settings?.writeBack?.enabled);
+
+  const epicConfig = () => ({
+    ...(ehrVendor !== (organization?.ehrVendor || 'epic') && { ehrVendor }),
+    ...(epicClientId && { epicClientId }),
+    ...(epicClientSecret && { epicClientSecret }),
+    ...(epicFhirBaseUrl && { epicFhirBaseUrl }),
+  });
 
   const { data: epicStatus, refetch: refetchEpicStatus } = useQuery({
     queryKey: ['epicStatus'],
@@ -49,6 +61,40 @@ export default function SettingsPage() {
     onSuccess: () => {
       toast.success('Settings saved');
     },
+    onError: (error) => {
+      const data = error.response?.data;
+      if (data?.checks) setConnectionTest(data);
+      toast.error(data?.error || 'Failed to save settings');
+    },
+  });
+
+  const testConnectionMutation = useMutation({
+    mutationFn: async (data) => {
+      const response = await adminApi.testEpicConnection(data);
+      return response.data;
+    },
+    onSuccess: (data) => {
+      setConnectionTest(data);
+      if (data.ok) {
+        toast.success('EPIC connection verified');
+      } else {
+        toast.error('EPIC connection test failed');
+      }
+    },
+    onError: () => {
+      toast.error('Failed to test EPIC connection');
+    },
+  });
+
+  const capabilitiesMutation = useMutation({
+    mutationFn: async () => {
+      const response = await adminApi.getCapabilities(true);
+      return response.data;
+    },
+    onSuccess: (data) => setCapabilities(data),
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to load server capabilities');
+    },
   });
 
   return (
@@ -134,8 +180,14 @@ export default function SettingsPage() {
               <div className="flex items-center gap-3">
                 <AlertCircle className="w-6 h-6 text-amber-600" />
                 <div>
-                  <p className="font-medium text-amber-800">Not Connected</p>
-                  <p className="text-sm text-amber-600">Connect your EPIC account to access patient data</p>
+                  <p className="font-medium text-amber-800">
+                    {epicStatus?.health === 'revoked' ? 'EPIC Access Revoked' : 'Not Connected'}
+                  </p>
+                  <p className="text-sm text-amber-600">
+                    {epicStatus?.health === 'revoked'
+                      ? 'EPIC no longer accepts your authorization. Reconnect to keep accessing patient data'
+                      : 'Connect your EPIC account to access patient data'}
+                  </p>
                 </div>
               </div>
               <button
@@ -156,6 +208,28 @@ export default function SettingsPage() {
           <div className="border-t border-slate-200 pt-4 mt-4">
             <h3 className="font-medium text-slate-900 mb-3">EPIC Credentials (Admin Only)</h3>
             <div className="grid grid-cols-1 gap-4">
+              <div>
+                <label className="label">EHR Vendor</label>
+                <select
+                  className="input"
+                  value={ehrVendor}
+                  onChange={(e) => setEhrVendor(e.target.value)}
+                >
+                  <option value="epic">Epic</option>
+                  <option value="cerner">Oracle Health (Cerner)</option>
+                  <option value="generic">Other SMART on FHIR R4 server</option>
+                </select>
+              </div>
+              <div>
+                <label className="label">FHIR Base URL</label>
+                <input
+                  type="url"
+                  className="input font-mono"
+                  placeholder="https://fhir.example.org/api/FHIR/R4"
+                  value={epicFhirBaseUrl}
+                  onChange={(e) => setEpicFhirBaseUrl(e.target.value)}
+                />
+              </div>
               <div>
                 <label className="label">Client ID</label>
                 <input
@@ -176,14 +250,93 @@ export default function SettingsPage() {
                   onChange={(e) => setEpicClientSecret(e.target.value)}
                 />
               </div>
+              {connectionTest && (
+                <div className="p-3 rounded-lg bg-slate-50 space-y-2">
+                  {connectionTest.checks.map((check) => (
+                    <div key={check.name} className="flex items-start gap-2 text-sm">
+                      {check.status === 'passed' && <CheckCircle className="w-4 h-4 text-green-600 mt-0.5" />}
+                      {check.status === 'warning' && <AlertCircle className="w-4 h-4 text-amber-600 mt-0.5" />}
+                      {check.status === 'failed' && <XCircle className="w-4 h-4 text-red-600 mt-0.5" />}
+                      <span className="text-slate-700">{check.message}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div className="flex gap-3">
+                <button
+                  className="btn-secondary"
+                  onClick={() => testConnectionMutation.mutate(epicConfig())}
+                  disabled={testConnectionMutation.isPending}
+                >
+                  {testConnectionMutation.isPending ? (
+                    <Loader2 className="w-4 h-4 animate-spin mr-2" />
+                  ) : (
+                    <Activity className="w-4 h-4 mr-2" />
+                  )}
+                  Test Connection
+                </button>
+                <button
+                  className="btn-secondary"
+                  onClick={() => saveSettingsMutation.mutate(epicConfig())}
+                  disabled={saveSettingsMutation.isPending}
+                >
+                  Save EPIC Credentials
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="border-t border-slate-200 pt-4 mt-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="font-medium text-slate-900">Server Capabilities</h3>
               <button
                 className="btn-secondary"
-                onClick={() => saveSettingsMutation.mutate({ epicClientId, epicClientSecret })}
-                disabled={saveSettingsMutation.isPending}
+                onClick={() => capabilitiesMutation.mutate()}
+                disabled={capabilitiesMutation.isPending}
               >
-                Save EPIC Credentials
+                {capabilitiesMutation.isPending && <Loader2 className="w-4 h-4 animate-spin mr-2" />}
+                Check Capabilities
               </button>
             </div>
+            {capabilities && (
+              <div className="p-3 rounded-lg bg-slate-50 space-y-1 text-sm text-slate-700">
+                <p>
+                  {capabilities.server
+                    ? `FHIR ${capabilities.server.fhirVersion || 'version unknown'}${capabilities.server.software?.name ? ` (${capabilities.server.software.name})` : ''}`
+                    : 'No CapabilityStatement published; using vendor defaults'}
+                </p>
+                <p>Patient $everything: {capabilities.features.everything === 'native' ? 'supported' : 'assembled from searches'}</p>
+                <p>Bulk export: {capabilities.features.bulkExportLevels.join(', ') || 'not supported'}</p>
+                <p>
+                  Population condition search: {capabilities.features.conditionCodeSearch ? 'supported' : 'uses bulk export data'}
+                </p>
+                <p>
+                  Write-back: {Object.entries(capabilities.features.writeBack)
+                    .map(([type, ok]) => `${type} ${ok ? '✓' : '✗'}`).join(', ')}
+                </p>
+              </div>
+            )}
+          </div>
+
+          <div className="border-t border-slate-200 pt-4 mt-4">
+            <h3 className="font-medium text-slate-900 mb-1">Write-back to EPIC</h3>
+            <p className="text-sm text-slate-500 mb-3">
+              Record sent outreach as Communications with follow-up Tasks, and enrollments as CarePlans.
+            </p>
+            <label className="flex items-center gap-2 text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={writeBackEnabled}
+                onChange={(e) => {
+                  setWriteBackEnabled(e.target.checked);
+                  saveSettingsMutation.mutate({
+                    settings: { writeBack: { ...organization?.settings?.writeBack, enabled: e.target.checked } },
+                  });
+                }}
+                disabled={saveSettingsMutation.isPending}
+              />
+              Write outreach and enrollments back to EPIC
+            </label>
           </div>
         </div>
 
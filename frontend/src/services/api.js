@@ -55,8 +55,11 @@ export const epicApi = {
   getPatientEverything: (id) => api.get(`/epic/patients/${id}/everything`),
   getConditions: (params) => api.get('/epic/conditions', { params }),
   searchPatients: (criteria) => api.post('/epic/search', criteria),
-  initiateBulkExport: (resourceTypes) => api.post('/epic/bulk-export', { resourceTypes }),
+  initiateBulkExport: (resourceTypes, since) => api.post('/epic/bulk-export', { resourceTypes, since }),
   checkBulkExportStatus: (statusUrl) => api.get('/epic/bulk-export/status', { params: { statusUrl } }),
+  listBulkExportJobs: (params) => api.get('/epic/bulk-export/jobs', { params }),
+  getBulkExportJob: (id) => api.get(`/epic/bulk-export/jobs/${id}`),
+  cancelBulkExportJob: (id) => api.delete(`/epic/bulk-export/jobs/${id}`),
 };
 
 // Patients API
@@ -64,7 +67,10 @@ export const patientsApi = {
   list: (params) => api.get('/patients', { params }),
   get: (id) => api.get(`/patients/${id}`),
   analyze: (id) => api.post(`/patients/${id}/analyze`),
-  getCareGaps: (id) => api.get(`/patients/${id}/care-gaps`),
+  getCareGaps: (id, params) => api.get(`/patients/${id}/care-gaps`, { params }),
+  getMeasures: (id) => api.get(`/patients/${id}/measures`),
+  calculateRiskScore: (id) => api.post(`/patients/${id}/risk-score`),
+  getRiskScoreHistory: (id) => api.get(`/patients/${id}/risk-score/history`),
   bulkAnalyze: (patientIds, carePlanId) => 
     api.post('/patients/bulk-analyze', { patientIds, carePlanId }),
 };
@@ -76,6 +82,13 @@ export const analyticsApi = {
   riskStratification: (sampleSize) => 
     api.post('/analytics/risk-stratification', { sampleSize }),
   icd10Patterns: () => api.get('/analytics/icd10-patterns'),
+  measures: (measures) => api.get('/analytics/measures', { params: { measures } }),
+  riskScores: (params) => api.get('/analytics/risk-scores', { params }),
+  calculateRiskScores: () => api.post('/analytics/risk-scores/calculate'),
+  previewRiskScore: (data) => api.post('/analytics/risk-scores/preview', data),
+  comorbidity: (params) => api.get('/analytics/comorbidity', { params }),
+  qualityMeasures: (params) => api.get('/analytics/quality-measures', { params }),
+  qualityMeasureDefinitions: () => api.get('/analytics/quality-measures/definitions'),
   carePlanOpportunities: () => api.get('/analytics/care-plan-opportunities'),
   campaignPerformance: (params) => api.get('/analytics/campaign-performance', { params }),
 };
@@ -98,14 +111,51 @@ export const campaignsApi = {
   get: (id) => api.get(`/campaigns/${id}`),
   create: (data) => api.post('/campaigns', data),
   targetPatients: (id) => api.post(`/campaigns/${id}/target-patients`),
+  getAudience: (id, params) => api.get(`/campaigns/${id}/audience`, { params }),
+  addToAudience: (id, patientIds, reason) => api.post(`/campaigns/${id}/audience`, { patientIds, reason }),
+  removeFromAudience: (id, patientIds, reason) => api.post(`/campaigns/${id}/audience/remove`, { patientIds, reason }),
   generateContent: (id, patientIds) => 
     api.post(`/campaigns/${id}/generate-content`, { patientIds }),
   send: (id) => api.post(`/campaigns/${id}/send`),
+  enroll: (id, outreachId) => api.post(`/campaigns/${id}/outreach/${outreachId}/enroll`),
   getOutreach: (id, params) => api.get(`/campaigns/${id}/outreach`, { params }),
+  schedule: (id, scheduledAt, recurrence) => api.post(`/campaigns/${id}/schedule`, { scheduledAt, recurrence }),
+  reschedule: (id, data) => api.put(`/campaigns/${id}/schedule`, data),
+  unschedule: (id) => api.delete(`/campaigns/${id}/schedule`),
   pause: (id) => api.post(`/campaigns/${id}/pause`),
   complete: (id) => api.post(`/campaigns/${id}/complete`),
 };
 
+// Jobs API
+export const jobsApi = {
+  list: (params) => api.get('/jobs', { params }),
+  get: (id) => api.get(`/jobs/${id}`),
+  cancel: (id) => api.delete(`/jobs/${id}`),
+  retry: (id) => api.post(`/jobs/${id}/retry`),
+};
+
+// Care Gaps API
+export const careGapsApi = {
+  list: (params) => api.get('/care-gaps', { params }),
+  compliance: () => api.get('/care-gaps/compliance'),
+  complianceHistory: (measureId, params) => api.get(`/care-gaps/compliance/${measureId}/history`, { params }),
+  evaluate: () => api.post('/care-gaps/evaluate'),
+  exportToCampaign: (campaignId, filters) => api.post('/care-gaps/export', { campaignId, filters }),
+};
+
+// Cohorts API
+export const cohortsApi = {
+  list: () => api.get('/cohorts'),
+  get: (id) => api.get(`/cohorts/${id}`),
+  getVersion: (id, version) => api.get(`/cohorts/${id}/versions/${version}`),
+  criteria: () => api.get('/cohorts/criteria'),
+  create: (data) => api.post('/cohorts', data),
+  update: (id, data) => api.put(`/cohorts/${id}`, data),
+  delete: (id) => api.delete(`/cohorts/${id}`),
+  preview: (definition, sampleSize) => api.post('/cohorts/preview', { definition, sampleSize }),
+  previewSaved: (id, version, sampleSize) => api.post(`/cohorts/${id}/preview`, { version, sampleSize }),
+};
+
 // AI API
 export const aiApi = {
   analyze: (prompt, systemPrompt, selectBest) => 
@@ -115,8 +165,8 @@ export const aiApi = {
     api.post('/ai/care-plan-match', { patientData, carePlans }),
   riskStratify: (patients) => api.post('/ai/risk-stratify', { patients }),
   icd10Analyze: (icd10Data) => api.post('/ai/icd10-analyze', { icd10Data }),
-  careGaps: (patientData, qualityMeasures) => 
-    api.post('/ai/care-gaps', { patientData, qualityMeasures }),
+  careGaps: (patientData, measures) =>
+    api.post('/ai/care-gaps', { patientData, measures }),
   compare: (prompt, systemPrompt) => api.post('/ai/compare', { prompt, systemPrompt }),
 };
 
@@ -134,10 +184,16 @@ export const adminApi = {
   deleteUser: (id) => api.delete(`/admin/users/${id}`),
   resetPassword: (id, newPassword) => 
     api.post(`/admin/users/${id}/reset-password`, { newPassword }),
+
+  // EHR connections
+  getEhrConnections: (params) => api.get('/admin/ehr-connections', { params }),
+  refreshEhrConnection: (userId) => api.post(`/admin/ehr-connections/${userId}/refresh`),
   
   // Settings
   getSettings: () => api.get('/admin/settings'),
   updateSettings: (data) => api.put('/admin/settings', data),
+  testEpicConnection: (data) => api.post('/admin/settings/test-connection', data),
+  getCapabilities: (refresh) => api.get('/admin/settings/capabilities', { params: { refresh } }),
   
   // Audit Logs
   getAuditLogs: (params) => api.get('/admin/audit-logs', { params }),